@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "MatchMessage" ADD COLUMN     "deletedAt" TIMESTAMP(3),
+ADD COLUMN     "editedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "MatchMessageRead" (
+    "id" TEXT NOT NULL,
+    "matchId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "lastReadMessageId" TEXT,
+    "lastReadAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MatchMessageRead_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MatchMessageRead_matchId_idx" ON "MatchMessageRead"("matchId");
+
+-- CreateIndex
+CREATE INDEX "MatchMessageRead_userId_idx" ON "MatchMessageRead"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MatchMessageRead_matchId_userId_key" ON "MatchMessageRead"("matchId", "userId");
+
+-- CreateIndex
+CREATE INDEX "MatchMessage_matchId_createdAt_idx" ON "MatchMessage"("matchId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "MatchMessageRead" ADD CONSTRAINT "MatchMessageRead_matchId_fkey" FOREIGN KEY ("matchId") REFERENCES "Match"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MatchMessageRead" ADD CONSTRAINT "MatchMessageRead_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
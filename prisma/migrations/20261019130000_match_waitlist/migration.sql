@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "MatchPresence" ADD COLUMN     "waitlistPosition" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "MatchPresence_matchId_status_idx" ON "MatchPresence"("matchId", "status");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Match" ADD COLUMN     "teamsBackup" JSONB,
+ADD COLUMN     "teamsBalancedAt" TIMESTAMP(3);
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "PlayerRank" ADD COLUMN     "ratingDeviation" INTEGER NOT NULL DEFAULT 350;
+
+-- Backfill: depois de aplicar, rode `npm run rank:rebuild` para recalcular
+-- os ratings reprocessando as partidas finalizadas em ordem de data.
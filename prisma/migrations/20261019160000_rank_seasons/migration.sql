@@ -0,0 +1,69 @@
+-- DropIndex
+DROP INDEX "PlayerRank_userId_key";
+
+-- CreateTable
+CREATE TABLE "RankSeason" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'UPCOMING',
+    "softResetFactor" DOUBLE PRECISION NOT NULL DEFAULT 0.5,
+    "closedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RankSeason_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RankSeasonSnapshot" (
+    "id" TEXT NOT NULL,
+    "seasonId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "rating" INTEGER NOT NULL,
+    "tier" TEXT NOT NULL,
+    "rankPosition" INTEGER NOT NULL,
+    "wins" INTEGER NOT NULL DEFAULT 0,
+    "losses" INTEGER NOT NULL DEFAULT 0,
+    "draws" INTEGER NOT NULL DEFAULT 0,
+    "matches" INTEGER NOT NULL DEFAULT 0,
+    "goals" INTEGER NOT NULL DEFAULT 0,
+    "assists" INTEGER NOT NULL DEFAULT 0,
+    "mvpCount" INTEGER NOT NULL DEFAULT 0,
+    "bestWinStreak" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RankSeasonSnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RankSeason_key_key" ON "RankSeason"("key");
+
+-- CreateIndex
+CREATE INDEX "RankSeason_status_idx" ON "RankSeason"("status");
+
+-- CreateIndex
+CREATE INDEX "RankSeason_startsAt_endsAt_idx" ON "RankSeason"("startsAt", "endsAt");
+
+-- CreateIndex
+CREATE INDEX "RankSeasonSnapshot_seasonId_rankPosition_idx" ON "RankSeasonSnapshot"("seasonId", "rankPosition");
+
+-- CreateIndex
+CREATE INDEX "RankSeasonSnapshot_userId_idx" ON "RankSeasonSnapshot"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RankSeasonSnapshot_seasonId_userId_key" ON "RankSeasonSnapshot"("seasonId", "userId");
+
+-- CreateIndex
+CREATE INDEX "PlayerRank_userId_idx" ON "PlayerRank"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PlayerRank_userId_season_key" ON "PlayerRank"("userId", "season");
+
+-- AddForeignKey
+ALTER TABLE "RankSeasonSnapshot" ADD CONSTRAINT "RankSeasonSnapshot_seasonId_fkey" FOREIGN KEY ("seasonId") REFERENCES "RankSeason"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RankSeasonSnapshot" ADD CONSTRAINT "RankSeasonSnapshot_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
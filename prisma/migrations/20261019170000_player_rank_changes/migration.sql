@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE "Match" ADD COLUMN     "rankRevertedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "PlayerRankChange" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "matchId" TEXT,
+    "season" TEXT NOT NULL DEFAULT 'global',
+    "reason" TEXT NOT NULL DEFAULT 'MATCH',
+    "ratingBefore" INTEGER NOT NULL,
+    "ratingAfter" INTEGER NOT NULL,
+    "delta" INTEGER NOT NULL,
+    "result" TEXT,
+    "teamSide" "TeamSide",
+    "goals" INTEGER NOT NULL DEFAULT 0,
+    "assists" INTEGER NOT NULL DEFAULT 0,
+    "isMvp" BOOLEAN NOT NULL DEFAULT false,
+    "note" TEXT,
+    "revertedAt" TIMESTAMP(3),
+    "revertedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PlayerRankChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PlayerRankChange_userId_season_createdAt_idx" ON "PlayerRankChange"("userId", "season", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "PlayerRankChange_matchId_idx" ON "PlayerRankChange"("matchId");
+
+-- AddForeignKey
+ALTER TABLE "PlayerRankChange" ADD CONSTRAINT "PlayerRankChange_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PlayerRankChange" ADD CONSTRAINT "PlayerRankChange_matchId_fkey" FOREIGN KEY ("matchId") REFERENCES "Match"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "Match" ADD COLUMN     "mvpProcessed" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "mvpUserId" TEXT,
+ADD COLUMN     "mvpVotingEndsAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "MatchMvpVote" (
+    "id" TEXT NOT NULL,
+    "matchId" TEXT NOT NULL,
+    "voterId" TEXT NOT NULL,
+    "candidateId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MatchMvpVote_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MatchMvpVote_matchId_idx" ON "MatchMvpVote"("matchId");
+
+-- CreateIndex
+CREATE INDEX "MatchMvpVote_candidateId_idx" ON "MatchMvpVote"("candidateId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MatchMvpVote_matchId_voterId_key" ON "MatchMvpVote"("matchId", "voterId");
+
+-- CreateIndex
+CREATE INDEX "Match_mvpProcessed_mvpVotingEndsAt_idx" ON "Match"("mvpProcessed", "mvpVotingEndsAt");
+
+-- AddForeignKey
+ALTER TABLE "Match" ADD CONSTRAINT "Match_mvpUserId_fkey" FOREIGN KEY ("mvpUserId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MatchMvpVote" ADD CONSTRAINT "MatchMvpVote_matchId_fkey" FOREIGN KEY ("matchId") REFERENCES "Match"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MatchMvpVote" ADD CONSTRAINT "MatchMvpVote_voterId_fkey" FOREIGN KEY ("voterId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MatchMvpVote" ADD CONSTRAINT "MatchMvpVote_candidateId_fkey" FOREIGN KEY ("candidateId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
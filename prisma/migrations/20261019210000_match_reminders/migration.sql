@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Match" ADD COLUMN     "reminderSentAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Match_status_reminderSentAt_date_idx" ON "Match"("status", "reminderSentAt", "date");
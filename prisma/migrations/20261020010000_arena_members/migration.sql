@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "ArenaRole" AS ENUM ('manager', 'receptionist');
+
+-- CreateTable
+CREATE TABLE "ArenaMember" (
+    "id" TEXT NOT NULL,
+    "arenaId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "role" "ArenaRole" NOT NULL,
+    "addedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ArenaMember_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ArenaMember_userId_idx" ON "ArenaMember"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ArenaMember_arenaId_userId_key" ON "ArenaMember"("arenaId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "ArenaMember" ADD CONSTRAINT "ArenaMember_arenaId_fkey" FOREIGN KEY ("arenaId") REFERENCES "Arena"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ArenaMember" ADD CONSTRAINT "ArenaMember_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ArenaMember" ADD CONSTRAINT "ArenaMember_addedById_fkey" FOREIGN KEY ("addedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,60 @@
+-- AlterEnum
+ALTER TYPE "ArenaRole" ADD VALUE 'viewer';
+
+-- CreateTable
+CREATE TABLE "ArenaInvite" (
+    "id" TEXT NOT NULL,
+    "arenaId" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "role" "ArenaRole" NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "invitedById" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "acceptedAt" TIMESTAMP(3),
+    "acceptedById" TEXT,
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ArenaInvite_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AuditLog" (
+    "id" TEXT NOT NULL,
+    "actorId" TEXT,
+    "action" TEXT NOT NULL,
+    "targetType" TEXT NOT NULL,
+    "targetId" TEXT,
+    "arenaId" TEXT,
+    "metadata" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ArenaInvite_tokenHash_key" ON "ArenaInvite"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "ArenaInvite_arenaId_acceptedAt_idx" ON "ArenaInvite"("arenaId", "acceptedAt");
+
+-- CreateIndex
+CREATE INDEX "ArenaInvite_email_idx" ON "ArenaInvite"("email");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_arenaId_createdAt_idx" ON "AuditLog"("arenaId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_actorId_createdAt_idx" ON "AuditLog"("actorId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_targetType_targetId_idx" ON "AuditLog"("targetType", "targetId");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_createdAt_idx" ON "AuditLog"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ArenaInvite" ADD CONSTRAINT "ArenaInvite_arenaId_fkey" FOREIGN KEY ("arenaId") REFERENCES "Arena"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ArenaInvite" ADD CONSTRAINT "ArenaInvite_invitedById_fkey" FOREIGN KEY ("invitedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "AuditLog" ADD COLUMN     "after" JSONB,
+ADD COLUMN     "before" JSONB,
+ADD COLUMN     "ip" TEXT,
+ADD COLUMN     "method" TEXT,
+ADD COLUMN     "path" TEXT,
+ADD COLUMN     "userAgent" TEXT;
+
+-- Append-only: nada de UPDATE/DELETE/TRUNCATE no log
+CREATE OR REPLACE FUNCTION "audit_log_append_only"() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'AuditLog é append-only (% bloqueado)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "AuditLog_no_update_delete"
+BEFORE UPDATE OR DELETE ON "AuditLog"
+FOR EACH ROW EXECUTE FUNCTION "audit_log_append_only"();
+
+CREATE TRIGGER "AuditLog_no_truncate"
+BEFORE TRUNCATE ON "AuditLog"
+FOR EACH STATEMENT EXECUTE FUNCTION "audit_log_append_only"();
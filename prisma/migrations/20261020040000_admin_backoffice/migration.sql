@@ -0,0 +1,53 @@
+-- CreateEnum
+CREATE TYPE "ArenaApprovalStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED');
+
+-- CreateEnum
+CREATE TYPE "ContentReportStatus" AS ENUM ('OPEN', 'RESOLVED', 'DISMISSED');
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "banReason" TEXT,
+ADD COLUMN     "bannedAt" TIMESTAMP(3),
+ADD COLUMN     "bannedUntil" TIMESTAMP(3);
+
+-- AlterTable (arenas existentes já valem como aprovadas)
+ALTER TABLE "Arena" ADD COLUMN     "approvalStatus" "ArenaApprovalStatus" NOT NULL DEFAULT 'APPROVED',
+ADD COLUMN     "rejectionReason" TEXT,
+ADD COLUMN     "reviewedAt" TIMESTAMP(3),
+ADD COLUMN     "reviewedById" TEXT;
+
+-- AlterTable
+ALTER TABLE "FeedPost" ADD COLUMN     "hiddenAt" TIMESTAMP(3),
+ADD COLUMN     "hiddenById" TEXT,
+ADD COLUMN     "hiddenReason" TEXT;
+
+-- CreateTable
+CREATE TABLE "FeedReport" (
+    "id" TEXT NOT NULL,
+    "postId" TEXT NOT NULL,
+    "reporterId" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "status" "ContentReportStatus" NOT NULL DEFAULT 'OPEN',
+    "resolvedById" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FeedReport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "User_bannedAt_idx" ON "User"("bannedAt");
+
+-- CreateIndex
+CREATE INDEX "Arena_approvalStatus_idx" ON "Arena"("approvalStatus");
+
+-- CreateIndex
+CREATE INDEX "FeedReport_status_createdAt_idx" ON "FeedReport"("status", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FeedReport_postId_reporterId_key" ON "FeedReport"("postId", "reporterId");
+
+-- AddForeignKey
+ALTER TABLE "FeedReport" ADD CONSTRAINT "FeedReport_postId_fkey" FOREIGN KEY ("postId") REFERENCES "FeedPost"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FeedReport" ADD CONSTRAINT "FeedReport_reporterId_fkey" FOREIGN KEY ("reporterId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "PixProvider" ADD VALUE 'FAKE';
+
+-- AlterTable
+ALTER TABLE "Arena" ADD COLUMN     "paymentProvider" "PixProvider";
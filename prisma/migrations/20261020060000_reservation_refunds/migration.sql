@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "PixRefundStatus" AS ENUM ('REQUESTED', 'PROCESSING', 'DONE', 'FAILED');
+
+-- AlterEnum
+ALTER TYPE "PaymentStatus" ADD VALUE 'PARTIALLY_REFUNDED' BEFORE 'REFUNDED';
+
+-- AlterEnum
+ALTER TYPE "PixPaymentStatus" ADD VALUE 'PARTIALLY_REFUNDED';
+ALTER TYPE "PixPaymentStatus" ADD VALUE 'REFUNDED';
+
+-- AlterTable
+ALTER TABLE "Arena" ADD COLUMN     "cancelFullRefundHours" INTEGER NOT NULL DEFAULT 24,
+ADD COLUMN     "cancelPartialRefundPercent" INTEGER NOT NULL DEFAULT 50;
+
+-- AlterTable
+ALTER TABLE "PixPayment" ADD COLUMN     "refundedValue" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "PixRefund" (
+    "id" TEXT NOT NULL,
+    "paymentId" TEXT NOT NULL,
+    "refundId" TEXT NOT NULL,
+    "value" INTEGER NOT NULL,
+    "status" "PixRefundStatus" NOT NULL DEFAULT 'REQUESTED',
+    "reason" TEXT,
+    "requestedById" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "raw" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PixRefund_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PixRefund_refundId_key" ON "PixRefund"("refundId");
+
+-- CreateIndex
+CREATE INDEX "PixRefund_paymentId_idx" ON "PixRefund"("paymentId");
+
+-- CreateIndex
+CREATE INDEX "PixRefund_status_updatedAt_idx" ON "PixRefund"("status", "updatedAt");
+
+-- AddForeignKey
+ALTER TABLE "PixRefund" ADD CONSTRAINT "PixRefund_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "PixPayment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
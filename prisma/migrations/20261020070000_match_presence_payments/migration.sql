@@ -0,0 +1,39 @@
+-- CreateEnum
+CREATE TYPE "PresencePaymentStatus" AS ENUM ('NOT_REQUIRED', 'UNPAID', 'PAID', 'WAIVED', 'REFUNDED');
+
+-- AlterTable
+ALTER TABLE "Match" ADD COLUMN     "requirePaymentToConfirm" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "MatchPresence" ADD COLUMN     "paidAt" TIMESTAMP(3),
+ADD COLUMN     "paymentDueAt" TIMESTAMP(3),
+ADD COLUMN     "paymentMarkedById" TEXT,
+ADD COLUMN     "paymentReminderSentAt" TIMESTAMP(3),
+ADD COLUMN     "paymentStatus" "PresencePaymentStatus" NOT NULL DEFAULT 'NOT_REQUIRED';
+
+-- AlterTable
+ALTER TABLE "PixPayment" ALTER COLUMN "reservationId" DROP NOT NULL,
+ADD COLUMN     "matchId" TEXT,
+ADD COLUMN     "payerId" TEXT,
+ADD COLUMN     "presenceId" TEXT;
+
+-- Backfill: quem paga a reserva é o titular
+UPDATE "PixPayment" p SET "payerId" = r."userId" FROM "Reservation" r WHERE r."id" = p."reservationId";
+
+-- CreateIndex
+CREATE INDEX "MatchPresence_status_paymentDueAt_idx" ON "MatchPresence"("status", "paymentDueAt");
+
+-- CreateIndex
+CREATE INDEX "MatchPresence_paymentStatus_idx" ON "MatchPresence"("paymentStatus");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PixPayment_presenceId_key" ON "PixPayment"("presenceId");
+
+-- CreateIndex
+CREATE INDEX "PixPayment_matchId_idx" ON "PixPayment"("matchId");
+
+-- CreateIndex
+CREATE INDEX "PixPayment_payerId_idx" ON "PixPayment"("payerId");
+
+-- AddForeignKey
+ALTER TABLE "PixPayment" ADD CONSTRAINT "PixPayment_presenceId_fkey" FOREIGN KEY ("presenceId") REFERENCES "MatchPresence"("id") ON DELETE SET NULL ON UPDATE CASCADE;
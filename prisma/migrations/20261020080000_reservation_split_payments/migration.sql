@@ -0,0 +1,43 @@
+-- CreateEnum
+CREATE TYPE "ReservationShareStatus" AS ENUM ('PENDING', 'PAID', 'CANCELED', 'REFUNDED');
+
+-- AlterTable
+ALTER TABLE "PixPayment" ADD COLUMN     "shareId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Reservation" ADD COLUMN     "splitDueAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "ReservationShare" (
+    "id" TEXT NOT NULL,
+    "reservationId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "value" INTEGER NOT NULL,
+    "status" "ReservationShareStatus" NOT NULL DEFAULT 'PENDING',
+    "paidAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ReservationShare_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ReservationShare_reservationId_status_idx" ON "ReservationShare"("reservationId", "status");
+
+-- CreateIndex
+CREATE INDEX "ReservationShare_userId_idx" ON "ReservationShare"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PixPayment_shareId_key" ON "PixPayment"("shareId");
+
+-- CreateIndex
+CREATE INDEX "Reservation_status_splitDueAt_idx" ON "Reservation"("status", "splitDueAt");
+
+-- AddForeignKey
+ALTER TABLE "ReservationShare" ADD CONSTRAINT "ReservationShare_reservationId_fkey" FOREIGN KEY ("reservationId") REFERENCES "Reservation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReservationShare" ADD CONSTRAINT "ReservationShare_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PixPayment" ADD CONSTRAINT "PixPayment_shareId_fkey" FOREIGN KEY ("shareId") REFERENCES "ReservationShare"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Match" ADD COLUMN     "collectPayments" BOOLEAN NOT NULL DEFAULT false;
+
+-- Backfill: partida que já exigia Pix pra confirmar continua cobrando
+UPDATE "Match" SET "collectPayments" = true WHERE "requirePaymentToConfirm" = true;
@@ -0,0 +1,28 @@
+-- DropIndex
+DROP INDEX "PixPayment_reservationId_key";
+
+-- DropIndex
+DROP INDEX "PixPayment_presenceId_key";
+
+-- DropIndex
+DROP INDEX "PixPayment_shareId_key";
+
+-- AlterTable
+ALTER TABLE "PixPayment" ADD COLUMN     "applied" BOOLEAN NOT NULL DEFAULT false;
+
+-- Backfill: até aqui cada alvo tinha um Pix só, então o pago é o que contou
+-- (menos o Pix cheio de reserva dividida, que o settle estornou)
+UPDATE "PixPayment" p SET "applied" = true
+WHERE p."status" IN ('PAID', 'PARTIALLY_REFUNDED', 'REFUNDED')
+  AND NOT EXISTS (
+    SELECT 1 FROM "Reservation" r WHERE r."id" = p."reservationId" AND r."splitDueAt" IS NOT NULL
+  );
+
+-- CreateIndex
+CREATE INDEX "PixPayment_reservationId_idx" ON "PixPayment"("reservationId");
+
+-- CreateIndex
+CREATE INDEX "PixPayment_presenceId_idx" ON "PixPayment"("presenceId");
+
+-- CreateIndex
+CREATE INDEX "PixPayment_shareId_idx" ON "PixPayment"("shareId");
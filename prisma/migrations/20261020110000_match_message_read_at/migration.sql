@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "MatchMessageRead" ADD COLUMN     "lastReadMessageAt" TIMESTAMP(3);
+
+-- Backfill: data da mensagem que já estava marcada como lida
+UPDATE "MatchMessageRead" r SET "lastReadMessageAt" = m."createdAt"
+FROM "MatchMessage" m
+WHERE m."id" = r."lastReadMessageId";
@@ -15,11 +15,15 @@ import arenasRoutes from "./routes/arenas.routes.js";
 import reservationsRoutes from "./routes/reservations.routes.js";
 import friendsRoutes from "./routes/friends.routes.js";
 import rankRoutes from "./routes/rank.routes.js";
+import notificationsRoutes from "./routes/notifications.routes.js";
+import adminRoutes from "./routes/admin.routes.js";
 import peladaLocationRoutes from "./routes/peladaLocation.routes.js";
 import usersRoutes from "./routes/users.routes.js";
 import presenceRoutes from "./routes/presence.routes.js";
 import uploadRoutes from "./routes/upload.routes.js";
 import feedRoutes from "./routes/feed.routes.js";
+import pixRoutes from "./routes/pix.routes.js";
+import webhooksRoutes from "./routes/webhooks.routes.js";
 
 export const app = express();
 
@@ -118,7 +122,15 @@ app.use(globalLimiter);
 /* --------------------------------------------------
    BODY PARSER
 -------------------------------------------------- */
-app.use(express.json({ limit: "1mb" }));
+// webhooks assinam o corpo cru: guarda os bytes antes do parse
+app.use(
+  express.json({
+    limit: "1mb",
+    verify(req, res, buf) {
+      if (req.originalUrl.startsWith("/webhooks/")) req.rawBody = Buffer.from(buf);
+    },
+  })
+);
 
 /* --------------------------------------------------
    HEALTH
@@ -144,9 +156,14 @@ app.use("/partner-arenas", partnerArenasRoutes);
 app.use("/reservations", reservationsRoutes);
 app.use("/friends", friendsRoutes);
 app.use("/rank", rankRoutes);
+app.use("/notifications", notificationsRoutes);
+app.use("/admin", adminRoutes);
 app.use("/pelada-locations", peladaLocationRoutes);
 app.use("/upload", uploadRoutes);
 app.use("/feed", feedRoutes);
+app.use("/pix", pixRoutes);
+app.use("/webhooks", webhooksRoutes);
+
 /* --------------------------------------------------
    404
 -------------------------------------------------- */
@@ -1,5 +1,6 @@
 // src/controllers/friends.controller.js
 import {prisma} from "../lib/prisma.js";
+import { getActorName, notifyUser } from "../services/notificationService.js";
 
 // garante que a amizade sempre é salva como (menorId, maiorId)
 function normalizePair(a, b) {
@@ -156,6 +157,14 @@ export async function sendFriendRequest(req, res) {
       select: { id: true, fromId: true, toId: true, createdAt: true },
     });
 
+    await notifyUser(toUserId, {
+      type: "FRIEND_REQUEST",
+      actorId: me,
+      title: "Novo pedido de amizade",
+      body: `${await getActorName(me)} quer ser seu amigo.`,
+      data: { requestId: created.id, fromUserId: me },
+    });
+
     return res.status(201).json(created);
   } catch (err) {
     return res.status(500).json({ error: err?.message || "Erro ao enviar pedido" });
@@ -207,6 +216,14 @@ export async function acceptFriendRequest(req, res) {
       return createdFriendship;
     });
 
+    await notifyUser(fromUserId, {
+      type: "FRIEND_ACCEPTED",
+      actorId: me,
+      title: "Pedido de amizade aceito",
+      body: `${await getActorName(me)} aceitou seu pedido de amizade.`,
+      data: { userId: me },
+    });
+
     return res.json({ ok: true, friendship });
   } catch (err) {
     return res.status(500).json({ error: err?.message || "Erro ao aceitar pedido" });
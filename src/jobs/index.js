@@ -0,0 +1,106 @@
+// src/jobs/index.js
+//
+// Tarefas periódicas rodando dentro da própria API (setInterval).
+// JOBS_ENABLED=false desliga (ex: quando roda via cron com npm run jobs:run).
+import { pruneStalePushSubscriptions } from "../services/pushService.js";
+import { purgeOldSessions } from "../services/authSessionService.js";
+import { purgeOldPhoneOtps } from "../services/phoneOtpService.js";
+import { closeExpiredMvpVotings } from "../services/matchMvpService.js";
+import { releaseExpiredPaymentHolds, sendMatchPaymentReminders } from "../services/matchPaymentService.js";
+import { reconcilePendingPixPayments } from "../services/pixPaymentService.js";
+import { reconcileProcessingPixRefunds, retryPendingPixRefunds } from "../services/pixRefundService.js";
+import { expireUnpaidSplits } from "../services/reservationSplitService.js";
+import { sendMatchReminders } from "./matchReminders.js";
+
+export const JOBS = [
+  {
+    name: "matchReminders",
+    intervalMs: 5 * 60 * 1000,
+    run: () => sendMatchReminders(),
+  },
+  {
+    name: "mvpClose",
+    intervalMs: 5 * 60 * 1000,
+    run: async () => ({ closed: await closeExpiredMvpVotings() }),
+  },
+  {
+    name: "matchPaymentHolds",
+    intervalMs: 60 * 1000,
+    run: async () => ({ released: await releaseExpiredPaymentHolds() }),
+  },
+  {
+    name: "matchPaymentReminders",
+    intervalMs: 5 * 60 * 1000,
+    run: async () => ({ reminded: await sendMatchPaymentReminders() }),
+  },
+  {
+    name: "pixReconcile",
+    intervalMs: 5 * 60 * 1000,
+    run: () => reconcilePendingPixPayments(),
+  },
+  {
+    name: "pixRefundRetry",
+    intervalMs: 5 * 60 * 1000,
+    run: () => retryPendingPixRefunds(),
+  },
+  {
+    name: "pixRefundReconcile",
+    intervalMs: 5 * 60 * 1000,
+    run: () => reconcileProcessingPixRefunds(),
+  },
+  {
+    name: "reservationSplitExpiry",
+    intervalMs: 5 * 60 * 1000,
+    run: async () => ({ canceled: await expireUnpaidSplits() }),
+  },
+  {
+    name: "pushPrune",
+    intervalMs: 24 * 60 * 60 * 1000,
+    run: async () => ({ pruned: await pruneStalePushSubscriptions() }),
+  },
+  {
+    name: "sessionPurge",
+    intervalMs: 24 * 60 * 60 * 1000,
+    run: async () => ({ purged: await purgeOldSessions() }),
+  },
+  {
+    name: "phoneOtpPurge",
+    intervalMs: 24 * 60 * 60 * 1000,
+    run: async () => ({ purged: await purgeOldPhoneOtps() }),
+  },
+];
+
+// não deixa a mesma tarefa rodar em paralelo se a anterior atrasar
+async function runGuarded(job) {
+  if (job.running) return null;
+  job.running = true;
+
+  try {
+    return await job.run();
+  } catch (err) {
+    console.error(`[jobs] ${job.name} falhou:`, err);
+    return null;
+  } finally {
+    job.running = false;
+  }
+}
+
+export async function runAllJobsOnce() {
+  const results = {};
+
+  for (const job of JOBS) {
+    results[job.name] = await runGuarded(job);
+  }
+
+  return results;
+}
+
+export function startJobs() {
+  if (String(process.env.JOBS_ENABLED || "true") === "false") return [];
+
+  return JOBS.map((job) => {
+    const timer = setInterval(() => runGuarded(job), job.intervalMs);
+    timer.unref?.();
+    return timer;
+  });
+}
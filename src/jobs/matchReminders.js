@@ -0,0 +1,57 @@
+// src/jobs/matchReminders.js
+//
+// Lembrete por e-mail pros confirmados de partidas que começam nas próximas
+// MATCH_REMINDER_HOURS horas (padrão 3). Cada partida recebe um lembrete só.
+import { prisma } from "../lib/prisma.js";
+import { sendMatchEmails } from "../services/email/emailService.js";
+import { confirmedPresenceWhere } from "../services/matchWaitlistService.js";
+
+export function getMatchReminderHours() {
+  const hours = Number(process.env.MATCH_REMINDER_HOURS || 3);
+  return Number.isFinite(hours) && hours > 0 ? hours : 3;
+}
+
+export async function sendMatchReminders({ now = new Date() } = {}) {
+  const until = new Date(now.getTime() + getMatchReminderHours() * 60 * 60 * 1000);
+
+  const matches = await prisma.match.findMany({
+    where: {
+      status: "SCHEDULED",
+      reminderSentAt: null,
+      date: { gt: now, lte: until },
+    },
+    orderBy: { date: "asc" },
+    take: 100,
+    select: {
+      id: true,
+      title: true,
+      date: true,
+      manualArenaName: true,
+      peladaLocation: { select: { name: true } },
+      court: { select: { arena: { select: { name: true } } } },
+      presences: { where: confirmedPresenceWhere, select: { userId: true } },
+    },
+  });
+
+  let reminded = 0;
+  let emails = 0;
+
+  for (const match of matches) {
+    // duas instâncias rodando o job: só quem marcar primeiro envia
+    const claim = await prisma.match.updateMany({
+      where: { id: match.id, reminderSentAt: null },
+      data: { reminderSentAt: now },
+    });
+
+    if (!claim.count) continue;
+
+    reminded += 1;
+    emails += await sendMatchEmails(
+      "matchReminder",
+      match,
+      match.presences.map((p) => p.userId)
+    );
+  }
+
+  return { matches: reminded, emails };
+}
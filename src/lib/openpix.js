@@ -0,0 +1,202 @@
+// src/lib/openpix.js
+//
+// Cliente HTTP da OpenPix (Woovi). Valores sempre em centavos.
+//   OPENPIX_APP_ID       → AppID do painel (vai no header Authorization)
+//   OPENPIX_BASE_URL     → padrão https://api.openpix.com.br; aponte pro
+//                          mock local (npm run openpix:mock) em dev/testes
+//   OPENPIX_WEBHOOK_SECRET     → HMAC-SHA1 (header x-openpix-signature)
+//   OPENPIX_WEBHOOK_PUBLIC_KEY → chave pública RSA em base64 (header x-webhook-signature)
+import crypto from "crypto";
+
+const DEFAULT_BASE_URL = "https://api.openpix.com.br";
+
+// status da cobrança na OpenPix → PixPaymentStatus
+const CHARGE_STATUS = {
+  ACTIVE: "PENDING",
+  COMPLETED: "PAID",
+  EXPIRED: "EXPIRED",
+};
+
+// status do estorno na OpenPix → PENDING | DONE | FAILED
+const REFUND_STATUS = {
+  IN_PROCESSING: "PENDING",
+  CONFIRMED: "DONE",
+  REJECTED: "FAILED",
+};
+
+export function isOpenPixConfigured() {
+  return Boolean(process.env.OPENPIX_APP_ID);
+}
+
+function getBaseUrl() {
+  return String(process.env.OPENPIX_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+}
+
+async function request(path, { method = "GET", body } = {}) {
+  if (!isOpenPixConfigured()) throw new Error("OPENPIX_APP_ID ausente");
+
+  const res = await fetch(`${getBaseUrl()}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: process.env.OPENPIX_APP_ID,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const json = await res.json().catch(() => ({}));
+
+  if (!res.ok) {
+    const err = new Error(`OpenPix ${res.status}: ${json?.error || JSON.stringify(json)}`);
+    err.status = res.status;
+    throw err;
+  }
+
+  return json;
+}
+
+/**
+ * Resposta/webhook da OpenPix → formato do PixPayment.
+ */
+export function normalizeCharge(charge, pix = null) {
+  if (!charge) return null;
+
+  return {
+    correlationId: charge.correlationID || charge.correlationId || null,
+    chargeId: charge.globalID || charge.identifier || charge.id || null,
+    txid: charge.transactionID || pix?.transactionID || pix?.endToEndId || null,
+    status: CHARGE_STATUS[String(charge.status || "").toUpperCase()] || null,
+    value: Number(charge.value ?? 0),
+    brCode: charge.brCode || charge.qrCode?.brCode || null,
+    qrCodeImage: charge.qrCodeImage || charge.qrCode?.image || null,
+    paymentLinkUrl: charge.paymentLinkUrl || null,
+    expiresAt: charge.expiresDate ? new Date(charge.expiresDate) : null,
+    paidAt: pix?.time ? new Date(pix.time) : charge.paidAt ? new Date(charge.paidAt) : null,
+  };
+}
+
+export async function createCharge({ correlationId, value, comment, expiresIn }) {
+  const json = await request("/api/v1/charge", {
+    method: "POST",
+    body: { correlationID: correlationId, value, comment, expiresIn },
+  });
+
+  return { charge: normalizeCharge(json.charge || json), raw: json.charge || json };
+}
+
+/**
+ * Consulta pelo correlationID. null = a OpenPix não conhece a cobrança.
+ */
+export async function getCharge(correlationId) {
+  try {
+    const json = await request(`/api/v1/charge/${encodeURIComponent(correlationId)}`);
+    return { charge: normalizeCharge(json.charge || json), raw: json.charge || json };
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Apaga a cobrança ainda em aberto (o QR para de aceitar pagamento).
+ * null = a OpenPix não conhece; cobrança já paga dá erro.
+ */
+export async function deleteCharge(correlationId) {
+  try {
+    const json = await request(`/api/v1/charge/${encodeURIComponent(correlationId)}`, {
+      method: "DELETE",
+    });
+    return { canceled: true, raw: json };
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+export function normalizeRefund(refund) {
+  if (!refund) return null;
+
+  return {
+    refundId: refund.correlationID || refund.correlationId || refund.refundId || null,
+    status: REFUND_STATUS[String(refund.status || "").toUpperCase()] || "PENDING",
+    value: Number(refund.value ?? 0),
+  };
+}
+
+/**
+ * Estorno (total ou parcial) de cobrança paga. refundId vira o correlationID
+ * do estorno na OpenPix, então repetir a chamada não estorna duas vezes.
+ */
+export async function refundCharge({ correlationId, refundId, value, comment }) {
+  const json = await request(`/api/v1/charge/${encodeURIComponent(correlationId)}/refund`, {
+    method: "POST",
+    body: { correlationID: refundId, value, comment },
+  });
+
+  return { refund: normalizeRefund(json.refund || json), raw: json.refund || json };
+}
+
+/**
+ * Consulta um estorno pelo correlationID que mandamos (PixRefund.refundId).
+ * null = a OpenPix não conhece.
+ */
+export async function getRefund(refundId) {
+  try {
+    const json = await request(`/api/v1/refund/${encodeURIComponent(refundId)}`);
+    const refund = json.pixTransactionRefund || json.refund || json;
+    return { refund: normalizeRefund(refund), raw: refund };
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Confere a assinatura do webhook com o que estiver configurado.
+ * Sem segredo nem chave pública → { configured: false }: só aceita com
+ * NODE_ENV=development (fora disso qualquer um marcaria cobrança como paga).
+ */
+export function verifyWebhookSignature(rawBody, headers = {}) {
+  const secret = process.env.OPENPIX_WEBHOOK_SECRET;
+  const publicKey = process.env.OPENPIX_WEBHOOK_PUBLIC_KEY;
+
+  if (!secret && !publicKey) {
+    return { configured: false, valid: process.env.NODE_ENV === "development" };
+  }
+  if (!rawBody?.length) return { configured: true, valid: false };
+
+  if (publicKey) {
+    const signature = headers["x-webhook-signature"];
+    if (!signature) return { configured: true, valid: false };
+
+    try {
+      const valid = crypto.verify(
+        "sha256",
+        Buffer.from(rawBody),
+        Buffer.from(publicKey, "base64").toString("utf8"),
+        Buffer.from(String(signature), "base64")
+      );
+      return { configured: true, valid };
+    } catch {
+      return { configured: true, valid: false };
+    }
+  }
+
+  const signature = headers["x-openpix-signature"] || headers["x-webhook-signature"];
+  if (!signature) return { configured: true, valid: false };
+
+  return { configured: true, valid: safeEqual(signWebhookBody(rawBody, secret), signature) };
+}
+
+/**
+ * HMAC-SHA1 base64 do corpo (o mesmo que a OpenPix manda). Usado pelo mock.
+ */
+export function signWebhookBody(rawBody, secret) {
+  return crypto.createHmac("sha1", secret).update(rawBody).digest("base64");
+}
@@ -0,0 +1,235 @@
+// src/lib/paymentProviders.js
+//
+// Gateways de pagamento. Todos têm a mesma cara (valores em centavos):
+//   isReady()                                              -> credenciais ok?
+//   createCharge({ correlationId, value, comment, expiresIn }) -> { charge, raw }
+//   getCharge(correlationId)                               -> { charge, raw } | null (não conhece)
+//   cancelCharge(correlationId)                            -> { canceled, raw } | null (não conhece)
+//   refund({ correlationId, refundId, value, comment })    -> { refund, raw }
+//   getRefund({ correlationId, refundId })                 -> { refund, raw } | null (não conhece)
+//   verifyWebhook(rawBody, headers)                        -> { configured, valid }
+//   parseWebhook(body)                                     -> { type, charge }
+//
+// charge  = { correlationId, chargeId, txid, status (PENDING|PAID|EXPIRED), value,
+//             brCode, qrCodeImage, paymentLinkUrl, expiresAt, paidAt }
+// refund  = { refundId, status (PENDING|DONE|FAILED), value }
+// type    = "test" | "paid" | "expired" | "ignored"
+// Erro de rede/API lança; quem chama decide o que fazer.
+//
+// Cada arena escolhe o seu (Arena.paymentProvider); sem escolha vale
+// PAYMENT_PROVIDER (padrão OPENPIX). Pra plugar outro gateway (Mercado Pago,
+// Asaas, Stripe...): adapter aqui + valor novo no enum PixProvider.
+
+import crypto from "crypto";
+import {
+  createCharge as openPixCreateCharge,
+  deleteCharge as openPixDeleteCharge,
+  getCharge as openPixGetCharge,
+  getRefund as openPixGetRefund,
+  isOpenPixConfigured,
+  normalizeCharge,
+  refundCharge as openPixRefundCharge,
+  verifyWebhookSignature as openPixVerifyWebhook,
+} from "./openpix.js";
+
+/* --------------------------------- OpenPix --------------------------------- */
+
+const openPixProvider = {
+  name: "OPENPIX",
+
+  isReady() {
+    return isOpenPixConfigured();
+  },
+
+  createCharge(input) {
+    return openPixCreateCharge(input);
+  },
+
+  getCharge(correlationId) {
+    return openPixGetCharge(correlationId);
+  },
+
+  cancelCharge(correlationId) {
+    return openPixDeleteCharge(correlationId);
+  },
+
+  refund(input) {
+    return openPixRefundCharge(input);
+  },
+
+  getRefund({ refundId }) {
+    return openPixGetRefund(refundId);
+  },
+
+  verifyWebhook(rawBody, headers) {
+    return openPixVerifyWebhook(rawBody, headers);
+  },
+
+  parseWebhook(body = {}) {
+    // teste do painel ao cadastrar o webhook
+    if (body.evento === "teste_webhook" || body.event === "teste_webhook") {
+      return { type: "test", charge: null };
+    }
+
+    const event = String(body.event || "").toUpperCase();
+    const charge =
+      normalizeCharge(body.charge, body.pix) ||
+      (body.correlationID || body.correlationId
+        ? { correlationId: body.correlationID || body.correlationId }
+        : null);
+
+    if (event.endsWith("CHARGE_EXPIRED") || charge?.status === "EXPIRED") {
+      return { type: "expired", charge };
+    }
+
+    // CHARGE_COMPLETED / TRANSACTION_RECEIVED (ou payload antigo sem "event")
+    if (!event || event.endsWith("CHARGE_COMPLETED") || event.endsWith("TRANSACTION_RECEIVED")) {
+      return { type: "paid", charge };
+    }
+
+    return { type: "ignored", charge };
+  },
+};
+
+/* ------------------------------- fake (testes) ----------------------------- */
+
+// Cobranças em memória. settleFakeCharge devolve o corpo do webhook pra
+// mandar em POST /webhooks/fake (ou direto em handlePaymentWebhook).
+// Só liga com PAYMENT_FAKE_ENABLED=true (e nunca em produção): o webhook dele
+// não tem assinatura, então qualquer um "pagaria" com um POST.
+const fakeCharges = new Map();
+
+export function getFakeCharges() {
+  return [...fakeCharges.values()];
+}
+
+export function resetFakeCharges() {
+  fakeCharges.clear();
+}
+
+export function settleFakeCharge(correlationId, status = "PAID") {
+  const charge = fakeCharges.get(correlationId);
+  if (!charge) return null;
+
+  charge.status = status;
+  if (status === "PAID") {
+    charge.paidAt = new Date();
+    charge.txid = `fake_tx_${crypto.randomBytes(6).toString("hex")}`;
+  }
+
+  return { event: status, charge: { ...charge } };
+}
+
+const fakeProvider = {
+  name: "FAKE",
+  // fora da lista que o dono da arena vê; só admin escolhe
+  testOnly: true,
+
+  isReady() {
+    return process.env.PAYMENT_FAKE_ENABLED === "true" && process.env.NODE_ENV !== "production";
+  },
+
+  async createCharge({ correlationId, value, expiresIn }) {
+    const charge = {
+      correlationId,
+      chargeId: `fake_${crypto.randomBytes(6).toString("hex")}`,
+      txid: null,
+      status: "PENDING",
+      value,
+      brCode: `FAKEPIX:${correlationId}`,
+      qrCodeImage: null,
+      paymentLinkUrl: null,
+      expiresAt: new Date(Date.now() + Number(expiresIn || 0) * 1000),
+      paidAt: null,
+      refunded: 0,
+      refunds: [],
+    };
+
+    fakeCharges.set(correlationId, charge);
+    return { charge: { ...charge }, raw: { fake: true, ...charge } };
+  },
+
+  async getCharge(correlationId) {
+    const charge = fakeCharges.get(correlationId);
+    if (!charge) return null;
+
+    if (charge.status === "PENDING" && charge.expiresAt <= new Date()) charge.status = "EXPIRED";
+    return { charge: { ...charge }, raw: { fake: true, ...charge } };
+  },
+
+  async cancelCharge(correlationId) {
+    const charge = fakeCharges.get(correlationId);
+    if (!charge) return null;
+    if (charge.status === "PAID") throw new Error("FAKE: cobrança já paga");
+
+    charge.status = "EXPIRED";
+    return { canceled: true, raw: { fake: true, ...charge } };
+  },
+
+  async refund({ correlationId, refundId, value }) {
+    const charge = fakeCharges.get(correlationId);
+    if (!charge || charge.status !== "PAID") throw new Error("FAKE: cobrança não está paga");
+    if (charge.refunded + value > charge.value) throw new Error("FAKE: estorno maior que o pago");
+
+    charge.refunded += value;
+    const refund = { refundId, status: "DONE", value };
+    charge.refunds.push(refund);
+    return { refund, raw: { fake: true, ...refund } };
+  },
+
+  async getRefund({ correlationId, refundId }) {
+    const refund = fakeCharges.get(correlationId)?.refunds.find((item) => item.refundId === refundId);
+    return refund ? { refund: { ...refund }, raw: { fake: true, ...refund } } : null;
+  },
+
+  // a "configuração" aqui é a flag: desligado, recusa
+  verifyWebhook() {
+    return { configured: fakeProvider.isReady(), valid: fakeProvider.isReady() };
+  },
+
+  parseWebhook(body = {}) {
+    const charge = body.charge || null;
+    const event = String(body.event || "").toUpperCase();
+
+    if (event === "PAID") return { type: "paid", charge };
+    if (event === "EXPIRED") return { type: "expired", charge };
+    return { type: "ignored", charge };
+  },
+};
+
+const PROVIDERS = { OPENPIX: openPixProvider, FAKE: fakeProvider };
+
+export const PAYMENT_PROVIDERS = Object.keys(PROVIDERS);
+
+export function getDefaultPaymentProviderName() {
+  const name = String(process.env.PAYMENT_PROVIDER || "OPENPIX").toUpperCase();
+  return PROVIDERS[name] ? name : "OPENPIX";
+}
+
+/**
+ * Adapter pelo nome do enum (null = desconhecido). Não confere credenciais:
+ * cobrança velha ainda precisa ser consultada/estornada.
+ */
+export function getPaymentProvider(name) {
+  return PROVIDERS[String(name || "").toUpperCase()] || null;
+}
+
+/**
+ * Gateway que a arena usa pra cobranças novas.
+ */
+export function getArenaPaymentProvider(arena) {
+  return getPaymentProvider(arena?.paymentProvider || getDefaultPaymentProviderName());
+}
+
+export function isTestOnlyPaymentProvider(name) {
+  return Boolean(getPaymentProvider(name)?.testOnly);
+}
+
+/**
+ * Gateways pra escolher. includeTestOnly = admin (FAKE aparece).
+ */
+export function listPaymentProviders({ includeTestOnly = false } = {}) {
+  return PAYMENT_PROVIDERS.filter((name) => includeTestOnly || !PROVIDERS[name].testOnly).map(
+    (name) => ({ name, ready: PROVIDERS[name].isReady() })
+  );
+}
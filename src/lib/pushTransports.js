@@ -0,0 +1,235 @@
+// src/lib/pushTransports.js
+//
+// Transportes de push. Todos têm a mesma cara:
+//   send(subscription, payload) -> { ok: true } | { ok: false, gone, retryable, status, error }
+// gone = o dispositivo não existe mais (apaga a inscrição)
+// retryable = vale tentar de novo (rede, 429, 5xx)
+//
+// PUSH_TRANSPORT: "live" (padrão) | "fake" (guarda em memória) | "off"
+
+import webpush from "web-push";
+import jwt from "jsonwebtoken";
+
+function failure(status, error, { gone = false } = {}) {
+  return {
+    ok: false,
+    gone,
+    retryable: !gone && (!status || status === 429 || status >= 500),
+    status: status || null,
+    error: String(error || "Erro desconhecido"),
+  };
+}
+
+/* ----------------------------- Web Push (VAPID) ---------------------------- */
+
+export function getVapidPublicKey() {
+  return process.env.VAPID_PUBLIC_KEY || null;
+}
+
+const webPushTransport = {
+  name: "webpush",
+
+  isReady() {
+    return Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+  },
+
+  async send(subscription, payload) {
+    if (!subscription.p256dh || !subscription.auth) {
+      return failure(400, "Inscrição web sem chaves", { gone: true });
+    }
+
+    try {
+      await webpush.sendNotification(
+        {
+          endpoint: subscription.endpoint,
+          keys: { p256dh: subscription.p256dh, auth: subscription.auth },
+        },
+        JSON.stringify(payload),
+        {
+          TTL: 60 * 60 * 24,
+          vapidDetails: {
+            subject: process.env.VAPID_SUBJECT || "mailto:suporte@borapo.com",
+            publicKey: process.env.VAPID_PUBLIC_KEY,
+            privateKey: process.env.VAPID_PRIVATE_KEY,
+          },
+        }
+      );
+
+      return { ok: true };
+    } catch (err) {
+      const status = Number(err?.statusCode) || null;
+      return failure(status, err?.body || err?.message || err, {
+        gone: status === 404 || status === 410,
+      });
+    }
+  },
+};
+
+/* ------------------------------- FCM HTTP v1 ------------------------------- */
+
+// token OAuth da service account, reaproveitado até perto de expirar
+let fcmAccessToken = null;
+
+function getFcmConfig() {
+  return {
+    projectId: process.env.FCM_PROJECT_ID,
+    clientEmail: process.env.FCM_CLIENT_EMAIL,
+    // no .env a chave costuma vir com "\n" literal
+    privateKey: String(process.env.FCM_PRIVATE_KEY || "").replace(/\\n/g, "\n"),
+  };
+}
+
+async function getFcmAccessToken() {
+  if (fcmAccessToken && fcmAccessToken.expiresAt > Date.now() + 60 * 1000) {
+    return fcmAccessToken.token;
+  }
+
+  const { clientEmail, privateKey } = getFcmConfig();
+  const now = Math.floor(Date.now() / 1000);
+
+  const assertion = jwt.sign(
+    {
+      iss: clientEmail,
+      scope: "https://www.googleapis.com/auth/firebase.messaging",
+      aud: "https://oauth2.googleapis.com/token",
+      iat: now,
+      exp: now + 3600,
+    },
+    privateKey,
+    { algorithm: "RS256" }
+  );
+
+  const response = await fetch("https://oauth2.googleapis.com/token", {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+      assertion,
+    }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || !data.access_token) {
+    throw new Error(`OAuth FCM falhou (${response.status}): ${data.error || "sem token"}`);
+  }
+
+  fcmAccessToken = {
+    token: data.access_token,
+    expiresAt: Date.now() + Number(data.expires_in || 3600) * 1000,
+  };
+
+  return fcmAccessToken.token;
+}
+
+// FCM só aceita string nos valores de data
+function stringifyData(data = {}) {
+  return Object.fromEntries(
+    Object.entries(data)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [key, typeof value === "string" ? value : JSON.stringify(value)])
+  );
+}
+
+const fcmTransport = {
+  name: "fcm",
+
+  isReady() {
+    const { projectId, clientEmail, privateKey } = getFcmConfig();
+    return Boolean(projectId && clientEmail && privateKey);
+  },
+
+  async send(subscription, payload) {
+    try {
+      const accessToken = await getFcmAccessToken();
+      const { projectId } = getFcmConfig();
+
+      const response = await fetch(
+        `https://fcm.googleapis.com/v1/projects/${projectId}/messages:send`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            message: {
+              token: subscription.endpoint,
+              notification: { title: payload.title, body: payload.body || "" },
+              data: stringifyData({ ...payload.data, type: payload.type, url: payload.url }),
+            },
+          }),
+        }
+      );
+
+      if (response.ok) return { ok: true };
+
+      const data = await response.json().catch(() => ({}));
+      const errorCode = data?.error?.details?.find((d) => d.errorCode)?.errorCode;
+
+      if (response.status === 401) fcmAccessToken = null;
+
+      // só token que não existe mais: INVALID_ARGUMENT também vem de payload
+      // ruim (conta como falha e o PUSH_MAX_FAILURES resolve se insistir)
+      return failure(response.status, data?.error?.message || errorCode, {
+        gone: response.status === 404 || errorCode === "UNREGISTERED",
+      });
+    } catch (err) {
+      return failure(null, err?.message || err);
+    }
+  },
+};
+
+/* ------------------------------- fake (dev) -------------------------------- */
+
+// endpoint começando com "fake://gone" simula dispositivo removido,
+// "fake://fail" simula erro temporário
+const fakeOutbox = [];
+
+export function getFakePushOutbox() {
+  return fakeOutbox;
+}
+
+export function resetFakePushOutbox() {
+  fakeOutbox.length = 0;
+}
+
+const fakeTransport = {
+  name: "fake",
+
+  isReady() {
+    return true;
+  },
+
+  async send(subscription, payload) {
+    if (subscription.endpoint.startsWith("fake://gone")) {
+      return failure(410, "Dispositivo removido (fake)", { gone: true });
+    }
+
+    if (subscription.endpoint.startsWith("fake://fail")) {
+      return failure(503, "Indisponível (fake)");
+    }
+
+    fakeOutbox.push({
+      at: new Date(),
+      platform: subscription.platform,
+      endpoint: subscription.endpoint,
+      payload,
+    });
+
+    return { ok: true };
+  },
+};
+
+/**
+ * Transporte pra plataforma da inscrição (null = push desligado/sem config).
+ */
+export function getPushTransport(platform) {
+  const mode = String(process.env.PUSH_TRANSPORT || "live").toLowerCase();
+
+  if (mode === "off") return null;
+  if (mode === "fake") return fakeTransport;
+
+  const transport = platform === "fcm" ? fcmTransport : webPushTransport;
+  return transport.isReady() ? transport : null;
+}
@@ -0,0 +1,103 @@
+// src/lib/smsSenders.js
+//
+// Envio de SMS. Todos têm a mesma cara:
+//   send({ to, body }) -> { ok: true } | { ok: false, error }
+//
+// SMS_PROVIDER: "console" (padrão, imprime no log) | "fake" (guarda em memória)
+//               | "twilio"
+// console e fake não valem em NODE_ENV=production: o código de login iria
+// pro log (ou pra memória) em vez do celular
+
+function isProduction() {
+  return process.env.NODE_ENV === "production";
+}
+
+/* --------------------------------- console --------------------------------- */
+
+const consoleSender = {
+  name: "console",
+
+  isReady() {
+    return !isProduction();
+  },
+
+  async send({ to, body }) {
+    console.log(`[sms] para ${to}: ${body}`);
+    return { ok: true };
+  },
+};
+
+/* ------------------------------- fake (dev) -------------------------------- */
+
+const fakeOutbox = [];
+
+export function getFakeSmsOutbox() {
+  return fakeOutbox;
+}
+
+export function resetFakeSmsOutbox() {
+  fakeOutbox.length = 0;
+}
+
+const fakeSender = {
+  name: "fake",
+
+  isReady() {
+    return !isProduction();
+  },
+
+  async send({ to, body }) {
+    fakeOutbox.push({ at: new Date(), to, body });
+    return { ok: true };
+  },
+};
+
+/* --------------------------------- Twilio ---------------------------------- */
+
+const twilioSender = {
+  name: "twilio",
+
+  isReady() {
+    return Boolean(
+      process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_FROM
+    );
+  },
+
+  async send({ to, body }) {
+    const sid = process.env.TWILIO_ACCOUNT_SID;
+    const auth = Buffer.from(`${sid}:${process.env.TWILIO_AUTH_TOKEN}`).toString("base64");
+
+    try {
+      const response = await fetch(
+        `https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Basic ${auth}`,
+            "Content-Type": "application/x-www-form-urlencoded",
+          },
+          body: new URLSearchParams({ To: to, From: process.env.TWILIO_FROM, Body: body }),
+        }
+      );
+
+      if (response.ok) return { ok: true };
+
+      const data = await response.json().catch(() => ({}));
+      return { ok: false, error: `Twilio ${response.status}: ${data?.message || "erro"}` };
+    } catch (err) {
+      return { ok: false, error: String(err?.message || err) };
+    }
+  },
+};
+
+const SENDERS = { console: consoleSender, fake: fakeSender, twilio: twilioSender };
+
+/**
+ * Sender configurado (null = provedor desconhecido ou sem credenciais).
+ */
+export function getSmsSender() {
+  const name = String(process.env.SMS_PROVIDER || "console").toLowerCase();
+  const sender = SENDERS[name];
+
+  return sender && sender.isReady() ? sender : null;
+}
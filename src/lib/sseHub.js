@@ -0,0 +1,67 @@
+// src/lib/sseHub.js
+//
+// Hub de Server-Sent Events em memória (mesmo espírito do presence.routes:
+// funciona em uma instância só). Cada canal é uma string, ex: "match:<id>".
+
+const channels = new Map(); // channel -> Set<res>
+
+const HEARTBEAT_MS = 25 * 1000;
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data ?? null)}\n\n`);
+}
+
+/**
+ * Prepara a resposta como stream SSE e inscreve no canal.
+ * Retorna uma função `send(event, data)` para mandar algo só pra esse cliente.
+ */
+export function openSseStream(req, res, channel) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+
+  // reconexão do EventSource em 3s
+  res.write("retry: 3000\n\n");
+
+  if (!channels.has(channel)) channels.set(channel, new Set());
+  channels.get(channel).add(res);
+
+  const heartbeat = setInterval(() => {
+    res.write(": ping\n\n");
+  }, HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+
+    const subscribers = channels.get(channel);
+    if (!subscribers) return;
+
+    subscribers.delete(res);
+    if (!subscribers.size) channels.delete(channel);
+  });
+
+  return (event, data) => writeEvent(res, event, data);
+}
+
+export function publish(channel, event, data) {
+  const subscribers = channels.get(channel);
+  if (!subscribers?.size) return 0;
+
+  for (const res of subscribers) {
+    try {
+      writeEvent(res, event, data);
+    } catch {
+      subscribers.delete(res);
+    }
+  }
+
+  return subscribers.size;
+}
+
+export function countSubscribers(channel) {
+  return channels.get(channel)?.size || 0;
+}
@@ -1,16 +1,52 @@
 import { verifyToken } from "../utils/jwt.js";
+import { isSessionActive } from "../services/authSessionService.js";
 
-export function authRequired(req, res, next) {
+export async function authRequired(req, res, next) {
   const header = req.headers.authorization || "";
   const token = header.startsWith("Bearer ") ? header.slice(7) : null;
 
   if (!token) return res.status(401).json({ message: "Token ausente" });
 
+  let decoded;
   try {
-    const decoded = verifyToken(token);
-    req.user = decoded; // { id, role, email }
-    next();
+    decoded = verifyToken(token);
   } catch {
     return res.status(401).json({ message: "Token inválido" });
   }
+
+  try {
+    // logout/revogação derruba o access token na hora, sem esperar expirar
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).json({ message: "Sessão encerrada" });
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  req.user = decoded; // { id, role, email, sid }
+  next();
+}
+
+/**
+ * Igual ao authRequired, mas não bloqueia quem não está logado.
+ * Aceita também ?token= porque o EventSource do browser não manda header.
+ */
+export async function authOptional(req, res, next) {
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ")
+    ? header.slice(7)
+    : req.query?.token
+    ? String(req.query.token)
+    : null;
+
+  if (!token) return next();
+
+  try {
+    const decoded = verifyToken(token);
+    req.user = (await isSessionActive(decoded)) ? decoded : undefined;
+  } catch {
+    req.user = undefined;
+  }
+
+  next();
 }
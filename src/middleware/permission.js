@@ -0,0 +1,47 @@
+import { authorize } from "../services/authz/index.js";
+
+// ação "match:manage" + :id na rota → { matchId: req.params.id }
+const TARGET_BY_RESOURCE = {
+  arena: "arenaId",
+  court: "courtId",
+  reservation: "reservationId",
+  match: "matchId",
+  pelada_location: "peladaLocationId",
+};
+
+function defaultTarget(action, req) {
+  const key = TARGET_BY_RESOURCE[action.split(":")[0]];
+  return key && req.params?.id ? { [key]: req.params.id } : null;
+}
+
+/**
+ * Resposta padrão de negação (403/404) pra quem checa inline com authorize().
+ */
+export function sendAuthzError(res, result) {
+  return res.status(result.status).json({
+    message: result.message,
+    code: result.code,
+    ...(result.permission ? { permission: result.permission } : {}),
+  });
+}
+
+/**
+ * Bloqueia a rota sem a permissão. Usar depois do authRequired.
+ * target(req) escolhe o recurso; padrão é o :id da rota.
+ * Deixa req.authz = { resource, arenaRole } pro handler.
+ */
+export function requirePermission(action, { target = null } = {}) {
+  const resolveTarget = target || ((req) => defaultTarget(action, req));
+
+  return async (req, res, next) => {
+    try {
+      const result = await authorize(req.user, action, resolveTarget(req));
+      if (!result.ok) return sendAuthzError(res, result);
+
+      req.authz = { resource: result.resource, arenaRole: result.arenaRole };
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
@@ -0,0 +1,21 @@
+import { ensureVerifiedEmail } from "../services/emailVerificationService.js";
+
+/**
+ * Bloqueia a rota pra quem não confirmou o e-mail, se a ação estiver em
+ * EMAIL_VERIFICATION_REQUIRED_FOR. Usar depois do authRequired.
+ */
+export function requireVerifiedEmail(action) {
+  return async (req, res, next) => {
+    try {
+      const check = await ensureVerifiedEmail(req.user?.id, action);
+
+      if (!check.ok) {
+        return res.status(check.status).json({ message: check.message, code: check.code });
+      }
+
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
@@ -0,0 +1,537 @@
+import { Router } from "express";
+import { z } from "zod";
+import { authRequired } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permission.js";
+import {
+  EMAIL_TEMPLATE_NAMES,
+  getEmailTemplateSample,
+  renderEmail,
+  sendEmail,
+} from "../services/email/emailService.js";
+import { listAuditLog, recordAudit } from "../services/auditService.js";
+import {
+  USER_ROLES,
+  banUser,
+  getUserDetail,
+  listUsers,
+  setUserPremium,
+  setUserRole,
+  unbanUser,
+} from "../services/userAdminService.js";
+import {
+  deleteFeedPostAsAdmin,
+  dismissFeedReports,
+  hideFeedPost,
+  listModerationQueue,
+  restoreFeedPost,
+} from "../services/feedModerationService.js";
+import { listArenasForReview, reviewArena } from "../services/arenaReviewService.js";
+import {
+  findDuplicatePeladaLocations,
+  mergePeladaLocations,
+} from "../services/peladaLocationMergeService.js";
+import { adjustPlayerRating } from "../services/rankService.js";
+import { resolveSeasonKey } from "../services/rankSeasonService.js";
+import { getPlatformMetrics, resolveMetricsRange } from "../services/adminMetricsService.js";
+
+const router = Router();
+
+router.use(authRequired, requirePermission("admin:access"));
+
+/* ======================================================
+   E-MAILS (preview dos templates)
+   GET  /admin/emails
+   GET  /admin/emails/:template/preview?format=html|text|json&locale=pt-BR
+   POST /admin/emails/:template/test  { to, data? }
+   ====================================================== */
+
+const previewQuerySchema = z.object({
+  format: z.enum(["html", "text", "json"]).optional(),
+  locale: z.string().min(2).max(10).optional(),
+});
+
+const testEmailSchema = z.object({
+  to: z.string().email(),
+  locale: z.string().min(2).max(10).optional(),
+  data: z.record(z.any()).optional(),
+});
+
+router.get("/emails", async (req, res) => {
+  return res.json({
+    templates: EMAIL_TEMPLATE_NAMES.map((name) => ({
+      name,
+      sample: getEmailTemplateSample(name),
+    })),
+  });
+});
+
+router.get("/emails/:template/preview", async (req, res) => {
+  try {
+    const template = String(req.params.template || "");
+
+    const parsed = previewQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({
+        message: "Parâmetros inválidos",
+        errors: parsed.error.flatten(),
+      });
+    }
+
+    const { format = "html", locale } = parsed.data;
+
+    const rendered = renderEmail(template, getEmailTemplateSample(template), { locale });
+    if (!rendered) {
+      return res.status(404).json({ message: "Template não encontrado" });
+    }
+
+    if (format === "json") return res.json({ template, ...rendered });
+
+    if (format === "text") {
+      return res.type("text/plain; charset=utf-8").send(rendered.text);
+    }
+
+    return res.type("text/html; charset=utf-8").send(rendered.html);
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao gerar preview",
+      error: String(e),
+    });
+  }
+});
+
+router.post("/emails/:template/test", async (req, res) => {
+  try {
+    const template = String(req.params.template || "");
+
+    const parsed = testEmailSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        message: "Dados inválidos",
+        errors: parsed.error.flatten(),
+      });
+    }
+
+    if (!EMAIL_TEMPLATE_NAMES.includes(template)) {
+      return res.status(404).json({ message: "Template não encontrado" });
+    }
+
+    const { to, locale, data } = parsed.data;
+
+    const result = await sendEmail({
+      to,
+      template,
+      locale,
+      data: { ...getEmailTemplateSample(template), ...(data || {}) },
+    });
+
+    return res.status(result.ok ? 200 : 502).json(result);
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao enviar e-mail de teste",
+      error: String(e),
+    });
+  }
+});
+
+/* ======================================================
+   USUÁRIOS
+   GET    /admin/users?q=&role=&banned=&premium=&page=&limit=
+   GET    /admin/users/:id
+   PATCH  /admin/users/:id/role     { role }
+   POST   /admin/users/:id/ban      { reason, until? }
+   DELETE /admin/users/:id/ban
+   PATCH  /admin/users/:id/premium  { isPremium, premiumUntil? }
+   ====================================================== */
+
+const booleanQuery = z.enum(["true", "false"]).transform((value) => value === "true");
+
+const userListQuerySchema = z.object({
+  q: z.string().max(120).optional(),
+  role: z.enum(USER_ROLES).optional(),
+  banned: booleanQuery.optional(),
+  premium: booleanQuery.optional(),
+  page: z.coerce.number().int().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional(),
+});
+
+const userRoleSchema = z.object({
+  role: z.enum(USER_ROLES),
+});
+
+const userBanSchema = z.object({
+  reason: z.string().trim().min(3).max(300),
+  until: z.string().datetime().nullable().optional(),
+});
+
+const userPremiumSchema = z.object({
+  isPremium: z.boolean(),
+  premiumUntil: z.string().datetime().nullable().optional(),
+});
+
+function sendInvalid(res, parsed) {
+  return res.status(400).json({
+    message: "Dados inválidos",
+    errors: parsed.error.flatten(),
+  });
+}
+
+function sendResult(res, result, body) {
+  if (!result.ok) return res.status(result.status).json({ message: result.message });
+  return res.json(body);
+}
+
+router.get("/users", async (req, res) => {
+  try {
+    const parsed = userListQuerySchema.safeParse(req.query);
+    if (!parsed.success) return sendInvalid(res, parsed);
+
+    return res.json(await listUsers(parsed.data));
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao listar usuários", error: String(e) });
+  }
+});
+
+router.get("/users/:id", async (req, res) => {
+  try {
+    const user = await getUserDetail(String(req.params.id));
+    if (!user) return res.status(404).json({ message: "Usuário não encontrado" });
+
+    return res.json(user);
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao buscar usuário", error: String(e) });
+  }
+});
+
+router.patch("/users/:id/role", async (req, res) => {
+  try {
+    const parsed = userRoleSchema.safeParse(req.body);
+    if (!parsed.success) return sendInvalid(res, parsed);
+
+    const result = await setUserRole({
+      userId: String(req.params.id),
+      role: parsed.data.role,
+      actor: req.user,
+      req,
+    });
+
+    return sendResult(res, result, result.user);
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao alterar papel", error: String(e) });
+  }
+});
+
+router.post("/users/:id/ban", async (req, res) => {
+  try {
+    const parsed = userBanSchema.safeParse(req.body);
+    if (!parsed.success) return sendInvalid(res, parsed);
+
+    const result = await banUser({
+      userId: String(req.params.id),
+      reason: parsed.data.reason,
+      until: parsed.data.until || null,
+      actor: req.user,
+      req,
+    });
+
+    return sendResult(res, result, result.user);
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao banir usuário", error: String(e) });
+  }
+});
+
+router.delete("/users/:id/ban", async (req, res) => {
+  try {
+    const result = await unbanUser({ userId: String(req.params.id), actor: req.user, req });
+    return sendResult(res, result, result.user);
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao desbanir usuário", error: String(e) });
+  }
+});
+
+router.patch("/users/:id/premium", async (req, res) => {
+  try {
+    const parsed = userPremiumSchema.safeParse(req.body);
+    if (!parsed.success) return sendInvalid(res, parsed);
+
+    const result = await setUserPremium({
+      userId: String(req.params.id),
+      isPremium: parsed.data.isPremium,
+      premiumUntil: parsed.data.premiumUntil || null,
+      actor: req.user,
+      req,
+    });
+
+    return sendResult(res, result, result.user);
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao alterar premium", error: String(e) });
+  }
+});
+
+/* ======================================================
+   MODERAÇÃO DO FEED (fila = posts com denúncia aberta)
+   GET    /admin/moderation/feed?page=&limit=
+   POST   /admin/moderation/feed/:postId/hide     { reason? }
+   POST   /admin/moderation/feed/:postId/restore
+   POST   /admin/moderation/feed/:postId/dismiss
+   DELETE /admin/moderation/feed/:postId
+   ====================================================== */
+
+const pageQuerySchema = z.object({
+  page: z.coerce.number().int().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional(),
+});
+
+const hidePostSchema = z.object({
+  reason: z.string().trim().max(300).nullable().optional(),
+});
+
+router.get("/moderation/feed", async (req, res) => {
+  try {
+    const parsed = pageQuerySchema.safeParse(req.query);
+    if (!parsed.success) return sendInvalid(res, parsed);
+
+    return res.json(await listModerationQueue(parsed.data));
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao carregar fila de moderação", error: String(e) });
+  }
+});
+
+router.post("/moderation/feed/:postId/hide", async (req, res) => {
+  try {
+    const parsed = hidePostSchema.safeParse(req.body || {});
+    if (!parsed.success) return sendInvalid(res, parsed);
+
+    const result = await hideFeedPost({
+      postId: String(req.params.postId),
+      reason: parsed.data.reason || null,
+      actor: req.user,
+      req,
+    });
+
+    return sendResult(res, result, { post: result.post, reportsResolved: result.reportsResolved });
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao esconder post", error: String(e) });
+  }
+});
+
+router.post("/moderation/feed/:postId/restore", async (req, res) => {
+  try {
+    const result = await restoreFeedPost({ postId: String(req.params.postId), actor: req.user, req });
+    return sendResult(res, result, { ok: true });
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao restaurar post", error: String(e) });
+  }
+});
+
+router.post("/moderation/feed/:postId/dismiss", async (req, res) => {
+  try {
+    const result = await dismissFeedReports({ postId: String(req.params.postId), actor: req.user, req });
+    return sendResult(res, result, { reportsDismissed: result.reportsDismissed });
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao descartar denúncias", error: String(e) });
+  }
+});
+
+router.delete("/moderation/feed/:postId", async (req, res) => {
+  try {
+    const result = await deleteFeedPostAsAdmin({ postId: String(req.params.postId), actor: req.user, req });
+    return sendResult(res, result, { ok: true });
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao excluir post", error: String(e) });
+  }
+});
+
+/* ======================================================
+   APROVAÇÃO DE ARENAS
+   GET  /admin/arenas?status=PENDING|APPROVED|REJECTED&page=&limit=
+   POST /admin/arenas/:id/approve
+   POST /admin/arenas/:id/reject   { reason }
+   ====================================================== */
+
+const arenaReviewQuerySchema = pageQuerySchema.extend({
+  status: z.enum(["PENDING", "APPROVED", "REJECTED"]).optional(),
+});
+
+const arenaRejectSchema = z.object({
+  reason: z.string().trim().min(3).max(300),
+});
+
+router.get("/arenas", async (req, res) => {
+  try {
+    const parsed = arenaReviewQuerySchema.safeParse(req.query);
+    if (!parsed.success) return sendInvalid(res, parsed);
+
+    return res.json(await listArenasForReview({ status: "PENDING", ...parsed.data }));
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao listar arenas", error: String(e) });
+  }
+});
+
+router.post("/arenas/:id/approve", async (req, res) => {
+  try {
+    const result = await reviewArena({ arenaId: String(req.params.id), approve: true, actor: req.user, req });
+    return sendResult(res, result, result.arena);
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao aprovar arena", error: String(e) });
+  }
+});
+
+router.post("/arenas/:id/reject", async (req, res) => {
+  try {
+    const parsed = arenaRejectSchema.safeParse(req.body);
+    if (!parsed.success) return sendInvalid(res, parsed);
+
+    const result = await reviewArena({
+      arenaId: String(req.params.id),
+      approve: false,
+      reason: parsed.data.reason,
+      actor: req.user,
+      req,
+    });
+
+    return sendResult(res, result, result.arena);
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao rejeitar arena", error: String(e) });
+  }
+});
+
+/* ======================================================
+   LOCAIS DE PELADA DUPLICADOS
+   GET  /admin/pelada-locations/duplicates
+   POST /admin/pelada-locations/merge  { targetId, sourceIds: [] }
+   ====================================================== */
+
+const locationMergeSchema = z.object({
+  targetId: z.string().min(1),
+  sourceIds: z.array(z.string().min(1)).min(1).max(50),
+});
+
+router.get("/pelada-locations/duplicates", async (req, res) => {
+  try {
+    return res.json(await findDuplicatePeladaLocations());
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao buscar duplicados", error: String(e) });
+  }
+});
+
+router.post("/pelada-locations/merge", async (req, res) => {
+  try {
+    const parsed = locationMergeSchema.safeParse(req.body);
+    if (!parsed.success) return sendInvalid(res, parsed);
+
+    const result = await mergePeladaLocations({ ...parsed.data, actor: req.user, req });
+    if (!result.ok) return res.status(result.status).json({ message: result.message });
+
+    const { ok, ...body } = result;
+    return res.json(body);
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao juntar locais", error: String(e) });
+  }
+});
+
+/* ======================================================
+   RANK — ajuste manual
+   POST /admin/rank/adjust  { userId, delta, note, season? }
+   ====================================================== */
+
+const rankAdjustSchema = z.object({
+  userId: z.string().min(1),
+  delta: z
+    .number()
+    .int()
+    .min(-500)
+    .max(500)
+    .refine((value) => value !== 0, "delta não pode ser zero"),
+  note: z.string().trim().min(3).max(300),
+  season: z.string().max(40).optional(),
+});
+
+router.post("/rank/adjust", async (req, res) => {
+  try {
+    const parsed = rankAdjustSchema.safeParse(req.body);
+    if (!parsed.success) return sendInvalid(res, parsed);
+
+    const season = await resolveSeasonKey(parsed.data.season);
+    if (!season) return res.status(404).json({ message: "Temporada não encontrada" });
+
+    const result = await adjustPlayerRating({ ...parsed.data, season });
+    if (!result.ok) return res.status(result.status).json({ message: result.message });
+
+    await recordAudit({
+      req,
+      action: "rank.adjusted",
+      targetType: "user",
+      targetId: parsed.data.userId,
+      before: { rating: result.change.ratingBefore },
+      after: { rating: result.change.ratingAfter },
+      metadata: { season, delta: result.change.delta, note: parsed.data.note, changeId: result.change.id },
+    });
+
+    return res.json({ rank: result.rank, change: result.change });
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao ajustar rank", error: String(e) });
+  }
+});
+
+/* ======================================================
+   MÉTRICAS
+   GET /admin/metrics?from=&to=   (padrão: últimos 30 dias)
+   ====================================================== */
+
+const metricsQuerySchema = z.object({
+  from: z.string().optional(),
+  to: z.string().optional(),
+});
+
+router.get("/metrics", async (req, res) => {
+  try {
+    const parsed = metricsQuerySchema.safeParse(req.query);
+    if (!parsed.success) return sendInvalid(res, parsed);
+
+    const range = resolveMetricsRange(parsed.data);
+    if (!range.ok) return res.status(range.status).json({ message: range.message });
+
+    return res.json(await getPlatformMetrics(range));
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao calcular métricas", error: String(e) });
+  }
+});
+
+/* ======================================================
+   AUDITORIA (append-only)
+   GET /admin/audit?action=reservation.*&actorId=&arenaId=&targetType=&targetId=
+                   &from=&to=&before=&limit=
+   ====================================================== */
+
+const auditQuerySchema = z.object({
+  action: z.string().max(80).optional(),
+  actorId: z.string().optional(),
+  arenaId: z.string().optional(),
+  targetType: z.string().max(40).optional(),
+  targetId: z.string().optional(),
+  from: z.string().optional(),
+  to: z.string().optional(),
+  before: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(200).optional(),
+});
+
+router.get("/audit", async (req, res) => {
+  try {
+    const parsed = auditQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({
+        message: "Parâmetros inválidos",
+        errors: parsed.error.flatten(),
+      });
+    }
+
+    return res.json(await listAuditLog(parsed.data));
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao carregar auditoria",
+      error: String(e),
+    });
+  }
+});
+
+export default router;
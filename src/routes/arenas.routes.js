@@ -2,14 +2,29 @@ import { Router } from "express";
 import { z } from "zod";
 import { prisma } from "../lib/prisma.js";
 import { authRequired } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permission.js";
+import { listPermittedArenaIds } from "../services/authz/index.js";
 import { uploadArenaImageBase64 } from "../lib/uploadArenaImage.js";
+import {
+  PAYMENT_PROVIDERS,
+  getDefaultPaymentProviderName,
+  getPaymentProvider,
+  isTestOnlyPaymentProvider,
+  listPaymentProviders,
+} from "../lib/paymentProviders.js";
+import { recordAudit, listAuditLog } from "../services/auditService.js";
+import { getInitialArenaApprovalStatus } from "../services/arenaReviewService.js";
+import {
+  ARENA_STAFF_ROLES,
+  acceptArenaInvite,
+  createArenaInvite,
+  listArenaInvites,
+  listMyArenaInvites,
+  revokeArenaInvite,
+} from "../services/arenaStaffService.js";
 
 const router = Router();
 
-function isRole(user, roles = []) {
-  return roles.includes(user?.role);
-}
-
 function slugify(str) {
   return String(str || "")
     .toLowerCase()
@@ -35,6 +50,9 @@ const arenaCreateSchema = z.object({
   openTime: z.string().optional().nullable(),  // "09:00"
   closeTime: z.string().optional().nullable(), // "23:00"
   imageBase64: z.string().optional().nullable(), // data:image/...;base64,...
+  // política de cancelamento (ver reservationCancelService)
+  cancelFullRefundHours: z.number().int().min(0).max(720).optional(),
+  cancelPartialRefundPercent: z.number().int().min(0).max(100).optional(),
 });
 
 const arenaUpdateSchema = arenaCreateSchema.partial();
@@ -61,11 +79,12 @@ const arenaInclude = {
 };
 
 // ======================================================
-// ✅ GET /arenas — público (home/feed)
+// ✅ GET /arenas — público (home/feed), só as aprovadas
 // ======================================================
 router.get("/", async (req, res) => {
   try {
     const arenas = await prisma.arena.findMany({
+      where: { approvalStatus: "APPROVED" },
       orderBy: { createdAt: "desc" },
       include: arenaInclude,
     });
@@ -82,18 +101,15 @@ router.get("/", async (req, res) => {
 });
 
 // ======================================================
-// ✅ GET /arenas/mine — auth (arena_owner/admin)
+// ✅ GET /arenas/mine — auth (dono, equipe da arena ou admin)
 // IMPORTANTE: antes do "/:id"
 // ======================================================
 router.get("/mine", authRequired, async (req, res) => {
   try {
     const user = req.user;
 
-    if (!isRole(user, ["arena_owner", "admin"])) {
-      return res.status(403).json({ message: "Sem permissão" });
-    }
-
-    const where = user.role === "admin" ? {} : { ownerId: user.id };
+    const arenaIds = await listPermittedArenaIds(user, "arena:view_agenda");
+    const where = arenaIds === null ? {} : { id: { in: arenaIds } };
 
     const arenas = await prisma.arena.findMany({
       where,
@@ -112,6 +128,61 @@ router.get("/mine", authRequired, async (req, res) => {
   }
 });
 
+// ======================================================
+// ✅ CONVITES PRA EQUIPE — lado de quem foi convidado
+// GET  /arenas/invites/mine              → pendentes pro meu e-mail
+// POST /arenas/invites/accept            { token } (link do e-mail)
+// POST /arenas/invites/:inviteId/accept  (aceitar pela lista)
+// IMPORTANTE: antes do "/:id"
+// ======================================================
+const inviteAcceptSchema = z.object({
+  token: z.string().min(10),
+});
+
+router.get("/invites/mine", authRequired, async (req, res) => {
+  try {
+    const result = await listMyArenaInvites(req.user);
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message, code: result.code });
+    }
+
+    return res.json(result.invites);
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao listar convites", error: String(e) });
+  }
+});
+
+router.post("/invites/accept", authRequired, async (req, res) => {
+  try {
+    const data = inviteAcceptSchema.parse(req.body);
+
+    const result = await acceptArenaInvite(req.user, { token: data.token, req });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message, code: result.code });
+    }
+
+    return res.json({ member: result.member, arena: result.arena });
+  } catch (e) {
+    return res.status(400).json({ message: "Dados inválidos", error: String(e) });
+  }
+});
+
+router.post("/invites/:inviteId/accept", authRequired, async (req, res) => {
+  try {
+    const result = await acceptArenaInvite(req.user, {
+      inviteId: String(req.params.inviteId),
+      req,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message, code: result.code });
+    }
+
+    return res.json({ member: result.member, arena: result.arena });
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao aceitar convite", error: String(e) });
+  }
+});
+
 // ======================================================
 // ✅ GET /arenas/slug/:slug — público (perfil por slug)
 // ✅ CORRIGIDO: tenta slug raw + slugify(raw) e insensitive
@@ -144,14 +215,10 @@ router.get("/slug/:slug", async (req, res) => {
 // ======================================================
 // ✅ POST /arenas/setup — cria 1ª arena pro dono (se não existir)
 // ======================================================
-router.post("/setup", authRequired, async (req, res) => {
+router.post("/setup", authRequired, requirePermission("arena:create"), async (req, res) => {
   try {
     const user = req.user;
 
-    if (!isRole(user, ["arena_owner", "admin"])) {
-      return res.status(403).json({ message: "Sem permissão" });
-    }
-
     const existing = await prisma.arena.findFirst({
       where: { ownerId: user.id },
       include: arenaInclude,
@@ -174,6 +241,7 @@ router.post("/setup", authRequired, async (req, res) => {
         openTime: req.body?.openTime ?? null,
         closeTime: req.body?.closeTime ?? null,
         ownerId: user.id,
+        approvalStatus: getInitialArenaApprovalStatus(),
       },
       include: arenaInclude,
     });
@@ -207,14 +275,10 @@ router.get("/:id", async (req, res) => {
 // ======================================================
 // ✅ POST /arenas — somente arena_owner/admin
 // ======================================================
-router.post("/", authRequired, async (req, res) => {
+router.post("/", authRequired, requirePermission("arena:create"), async (req, res) => {
   try {
     const user = req.user;
 
-    if (!isRole(user, ["arena_owner", "admin"])) {
-      return res.status(403).json({ message: "Sem permissão" });
-    }
-
     const data = arenaCreateSchema.parse(req.body);
     const slug = makeSlugFromName(data.name);
 
@@ -227,7 +291,14 @@ router.post("/", authRequired, async (req, res) => {
         address: data.address ?? null,
         openTime: data.openTime ?? null,
         closeTime: data.closeTime ?? null,
+        ...(data.cancelFullRefundHours !== undefined
+          ? { cancelFullRefundHours: data.cancelFullRefundHours }
+          : {}),
+        ...(data.cancelPartialRefundPercent !== undefined
+          ? { cancelPartialRefundPercent: data.cancelPartialRefundPercent }
+          : {}),
         ownerId: user.id,
+        approvalStatus: getInitialArenaApprovalStatus(),
       },
     });
 
@@ -252,24 +323,15 @@ router.post("/", authRequired, async (req, res) => {
 });
 
 // ======================================================
-// ✅ PATCH /arenas/:id — dono/admin
+// ✅ PATCH /arenas/:id — dono/gerente/admin
 // ======================================================
-router.patch("/:id", authRequired, async (req, res) => {
+router.patch("/:id", authRequired, requirePermission("arena:update"), async (req, res) => {
   try {
-    const user = req.user;
     const id = String(req.params.id);
 
-    if (!isRole(user, ["arena_owner", "admin"])) {
-      return res.status(403).json({ message: "Sem permissão" });
-    }
-
     const arena = await prisma.arena.findUnique({ where: { id } });
     if (!arena) return res.status(404).json({ message: "Arena não encontrada" });
 
-    if (isRole(user, ["arena_owner"]) && arena.ownerId !== user.id) {
-      return res.status(403).json({ message: "Você não pode editar uma arena que não é sua" });
-    }
-
     const data = arenaUpdateSchema.parse(req.body);
 
     // se mudar nome, muda slug (novo) pra evitar colisão
@@ -292,7 +354,15 @@ router.patch("/:id", authRequired, async (req, res) => {
         ...(data.address !== undefined ? { address: data.address } : {}),
         ...(data.openTime !== undefined ? { openTime: data.openTime } : {}),
         ...(data.closeTime !== undefined ? { closeTime: data.closeTime } : {}),
+        ...(data.cancelFullRefundHours !== undefined
+          ? { cancelFullRefundHours: data.cancelFullRefundHours }
+          : {}),
+        ...(data.cancelPartialRefundPercent !== undefined
+          ? { cancelPartialRefundPercent: data.cancelPartialRefundPercent }
+          : {}),
         ...(data.imageBase64 ? { imageUrl: nextImageUrl } : {}),
+        // rejeitada: salvar de novo reenvia pra aprovação
+        ...(arena.approvalStatus === "REJECTED" ? { approvalStatus: "PENDING", rejectionReason: null } : {}),
       },
       include: arenaInclude,
     });
@@ -303,4 +373,338 @@ router.patch("/:id", authRequired, async (req, res) => {
   }
 });
 
+// ======================================================
+// ✅ EQUIPE DA ARENA (gerente / recepcionista / visualizador) — só dono/admin
+// GET    /arenas/:id/members
+// POST   /arenas/:id/members          { userId | email, role }
+// PATCH  /arenas/:id/members/:userId  { role }
+// DELETE /arenas/:id/members/:userId
+// ======================================================
+const memberRoleSchema = z.enum(ARENA_STAFF_ROLES);
+
+const memberCreateSchema = z
+  .object({
+    userId: z.string().min(1).optional(),
+    email: z.string().email().optional(),
+    role: memberRoleSchema,
+  })
+  .refine((data) => data.userId || data.email, "Informe userId ou email");
+
+const memberUpdateSchema = z.object({
+  role: memberRoleSchema,
+});
+
+const memberInclude = {
+  user: { select: { id: true, name: true, email: true, imageUrl: true } },
+};
+
+router.get("/:id/members", authRequired, requirePermission("arena:manage_staff"), async (req, res) => {
+  try {
+    const members = await prisma.arenaMember.findMany({
+      where: { arenaId: String(req.params.id) },
+      orderBy: { createdAt: "asc" },
+      include: memberInclude,
+    });
+
+    return res.json(members);
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao listar equipe", error: String(e) });
+  }
+});
+
+router.post("/:id/members", authRequired, requirePermission("arena:manage_staff"), async (req, res) => {
+  try {
+    const arena = req.authz.resource;
+    const data = memberCreateSchema.parse(req.body);
+
+    const member = await prisma.user.findUnique({
+      where: data.userId ? { id: data.userId } : { email: data.email },
+      select: { id: true },
+    });
+
+    if (!member) return res.status(404).json({ message: "Usuário não encontrado" });
+
+    if (member.id === arena.ownerId) {
+      return res.status(409).json({ message: "O dono já tem acesso total à arena" });
+    }
+
+    const exists = await prisma.arenaMember.findUnique({
+      where: { arenaId_userId: { arenaId: arena.id, userId: member.id } },
+      select: { id: true },
+    });
+
+    if (exists) return res.status(409).json({ message: "Usuário já faz parte da equipe" });
+
+    const created = await prisma.arenaMember.create({
+      data: { arenaId: arena.id, userId: member.id, role: data.role, addedById: req.user.id },
+      include: memberInclude,
+    });
+
+    await recordAudit({
+      req,
+      action: "arena.member_added",
+      targetType: "arena_member",
+      targetId: member.id,
+      arenaId: arena.id,
+      after: { role: data.role },
+    });
+
+    return res.status(201).json(created);
+  } catch (e) {
+    return res.status(400).json({ message: "Dados inválidos", error: String(e) });
+  }
+});
+
+router.patch(
+  "/:id/members/:userId",
+  authRequired,
+  requirePermission("arena:manage_staff"),
+  async (req, res) => {
+    try {
+      const arenaId = String(req.params.id);
+      const userId = String(req.params.userId);
+      const data = memberUpdateSchema.parse(req.body);
+
+      const current = await prisma.arenaMember.findUnique({
+        where: { arenaId_userId: { arenaId, userId } },
+        select: { role: true },
+      });
+
+      if (!current) return res.status(404).json({ message: "Membro não encontrado" });
+
+      const member = await prisma.arenaMember.update({
+        where: { arenaId_userId: { arenaId, userId } },
+        data: { role: data.role },
+        include: memberInclude,
+      });
+
+      if (current.role !== data.role) {
+        await recordAudit({
+          req,
+          action: "arena.member_role_changed",
+          targetType: "arena_member",
+          targetId: userId,
+          arenaId,
+          before: current,
+          after: { role: data.role },
+        });
+      }
+
+      return res.json(member);
+    } catch (e) {
+      return res.status(400).json({ message: "Dados inválidos", error: String(e) });
+    }
+  }
+);
+
+router.delete(
+  "/:id/members/:userId",
+  authRequired,
+  requirePermission("arena:manage_staff"),
+  async (req, res) => {
+    try {
+      const arenaId = String(req.params.id);
+      const userId = String(req.params.userId);
+
+      const current = await prisma.arenaMember.findUnique({
+        where: { arenaId_userId: { arenaId, userId } },
+        select: { role: true, addedById: true, createdAt: true },
+      });
+
+      const result = await prisma.arenaMember.deleteMany({ where: { arenaId, userId } });
+
+      if (!result.count) return res.status(404).json({ message: "Membro não encontrado" });
+
+      await recordAudit({
+        req,
+        action: "arena.member_removed",
+        targetType: "arena_member",
+        targetId: userId,
+        arenaId,
+        before: current,
+      });
+
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ message: "Erro ao remover membro", error: String(e) });
+    }
+  }
+);
+
+// ======================================================
+// ✅ CONVITES DA ARENA — só dono/admin
+// GET    /arenas/:id/invites             → pendentes
+// POST   /arenas/:id/invites             { email, role }
+// DELETE /arenas/:id/invites/:inviteId
+// ======================================================
+const inviteCreateSchema = z.object({
+  email: z.string().email(),
+  role: memberRoleSchema,
+});
+
+router.get("/:id/invites", authRequired, requirePermission("arena:manage_staff"), async (req, res) => {
+  try {
+    const invites = await listArenaInvites(String(req.params.id));
+    return res.json(invites);
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao listar convites", error: String(e) });
+  }
+});
+
+router.post("/:id/invites", authRequired, requirePermission("arena:manage_staff"), async (req, res) => {
+  try {
+    const data = inviteCreateSchema.parse(req.body);
+
+    const result = await createArenaInvite({
+      arena: req.authz.resource,
+      email: data.email,
+      role: data.role,
+      invitedBy: req.user,
+      req,
+    });
+
+    if (!result.ok) return res.status(result.status).json({ message: result.message });
+
+    return res.status(201).json({ ...result.invite, emailSent: result.emailSent });
+  } catch (e) {
+    return res.status(400).json({ message: "Dados inválidos", error: String(e) });
+  }
+});
+
+router.delete(
+  "/:id/invites/:inviteId",
+  authRequired,
+  requirePermission("arena:manage_staff"),
+  async (req, res) => {
+    try {
+      const result = await revokeArenaInvite({
+        arenaId: String(req.params.id),
+        inviteId: String(req.params.inviteId),
+        actorId: req.user.id,
+        req,
+      });
+
+      if (!result.ok) return res.status(result.status).json({ message: result.message });
+
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ message: "Erro ao cancelar convite", error: String(e) });
+    }
+  }
+);
+
+// ======================================================
+// ✅ GATEWAY DE PAGAMENTO DA ARENA — dono/admin
+// GET /arenas/:id/payment-provider
+// PUT /arenas/:id/payment-provider  { provider }  (null = padrão da plataforma)
+// Só vale pras cobranças novas; as pendentes seguem no gateway onde nasceram.
+// ======================================================
+const paymentProviderSchema = z.object({
+  provider: z.enum(PAYMENT_PROVIDERS).nullable(),
+});
+
+function paymentProviderResponse(arena, user) {
+  return {
+    provider: arena.paymentProvider,
+    effective: arena.paymentProvider || getDefaultPaymentProviderName(),
+    providers: listPaymentProviders({ includeTestOnly: user?.role === "admin" }),
+  };
+}
+
+router.get(
+  "/:id/payment-provider",
+  authRequired,
+  requirePermission("arena:manage_payments"),
+  async (req, res) => {
+    try {
+      const arena = await prisma.arena.findUnique({
+        where: { id: String(req.params.id) },
+        select: { id: true, paymentProvider: true },
+      });
+      if (!arena) return res.status(404).json({ message: "Arena não encontrada" });
+
+      return res.json(paymentProviderResponse(arena, req.user));
+    } catch (e) {
+      return res.status(500).json({ message: "Erro ao carregar gateway", error: String(e) });
+    }
+  }
+);
+
+router.put(
+  "/:id/payment-provider",
+  authRequired,
+  requirePermission("arena:manage_payments"),
+  async (req, res) => {
+    try {
+      const id = String(req.params.id);
+
+      const { provider } = paymentProviderSchema.parse(req.body);
+      // gateway de teste (FAKE): só admin liga numa arena
+      if (provider && isTestOnlyPaymentProvider(provider) && req.user.role !== "admin") {
+        return res.status(403).json({ message: "Gateway de teste só pode ser escolhido por admin" });
+      }
+      if (provider && !getPaymentProvider(provider).isReady()) {
+        return res.status(409).json({ message: "Gateway não está disponível no momento" });
+      }
+
+      const arena = await prisma.arena.findUnique({
+        where: { id },
+        select: { id: true, paymentProvider: true },
+      });
+      if (!arena) return res.status(404).json({ message: "Arena não encontrada" });
+
+      const updated = await prisma.arena.update({
+        where: { id },
+        data: { paymentProvider: provider },
+        select: { id: true, paymentProvider: true },
+      });
+
+      if (arena.paymentProvider !== updated.paymentProvider) {
+        await recordAudit({
+          req,
+          action: "arena.payment_provider_changed",
+          targetType: "arena",
+          targetId: id,
+          arenaId: id,
+          before: { paymentProvider: arena.paymentProvider },
+          after: { paymentProvider: updated.paymentProvider },
+        });
+      }
+
+      return res.json(paymentProviderResponse(updated, req.user));
+    } catch (e) {
+      return res.status(400).json({ message: "Dados inválidos", error: String(e) });
+    }
+  }
+);
+
+// ======================================================
+// ✅ GET /arenas/:id/audit — histórico de quem fez o quê (dono/gerente/admin)
+// query: action ("reservation.*" = prefixo), actorId, targetType, targetId,
+//        from, to, before (cursor), limit
+// ======================================================
+const auditQuerySchema = z.object({
+  action: z.string().max(80).optional(),
+  actorId: z.string().optional(),
+  targetType: z.string().max(40).optional(),
+  targetId: z.string().optional(),
+  from: z.string().optional(),
+  to: z.string().optional(),
+  before: z.string().optional(),
+  limit: z.coerce.number().int().min(1).max(200).optional(),
+});
+
+router.get("/:id/audit", authRequired, requirePermission("arena:view_audit"), async (req, res) => {
+  try {
+    const result = await listAuditLog({
+      arenaId: String(req.params.id),
+      ...auditQuerySchema.parse(req.query),
+    });
+
+    return res.json(result);
+  } catch (e) {
+    return res.status(500).json({ message: "Erro ao carregar histórico", error: String(e) });
+  }
+});
+
 export default router;
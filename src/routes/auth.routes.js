@@ -2,13 +2,58 @@ import { Router } from "express";
 import bcrypt from "bcryptjs";
 import { z } from "zod";
 import { prisma } from "../lib/prisma.js";
-import { signToken } from "../utils/jwt.js";
-import { authRequired } from "../middleware/auth.js";
+import { authOptional, authRequired } from "../middleware/auth.js";
 import crypto from "crypto";
-import { makeMailer } from "../utils/mailer.js";
+import { sendEmail } from "../services/email/emailService.js";
+import {
+  createSession,
+  listSessions,
+  refreshSession,
+  revokeAllSessions,
+  revokeSession,
+  revokeSessionByRefreshToken,
+} from "../services/authSessionService.js";
+import {
+  issueEmailVerification,
+  resendEmailVerification,
+  verifyEmailToken,
+} from "../services/emailVerificationService.js";
+import { OIDC_PROVIDER_NAMES, verifyIdToken } from "../services/oidcService.js";
+import {
+  isPlaceholderEmail,
+  linkIdentity,
+  listIdentities,
+  loginWithIdentity,
+  unlinkIdentity,
+} from "../services/socialAuthService.js";
+import { requestPhoneOtp, verifyPhoneOtp } from "../services/phoneOtpService.js";
+import { formatBanMessage, getActiveBan } from "../services/userAdminService.js";
 
 const router = Router();
 
+function getClientInfo(req) {
+  return { userAgent: req.headers["user-agent"], ip: req.ip };
+}
+
+// banido não abre sessão nova (as que existiam caíram no ban)
+async function rejectIfBanned(res, user) {
+  const ban = await getActiveBan(user.id);
+  if (!ban) return false;
+
+  res.status(403).json({ message: formatBanMessage(ban), code: "BANNED", bannedUntil: ban.bannedUntil });
+  return true;
+}
+
+function toAuthUser(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    emailVerified: Boolean(user.emailVerifiedAt),
+  };
+}
+
 // =======================
 // REGISTER
 // =======================
@@ -38,9 +83,15 @@ router.post("/register", async (req, res) => {
       select: { id: true, name: true, email: true, role: true },
     });
 
-    const token = signToken({ id: user.id, email: user.email, role: user.role });
+    const session = await createSession(user, getClientInfo(req));
+
+    // boas-vindas só sai depois de confirmar o e-mail. SMTP lento não segura
+    // o cadastro; se falhar, o usuário pede outro pelo reenviar
+    issueEmailVerification(user).catch((err) =>
+      console.error(`[email] falha ao enviar confirmação pro usuário ${user.id}:`, err)
+    );
 
-    return res.status(201).json({ user, token });
+    return res.status(201).json({ user: { ...user, emailVerified: false }, ...session });
   } catch (e) {
     return res.status(400).json({
       message: "Dados inválidos",
@@ -62,16 +113,182 @@ router.post("/login", async (req, res) => {
     const data = loginSchema.parse(req.body);
 
     const user = await prisma.user.findUnique({ where: { email: data.email } });
-    if (!user) return res.status(401).json({ message: "Credenciais inválidas" });
+    // conta só com Google/Apple/telefone não tem senha
+    if (!user?.password) return res.status(401).json({ message: "Credenciais inválidas" });
 
     const ok = await bcrypt.compare(data.password, user.password);
     if (!ok) return res.status(401).json({ message: "Credenciais inválidas" });
 
-    const token = signToken({ id: user.id, email: user.email, role: user.role });
+    if (await rejectIfBanned(res, user)) return;
+
+    const session = await createSession(user, getClientInfo(req));
 
     return res.json({
-      user: { id: user.id, name: user.name, email: user.email, role: user.role },
-      token,
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: Boolean(user.emailVerifiedAt),
+      },
+      ...session,
+    });
+  } catch (e) {
+    return res.status(400).json({
+      message: "Dados inválidos",
+      error: e?.issues ?? String(e),
+    });
+  }
+});
+
+// =======================
+// LOGIN SOCIAL (Google / Apple)
+// =======================
+const oauthSchema = z.object({
+  idToken: z.string().min(20),
+  nonce: z.string().min(1).optional(),
+  // a Apple só manda o nome no primeiro login, e pelo app, fora do token
+  name: z.string().min(2).max(80).optional(),
+});
+
+function parseProvider(req, res) {
+  const provider = String(req.params.provider || "").toLowerCase();
+  if (OIDC_PROVIDER_NAMES.includes(provider)) return provider;
+
+  res.status(404).json({ message: "Provedor de login inválido" });
+  return null;
+}
+
+router.post("/oauth/:provider", async (req, res) => {
+  try {
+    const provider = parseProvider(req, res);
+    if (!provider) return;
+
+    const data = oauthSchema.parse(req.body);
+
+    const verified = await verifyIdToken(provider, data.idToken, { nonce: data.nonce });
+    if (!verified.ok) return res.status(verified.status).json({ message: verified.message });
+
+    const result = await loginWithIdentity(provider, verified.claims, { name: data.name });
+    if (!result.ok) return res.status(result.status).json({ message: result.message });
+
+    if (await rejectIfBanned(res, result.user)) return;
+
+    const session = await createSession(result.user, getClientInfo(req));
+
+    return res.status(result.created ? 201 : 200).json({
+      user: toAuthUser(result.user),
+      created: result.created,
+      linked: result.linked,
+      ...session,
+    });
+  } catch (e) {
+    return res.status(400).json({
+      message: "Dados inválidos",
+      error: e?.issues ?? String(e),
+    });
+  }
+});
+
+// =======================
+// IDENTITIES (logins vinculados à conta)
+// =======================
+router.get("/identities", authRequired, async (req, res) => {
+  try {
+    const identities = await listIdentities(req.user.id);
+    return res.json({ identities });
+  } catch {
+    return res.status(500).json({ message: "Erro ao listar logins vinculados" });
+  }
+});
+
+router.post("/identities/:provider", authRequired, async (req, res) => {
+  try {
+    const provider = parseProvider(req, res);
+    if (!provider) return;
+
+    const data = oauthSchema.parse(req.body);
+
+    const verified = await verifyIdToken(provider, data.idToken, { nonce: data.nonce });
+    if (!verified.ok) return res.status(verified.status).json({ message: verified.message });
+
+    const result = await linkIdentity(req.user.id, provider, verified.claims);
+    if (!result.ok) return res.status(result.status).json({ message: result.message });
+
+    return res.status(result.already ? 200 : 201).json({ ok: true, provider });
+  } catch (e) {
+    return res.status(400).json({
+      message: "Dados inválidos",
+      error: e?.issues ?? String(e),
+    });
+  }
+});
+
+router.delete("/identities/:provider", authRequired, async (req, res) => {
+  try {
+    const provider = parseProvider(req, res);
+    if (!provider) return;
+
+    const result = await unlinkIdentity(req.user.id, provider);
+    if (!result.ok) return res.status(result.status).json({ message: result.message });
+
+    return res.json({ ok: true });
+  } catch {
+    return res.status(500).json({ message: "Erro ao remover login vinculado" });
+  }
+});
+
+// =======================
+// LOGIN POR TELEFONE (código SMS)
+// =======================
+const phoneRequestSchema = z.object({
+  phone: z.string().min(8).max(25),
+});
+
+const phoneVerifySchema = z.object({
+  phone: z.string().min(8).max(25),
+  code: z.string().regex(/^\d{6}$/),
+  name: z.string().min(2).max(80).optional(),
+});
+
+router.post("/phone/request", async (req, res) => {
+  try {
+    const { phone } = phoneRequestSchema.parse(req.body);
+
+    const result = await requestPhoneOtp(phone);
+
+    if (!result.ok) {
+      if (result.retryAfter) res.set("Retry-After", String(result.retryAfter));
+      return res.status(result.status).json({
+        message: result.message,
+        retryAfter: result.retryAfter,
+      });
+    }
+
+    return res.json({ ok: true, phone: result.phone, expiresIn: result.expiresInSeconds });
+  } catch (e) {
+    return res.status(400).json({
+      message: "Dados inválidos",
+      error: e?.issues ?? String(e),
+    });
+  }
+});
+
+router.post("/phone/verify", async (req, res) => {
+  try {
+    const data = phoneVerifySchema.parse(req.body);
+
+    const result = await verifyPhoneOtp(data);
+    if (!result.ok) return res.status(result.status).json({ message: result.message });
+
+    if (await rejectIfBanned(res, result.user)) return;
+
+    const session = await createSession(result.user, getClientInfo(req));
+
+    return res.status(result.created ? 201 : 200).json({
+      user: toAuthUser(result.user),
+      created: result.created,
+      ...session,
     });
   } catch (e) {
     return res.status(400).json({
@@ -81,6 +298,101 @@ router.post("/login", async (req, res) => {
   }
 });
 
+// =======================
+// REFRESH / LOGOUT
+// =======================
+const refreshSchema = z.object({
+  refreshToken: z.string().min(20),
+});
+
+const logoutSchema = z.object({
+  refreshToken: z.string().min(20).optional(),
+});
+
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = refreshSchema.parse(req.body);
+
+    const result = await refreshSession(refreshToken, getClientInfo(req));
+    if (!result.ok) return res.status(result.status).json({ message: result.message });
+
+    const { ok, user, ...tokens } = result;
+
+    return res.json({
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: Boolean(user.emailVerifiedAt),
+      },
+      ...tokens,
+    });
+  } catch (e) {
+    return res.status(400).json({
+      message: "Dados inválidos",
+      error: e?.issues ?? String(e),
+    });
+  }
+});
+
+// encerra a sessão do refresh token enviado (ou a do access token atual)
+router.post("/logout", authOptional, async (req, res) => {
+  try {
+    const { refreshToken } = logoutSchema.parse(req.body || {});
+
+    if (refreshToken) {
+      await revokeSessionByRefreshToken(refreshToken, "logout");
+    } else if (req.user?.sid) {
+      await revokeSession({ userId: req.user.id, sessionId: req.user.sid, reason: "logout" });
+    }
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json({
+      message: "Dados inválidos",
+      error: e?.issues ?? String(e),
+    });
+  }
+});
+
+router.post("/logout-all", authRequired, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, { reason: "logout_all" });
+    return res.json({ ok: true, revoked });
+  } catch {
+    return res.status(500).json({ message: "Erro ao encerrar sessões" });
+  }
+});
+
+// =======================
+// SESSIONS (dispositivos logados)
+// =======================
+router.get("/sessions", authRequired, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id, req.user.sid);
+    return res.json({ sessions });
+  } catch {
+    return res.status(500).json({ message: "Erro ao listar sessões" });
+  }
+});
+
+router.delete("/sessions/:id", authRequired, async (req, res) => {
+  try {
+    const revoked = await revokeSession({
+      userId: req.user.id,
+      sessionId: String(req.params.id || ""),
+      reason: "revoked",
+    });
+
+    if (!revoked) return res.status(404).json({ message: "Sessão não encontrada" });
+
+    return res.json({ ok: true });
+  } catch {
+    return res.status(500).json({ message: "Erro ao encerrar sessão" });
+  }
+});
+
 // =======================
 // ME (token -> user)
 // =======================
@@ -88,17 +400,88 @@ router.get("/me", authRequired, async (req, res) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: req.user.id },
-      select: { id: true, name: true, email: true, role: true, createdAt: true },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true,
+        createdAt: true,
+        emailVerifiedAt: true,
+      },
     });
 
     if (!user) return res.status(404).json({ message: "Usuário não encontrado" });
 
-    return res.json({ user });
+    return res.json({ user: { ...user, emailVerified: Boolean(user.emailVerifiedAt) } });
   } catch {
     return res.status(500).json({ message: "Erro ao buscar usuário" });
   }
 });
 
+// =======================
+// VERIFY EMAIL
+// =======================
+const verifySchema = z.object({
+  token: z.string().min(20),
+});
+
+const resendVerificationSchema = z.object({
+  email: z.string().email().optional(),
+});
+
+router.post("/verify", async (req, res) => {
+  try {
+    const { token } = verifySchema.parse(req.body);
+
+    const result = await verifyEmailToken(token);
+    if (!result.ok) return res.status(result.status).json({ message: result.message });
+
+    return res.json({
+      ok: true,
+      alreadyVerified: result.alreadyVerified,
+      user: { ...result.user, emailVerified: true },
+    });
+  } catch (e) {
+    return res.status(400).json({
+      message: "Dados inválidos",
+      error: e?.issues ?? String(e),
+    });
+  }
+});
+
+// logado: reenvia pro próprio e-mail; sem login: { email } e sempre responde ok
+router.post("/verify/resend", authOptional, async (req, res) => {
+  try {
+    if (req.user?.id) {
+      const result = await resendEmailVerification(req.user.id);
+
+      if (!result.ok) {
+        if (result.retryAfter) res.set("Retry-After", String(result.retryAfter));
+        return res.status(result.status).json({
+          message: result.message,
+          retryAfter: result.retryAfter,
+        });
+      }
+
+      return res.json({ ok: true });
+    }
+
+    const { email } = resendVerificationSchema.parse(req.body);
+    if (!email) return res.status(400).json({ message: "Informe o e-mail" });
+
+    // ✅ não vaza se existe conta nem se já foi confirmada
+    const user = await prisma.user.findUnique({ where: { email }, select: { id: true } });
+    if (user) await resendEmailVerification(user.id);
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json({
+      message: "Dados inválidos",
+      error: e?.issues ?? String(e),
+    });
+  }
+});
+
 // =======================
 // FORGOT PASSWORD
 // =======================
@@ -112,7 +495,7 @@ router.post("/forgot", async (req, res) => {
 
     // ✅ sempre responder OK (não vaza se existe conta)
     const user = await prisma.user.findUnique({ where: { email } });
-    if (!user) return res.json({ ok: true });
+    if (!user || isPlaceholderEmail(user.email)) return res.json({ ok: true });
 
     // token "puro" para mandar no link
     const token = crypto.randomBytes(32).toString("hex");
@@ -133,40 +516,12 @@ router.post("/forgot", async (req, res) => {
     const appUrl = process.env.APP_URL || "http://localhost:5173";
     const resetUrl = `${appUrl}/?token=${token}`;
 
-
-    const { transporter, from, isReady } = makeMailer();
-
-    // ✅ Se SMTP não estiver configurado, não derruba o fluxo
-    if (!isReady) {
-      warn("[forgot] SMTP não configurado — pulando envio de email");
-      return res.json({ ok: true });
-    }
-
-    try {
-      await transporter.sendMail({
-        from, // ✅ já vem "BoraPô <suporte@borapo.com>" via env, ou o email puro
-        to: user.email,
-        subject: "BoraPô — Recuperação de senha",
-        html: `
-          <div style="font-family:Arial,sans-serif;line-height:1.5">
-            <h2>Recuperação de senha</h2>
-            <p>Você pediu para redefinir sua senha no <b>BoraPô</b>.</p>
-            <p>Clique no botão abaixo (válido por 30 minutos):</p>
-            <p>
-              <a href="${resetUrl}" style="display:inline-block;padding:12px 16px;border-radius:10px;background:#2EDC8F;color:#061b12;text-decoration:none;font-weight:800">
-                Redefinir senha
-              </a>
-            </p>
-            <p>Se você não pediu isso, ignore este e-mail.</p>
-          </div>
-        `,
-      });
-
-      ("[forgot] email enviado para:", user.email);
-    } catch (err) {
-      error("[forgot] falha ao enviar email:", err);
-      // ✅ não retorna 400, não trava fluxo
-    }
+    // ✅ sendEmail não lança: SMTP fora do ar não trava o fluxo
+    await sendEmail({
+      to: user.email,
+      template: "passwordReset",
+      data: { name: user.name, resetUrl, minutes: 30 },
+    });
 
     return res.json({ ok: true });
   } catch (e) {
@@ -206,7 +561,8 @@ router.post("/reset", async (req, res) => {
     await prisma.$transaction([
       prisma.user.update({
         where: { id: row.userId },
-        data: { password: hash },
+        // o link chegou no e-mail, então ele também fica confirmado
+        data: { password: hash, emailVerifiedAt: row.user.emailVerifiedAt ?? new Date() },
       }),
       prisma.passwordResetToken.update({
         where: { id: row.id },
@@ -214,6 +570,9 @@ router.post("/reset", async (req, res) => {
       }),
     ]);
 
+    // senha trocada: todo mundo logado com a antiga cai
+    await revokeAllSessions(row.userId, { reason: "password_reset" });
+
     return res.json({ ok: true });
   } catch (e) {
     return res.status(400).json({
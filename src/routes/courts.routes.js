@@ -2,13 +2,12 @@ import { Router } from "express";
 import { z } from "zod";
 import { prisma } from "../lib/prisma.js";
 import { authRequired } from "../middleware/auth.js";
+import { requirePermission, sendAuthzError } from "../middleware/permission.js";
+import { authorize, listPermittedArenaIds } from "../services/authz/index.js";
+import { pickAuditFields, recordAudit } from "../services/auditService.js";
 
 const router = Router();
 
-function isRole(user, roles = []) {
-  return roles.includes(user?.role);
-}
-
 function slugify(str) {
   return String(str || "")
     .toLowerCase()
@@ -73,35 +72,35 @@ const includeFull = {
   arena: { select: { id: true, name: true, city: true, district: true, address: true, imageUrl: true, ownerId: true } },
 };
 
-async function assertArenaOwnershipOrAdmin(user, arenaId) {
-  const arena = await prisma.arena.findUnique({ where: { id: arenaId } });
-  if (!arena) return { ok: false, status: 400, message: "Dados inválidos", error: "arenaId não existe" };
-
-  if (user?.role === "admin") return { ok: true, arena };
-
-  if (user?.role === "arena_owner" && arena.ownerId === user.id) return { ok: true, arena };
-
-  return { ok: false, status: 403, message: "Você só pode gerenciar quadras das suas arenas" };
-}
+// campos que entram no before/after da auditoria
+const COURT_AUDIT_FIELDS = [
+  "name",
+  "type",
+  "city",
+  "address",
+  "arenaId",
+  "pricePerHour",
+  "capacity",
+  "covered",
+  "surface",
+];
 
 // ======================================================
-// ✅ GET /courts/mine — quadras das minhas arenas (arena_owner/admin)
+// ✅ GET /courts/mine — quadras das arenas que eu gerencio (dono/gerente/admin)
 // ======================================================
 router.get("/mine", authRequired, async (req, res) => {
   try {
     const user = req.user;
 
-    if (!isRole(user, ["arena_owner", "admin"])) {
-      return res.status(403).json({ message: "Sem permissão" });
-    }
+    const arenaIds = await listPermittedArenaIds(user, "court:update");
 
     const where =
-      user.role === "admin"
+      arenaIds === null
         ? {}
         : {
             OR: [
               // ✅ novo (preferência)
-              { arena: { ownerId: user.id } },
+              { arenaId: { in: arenaIds } },
               // ✅ legado (pra não quebrar histórico enquanto migra)
               { arenaOwnerId: user.id },
             ],
@@ -135,21 +134,17 @@ router.get("/", authRequired, async (req, res) => {
 });
 
 // ======================================================
-// ✅ POST /courts — cria quadra (arena_owner/admin)
+// ✅ POST /courts — cria quadra (dono/gerente da arena ou admin)
 // ======================================================
 router.post("/", authRequired, async (req, res) => {
   try {
     const user = req.user;
 
-    if (!isRole(user, ["arena_owner", "admin"])) {
-      return res.status(403).json({ message: "Sem permissão" });
-    }
-
     const data = courtCreateSchema.parse(req.body);
     const arenaId = String(data.arenaId).trim();
 
-    const check = await assertArenaOwnershipOrAdmin(user, arenaId);
-    if (!check.ok) return res.status(check.status).json({ message: check.message, error: check.error });
+    const check = await authorize(user, "court:create", { arenaId });
+    if (!check.ok) return sendAuthzError(res, check);
 
     const baseId = data.id?.trim()
       ? data.id.trim()
@@ -166,12 +161,21 @@ router.post("/", authRequired, async (req, res) => {
         // ✅ obrigatório
         arenaId,
 
-        // ✅ legado (opcional, se seu schema ainda tem)
-        arenaOwnerId: user.role === "arena_owner" ? user.id : null,
+        // ✅ legado: sempre o dono da arena (gerente criando não vira dono da quadra)
+        arenaOwnerId: check.resource.ownerId,
       },
       include: includeFull,
     });
 
+    await recordAudit({
+      req,
+      action: "court.created",
+      targetType: "court",
+      targetId: created.id,
+      arenaId,
+      after: pickAuditFields(created, COURT_AUDIT_FIELDS),
+    });
+
     return res.status(201).json(created);
   } catch (e) {
     return res.status(400).json({ message: "Dados inválidos", error: String(e) });
@@ -179,41 +183,26 @@ router.post("/", authRequired, async (req, res) => {
 });
 
 // ======================================================
-// ✅ PATCH /courts/:id — editar quadra (arena_owner/admin)
+// ✅ PATCH /courts/:id — editar quadra (dono/gerente da arena ou admin)
 // ======================================================
-router.patch("/:id", authRequired, async (req, res) => {
+router.patch("/:id", authRequired, requirePermission("court:update"), async (req, res) => {
   try {
     const user = req.user;
     const id = String(req.params.id || "").trim();
 
-    if (!isRole(user, ["arena_owner", "admin"])) {
-      return res.status(403).json({ message: "Sem permissão" });
-    }
-
-    const court = await prisma.court.findUnique({
-      where: { id },
-      include: { arena: true },
-    });
-    if (!court) return res.status(404).json({ message: "Quadra não encontrada" });
-
-    // ✅ permissão: admin ou dono da arena (novo) ou legado (enquanto migra)
-    if (user.role !== "admin") {
-      const newOk = court.arena?.ownerId === user.id;
-      const legacyOk = court.arenaOwnerId === user.id;
-      if (!newOk && !legacyOk) {
-        return res.status(403).json({ message: "Você não pode editar uma quadra que não é sua" });
-      }
-    }
-
     const data = courtUpdateSchema.parse(req.body);
 
-    // ✅ se quiser mover de arena, valida dono na nova arena
+    // ✅ se quiser mover de arena, precisa poder gerenciar a nova também
+    let nextArena = null;
     if (data.arenaId !== undefined) {
       const nextArenaId = String(data.arenaId || "").trim();
-      const check = await assertArenaOwnershipOrAdmin(user, nextArenaId);
-      if (!check.ok) return res.status(check.status).json({ message: check.message, error: check.error });
+      const check = await authorize(user, "court:create", { arenaId: nextArenaId });
+      if (!check.ok) return sendAuthzError(res, check);
+      nextArena = check.resource;
     }
 
+    const current = await prisma.court.findUnique({ where: { id } });
+
     const updated = await prisma.court.update({
       where: { id },
       data: {
@@ -221,11 +210,21 @@ router.patch("/:id", authRequired, async (req, res) => {
         ...(data.type ? { type: data.type } : {}),
         ...(data.city !== undefined ? { city: data.city } : {}),
         ...(data.address !== undefined ? { address: data.address } : {}),
-        ...(data.arenaId !== undefined ? { arenaId: String(data.arenaId).trim() } : {}),
+        ...(nextArena ? { arenaId: nextArena.id, arenaOwnerId: nextArena.ownerId } : {}),
       },
       include: includeFull,
     });
 
+    await recordAudit({
+      req,
+      action: "court.updated",
+      targetType: "court",
+      targetId: id,
+      arenaId: updated.arenaId || null,
+      before: pickAuditFields(current, COURT_AUDIT_FIELDS),
+      after: pickAuditFields(updated, COURT_AUDIT_FIELDS),
+    });
+
     return res.json(updated);
   } catch (e) {
     return res.status(400).json({ message: "Dados inválidos", error: String(e) });
@@ -233,32 +232,25 @@ router.patch("/:id", authRequired, async (req, res) => {
 });
 
 // ======================================================
-// ✅ DELETE /courts/:id — excluir quadra (arena_owner/admin)
+// ✅ DELETE /courts/:id — excluir quadra (dono da arena ou admin)
 // ======================================================
-router.delete("/:id", authRequired, async (req, res) => {
+router.delete("/:id", authRequired, requirePermission("court:delete"), async (req, res) => {
   try {
-    const user = req.user;
     const id = String(req.params.id || "").trim();
 
-    if (!isRole(user, ["arena_owner", "admin"])) {
-      return res.status(403).json({ message: "Sem permissão" });
-    }
+    const current = await prisma.court.findUnique({ where: { id } });
 
-    const court = await prisma.court.findUnique({
-      where: { id },
-      include: { arena: true },
+    await prisma.court.delete({ where: { id } });
+
+    await recordAudit({
+      req,
+      action: "court.deleted",
+      targetType: "court",
+      targetId: id,
+      arenaId: current?.arenaId || null,
+      before: pickAuditFields(current, COURT_AUDIT_FIELDS),
     });
-    if (!court) return res.status(404).json({ message: "Quadra não encontrada" });
-
-    if (user.role !== "admin") {
-      const newOk = court.arena?.ownerId === user.id;
-      const legacyOk = court.arenaOwnerId === user.id;
-      if (!newOk && !legacyOk) {
-        return res.status(403).json({ message: "Você não pode excluir uma quadra que não é sua" });
-      }
-    }
 
-    await prisma.court.delete({ where: { id } });
     return res.json({ ok: true });
   } catch (e) {
     return res.status(500).json({ message: "Erro ao excluir quadra", error: String(e) });
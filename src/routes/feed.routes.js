@@ -7,6 +7,7 @@ import {
   createFeedComment,
   deleteFeedPost,
 } from "../services/profile/feedService.js";
+import { reportFeedPost } from "../services/feedModerationService.js";
 
 // 🔥 CORRETO AQUI
 import { authRequired } from "../middleware/auth.js";
@@ -121,6 +122,29 @@ router.post("/:postId/comments", async (req, res) => {
   }
 });
 
+router.post("/:postId/report", async (req, res) => {
+  try {
+    const result = await reportFeedPost({
+      postId: req.params.postId,
+      reporterId: req.user.id,
+      reason: req.body?.reason,
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({
+        message: result.message,
+      });
+    }
+
+    return res.status(201).json(result.report);
+  } catch (error) {
+    console.error("Erro ao denunciar post:", error);
+    return res.status(500).json({
+      message: "Erro ao denunciar post.",
+    });
+  }
+});
+
 router.delete("/:postId", async (req, res) => {
   try {
     const userId = req.user.id;
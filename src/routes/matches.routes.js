@@ -4,9 +4,66 @@ import dayjs from "dayjs";
 import utc from "dayjs/plugin/utc.js";
 import timezone from "dayjs/plugin/timezone.js";
 import { prisma } from "../lib/prisma.js";
-import { authRequired } from "../middleware/auth.js";
+import { authRequired, authOptional } from "../middleware/auth.js";
+import { requirePermission, sendAuthzError } from "../middleware/permission.js";
+import { authorize, can, listPermittedArenaIds } from "../services/authz/index.js";
 import { createFeedPost } from "../services/profile/feedService.js";
 import { processMatchRank } from "../services/rankService.js";
+import {
+  broadcastMatchUpdate,
+  getMatchChannel,
+  getMatchScoreboard,
+} from "../services/matchLiveService.js";
+import {
+  createMessage,
+  deleteMessage,
+  editMessage,
+  findMessage,
+  getChatChannel,
+  listMessageReads,
+  listMessages,
+  listMessagesSinceDate,
+  markMessagesRead,
+  publishTyping,
+} from "../services/matchChatService.js";
+import {
+  addToWaitlist,
+  confirmedPresenceWhere,
+  countConfirmedPresences,
+  hasFreeSpot,
+  isConfirmedPresence,
+  isPaidMatch,
+  listWaitlist,
+  presencePaymentFields,
+  promoteFromWaitlist,
+  reorderWaitlist,
+  removePresenceAndPromote,
+} from "../services/matchWaitlistService.js";
+import {
+  applyBalancedTeams,
+  proposeBalancedTeams,
+  revertBalancedTeams,
+} from "../services/teamBalanceService.js";
+import {
+  castMvpVote,
+  closeMvpVoting,
+  getMvpVoting,
+  getMvpVotingEndsAt,
+  maybeCloseMvpVoting,
+} from "../services/matchMvpService.js";
+import {
+  PRESENCE_PAYMENT_MARKS,
+  getMatchPaymentSummary,
+  refundMatchPayments,
+  remindUnpaidPlayers,
+  setPresencePaymentStatus,
+} from "../services/matchPaymentService.js";
+import { createPresenceCharge, toPixPaymentResponse } from "../services/pixPaymentService.js";
+import { notifyUsers } from "../services/notificationService.js";
+import { sendMatchEmails } from "../services/email/emailService.js";
+import { pickAuditFields, recordAudit } from "../services/auditService.js";
+import { ensureVerifiedEmail } from "../services/emailVerificationService.js";
+import { openSseStream } from "../lib/sseHub.js";
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
@@ -17,14 +74,10 @@ const router = Router();
 router.get("/__version", (req, res) => {
   res.json({
     ok: true,
-    version: "matches_routes_v17_pelada_location",
+    version: "matches_routes_v18_live_stream",
   });
 });
 
-function isRole(user, roles = []) {
-  return roles.includes(user?.role);
-}
-
 /* ======================================================
    INCLUDES
    ====================================================== */
@@ -41,8 +94,12 @@ const includePremium = {
       id: true,
       userId: true,
       status: true,
+      waitlistPosition: true,
       teamSide: true,
       isCaptain: true,
+      paymentStatus: true,
+      paidAt: true,
+      paymentDueAt: true,
       createdAt: true,
       user: {
         select: {
@@ -83,6 +140,7 @@ const includePublic = {
       id: true,
       userId: true,
       status: true,
+      waitlistPosition: true,
       teamSide: true,
       isCaptain: true,
       createdAt: true,
@@ -138,6 +196,10 @@ const matchCreateSchema = z.object({
 
   maxPlayers: z.coerce.number().int().min(2).max(40).optional(),
   pricePerPlayer: z.coerce.number().int().min(0).max(9999).optional(),
+  // cobra cada vaga pelo Pix (precisa de pricePerPlayer > 0)
+  collectPayments: z.coerce.boolean().optional(),
+  // só confirma a vaga depois do Pix (só com collectPayments)
+  requirePaymentToConfirm: z.coerce.boolean().optional(),
   minPlayers: z.coerce.number().int().min(0).max(40).optional(),
 
   controllerId: z.string().min(3).optional().nullable(),
@@ -170,6 +232,13 @@ const assignTeamSideSchema = z.object({
   isCaptain: z.boolean().optional(),
 });
 
+const balanceTeamsSchema = z.object({
+  apply: z.boolean().optional(),
+  keepFriendsTogether: z.boolean().optional(),
+  lockCaptains: z.boolean().optional(),
+  oneGoalkeeperPerSide: z.boolean().optional(),
+});
+
 /* ======================================================
    HELPERS
    ====================================================== */
@@ -231,80 +300,9 @@ function parseBrazilDate(value) {
   return parsed;
 }
 
-async function canEditOfficialStats(user, matchId) {
-  if (user?.role === "admin") return true;
-
-  const match = await prisma.match.findUnique({
-    where: { id: matchId },
-    select: {
-      organizerId: true,
-      controllerId: true,
-      court: {
-        select: {
-          arenaOwnerId: true,
-          arena: { select: { ownerId: true } },
-        },
-      },
-    },
-  });
-
-  if (!match) return false;
-
-  if (match.controllerId && match.controllerId === user.id) return true;
-
-  if (user?.role === "owner" && match.organizerId === user.id) return true;
-
-  if (user?.role === "arena_owner") {
-    const legacyOk = match.court?.arenaOwnerId === user.id;
-    const newOk = match.court?.arena?.ownerId === user.id;
-    return Boolean(legacyOk || newOk);
-  }
-
-  return false;
-}
-
-async function canManageMatch(user, matchId) {
-  if (user?.role === "admin") return true;
-
-  const match = await prisma.match.findUnique({
-    where: { id: matchId },
-    select: {
-      organizerId: true,
-      controllerId: true,
-      court: {
-        select: {
-          arenaOwnerId: true,
-          arena: { select: { ownerId: true } },
-        },
-      },
-      presences: {
-        where: { userId: user?.id },
-        select: { id: true, isCaptain: true },
-        take: 1,
-      },
-    },
-  });
-
-  if (!match) return false;
-
-  if (match.controllerId && match.controllerId === user.id) return true;
-  if (user?.role === "owner" && match.organizerId === user.id) return true;
-
-  if (user?.role === "arena_owner") {
-    const legacyOk = match.court?.arenaOwnerId === user.id;
-    const newOk = match.court?.arena?.ownerId === user.id;
-    if (legacyOk || newOk) return true;
-  }
-
-  const presence = match.presences?.[0];
-  if (presence?.isCaptain) return true;
-
-  return false;
-}
-
 async function isUserInMatch(userId, matchId) {
   const presence = await prisma.matchPresence.findFirst({
-    where: { matchId, userId },
+    where: { matchId, userId, ...confirmedPresenceWhere },
     select: { id: true },
   });
   return Boolean(presence);
@@ -344,6 +342,7 @@ async function getControllerLockedMatch(matchId) {
       presences: {
         select: {
           userId: true,
+          status: true,
           teamSide: true,
           isCaptain: true,
         },
@@ -384,6 +383,10 @@ async function recalcMatchScore(matchId) {
     },
   });
 
+  await broadcastMatchUpdate(matchId, "score", {
+    score: { teamAScore, teamBScore, winnerSide },
+  });
+
   return { teamAScore, teamBScore, winnerSide };
 }
 
@@ -410,7 +413,7 @@ async function maybeAutoExpireMatch(matchId, opts = {}) {
             status: true,
             date: true,
             minPlayers: true,
-            presences: { select: { id: true } },
+            presences: { select: { id: true, status: true } },
           },
         });
 
@@ -442,7 +445,7 @@ async function maybeAutoExpireMatch(matchId, opts = {}) {
       : await prisma.match.findUnique({ where: { id: matchId }, include });
   }
 
-  const joined = base.presences?.length || 0;
+  const joined = countConfirmedPresences(base.presences || []);
   if (joined >= minPlayers) {
     if (returnUpdatedOnly) return null;
     return currentMatch
@@ -450,16 +453,20 @@ async function maybeAutoExpireMatch(matchId, opts = {}) {
       : await prisma.match.findUnique({ where: { id: matchId }, include });
   }
 
-  const updated = await prisma.match.update({
-    where: { id: matchId },
+  // várias leituras podem expirar ao mesmo tempo: só quem virou o status estorna
+  const claim = await prisma.match.updateMany({
+    where: { id: matchId, status: "SCHEDULED" },
     data: {
       status: "EXPIRED",
       canceledAt: new Date(),
     },
-    include,
   });
 
-  return updated;
+  if (claim.count) {
+    await refundMatchPayments({ matchId, reason: "Partida expirou sem jogadores suficientes" });
+  }
+
+  return prisma.match.findUnique({ where: { id: matchId }, include });
 }
 
 async function rebuildOfficialStatsFromEvents(matchId) {
@@ -476,7 +483,7 @@ async function rebuildOfficialStatsFromEvents(matchId) {
   });
 
   const presences = await prisma.matchPresence.findMany({
-    where: { matchId },
+    where: { matchId, ...confirmedPresenceWhere },
     select: { userId: true },
   });
 
@@ -534,13 +541,6 @@ async function rebuildOfficialStatsFromEvents(matchId) {
   }
 }
 
-async function ensureOnlyControllerOrAdmin(user, match) {
-  if (!match) return false;
-  if (user?.role === "admin") return true;
-  if (!match.controllerId) return false;
-  return match.controllerId === user.id;
-}
-
 async function countConfirmedGoals(matchId) {
   return prisma.matchEvent.count({
     where: {
@@ -694,16 +694,10 @@ router.get("/public/:id([a-z0-9]{20,})", async (req, res) => {
   }
 });
 
-router.post("/peladas", authRequired, async (req, res) => {
+router.post("/peladas", authRequired, requirePermission("match:create_pelada"), async (req, res) => {
   try {
     const user = req.user;
 
-    if (!isRole(user, ["admin", "owner", "arena_owner"])) {
-      return res.status(403).json({
-        message: "Sem permissão para criar peladas",
-      });
-    }
-
     const data = matchCreateSchema.parse({ ...req.body, kind: "PELADA" });
 
     // 🔒 validação obrigatória de senha
@@ -785,6 +779,8 @@ router.post("/peladas", authRequired, async (req, res) => {
         maxPlayers: data.maxPlayers ?? 14,
         minPlayers: data.minPlayers ?? 0,
         pricePerPlayer: data.pricePerPlayer ?? 30,
+        collectPayments: data.collectPayments ?? false,
+        requirePaymentToConfirm: Boolean(data.collectPayments && data.requirePaymentToConfirm),
         status: "SCHEDULED",
         kind: "PELADA",
       },
@@ -812,11 +808,8 @@ router.post("/peladas", authRequired, async (req, res) => {
        🔥 MANUAL
        ====================================================== */
     if (isManualLocation) {
-      if (user.role === "owner") {
-        return res.status(403).json({
-          message: "Owner só pode criar peladas em locais cadastrados",
-        });
-      }
+      const manual = await authorize(user, "match:create_manual_location");
+      if (!manual.ok) return sendAuthzError(res, manual);
 
       if (!manualArenaName || !manualAddress) {
         return res.status(400).json({
@@ -852,6 +845,8 @@ router.post("/peladas", authRequired, async (req, res) => {
           maxPlayers: data.maxPlayers ?? 14,
           minPlayers: data.minPlayers ?? 0,
           pricePerPlayer: data.pricePerPlayer ?? 30,
+          collectPayments: data.collectPayments ?? false,
+          requirePaymentToConfirm: Boolean(data.collectPayments && data.requirePaymentToConfirm),
           status: "SCHEDULED",
           kind: "PELADA",
         },
@@ -890,16 +885,8 @@ router.post("/peladas", authRequired, async (req, res) => {
         .json({ message: "Dados inválidos", error: "courtId não existe." });
     }
 
-    if (isRole(user, ["arena_owner"])) {
-      const legacyOk = court.arenaOwnerId === user.id;
-      const newOk = court.arena?.ownerId === user.id;
-
-      if (!legacyOk && !newOk) {
-        return res.status(403).json({
-          message: "Você só pode criar peladas nas suas próprias quadras",
-        });
-      }
-    }
+    const courtCheck = await authorize(user, "match:create", { courtId: courtIdStr });
+    if (!courtCheck.ok) return sendAuthzError(res, courtCheck);
 
     const conflictReservation = await prisma.reservation.findFirst({
       where: {
@@ -978,6 +965,8 @@ router.post("/peladas", authRequired, async (req, res) => {
           maxPlayers: data.maxPlayers ?? 14,
           minPlayers: data.minPlayers ?? 0,
           pricePerPlayer: data.pricePerPlayer ?? 30,
+          collectPayments: data.collectPayments ?? false,
+          requirePaymentToConfirm: Boolean(data.collectPayments && data.requirePaymentToConfirm),
           status: "SCHEDULED",
           kind: "PELADA",
         },
@@ -1016,15 +1005,21 @@ router.get("/", authRequired, async (req, res) => {
 
     let where = undefined;
 
-    if (isRole(user, ["admin"])) {
+    // null = admin; senão as arenas onde sou dono/gerente
+    const arenaIds = await listPermittedArenaIds(user, "match:manage");
+
+    if (arenaIds === null) {
       where = undefined;
-    } else if (isRole(user, ["arena_owner"])) {
+    } else if (arenaIds.length || user.role === "arena_owner") {
+      // equipe de arena também organiza e joga as próprias partidas
       where = {
-        court: {
-          OR: [{ arenaOwnerId: user.id }, { arena: { ownerId: user.id } }],
-        },
+        OR: [
+          { court: { OR: [{ arenaOwnerId: user.id }, { arenaId: { in: arenaIds } }] } },
+          { organizerId: user.id },
+          { presences: { some: { userId: user.id } } },
+        ],
       };
-    } else if (isRole(user, ["owner"])) {
+    } else if (user.role === "owner") {
       where = { organizerId: user.id };
     } else {
       where = { presences: { some: { userId: user.id } } };
@@ -1066,7 +1061,7 @@ router.get("/:id([a-z0-9]{20,})", authRequired, async (req, res) => {
   try {
     const matchId = String(req.params.id || "").trim();
 
-    const match = await maybeAutoExpireMatch(matchId, {
+    let match = await maybeAutoExpireMatch(matchId, {
       returnUpdatedOnly: false,
       currentMatch: null,
       include: includePremium,
@@ -1076,6 +1071,14 @@ router.get("/:id([a-z0-9]{20,})", authRequired, async (req, res) => {
       return res.status(404).json({ message: "Partida não encontrada" });
     }
 
+    // votação de MVP vencida fecha aqui mesmo
+    if (await maybeCloseMvpVoting(match)) {
+      match = await prisma.match.findUnique({
+        where: { id: matchId },
+        include: includePremium,
+      });
+    }
+
     return res.json(match);
   } catch (e) {
     return res
@@ -1092,10 +1095,6 @@ router.post("/", authRequired, async (req, res) => {
   try {
     const user = req.user;
 
-    if (!isRole(user, ["owner", "arena_owner", "admin"])) {
-      return res.status(403).json({ message: "Sem permissão" });
-    }
-
     const data = matchCreateSchema.parse(req.body);
     const courtIdStr = String(data.courtId || "").trim();
 
@@ -1119,15 +1118,8 @@ router.post("/", authRequired, async (req, res) => {
         .json({ message: "Dados inválidos", error: "courtId não existe." });
     }
 
-    if (isRole(user, ["arena_owner"])) {
-      const legacyOk = court.arenaOwnerId === user.id;
-      const newOk = court.arena?.ownerId === user.id;
-      if (!legacyOk && !newOk) {
-        return res.status(403).json({
-          message: "Você só pode criar partidas nas suas próprias quadras",
-        });
-      }
-    }
+    const courtCheck = await authorize(user, "match:create", { courtId: courtIdStr });
+    if (!courtCheck.ok) return sendAuthzError(res, courtCheck);
 
     const conflictReservation = await prisma.reservation.findFirst({
       where: {
@@ -1207,6 +1199,8 @@ router.post("/", authRequired, async (req, res) => {
         maxPlayers: data.maxPlayers ?? 14,
         minPlayers: data.minPlayers ?? 0,
         pricePerPlayer: data.pricePerPlayer ?? 30,
+        collectPayments: data.collectPayments ?? false,
+        requirePaymentToConfirm: Boolean(data.collectPayments && data.requirePaymentToConfirm),
         status: "SCHEDULED",
         kind: data.kind || "BOOKING",
       },
@@ -1225,20 +1219,18 @@ router.post("/", authRequired, async (req, res) => {
    MATCH STATUS
    ====================================================== */
 
-router.patch("/:id([a-z0-9]{20,})/start", authRequired, async (req, res) => {
+router.patch("/:id([a-z0-9]{20,})/start", authRequired, requirePermission("match:manage"), async (req, res) => {
   try {
-    const user = req.user;
     const matchId = String(req.params.id || "").trim();
 
-    const ok = await canManageMatch(user, matchId);
-    if (!ok) return res.status(403).json({ message: "Sem permissão" });
-
     const match = await prisma.match.update({
       where: { id: matchId },
       data: { status: "LIVE", startedAt: new Date() },
       include: includePremium,
     });
 
+    await broadcastMatchUpdate(matchId, "start");
+
     return res.json(match);
   } catch (e) {
     return res
@@ -1257,12 +1249,8 @@ router.patch("/:id([a-z0-9]{20,})/finish", authRequired, async (req, res) => {
       return res.status(404).json({ message: "Partida não encontrada" });
     }
 
-    const isAllowed = await ensureOnlyControllerOrAdmin(user, matchLocked);
-    if (!isAllowed) {
-      return res.status(403).json({
-        message: "Apenas o controlador pode finalizar a partida",
-      });
-    }
+    const control = await authorize(user, "match:control", { matchId });
+    if (!control.ok) return sendAuthzError(res, control);
 
     await recalcMatchScore(matchId);
     await rebuildOfficialStatsFromEvents(matchId);
@@ -1297,6 +1285,7 @@ router.patch("/:id([a-z0-9]{20,})/finish", authRequired, async (req, res) => {
           },
         },
         presences: {
+          where: confirmedPresenceWhere,
           select: { userId: true, teamSide: true },
         },
       },
@@ -1345,10 +1334,14 @@ router.patch("/:id([a-z0-9]{20,})/finish", authRequired, async (req, res) => {
         status: "FINISHED",
         finishedAt: new Date(),
         winnerSide: isDraw ? null : winnerSide,
+        // abre a votação de MVP
+        mvpVotingEndsAt: userIds.length > 1 ? getMvpVotingEndsAt() : null,
       },
       include: includePremium,
     });
 
+    await broadcastMatchUpdate(matchId, "finish");
+
     try {
       await processMatchRank(matchId);
     } catch (rankError) {
@@ -1392,20 +1385,58 @@ router.patch("/:id([a-z0-9]{20,})/finish", authRequired, async (req, res) => {
   }
 });
 
-router.patch("/:id([a-z0-9]{20,})/cancel", authRequired, async (req, res) => {
+router.patch("/:id([a-z0-9]{20,})/cancel", authRequired, requirePermission("match:manage"), async (req, res) => {
   try {
     const user = req.user;
     const matchId = String(req.params.id || "").trim();
 
-    const ok = await canManageMatch(user, matchId);
-    if (!ok) return res.status(403).json({ message: "Sem permissão" });
-
     const match = await prisma.match.update({
       where: { id: matchId },
       data: { status: "CANCELED", canceledAt: new Date() },
       include: includePremium,
     });
 
+    await recordAudit({
+      req,
+      action: "match.canceled",
+      targetType: "match",
+      targetId: matchId,
+      arenaId: req.authz.resource.court?.arenaId || null,
+      before: { status: req.authz.resource.status },
+      after: { status: match.status },
+      metadata: { players: match.presences.length },
+    });
+
+    // quem pagou a vaga pelo Pix recebe de volta
+    await refundMatchPayments({
+      matchId,
+      reason: "Partida cancelada",
+      requestedById: user.id,
+      arenaId: req.authz.resource.court?.arenaId || null,
+      req,
+    });
+
+    await broadcastMatchUpdate(matchId, "status");
+
+    // confirmados e lista de espera
+    await notifyUsers(
+      match.presences.map((p) => p.userId),
+      {
+        type: "MATCH_CANCELED",
+        actorId: user.id,
+        title: "Partida cancelada",
+        body: `${match.title || "A partida"} (${getArenaLabel(match) || "sem local"}) foi cancelada.`,
+        data: { matchId, date: match.date },
+      }
+    );
+
+    // pode ser muita gente: o e-mail segue sem segurar a resposta
+    sendMatchEmails(
+      "matchCanceled",
+      match,
+      match.presences.map((p) => p.userId).filter((id) => id !== user.id)
+    );
+
     return res.json(match);
   } catch (e) {
     return res
@@ -1414,20 +1445,28 @@ router.patch("/:id([a-z0-9]{20,})/cancel", authRequired, async (req, res) => {
   }
 });
 
-router.patch("/:id([a-z0-9]{20,})/uncancel", authRequired, async (req, res) => {
+router.patch("/:id([a-z0-9]{20,})/uncancel", authRequired, requirePermission("match:manage"), async (req, res) => {
   try {
-    const user = req.user;
     const matchId = String(req.params.id || "").trim();
 
-    const ok = await canManageMatch(user, matchId);
-    if (!ok) return res.status(403).json({ message: "Sem permissão" });
-
     const match = await prisma.match.update({
       where: { id: matchId },
       data: { status: "SCHEDULED", canceledAt: null },
       include: includePremium,
     });
 
+    await recordAudit({
+      req,
+      action: "match.uncanceled",
+      targetType: "match",
+      targetId: matchId,
+      arenaId: req.authz.resource.court?.arenaId || null,
+      before: { status: req.authz.resource.status },
+      after: { status: match.status },
+    });
+
+    await broadcastMatchUpdate(matchId, "status");
+
     return res.json(match);
   } catch (e) {
     return res
@@ -1440,18 +1479,14 @@ router.patch("/:id([a-z0-9]{20,})/uncancel", authRequired, async (req, res) => {
    CONTROLLER / TEAMS
    ====================================================== */
 
-router.patch("/:id([a-z0-9]{20,})/controller", authRequired, async (req, res) => {
+router.patch("/:id([a-z0-9]{20,})/controller", authRequired, requirePermission("match:manage"), async (req, res) => {
   try {
-    const user = req.user;
     const matchId = String(req.params.id || "").trim();
     const data = assignControllerSchema.parse(req.body);
 
-    const ok = await canManageMatch(user, matchId);
-    if (!ok) return res.status(403).json({ message: "Sem permissão" });
-
     if (data.controllerId) {
       const exists = await prisma.matchPresence.findFirst({
-        where: { matchId, userId: data.controllerId },
+        where: { matchId, userId: data.controllerId, ...confirmedPresenceWhere },
         select: { id: true },
       });
 
@@ -1468,6 +1503,18 @@ router.patch("/:id([a-z0-9]{20,})/controller", authRequired, async (req, res) =>
       include: includePremium,
     });
 
+    if (req.authz.resource.controllerId !== match.controllerId) {
+      await recordAudit({
+        req,
+        action: "match.controller_changed",
+        targetType: "match",
+        targetId: matchId,
+        arenaId: req.authz.resource.court?.arenaId || null,
+        before: { controllerId: req.authz.resource.controllerId || null },
+        after: { controllerId: match.controllerId || null },
+      });
+    }
+
     return res.json(match);
   } catch (e) {
     return res.status(400).json({
@@ -1477,24 +1524,26 @@ router.patch("/:id([a-z0-9]{20,})/controller", authRequired, async (req, res) =>
   }
 });
 
-router.patch("/:id([a-z0-9]{20,})/team-side", authRequired, async (req, res) => {
+router.patch("/:id([a-z0-9]{20,})/team-side", authRequired, requirePermission("match:manage"), async (req, res) => {
   try {
-    const user = req.user;
     const matchId = String(req.params.id || "").trim();
     const data = assignTeamSideSchema.parse(req.body);
 
-    const ok = await canManageMatch(user, matchId);
-    if (!ok) return res.status(403).json({ message: "Sem permissão" });
-
     const presence = await prisma.matchPresence.findFirst({
       where: { matchId, userId: data.userId },
-      select: { id: true },
+      select: { id: true, status: true },
     });
 
     if (!presence) {
       return res.status(404).json({ message: "Jogador não está na partida" });
     }
 
+    if (!isConfirmedPresence(presence)) {
+      return res.status(409).json({
+        message: "Jogador ainda está na lista de espera",
+      });
+    }
+
     await prisma.matchPresence.update({
       where: { id: presence.id },
       data: {
@@ -1510,6 +1559,13 @@ router.patch("/:id([a-z0-9]{20,})/team-side", authRequired, async (req, res) =>
       include: includePremium,
     });
 
+    await broadcastMatchUpdate(matchId, "team-side", {
+      userId: data.userId,
+      teamSide: data.teamSide,
+      isCaptain:
+        typeof data.isCaptain === "boolean" ? data.isCaptain : undefined,
+    });
+
     return res.json(match);
   } catch (e) {
     return res.status(400).json({
@@ -1519,6 +1575,96 @@ router.patch("/:id([a-z0-9]{20,})/team-side", authRequired, async (req, res) =>
   }
 });
 
+/* ======================================================
+   TIMES BALANCEADOS
+   - sem apply: só devolve a sugestão
+   - apply: grava os lados (guarda os anteriores pra desfazer)
+   ====================================================== */
+
+router.post("/:id([a-z0-9]{20,})/teams/balance", authRequired, requirePermission("match:manage"), async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+    const data = balanceTeamsSchema.parse(req.body || {});
+
+    const proposal = await proposeBalancedTeams(matchId, data);
+    if (!proposal) {
+      return res.status(404).json({ message: "Partida não encontrada" });
+    }
+
+    if (proposal.teamA.players.length + proposal.teamB.players.length < 2) {
+      return res.status(409).json({
+        message: "Jogadores insuficientes para montar os times",
+      });
+    }
+
+    if (!data.apply) {
+      return res.json({ ...proposal, applied: false });
+    }
+
+    if (proposal.status !== "SCHEDULED") {
+      return res.status(409).json({
+        message: "Times só podem ser balanceados antes da partida começar",
+      });
+    }
+
+    await applyBalancedTeams(matchId, proposal);
+
+    const match = await prisma.match.findUnique({
+      where: { id: matchId },
+      include: includePremium,
+    });
+
+    await broadcastMatchUpdate(matchId, "team-side", { balanced: true });
+
+    return res.json({ ...proposal, applied: true, match });
+  } catch (e) {
+    return res.status(400).json({
+      message: "Erro ao balancear times",
+      error: String(e),
+    });
+  }
+});
+
+router.post("/:id([a-z0-9]{20,})/teams/balance/revert", authRequired, requirePermission("match:manage"), async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+
+    const current = await prisma.match.findUnique({
+      where: { id: matchId },
+      select: { status: true },
+    });
+
+    if (!current) {
+      return res.status(404).json({ message: "Partida não encontrada" });
+    }
+
+    if (current.status !== "SCHEDULED") {
+      return res.status(409).json({
+        message: "Times só podem ser alterados antes da partida começar",
+      });
+    }
+
+    const reverted = await revertBalancedTeams(matchId);
+    if (!reverted) {
+      return res.status(409).json({ message: "Nada para desfazer" });
+    }
+
+    const match = await prisma.match.findUnique({
+      where: { id: matchId },
+      include: includePremium,
+    });
+
+    await broadcastMatchUpdate(matchId, "team-side", { balanced: false });
+
+    return res.json(match);
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao desfazer balanceamento",
+      error: String(e),
+    });
+  }
+});
+
 /* ======================================================
    EVENTS
    ====================================================== */
@@ -1573,12 +1719,8 @@ router.post("/:id([a-z0-9]{20,})/events/goal", authRequired, async (req, res) =>
       });
     }
 
-    const isAllowed = await ensureOnlyControllerOrAdmin(user, match);
-    if (!isAllowed) {
-      return res.status(403).json({
-        message: "Apenas o controlador pode registrar eventos",
-      });
-    }
+    const control = await authorize(user, "match:control", { matchId });
+    if (!control.ok) return sendAuthzError(res, control);
 
     const totalGoals = await countConfirmedGoals(matchId);
     if (totalGoals >= 50) {
@@ -1588,7 +1730,7 @@ router.post("/:id([a-z0-9]{20,})/events/goal", authRequired, async (req, res) =>
     }
 
     const playerInMatch = match.presences.find(
-      (p) => p.userId === data.playerId
+      (p) => p.userId === data.playerId && isConfirmedPresence(p)
     );
     if (!playerInMatch) {
       return res.status(400).json({
@@ -1604,7 +1746,7 @@ router.post("/:id([a-z0-9]{20,})/events/goal", authRequired, async (req, res) =>
 
     if (data.assistPlayerId) {
       const assistInMatch = match.presences.find(
-        (p) => p.userId === data.assistPlayerId
+        (p) => p.userId === data.assistPlayerId && isConfirmedPresence(p)
       );
 
       if (!assistInMatch) {
@@ -1653,6 +1795,16 @@ router.post("/:id([a-z0-9]{20,})/events/goal", authRequired, async (req, res) =>
       include: includePremium,
     });
 
+    await broadcastMatchUpdate(matchId, "goal", {
+      event: {
+        id: event.id,
+        teamSide: event.teamSide,
+        minute: event.minute,
+        player: event.player,
+        assistPlayer: event.assistPlayer,
+      },
+    });
+
     await createFeedPost({
       userId: data.playerId,
       matchId,
@@ -1708,12 +1860,8 @@ router.post("/:id([a-z0-9]{20,})/events/undo-last", authRequired, async (req, re
       return res.status(404).json({ message: "Partida não encontrada" });
     }
 
-    const isAllowed = await ensureOnlyControllerOrAdmin(user, match);
-    if (!isAllowed) {
-      return res.status(403).json({
-        message: "Apenas o controlador pode desfazer eventos",
-      });
-    }
+    const control = await authorize(user, "match:control", { matchId });
+    if (!control.ok) return sendAuthzError(res, control);
 
     const lastEvent = await prisma.matchEvent.findFirst({
       where: {
@@ -1735,6 +1883,20 @@ router.post("/:id([a-z0-9]{20,})/events/undo-last", authRequired, async (req, re
       data: { status: "REMOVED" },
     });
 
+    await recordAudit({
+      req,
+      action: "match.event_undone",
+      targetType: "match_event",
+      targetId: lastEvent.id,
+      arenaId: control.resource.court?.arenaId || null,
+      before: { status: lastEvent.status },
+      after: { status: "REMOVED" },
+      metadata: {
+        matchId,
+        ...pickAuditFields(lastEvent, ["type", "teamSide", "playerId", "assistPlayerId", "minute"]),
+      },
+    });
+
     const score = await recalcMatchScore(matchId);
     await rebuildOfficialStatsFromEvents(matchId);
 
@@ -1743,6 +1905,10 @@ router.post("/:id([a-z0-9]{20,})/events/undo-last", authRequired, async (req, re
       include: includePremium,
     });
 
+    await broadcastMatchUpdate(matchId, "undo", {
+      undoneEventId: lastEvent.id,
+    });
+
     return res.json({
       undoneEventId: lastEvent.id,
       score,
@@ -1757,63 +1923,196 @@ router.post("/:id([a-z0-9]{20,})/events/undo-last", authRequired, async (req, re
 });
 
 /* ======================================================
-   STATS
+   AO VIVO (SSE)
+   GET /matches/:id/stream
+   - mesmas regras do chat pra quem está logado
+   - pelada pública: qualquer um assiste
+   - pelada privada: precisa da senha (igual /public/:id)
    ====================================================== */
 
-router.get("/:id([a-z0-9]{20,})/stats", authRequired, async (req, res) => {
+async function canWatchMatch(req, match) {
+  if (req.user?.id) {
+    const ok = await canAccessChat(req.user, match.id);
+    if (ok) return true;
+  }
+
+  if (match.kind !== "PELADA") return false;
+  if (!match.isPrivate) return true;
+
+  const password = String(
+    req.query?.password || req.headers["x-match-password"] || ""
+  ).trim();
+
+  return Boolean(password) && password === String(match.accessPassword || "").trim();
+}
+
+router.get("/:id([a-z0-9]{20,})/stream", authOptional, async (req, res) => {
   try {
     const matchId = String(req.params.id || "").trim();
 
-    const stats = await prisma.matchPlayerStat.findMany({
-      where: { matchId },
-      include: { user: { select: { id: true, name: true } } },
-      orderBy: [
-        { goalsOfficial: "desc" },
-        { assistsOfficial: "desc" },
-        { goalsUnofficial: "desc" },
-        { assistsUnofficial: "desc" },
-      ],
+    const match = await prisma.match.findUnique({
+      where: { id: matchId },
+      select: { id: true, kind: true, isPrivate: true, accessPassword: true },
     });
 
-    return res.json(stats);
+    if (!match) {
+      return res.status(404).json({ message: "Partida não encontrada" });
+    }
+
+    const ok = await canWatchMatch(req, match);
+    if (!ok) {
+      return res.status(req.user?.id ? 403 : 401).json({
+        message: "Sem permissão para acompanhar esta partida",
+      });
+    }
+
+    const scoreboard = await getMatchScoreboard(matchId);
+
+    const send = openSseStream(req, res, getMatchChannel(matchId));
+    send("snapshot", {
+      type: "snapshot",
+      matchId,
+      at: new Date().toISOString(),
+      scoreboard,
+    });
   } catch (e) {
+    if (res.headersSent) return res.end();
+
     return res.status(500).json({
-      message: "Erro ao buscar estatísticas",
+      message: "Erro ao abrir transmissão da partida",
       error: String(e),
     });
   }
 });
 
-router.post("/:id([a-z0-9]{20,})/stats/event", authRequired, async (req, res) => {
+/* ======================================================
+   MVP (votação pós-jogo)
+   - abre no finish, fecha no prazo (MVP_VOTING_MINUTES)
+     ou quando todos os jogadores votaram
+   ====================================================== */
+
+const mvpVoteSchema = z.object({
+  candidateId: z.string().min(3),
+});
+
+router.get("/:id([a-z0-9]{20,})/mvp", authRequired, async (req, res) => {
   try {
-    const user = req.user;
     const matchId = String(req.params.id || "").trim();
-    const data = statEventSchema.parse(req.body);
 
-    if (data.mode === "unofficial" && data.userId !== user.id) {
-      return res.status(403).json({
-        message:
-          "Não-oficial só pode ser lançado pelo próprio jogador (pra evitar troll).",
-      });
+    const voting = await getMvpVoting(matchId, req.user.id);
+    if (!voting) {
+      return res.status(404).json({ message: "Partida não encontrada" });
     }
 
-    if (data.mode === "unofficial") {
-      const inMatch = await isUserInMatch(user.id, matchId);
-      if (!inMatch) {
-        return res
-          .status(403)
-          .json({ message: "Você não está presente nesta partida" });
-      }
-    }
+    return res.json(voting);
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao buscar votação de MVP",
+      error: String(e),
+    });
+  }
+});
 
-    if (data.mode === "official") {
-      const canEdit = await canEditOfficialStats(user, matchId);
-      if (!canEdit) {
-        return res.status(403).json({
-          message: "Sem permissão para lançar estatística oficial",
-        });
-      }
-    }
+router.post("/:id([a-z0-9]{20,})/mvp/vote", authRequired, async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+    const data = mvpVoteSchema.parse(req.body);
+
+    const result = await castMvpVote({
+      matchId,
+      voterId: req.user.id,
+      candidateId: data.candidateId,
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const voting = await getMvpVoting(matchId, req.user.id);
+
+    return res.status(201).json(voting);
+  } catch (e) {
+    return res.status(400).json({
+      message: "Erro ao votar no MVP",
+      error: String(e),
+    });
+  }
+});
+
+router.post("/:id([a-z0-9]{20,})/mvp/close", authRequired, requirePermission("match:manage"), async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+
+    const closed = await closeMvpVoting(matchId, { force: true });
+    if (!closed) {
+      return res.status(409).json({ message: "Votação de MVP não está aberta" });
+    }
+
+    const voting = await getMvpVoting(matchId, req.user.id);
+
+    return res.json(voting);
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao encerrar votação de MVP",
+      error: String(e),
+    });
+  }
+});
+
+/* ======================================================
+   STATS
+   ====================================================== */
+
+router.get("/:id([a-z0-9]{20,})/stats", authRequired, async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+
+    const stats = await prisma.matchPlayerStat.findMany({
+      where: { matchId },
+      include: { user: { select: { id: true, name: true } } },
+      orderBy: [
+        { goalsOfficial: "desc" },
+        { assistsOfficial: "desc" },
+        { goalsUnofficial: "desc" },
+        { assistsUnofficial: "desc" },
+      ],
+    });
+
+    return res.json(stats);
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao buscar estatísticas",
+      error: String(e),
+    });
+  }
+});
+
+router.post("/:id([a-z0-9]{20,})/stats/event", authRequired, async (req, res) => {
+  try {
+    const user = req.user;
+    const matchId = String(req.params.id || "").trim();
+    const data = statEventSchema.parse(req.body);
+
+    if (data.mode === "unofficial" && data.userId !== user.id) {
+      return res.status(403).json({
+        message:
+          "Não-oficial só pode ser lançado pelo próprio jogador (pra evitar troll).",
+      });
+    }
+
+    if (data.mode === "unofficial") {
+      const inMatch = await isUserInMatch(user.id, matchId);
+      if (!inMatch) {
+        return res
+          .status(403)
+          .json({ message: "Você não está presente nesta partida" });
+      }
+    }
+
+    if (data.mode === "official") {
+      const official = await authorize(user, "match:edit_official_stats", { matchId });
+      if (!official.ok) return sendAuthzError(res, official);
+    }
 
     const updateFields =
       data.type === "goal"
@@ -1876,8 +2175,25 @@ router.post("/:id([a-z0-9]{20,})/stats/event", authRequired, async (req, res) =>
 
 /* ======================================================
    PRESENÇA
+   - partida lotada → entra na lista de espera (202)
+   - requirePaymentToConfirm → vaga segura até o Pix (202 + payment)
+   - quem sai libera a vaga pro primeiro da fila
    ====================================================== */
 
+// partida paga: já devolve o Pix de quem entrou. Gateway fora do ar não
+// impede a entrada (paga depois em POST /:id/payment)
+async function openJoinCharge(presence) {
+  if (presence.paymentStatus !== "UNPAID") return null;
+
+  try {
+    const result = await createPresenceCharge(presence.id);
+    return result.ok ? toPixPaymentResponse(result.payment) : null;
+  } catch (e) {
+    console.error("[pix] falha ao gerar cobrança da vaga:", e?.message || e);
+    return null;
+  }
+}
+
 router.post("/:id([a-z0-9]{20,})", authRequired, async (req, res) => {
   try {
     const user = req.user;
@@ -1898,21 +2214,33 @@ router.post("/:id([a-z0-9]{20,})", authRequired, async (req, res) => {
       });
     }
 
-    const maxPlayers = Number(match.maxPlayers || 0);
-    const joinedNow = match.presences?.length || 0;
-    if (maxPlayers > 0 && joinedNow >= maxPlayers) {
-      return res.status(409).json({ message: "Partida lotada." });
-    }
-
     const exists = await prisma.matchPresence.findFirst({
       where: { matchId, userId: user.id },
-      select: { id: true },
+      select: { id: true, status: true },
     });
 
+    // partida paga: pode exigir e-mail confirmado (EMAIL_VERIFICATION_REQUIRED_FOR)
+    if (!exists && isPaidMatch(match)) {
+      const check = await ensureVerifiedEmail(user.id, "paid_matches");
+      if (!check.ok) {
+        return res.status(check.status).json({ message: check.message, code: check.code });
+      }
+    }
+
+    let waitlisted = Boolean(exists) && !isConfirmedPresence(exists);
+    let payment = null;
+
     if (!exists) {
-      await prisma.matchPresence.create({
-        data: { matchId, userId: user.id },
-      });
+      if (hasFreeSpot(match)) {
+        const presence = await prisma.matchPresence.create({
+          data: { matchId, userId: user.id, ...presencePaymentFields(match) },
+        });
+        waitlisted = !isConfirmedPresence(presence);
+        payment = await openJoinCharge(presence);
+      } else {
+        waitlisted = true;
+        await addToWaitlist(matchId, user.id, isPaidMatch(match) ? { paymentStatus: "UNPAID" } : {});
+      }
     }
 
     const updated = await prisma.match.findUnique({
@@ -1920,7 +2248,7 @@ router.post("/:id([a-z0-9]{20,})", authRequired, async (req, res) => {
       include: includePremium,
     });
 
-    return res.json(updated);
+    return res.status(waitlisted ? 202 : 200).json(payment ? { ...updated, payment } : updated);
   } catch (e) {
     return res.status(500).json({
       message: "Erro ao confirmar presença",
@@ -1934,9 +2262,7 @@ router.delete("/:id([a-z0-9]{20,})", authRequired, async (req, res) => {
     const user = req.user;
     const matchId = String(req.params.id || "").trim();
 
-    await prisma.matchPresence.deleteMany({
-      where: { matchId, userId: user.id },
-    });
+    const { removed } = await removePresenceAndPromote(matchId, user.id);
 
     const updated = await prisma.match.findUnique({
       where: { id: matchId },
@@ -1947,6 +2273,17 @@ router.delete("/:id([a-z0-9]{20,})", authRequired, async (req, res) => {
       return res.status(404).json({ message: "Partida não encontrada" });
     }
 
+    // saiu antes do jogo: devolve o Pix da vaga
+    if (removed && updated.status === "SCHEDULED") {
+      await refundMatchPayments({
+        matchId,
+        userId: user.id,
+        reason: "Jogador saiu da partida",
+        requestedById: user.id,
+        req,
+      });
+    }
+
     return res.json(updated);
   } catch (e) {
     return res.status(500).json({
@@ -1997,24 +2334,36 @@ router.post("/:id([a-z0-9]{20,})/join", authRequired, async (req, res) => {
       });
     }
 
-    const maxPlayers = Number(match.maxPlayers || 0);
-    const joinedNow = match.presences?.length || 0;
-    if (maxPlayers > 0 && joinedNow >= maxPlayers) {
-      return res.status(409).json({ message: "Partida lotada." });
-    }
-
     const exists = await prisma.matchPresence.findFirst({
       where: { matchId, userId: user.id },
-      select: { id: true },
+      select: { id: true, status: true },
     });
 
+    // partida paga: pode exigir e-mail confirmado (EMAIL_VERIFICATION_REQUIRED_FOR)
+    if (!exists && isPaidMatch(match)) {
+      const check = await ensureVerifiedEmail(user.id, "paid_matches");
+      if (!check.ok) {
+        return res.status(check.status).json({ message: check.message, code: check.code });
+      }
+    }
+
     let createdPresence = false;
+    let waitlisted = Boolean(exists) && !isConfirmedPresence(exists);
+    let payment = null;
 
     if (!exists) {
-      createdPresence = true;
-      await prisma.matchPresence.create({
-        data: { matchId, userId: user.id },
-      });
+      if (hasFreeSpot(match)) {
+        const presence = await prisma.matchPresence.create({
+          data: { matchId, userId: user.id, ...presencePaymentFields(match) },
+        });
+        // vaga segura esperando o Pix ainda não é check-in
+        createdPresence = isConfirmedPresence(presence);
+        waitlisted = !createdPresence;
+        payment = await openJoinCharge(presence);
+      } else {
+        waitlisted = true;
+        await addToWaitlist(matchId, user.id, isPaidMatch(match) ? { paymentStatus: "UNPAID" } : {});
+      }
     }
 
     const updated = await prisma.match.findUnique({
@@ -2036,7 +2385,7 @@ router.post("/:id([a-z0-9]{20,})/join", authRequired, async (req, res) => {
       });
     }
 
-    return res.json(updated);
+    return res.status(waitlisted ? 202 : 200).json(payment ? { ...updated, payment } : updated);
   } catch (e) {
     return res.status(500).json({
       message: "Erro ao confirmar presença",
@@ -2050,9 +2399,7 @@ router.delete("/:id([a-z0-9]{20,})/join", authRequired, async (req, res) => {
     const user = req.user;
     const matchId = String(req.params.id || "").trim();
 
-    await prisma.matchPresence.deleteMany({
-      where: { matchId, userId: user.id },
-    });
+    const { removed } = await removePresenceAndPromote(matchId, user.id);
 
     const updated = await prisma.match.findUnique({
       where: { id: matchId },
@@ -2063,6 +2410,17 @@ router.delete("/:id([a-z0-9]{20,})/join", authRequired, async (req, res) => {
       return res.status(404).json({ message: "Partida não encontrada" });
     }
 
+    // saiu antes do jogo: devolve o Pix da vaga
+    if (removed && updated.status === "SCHEDULED") {
+      await refundMatchPayments({
+        matchId,
+        userId: user.id,
+        reason: "Jogador saiu da partida",
+        requestedById: user.id,
+        req,
+      });
+    }
+
     return res.json(updated);
   } catch (e) {
     return res.status(500).json({
@@ -2072,21 +2430,297 @@ router.delete("/:id([a-z0-9]{20,})/join", authRequired, async (req, res) => {
   }
 });
 
+router.delete("/:id([a-z0-9]{20,})/players/:userId", authRequired, requirePermission("match:manage"), async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+    const userId = String(req.params.userId || "").trim();
+
+    const { removed } = await removePresenceAndPromote(matchId, userId);
+    if (!removed) {
+      return res.status(404).json({ message: "Jogador não está na partida" });
+    }
+
+    const updated = await prisma.match.findUnique({
+      where: { id: matchId },
+      include: includePremium,
+    });
+
+    if (updated?.status === "SCHEDULED") {
+      await refundMatchPayments({
+        matchId,
+        userId,
+        reason: "Jogador removido da partida",
+        requestedById: req.user.id,
+        arenaId: req.authz.resource.court?.arenaId || null,
+        req,
+      });
+    }
+
+    return res.json(updated);
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao remover jogador",
+      error: String(e),
+    });
+  }
+});
+
 /* ======================================================
-   EXPIRE MANUAL
+   LISTA DE ESPERA
    ====================================================== */
 
-router.patch("/:id([a-z0-9]{20,})/expire", authRequired, async (req, res) => {
+const reorderWaitlistSchema = z.object({
+  userIds: z.array(z.string().min(3)).min(1),
+});
+
+router.get("/:id([a-z0-9]{20,})/waitlist", authRequired, async (req, res) => {
   try {
     const matchId = String(req.params.id || "").trim();
 
-    const ok = await canManageMatch(req.user, matchId);
+    const match = await prisma.match.findUnique({
+      where: { id: matchId },
+      select: { id: true, kind: true, isPrivate: true, accessPassword: true },
+    });
+
+    if (!match) {
+      return res.status(404).json({ message: "Partida não encontrada" });
+    }
+
+    // mesma regra de quem pode ver a partida (participantes/equipe, pelada pública ou com senha)
+    const ok = await canWatchMatch(req, match);
     if (!ok) {
-      return res
-        .status(403)
-        .json({ message: "Sem permissão para expirar a partida" });
+      return res.status(403).json({ message: "Sem permissão para ver esta partida" });
+    }
+
+    const waitlist = await listWaitlist(matchId);
+
+    return res.json(waitlist);
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao buscar lista de espera",
+      error: String(e),
+    });
+  }
+});
+
+router.patch("/:id([a-z0-9]{20,})/waitlist", authRequired, requirePermission("match:manage"), async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+
+    const data = reorderWaitlistSchema.parse(req.body);
+
+    const result = await reorderWaitlist(matchId, data.userIds);
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    return res.json(result.waitlist);
+  } catch (e) {
+    return res.status(400).json({
+      message: "Erro ao reordenar lista de espera",
+      error: String(e),
+    });
+  }
+});
+
+router.post("/:id([a-z0-9]{20,})/waitlist/:userId/promote", authRequired, requirePermission("match:manage"), async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+    const userId = String(req.params.userId || "").trim();
+
+    const result = await promoteFromWaitlist(matchId, userId);
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const updated = await prisma.match.findUnique({
+      where: { id: matchId },
+      include: includePremium,
+    });
+
+    return res.json(updated);
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao promover jogador da lista de espera",
+      error: String(e),
+    });
+  }
+});
+
+/* ======================================================
+   PAGAMENTO POR JOGADOR
+   - collectPayments (opt-in) + pricePerPlayer > 0: cada vaga tem seu Pix
+   - organizador vê quem pagou, marca na mão e cobra
+   ====================================================== */
+
+const presencePaymentSchema = z.object({
+  status: z.enum(PRESENCE_PAYMENT_MARKS),
+});
+
+const paymentSettingsSchema = z.object({
+  collectPayments: z.boolean().optional(),
+  requirePaymentToConfirm: z.boolean().optional(),
+});
+
+router.post("/:id([a-z0-9]{20,})/payment", authRequired, async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+
+    const presence = await prisma.matchPresence.findFirst({
+      where: { matchId, userId: req.user.id },
+      select: { id: true },
+    });
+
+    if (!presence) {
+      return res.status(404).json({ message: "Você não está nesta partida" });
+    }
+
+    const result = await createPresenceCharge(presence.id);
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    return res.json(toPixPaymentResponse(result.payment));
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao gerar cobrança",
+      error: String(e),
+    });
+  }
+});
+
+router.get("/:id([a-z0-9]{20,})/payments", authRequired, requirePermission("match:manage"), async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+
+    const summary = await getMatchPaymentSummary(matchId);
+    if (!summary) {
+      return res.status(404).json({ message: "Partida não encontrada" });
     }
 
+    return res.json(summary);
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao buscar pagamentos",
+      error: String(e),
+    });
+  }
+});
+
+router.patch("/:id([a-z0-9]{20,})/payments/:userId", authRequired, requirePermission("match:manage"), async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+    const userId = String(req.params.userId || "").trim();
+
+    const data = presencePaymentSchema.parse(req.body);
+
+    const result = await setPresencePaymentStatus({
+      matchId,
+      userId,
+      paymentStatus: data.status,
+      actorId: req.user.id,
+      arenaId: req.authz.resource.court?.arenaId || null,
+      req,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    return res.json(await getMatchPaymentSummary(matchId));
+  } catch (e) {
+    return res.status(400).json({
+      message: "Erro ao marcar pagamento",
+      error: String(e),
+    });
+  }
+});
+
+router.post("/:id([a-z0-9]{20,})/payments/remind", authRequired, requirePermission("match:manage"), async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+
+    const result = await remindUnpaidPlayers({ matchId });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    return res.json({ reminded: result.reminded });
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao enviar lembretes",
+      error: String(e),
+    });
+  }
+});
+
+// vale pra quem entrar depois; quem já está confirmado continua
+router.patch("/:id([a-z0-9]{20,})/payment-settings", authRequired, requirePermission("match:manage"), async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+
+    const data = paymentSettingsSchema.parse(req.body);
+
+    const before = await prisma.match.findUnique({
+      where: { id: matchId },
+      select: { pricePerPlayer: true, collectPayments: true, requirePaymentToConfirm: true },
+    });
+
+    if (!before) {
+      return res.status(404).json({ message: "Partida não encontrada" });
+    }
+
+    const collectPayments = data.collectPayments ?? before.collectPayments;
+    // sem cobrança não tem o que exigir
+    const requirePaymentToConfirm = collectPayments
+      ? data.requirePaymentToConfirm ?? before.requirePaymentToConfirm
+      : false;
+
+    if (collectPayments && !isPaidMatch({ ...before, collectPayments })) {
+      return res.status(409).json({ message: "Defina o valor por jogador antes de cobrar pelo Pix" });
+    }
+    if (data.requirePaymentToConfirm && !collectPayments) {
+      return res.status(409).json({ message: "Ative a cobrança pelo Pix antes de exigir pagamento" });
+    }
+
+    const match = await prisma.match.update({
+      where: { id: matchId },
+      data: { collectPayments, requirePaymentToConfirm },
+      include: includePremium,
+    });
+
+    await recordAudit({
+      req,
+      action: "match.payment_settings_changed",
+      targetType: "match",
+      targetId: matchId,
+      arenaId: req.authz.resource.court?.arenaId || null,
+      before: {
+        collectPayments: before.collectPayments,
+        requirePaymentToConfirm: before.requirePaymentToConfirm,
+      },
+      after: {
+        collectPayments: match.collectPayments,
+        requirePaymentToConfirm: match.requirePaymentToConfirm,
+      },
+    });
+
+    return res.json(match);
+  } catch (e) {
+    return res.status(400).json({
+      message: "Erro ao salvar configuração de pagamento",
+      error: String(e),
+    });
+  }
+});
+
+/* ======================================================
+   EXPIRE MANUAL
+   ====================================================== */
+
+router.patch("/:id([a-z0-9]{20,})/expire", authRequired, requirePermission("match:manage"), async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+
     const updated = await prisma.match.update({
       where: { id: matchId },
       data: {
@@ -2096,6 +2730,26 @@ router.patch("/:id([a-z0-9]{20,})/expire", authRequired, async (req, res) => {
       include: includePremium,
     });
 
+    await recordAudit({
+      req,
+      action: "match.expired",
+      targetType: "match",
+      targetId: matchId,
+      arenaId: req.authz.resource.court?.arenaId || null,
+      before: { status: req.authz.resource.status },
+      after: { status: updated.status },
+    });
+
+    await refundMatchPayments({
+      matchId,
+      reason: "Partida expirada",
+      requestedById: req.user.id,
+      arenaId: req.authz.resource.court?.arenaId || null,
+      req,
+    });
+
+    await broadcastMatchUpdate(matchId, "status");
+
     return res.json(updated);
   } catch (error) {
     return res.status(500).json({
@@ -2107,22 +2761,39 @@ router.patch("/:id([a-z0-9]{20,})/expire", authRequired, async (req, res) => {
 
 /* ======================================================
    CHAT DA PARTIDA
+   - histórico com cursor por id (?before= / ?after=)
+   - tempo real via SSE em /messages/stream
    ====================================================== */
 
 const messageSchema = z.object({
   text: z.string().min(1).max(600),
 });
 
-async function canAccessChat(user, matchId) {
-  if (user?.role === "admin") return true;
+const typingSchema = z.object({
+  isTyping: z.boolean().optional(),
+});
 
-  const manage = await canManageMatch(user, matchId);
+const readSchema = z.object({
+  messageId: z.string().min(3),
+});
+
+async function canAccessChat(user, matchId) {
+  const manage = await can(user, "match:manage", { matchId });
   if (manage) return true;
 
   const inMatch = await isUserInMatch(user?.id, matchId);
   return Boolean(inMatch);
 }
 
+// editar: só o autor. apagar: autor, organizador ou admin
+async function canModerateMessage(user, matchId, message, action) {
+  if (!message) return false;
+  if (message.userId === user?.id) return true;
+  if (action === "edit") return false;
+
+  return can(user, "match:moderate_chat", { matchId });
+}
+
 router.get("/:id([a-z0-9]{20,})/messages", authRequired, async (req, res) => {
   try {
     const matchId = String(req.params.id || "").trim();
@@ -2134,14 +2805,11 @@ router.get("/:id([a-z0-9]{20,})/messages", authRequired, async (req, res) => {
       });
     }
 
-    const messages = await prisma.matchMessage.findMany({
-      where: { matchId },
-      orderBy: { createdAt: "asc" },
-      include: {
-        user: {
-          select: { id: true, name: true, imageUrl: true, role: true },
-        },
-      },
+    const messages = await listMessages({
+      matchId,
+      before: req.query.before ? String(req.query.before) : null,
+      after: req.query.after ? String(req.query.after) : null,
+      limit: req.query.limit,
     });
 
     return res.json(messages);
@@ -2167,17 +2835,10 @@ router.post("/:id([a-z0-9]{20,})/messages", authRequired, async (req, res) => {
 
     const data = messageSchema.parse(req.body);
 
-    const created = await prisma.matchMessage.create({
-      data: {
-        matchId,
-        userId,
-        text: data.text.trim(),
-      },
-      include: {
-        user: {
-          select: { id: true, name: true, imageUrl: true, role: true },
-        },
-      },
+    const created = await createMessage({
+      matchId,
+      userId,
+      text: data.text,
     });
 
     return res.status(201).json(created);
@@ -2195,23 +2856,25 @@ router.get("/:id([a-z0-9]{20,})/messages/since", authRequired, async (req, res)
     const ok = await canAccessChat(req.user, matchId);
     if (!ok) return res.status(403).json({ message: "Sem permissão" });
 
+    // ✅ novo: cursor por id (não perde mensagens do mesmo milissegundo)
+    const afterId = String(req.query.afterId || "").trim();
+    if (afterId) {
+      const messages = await listMessages({
+        matchId,
+        after: afterId,
+        limit: req.query.limit,
+      });
+      return res.json(messages);
+    }
+
+    // legado: ?after=<ISO date>
     const afterRaw = String(req.query.after || "").trim();
     const after = afterRaw ? new Date(afterRaw) : null;
 
-    const where =
-      after && !Number.isNaN(after.getTime())
-        ? { matchId, createdAt: { gt: after } }
-        : { matchId };
-
-    const messages = await prisma.matchMessage.findMany({
-      where,
-      orderBy: { createdAt: "asc" },
-      include: {
-        user: {
-          select: { id: true, name: true, role: true, imageUrl: true },
-        },
-      },
-      take: 50,
+    const messages = await listMessagesSinceDate({
+      matchId,
+      after,
+      limit: req.query.limit,
     });
 
     return res.json(messages);
@@ -2223,4 +2886,163 @@ router.get("/:id([a-z0-9]{20,})/messages/since", authRequired, async (req, res)
   }
 });
 
+router.get("/:id([a-z0-9]{20,})/messages/stream", authOptional, async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+
+    if (!req.user?.id) {
+      return res.status(401).json({ message: "Token ausente" });
+    }
+
+    const ok = await canAccessChat(req.user, matchId);
+    if (!ok) {
+      return res.status(403).json({
+        message: "Sem permissão para ver o chat desta partida",
+      });
+    }
+
+    const send = openSseStream(req, res, getChatChannel(matchId));
+    send("ready", { matchId, at: new Date().toISOString() });
+  } catch (e) {
+    if (res.headersSent) return res.end();
+
+    return res.status(500).json({
+      message: "Erro ao abrir chat em tempo real",
+      error: String(e),
+    });
+  }
+});
+
+router.post("/:id([a-z0-9]{20,})/messages/typing", authRequired, async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+
+    const ok = await canAccessChat(req.user, matchId);
+    if (!ok) return res.status(403).json({ message: "Sem permissão" });
+
+    const data = typingSchema.parse(req.body || {});
+
+    publishTyping({
+      matchId,
+      userId: req.user.id,
+      isTyping: data.isTyping ?? true,
+    });
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return res.status(400).json({
+      message: "Erro ao enviar status de digitação",
+      error: String(e),
+    });
+  }
+});
+
+router.post("/:id([a-z0-9]{20,})/messages/read", authRequired, async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+
+    const ok = await canAccessChat(req.user, matchId);
+    if (!ok) return res.status(403).json({ message: "Sem permissão" });
+
+    const data = readSchema.parse(req.body);
+
+    const message = await findMessage(matchId, data.messageId);
+    if (!message) {
+      return res.status(404).json({ message: "Mensagem não encontrada" });
+    }
+
+    const read = await markMessagesRead({
+      matchId,
+      userId: req.user.id,
+      message,
+    });
+
+    return res.json(read);
+  } catch (e) {
+    return res.status(400).json({
+      message: "Erro ao marcar mensagens como lidas",
+      error: String(e),
+    });
+  }
+});
+
+router.get("/:id([a-z0-9]{20,})/messages/reads", authRequired, async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+
+    const ok = await canAccessChat(req.user, matchId);
+    if (!ok) return res.status(403).json({ message: "Sem permissão" });
+
+    const reads = await listMessageReads(matchId);
+
+    return res.json(reads);
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao buscar confirmações de leitura",
+      error: String(e),
+    });
+  }
+});
+
+router.patch("/:id([a-z0-9]{20,})/messages/:messageId([a-z0-9]{20,})", authRequired, async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+    const messageId = String(req.params.messageId || "").trim();
+
+    const ok = await canAccessChat(req.user, matchId);
+    if (!ok) return res.status(403).json({ message: "Sem permissão" });
+
+    const message = await findMessage(matchId, messageId);
+    if (!message || message.deletedAt) {
+      return res.status(404).json({ message: "Mensagem não encontrada" });
+    }
+
+    const allowed = await canModerateMessage(req.user, matchId, message, "edit");
+    if (!allowed) {
+      return res.status(403).json({
+        message: "Só o autor pode editar a mensagem",
+      });
+    }
+
+    const data = messageSchema.parse(req.body);
+
+    const updated = await editMessage({ messageId, text: data.text });
+
+    return res.json(updated);
+  } catch (e) {
+    return res.status(400).json({
+      message: "Erro ao editar mensagem",
+      error: String(e),
+    });
+  }
+});
+
+router.delete("/:id([a-z0-9]{20,})/messages/:messageId([a-z0-9]{20,})", authRequired, async (req, res) => {
+  try {
+    const matchId = String(req.params.id || "").trim();
+    const messageId = String(req.params.messageId || "").trim();
+
+    const message = await findMessage(matchId, messageId);
+    if (!message || message.deletedAt) {
+      return res.status(404).json({ message: "Mensagem não encontrada" });
+    }
+
+    const allowed = await canModerateMessage(req.user, matchId, message, "delete");
+    if (!allowed) {
+      return res.status(403).json({
+        message: "Sem permissão para apagar esta mensagem",
+      });
+    }
+
+    const deleted = await deleteMessage({ messageId });
+
+    return res.json(deleted);
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao apagar mensagem",
+      error: String(e),
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,184 @@
+import { Router } from "express";
+import { z } from "zod";
+import { authOptional, authRequired } from "../middleware/auth.js";
+import { openSseStream } from "../lib/sseHub.js";
+import {
+  NOTIFICATION_TYPES,
+  countUnreadNotifications,
+  getNotificationChannel,
+  getNotificationPreferences,
+  listNotifications,
+  markAllNotificationsRead,
+  markNotificationRead,
+  updateNotificationPreferences,
+} from "../services/notificationService.js";
+
+const router = Router();
+
+const listQuerySchema = z.object({
+  before: z.string().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional(),
+  unread: z.enum(["true", "false", "1", "0"]).optional(),
+});
+
+const preferencesSchema = z.object({
+  preferences: z
+    .array(
+      z.object({
+        type: z.enum(NOTIFICATION_TYPES),
+        enabled: z.boolean(),
+      })
+    )
+    .min(1),
+});
+
+/* ======================================================
+   TEMPO REAL (SSE)
+   GET /notifications/stream?token=
+   - EventSource não manda header, por isso authOptional
+   ====================================================== */
+
+router.get("/stream", authOptional, async (req, res) => {
+  try {
+    if (!req.user?.id) {
+      return res.status(401).json({ message: "Token ausente" });
+    }
+
+    const unreadCount = await countUnreadNotifications(req.user.id);
+
+    const send = openSseStream(req, res, getNotificationChannel(req.user.id));
+    send("snapshot", { unreadCount, at: new Date().toISOString() });
+  } catch (e) {
+    if (res.headersSent) return res.end();
+
+    return res.status(500).json({
+      message: "Erro ao abrir notificações em tempo real",
+      error: String(e),
+    });
+  }
+});
+
+router.use(authRequired);
+
+/* ======================================================
+   LISTA
+   GET /notifications?before=<id>&limit=30&unread=true
+   ====================================================== */
+
+router.get("/", async (req, res) => {
+  try {
+    const parsed = listQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({
+        message: "Parâmetros inválidos",
+        errors: parsed.error.flatten(),
+      });
+    }
+
+    const { before, limit, unread } = parsed.data;
+
+    const result = await listNotifications({
+      userId: req.user.id,
+      before,
+      limit,
+      unreadOnly: unread === "true" || unread === "1",
+    });
+
+    return res.json(result);
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao listar notificações",
+      error: String(e),
+    });
+  }
+});
+
+router.get("/unread-count", async (req, res) => {
+  try {
+    const unreadCount = await countUnreadNotifications(req.user.id);
+    return res.json({ unreadCount });
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao contar notificações",
+      error: String(e),
+    });
+  }
+});
+
+/* ======================================================
+   LEITURA
+   ====================================================== */
+
+router.patch("/:id/read", async (req, res) => {
+  try {
+    const unreadCount = await markNotificationRead({
+      userId: req.user.id,
+      notificationId: String(req.params.id || "").trim(),
+    });
+
+    if (unreadCount === null) {
+      return res.status(404).json({ message: "Notificação não encontrada" });
+    }
+
+    return res.json({ ok: true, unreadCount });
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao marcar notificação como lida",
+      error: String(e),
+    });
+  }
+});
+
+router.post("/read-all", async (req, res) => {
+  try {
+    const updated = await markAllNotificationsRead(req.user.id);
+    return res.json({ ok: true, updated, unreadCount: 0 });
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao marcar notificações como lidas",
+      error: String(e),
+    });
+  }
+});
+
+/* ======================================================
+   PREFERÊNCIAS (silenciar por tipo)
+   ====================================================== */
+
+router.get("/preferences", async (req, res) => {
+  try {
+    const preferences = await getNotificationPreferences(req.user.id);
+    return res.json({ preferences });
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao buscar preferências",
+      error: String(e),
+    });
+  }
+});
+
+router.put("/preferences", async (req, res) => {
+  try {
+    const parsed = preferencesSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        message: "Dados inválidos",
+        errors: parsed.error.flatten(),
+      });
+    }
+
+    const byType = Object.fromEntries(
+      parsed.data.preferences.map((item) => [item.type, item.enabled])
+    );
+
+    const preferences = await updateNotificationPreferences(req.user.id, byType);
+    return res.json({ preferences });
+  } catch (e) {
+    return res.status(500).json({
+      message: "Erro ao salvar preferências",
+      error: String(e),
+    });
+  }
+});
+
+export default router;
@@ -2,37 +2,27 @@ import { Router } from "express";
 import { z } from "zod";
 import { prisma } from "../lib/prisma.js";
 import { authRequired } from "../middleware/auth.js";
+import { sendAuthzError } from "../middleware/permission.js";
+import { authorize, listPermittedArenaIds } from "../services/authz/index.js";
 
 const router = Router();
 
-function isRole(user, roles = []) {
-  return roles.includes(user?.role);
-}
-
 const createSchema = z.object({
   organizerId: z.string().min(1),
   courtId: z.string().min(1),
 });
 
 // ✅ POST /partner-arenas
-// arena_owner cria parceria: organizador X pode usar courtId (desde que a court seja dele)
+// dono/gerente da arena cria parceria: organizador X pode usar courtId
 // admin pode criar qualquer
 router.post("/", authRequired, async (req, res) => {
   try {
     const user = req.user;
 
-    if (!isRole(user, ["arena_owner", "admin"])) {
-      return res.status(403).json({ message: "Sem permissão" });
-    }
-
     const data = createSchema.parse(req.body);
 
-    const court = await prisma.court.findUnique({ where: { id: data.courtId } });
-    if (!court) return res.status(404).json({ message: "Arena não encontrada" });
-
-    if (isRole(user, ["arena_owner"]) && court.arenaOwnerId !== user.id) {
-      return res.status(403).json({ message: "Você não pode liberar uma arena que não é sua" });
-    }
+    const check = await authorize(user, "arena:manage_partners", { courtId: data.courtId });
+    if (!check.ok) return sendAuthzError(res, check);
 
     // garante que organizer existe
     const organizer = await prisma.user.findUnique({ where: { id: data.organizerId } });
@@ -57,14 +47,16 @@ router.post("/", authRequired, async (req, res) => {
 });
 
 // ✅ GET /partner-arenas
-// arena_owner: lista parcerias das courts dele
+// dono/gerente da arena: lista parcerias das courts dela
 // owner: lista as parcerias dele
 // admin: lista tudo
 router.get("/", authRequired, async (req, res) => {
   try {
     const user = req.user;
 
-    if (isRole(user, ["admin"])) {
+    const arenaIds = await listPermittedArenaIds(user, "arena:manage_partners");
+
+    if (arenaIds === null) {
       const list = await prisma.partnerArena.findMany({
         include: { court: true, organizer: { select: { id: true, name: true, email: true } } },
         orderBy: { createdAt: "desc" },
@@ -72,16 +64,18 @@ router.get("/", authRequired, async (req, res) => {
       return res.json(list);
     }
 
-    if (isRole(user, ["arena_owner"])) {
+    if (arenaIds.length || user.role === "arena_owner") {
       const list = await prisma.partnerArena.findMany({
-        where: { court: { arenaOwnerId: user.id } },
+        where: {
+          court: { OR: [{ arenaId: { in: arenaIds } }, { arenaOwnerId: user.id }] },
+        },
         include: { court: true, organizer: { select: { id: true, name: true, email: true } } },
         orderBy: { createdAt: "desc" },
       });
       return res.json(list);
     }
 
-    if (isRole(user, ["owner"])) {
+    if (user.role === "owner") {
       const list = await prisma.partnerArena.findMany({
         where: { organizerId: user.id },
         include: { court: true },
@@ -97,17 +91,13 @@ router.get("/", authRequired, async (req, res) => {
 });
 
 // ✅ DELETE /partner-arenas/:id
-// arena_owner pode remover se a court é dele
+// dono/gerente da arena pode remover se a court é dela
 // admin pode tudo
 router.delete("/:id", authRequired, async (req, res) => {
   try {
     const user = req.user;
     const id = req.params.id;
 
-    if (!isRole(user, ["arena_owner", "admin"])) {
-      return res.status(403).json({ message: "Sem permissão" });
-    }
-
     const partnership = await prisma.partnerArena.findUnique({
       where: { id },
       include: { court: true },
@@ -115,9 +105,8 @@ router.delete("/:id", authRequired, async (req, res) => {
 
     if (!partnership) return res.status(404).json({ message: "Parceria não encontrada" });
 
-    if (isRole(user, ["arena_owner"]) && partnership.court?.arenaOwnerId !== user.id) {
-      return res.status(403).json({ message: "Você não pode remover essa parceria" });
-    }
+    const check = await authorize(user, "arena:manage_partners", { courtId: partnership.courtId });
+    if (!check.ok) return sendAuthzError(res, check);
 
     await prisma.partnerArena.delete({ where: { id } });
     return res.json({ ok: true });
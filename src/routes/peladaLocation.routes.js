@@ -2,13 +2,11 @@ import { Router } from "express";
 import { z } from "zod";
 import { prisma } from "../lib/prisma.js";
 import { authRequired } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permission.js";
+import { can } from "../services/authz/index.js";
 
 const router = Router();
 
-function isRole(user, roles = []) {
-  return roles.includes(user?.role);
-}
-
 const createPeladaLocationSchema = z.object({
   name: z.string().min(2).max(120),
   address: z.string().min(2).max(220),
@@ -54,18 +52,12 @@ router.get("/public", async (req, res) => {
    - owner vê os que criou
    ====================================================== */
 
-router.get("/", authRequired, async (req, res) => {
+router.get("/", authRequired, requirePermission("pelada_location:list"), async (req, res) => {
   try {
     const user = req.user;
 
-    if (!isRole(user, ["admin", "owner"])) {
-      return res.status(403).json({
-        message: "Sem permissão para listar locais",
-      });
-    }
-
     const where =
-      user.role === "admin"
+      (await can(user, "pelada_location:view_all"))
         ? {}
         : {
             createdById: user.id,
@@ -105,16 +97,10 @@ router.get("/", authRequired, async (req, res) => {
    - owner e admin
    ====================================================== */
 
-router.post("/", authRequired, async (req, res) => {
+router.post("/", authRequired, requirePermission("pelada_location:create"), async (req, res) => {
   try {
     const user = req.user;
 
-    if (!isRole(user, ["admin", "owner"])) {
-      return res.status(403).json({
-        message: "Sem permissão para criar local",
-      });
-    }
-
     const data = createPeladaLocationSchema.parse(req.body);
 
     const exists = await prisma.peladaLocation.findFirst({
@@ -165,39 +151,12 @@ router.post("/", authRequired, async (req, res) => {
    - owner só edita os que criou
    ====================================================== */
 
-router.patch("/:id([a-z0-9]{20,})", authRequired, async (req, res) => {
+router.patch("/:id([a-z0-9]{20,})", authRequired, requirePermission("pelada_location:update"), async (req, res) => {
   try {
-    const user = req.user;
     const id = String(req.params.id || "").trim();
 
-    if (!isRole(user, ["admin", "owner"])) {
-      return res.status(403).json({
-        message: "Sem permissão para editar local",
-      });
-    }
-
     const data = updatePeladaLocationSchema.parse(req.body);
 
-    const existing = await prisma.peladaLocation.findUnique({
-      where: { id },
-      select: {
-        id: true,
-        createdById: true,
-      },
-    });
-
-    if (!existing) {
-      return res.status(404).json({
-        message: "Local não encontrado",
-      });
-    }
-
-    if (user.role !== "admin" && existing.createdById !== user.id) {
-      return res.status(403).json({
-        message: "Você só pode editar os locais que criou",
-      });
-    }
-
     const updated = await prisma.peladaLocation.update({
       where: { id },
       data: {
@@ -241,37 +200,10 @@ router.patch("/:id([a-z0-9]{20,})", authRequired, async (req, res) => {
    - owner só nos que criou
    ====================================================== */
 
-router.patch("/:id([a-z0-9]{20,})/toggle", authRequired, async (req, res) => {
+router.patch("/:id([a-z0-9]{20,})/toggle", authRequired, requirePermission("pelada_location:update"), async (req, res) => {
   try {
-    const user = req.user;
     const id = String(req.params.id || "").trim();
-
-    if (!isRole(user, ["admin", "owner"])) {
-      return res.status(403).json({
-        message: "Sem permissão para alterar status do local",
-      });
-    }
-
-    const existing = await prisma.peladaLocation.findUnique({
-      where: { id },
-      select: {
-        id: true,
-        isActive: true,
-        createdById: true,
-      },
-    });
-
-    if (!existing) {
-      return res.status(404).json({
-        message: "Local não encontrado",
-      });
-    }
-
-    if (user.role !== "admin" && existing.createdById !== user.id) {
-      return res.status(403).json({
-        message: "Você só pode alterar os locais que criou",
-      });
-    }
+    const existing = req.authz.resource;
 
     const updated = await prisma.peladaLocation.update({
       where: { id },
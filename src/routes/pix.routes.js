@@ -0,0 +1,89 @@
+import { Router } from "express";
+import { prisma } from "../lib/prisma.js";
+import { authRequired } from "../middleware/auth.js";
+import { requirePermission, sendAuthzError } from "../middleware/permission.js";
+import { authorize } from "../services/authz/index.js";
+import {
+  createReservationCharge,
+  createShareCharge,
+  toPixPaymentResponse,
+} from "../services/pixPaymentService.js";
+
+const router = Router();
+
+// 🔒 usuário logado cria/pega cobrança da própria reserva
+router.use(authRequired);
+
+/**
+ * POST /pix/reservations/:id/charge
+ * - cria a cobrança Pix no gateway da arena (ou retorna a pendente que ainda vale)
+ * - cobrança expirada: gera outra
+ */
+router.post("/reservations/:id/charge", requirePermission("reservation:pay"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const reservation = await prisma.reservation.findUnique({
+      where: { id },
+      include: { court: { include: { arena: true } } },
+    });
+    if (!reservation) return res.status(404).json({ error: "Reserva não encontrada" });
+
+    const result = await createReservationCharge(reservation);
+    if (!result.ok) return res.status(result.status).json({ error: result.message });
+
+    return res.json(toPixPaymentResponse(result.payment));
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Erro" });
+  }
+});
+
+/**
+ * POST /pix/shares/:shareId/charge
+ * - Pix da minha parte numa reserva dividida (mesma regra de reaproveitar/regerar)
+ */
+router.post("/shares/:shareId/charge", async (req, res) => {
+  try {
+    const result = await createShareCharge(req.params.shareId, req.user.id);
+    if (!result.ok) return res.status(result.status).json({ error: result.message });
+
+    return res.json(toPixPaymentResponse(result.payment));
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Erro" });
+  }
+});
+
+/**
+ * GET /pix/payments/:paymentId
+ * (front faz polling pra saber quando ficou PAID/EXPIRED)
+ * - reserva: titular; parte de reserva dividida: quem paga ou o titular;
+ *   vaga de partida: quem paga ou quem gerencia a partida
+ */
+router.get("/payments/:paymentId", async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+    const p = await prisma.pixPayment.findUnique({ where: { id: paymentId } });
+    if (!p) return res.status(404).json({ error: "Pagamento não encontrado" });
+
+    if (p.reservationId || p.payerId !== req.user.id) {
+      const share = p.shareId
+        ? await prisma.reservationShare.findUnique({
+            where: { id: p.shareId },
+            select: { reservationId: true },
+          })
+        : null;
+      const reservationId = p.reservationId || share?.reservationId;
+
+      const check = reservationId
+        ? await authorize(req.user, "reservation:pay", { reservationId })
+        : await authorize(req.user, "match:manage", { matchId: p.matchId });
+      if (!check.ok) return sendAuthzError(res, check);
+    }
+
+    return res.json({ id: p.id, ...toPixPaymentResponse(p) });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || "Erro" });
+  }
+});
+
+export default router;
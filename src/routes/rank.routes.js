@@ -1,38 +1,474 @@
 import { Router } from "express";
-import { authRequired } from "../middleware/auth.js";
+import { z } from "zod";
+import { authOptional, authRequired } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permission.js";
 import {
   ensurePlayerRank,
   buildRankSummary,
   getGlobalRanking,
 } from "../services/rankService.js";
+import {
+  closeSeason,
+  createSeason,
+  getCurrentSeasonKey,
+  getSeasonSnapshot,
+  getUserSeasonHistory,
+  listSeasons,
+  resolveSeasonKey,
+  syncSeasons,
+  updateSeason,
+} from "../services/rankSeasonService.js";
+import {
+  getRatingChart,
+  listMatchRankChanges,
+  listRankChanges,
+  reprocessMatchRank,
+  revertMatchRank,
+} from "../services/rankHistoryService.js";
+import {
+  LEADERBOARD_SCOPES,
+  getLeaderboard,
+} from "../services/leaderboardService.js";
+import {
+  STAT_CATEGORIES,
+  STAT_WINDOWS,
+  getStatBoard,
+  getStatBoardsSummary,
+} from "../services/statBoardService.js";
+import { prisma } from "../lib/prisma.js";
 
 const router = Router();
 
+
+const seasonKeySchema = z
+  .string()
+  .trim()
+  .min(2)
+  .max(40)
+  .regex(/^[a-z0-9][a-z0-9-_]*$/i, "Use letras, números, - ou _");
+
+const createSeasonSchema = z.object({
+  key: seasonKeySchema,
+  name: z.string().trim().min(2).max(80),
+  startsAt: z.coerce.date(),
+  endsAt: z.coerce.date(),
+  softResetFactor: z.number().min(0).max(1).optional(),
+});
+
+const updateSeasonSchema = z.object({
+  name: z.string().trim().min(2).max(80).optional(),
+  startsAt: z.coerce.date().optional(),
+  endsAt: z.coerce.date().optional(),
+  softResetFactor: z.number().min(0).max(1).optional(),
+});
+
+const leaderboardQuerySchema = z.object({
+  scope: z.enum(LEADERBOARD_SCOPES).default("global"),
+  season: z.string().trim().optional(),
+  city: z.string().trim().min(1).optional(),
+  bairro: z.string().trim().min(1).optional(),
+  arenaId: z.string().trim().min(3).optional(),
+  courtType: z
+    .enum([
+      "FUTSAL",
+      "FUT7",
+      "CAMPO",
+      "VOLEI",
+      "FUTVOLEI",
+      "BEACH_TENNIS",
+      "BASQUETE",
+      "TENIS",
+      "HANDEBOL",
+      "SKATE",
+      "OUTRO",
+    ])
+    .optional(),
+  page: z.coerce.number().int().min(1).optional(),
+  pageSize: z.coerce.number().int().min(1).optional(),
+});
+
+const statBoardQuerySchema = z.object({
+  window: z.enum(STAT_WINDOWS).default("season"),
+  season: z.string().trim().optional(),
+  minGames: z.coerce.number().int().min(1).max(100).optional(),
+  page: z.coerce.number().int().min(1).optional(),
+  pageSize: z.coerce.number().int().min(1).optional(),
+});
+
 router.get("/me/rank", authRequired, async (req, res) => {
   try {
     const userId = req.user.id;
 
-    const rank = await ensurePlayerRank(userId);
+    const season = await resolveSeasonKey(req.query.season);
+    if (!season) {
+      return res.status(404).json({ error: "Temporada não encontrada." });
+    }
+
+    // temporada passada: só lê, não cria linha nova
+    const current = await getCurrentSeasonKey();
+    const rank =
+      season === current
+        ? await ensurePlayerRank(userId, season)
+        : await prisma.playerRank.findUnique({
+            where: { userId_season: { userId, season } },
+          });
 
-    return res.json(buildRankSummary(rank));
-  } catch (error) {
-    error("GET /me/rank error:", error);
+    return res.json(buildRankSummary(rank || { season }));
+  } catch (err) {
+    console.error("GET /me/rank error:", err);
     return res.status(500).json({
       error: "Erro ao buscar rank do jogador.",
     });
   }
 });
 
-router.get("/ranking/global", async (_req, res) => {
+router.get("/ranking/global", async (req, res) => {
   try {
-    const ranking = await getGlobalRanking({ take: 100 });
+    const season = await resolveSeasonKey(req.query.season);
+    if (!season) {
+      return res.status(404).json({ error: "Temporada não encontrada." });
+    }
+
+    const ranking = await getGlobalRanking({ take: 100, season });
     return res.json(ranking);
-  } catch (error) {
-    error("GET /ranking/global error:", error);
+  } catch (err) {
+    console.error("GET /ranking/global error:", err);
     return res.status(500).json({
       error: "Erro ao buscar ranking global.",
     });
   }
 });
 
-export default router;
\ No newline at end of file
+/* ======================================================
+   LEADERBOARDS
+   GET /rank/leaderboard?scope=global|city|bairro|arena|courtType|friends
+   - logado: `me` traz a posição do usuário mesmo fora da página
+   ====================================================== */
+
+router.get("/leaderboard", authOptional, async (req, res) => {
+  try {
+    const query = leaderboardQuerySchema.safeParse(req.query);
+    if (!query.success) {
+      return res.status(400).json({
+        error: "Parâmetros inválidos.",
+        details: query.error.flatten(),
+      });
+    }
+
+    const season = await resolveSeasonKey(query.data.season);
+    if (!season) {
+      return res.status(404).json({ error: "Temporada não encontrada." });
+    }
+
+    const result = await getLeaderboard({
+      ...query.data,
+      season,
+      userId: req.user?.id || null,
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.message });
+    }
+
+    const { ok, ...board } = result;
+    return res.json(board);
+  } catch (err) {
+    console.error("GET /leaderboard error:", err);
+    return res.status(500).json({ error: "Erro ao buscar ranking." });
+  }
+});
+
+/* ======================================================
+   CATEGORIAS (artilharia, assistências, MVPs, aproveitamento,
+   sequência de vitórias, partidas) por janela: 30d | season | all
+   ====================================================== */
+
+async function parseStatBoardQuery(req, res) {
+  const query = statBoardQuerySchema.safeParse(req.query);
+  if (!query.success) {
+    res.status(400).json({
+      error: "Parâmetros inválidos.",
+      details: query.error.flatten(),
+    });
+    return null;
+  }
+
+  let season = null;
+  if (query.data.window === "season") {
+    season = await resolveSeasonKey(query.data.season);
+    if (!season) {
+      res.status(404).json({ error: "Temporada não encontrada." });
+      return null;
+    }
+  }
+
+  return { ...query.data, season };
+}
+
+router.get("/boards", authOptional, async (req, res) => {
+  try {
+    const query = await parseStatBoardQuery(req, res);
+    if (!query) return;
+
+    const boards = await getStatBoardsSummary({
+      window: query.window,
+      season: query.season,
+      minGames: query.minGames,
+      userId: req.user?.id || null,
+    });
+
+    return res.json(boards);
+  } catch (err) {
+    console.error("GET /boards error:", err);
+    return res.status(500).json({ error: "Erro ao buscar rankings por categoria." });
+  }
+});
+
+router.get("/boards/:category", authOptional, async (req, res) => {
+  try {
+    const category = String(req.params.category || "");
+    if (!STAT_CATEGORIES.includes(category)) {
+      return res.status(404).json({ error: "Categoria não encontrada." });
+    }
+
+    const query = await parseStatBoardQuery(req, res);
+    if (!query) return;
+
+    const board = await getStatBoard({
+      ...query,
+      category,
+      userId: req.user?.id || null,
+    });
+
+    return res.json(board);
+  } catch (err) {
+    console.error("GET /boards/:category error:", err);
+    return res.status(500).json({ error: "Erro ao buscar ranking da categoria." });
+  }
+});
+
+/* ======================================================
+   HISTÓRICO DE RATING
+   ====================================================== */
+
+async function sendRankHistory(req, res, userId) {
+  const season = await resolveSeasonKey(req.query.season);
+  if (!season) {
+    return res.status(404).json({ error: "Temporada não encontrada." });
+  }
+
+  const history = await listRankChanges({
+    userId,
+    season,
+    before: req.query.before ? String(req.query.before) : null,
+    limit: req.query.limit,
+  });
+
+  return res.json(history);
+}
+
+async function sendRatingChart(req, res, userId) {
+  const season = await resolveSeasonKey(req.query.season);
+  if (!season) {
+    return res.status(404).json({ error: "Temporada não encontrada." });
+  }
+
+  const points = await getRatingChart({ userId, season, limit: req.query.limit });
+  return res.json(points);
+}
+
+router.get("/me/rank/history", authRequired, async (req, res) => {
+  try {
+    return await sendRankHistory(req, res, req.user.id);
+  } catch (err) {
+    console.error("GET /me/rank/history error:", err);
+    return res.status(500).json({ error: "Erro ao buscar histórico de rating." });
+  }
+});
+
+router.get("/me/rank/chart", authRequired, async (req, res) => {
+  try {
+    return await sendRatingChart(req, res, req.user.id);
+  } catch (err) {
+    console.error("GET /me/rank/chart error:", err);
+    return res.status(500).json({ error: "Erro ao buscar gráfico de rating." });
+  }
+});
+
+router.get("/users/:userId/history", async (req, res) => {
+  try {
+    return await sendRankHistory(req, res, String(req.params.userId));
+  } catch (err) {
+    console.error("GET /users/:userId/history error:", err);
+    return res.status(500).json({ error: "Erro ao buscar histórico de rating." });
+  }
+});
+
+router.get("/users/:userId/chart", async (req, res) => {
+  try {
+    return await sendRatingChart(req, res, String(req.params.userId));
+  } catch (err) {
+    console.error("GET /users/:userId/chart error:", err);
+    return res.status(500).json({ error: "Erro ao buscar gráfico de rating." });
+  }
+});
+
+/* ======================================================
+   AUDITORIA / REVERSÃO (admin)
+   ====================================================== */
+
+router.get("/matches/:matchId/changes", authRequired, requirePermission("rank:admin"), async (req, res) => {
+  try {
+    const changes = await listMatchRankChanges(String(req.params.matchId));
+    return res.json(changes);
+  } catch (err) {
+    console.error("GET /matches/:matchId/changes error:", err);
+    return res.status(500).json({ error: "Erro ao buscar alterações de rank." });
+  }
+});
+
+router.post("/matches/:matchId/revert", authRequired, requirePermission("rank:admin"), async (req, res) => {
+  try {
+    const result = await revertMatchRank(String(req.params.matchId), {
+      revertedById: req.user.id,
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.message });
+    }
+
+    return res.json(result.changes);
+  } catch (err) {
+    console.error("POST /matches/:matchId/revert error:", err);
+    return res.status(500).json({ error: "Erro ao reverter rank da partida." });
+  }
+});
+
+router.post("/matches/:matchId/reprocess", authRequired, requirePermission("rank:admin"), async (req, res) => {
+  try {
+    const result = await reprocessMatchRank(String(req.params.matchId));
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.message });
+    }
+
+    return res.json(result.changes);
+  } catch (err) {
+    console.error("POST /matches/:matchId/reprocess error:", err);
+    return res.status(500).json({ error: "Erro ao reprocessar rank da partida." });
+  }
+});
+
+/* ======================================================
+   TEMPORADAS
+   ====================================================== */
+
+router.get("/seasons", async (_req, res) => {
+  try {
+    const seasons = await listSeasons();
+    return res.json(seasons);
+  } catch (err) {
+    console.error("GET /seasons error:", err);
+    return res.status(500).json({ error: "Erro ao buscar temporadas." });
+  }
+});
+
+router.get("/seasons/current", async (_req, res) => {
+  try {
+    const season = await syncSeasons();
+    return res.json(season);
+  } catch (err) {
+    console.error("GET /seasons/current error:", err);
+    return res.status(500).json({ error: "Erro ao buscar temporada atual." });
+  }
+});
+
+// ranking final congelado de uma temporada encerrada
+router.get("/seasons/:key/snapshot", async (req, res) => {
+  try {
+    await syncSeasons();
+
+    const season = await prisma.rankSeason.findUnique({
+      where: { key: String(req.params.key || "").trim() },
+    });
+
+    if (!season) {
+      return res.status(404).json({ error: "Temporada não encontrada." });
+    }
+
+    const snapshot = await getSeasonSnapshot(season.id, { take: 100 });
+
+    return res.json({ season, ranking: snapshot });
+  } catch (err) {
+    console.error("GET /seasons/:key/snapshot error:", err);
+    return res.status(500).json({ error: "Erro ao buscar ranking da temporada." });
+  }
+});
+
+router.post("/seasons", authRequired, requirePermission("rank:admin"), async (req, res) => {
+  try {
+    const data = createSeasonSchema.parse(req.body);
+
+    const result = await createSeason(data);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.message });
+    }
+
+    return res.status(201).json(result.season);
+  } catch (err) {
+    return res.status(400).json({
+      error: "Erro ao criar temporada.",
+      details: String(err),
+    });
+  }
+});
+
+router.patch("/seasons/:id", authRequired, requirePermission("rank:admin"), async (req, res) => {
+  try {
+    const data = updateSeasonSchema.parse(req.body);
+
+    const result = await updateSeason(String(req.params.id), data);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.message });
+    }
+
+    return res.json(result.season);
+  } catch (err) {
+    return res.status(400).json({
+      error: "Erro ao atualizar temporada.",
+      details: String(err),
+    });
+  }
+});
+
+// encerra antes do prazo (ex: temporada cancelada)
+router.post("/seasons/:id/close", authRequired, requirePermission("rank:admin"), async (req, res) => {
+  try {
+    const result = await closeSeason(String(req.params.id));
+
+    if (!result.season) {
+      return res.status(404).json({ error: "Temporada não encontrada." });
+    }
+
+    if (!result.closed) {
+      return res.status(409).json({ error: "Temporada já encerrada." });
+    }
+
+    return res.json(result);
+  } catch (err) {
+    console.error("POST /seasons/:id/close error:", err);
+    return res.status(500).json({ error: "Erro ao encerrar temporada." });
+  }
+});
+
+router.get("/users/:userId/seasons", async (req, res) => {
+  try {
+    const history = await getUserSeasonHistory(String(req.params.userId));
+    return res.json(history);
+  } catch (err) {
+    console.error("GET /users/:userId/seasons error:", err);
+    return res.status(500).json({ error: "Erro ao buscar histórico de temporadas." });
+  }
+});
+
+export default router;
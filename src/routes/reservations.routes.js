@@ -3,6 +3,25 @@ import { Router } from "express";
 import { z } from "zod";
 import { prisma } from "../lib/prisma.js";
 import { authRequired } from "../middleware/auth.js";
+import { requireVerifiedEmail } from "../middleware/verifiedEmail.js";
+import { requirePermission, sendAuthzError } from "../middleware/permission.js";
+import { authorize, listPermittedArenaIds } from "../services/authz/index.js";
+import { notifyUser } from "../services/notificationService.js";
+import { recordAudit } from "../services/auditService.js";
+import { sendReservationEmail } from "../services/email/emailService.js";
+import { cancelReservation } from "../services/reservationCancelService.js";
+import {
+  RESERVATION_SPLIT_MAX_PARTICIPANTS,
+  cancelReservationSplit,
+  coverSplitRemainder,
+  createReservationSplit,
+  getReservationSplit,
+} from "../services/reservationSplitService.js";
+import {
+  cancelOpenPixCharges,
+  createShareCharge,
+  toPixPaymentResponse,
+} from "../services/pixPaymentService.js";
 
 const router = Router();
 
@@ -37,6 +56,15 @@ function toHM(date) {
   return `${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
 }
 
+// "25/10/2026 19:00" no fuso do Brasil (texto das notificações)
+function formatReservationStart(date) {
+  return new Date(date).toLocaleString("pt-BR", {
+    timeZone: "America/Sao_Paulo",
+    dateStyle: "short",
+    timeStyle: "short",
+  });
+}
+
 function overlap(aStart, aEnd, bStart, bEnd) {
   const as = new Date(aStart).getTime();
   const ae = new Date(aEnd).getTime();
@@ -45,10 +73,6 @@ function overlap(aStart, aEnd, bStart, bEnd) {
   return as < be && bs < ae;
 }
 
-function isRole(user, roles = []) {
-  return roles.includes(user?.role);
-}
-
 function slotPriceFromHour(pricePerHour, slotMinutes) {
   const p = Number(pricePerHour);
   const s = Number(slotMinutes || 60);
@@ -260,21 +284,16 @@ router.get("/owner/slots", async (req, res) => {
 
     const { arenaId, date, slotMinutes } = schema.parse(req.query);
 
-    const user = req.user;
-    if (!isRole(user, ["arena_owner", "admin"])) {
-      return res.status(403).json({ error: "Apenas arena_owner/admin" });
-    }
+    // ✅ dono, equipe da arena ou admin
+    const check = await authorize(req.user, "arena:view_agenda", { arenaId });
+    if (!check.ok) return sendAuthzError(res, check);
 
-    // ✅ arena do dono (ou admin vê qualquer uma)
-    const arena = await prisma.arena.findFirst({
-      where:
-        user.role === "admin"
-          ? { id: arenaId }
-          : { id: arenaId, ownerId: user.id },
+    const arena = await prisma.arena.findUnique({
+      where: { id: arenaId },
       include: { courts: true },
     });
 
-    if (!arena) return res.status(404).json({ error: "Arena não encontrada (ou sem permissão)" });
+    if (!arena) return res.status(404).json({ error: "Arena não encontrada" });
 
     const courts = arena.courts || [];
     if (!courts.length) return res.json({ dateLabel: date, courts: {} });
@@ -443,11 +462,8 @@ router.get("/mine", async (req, res) => {
 
     const { date, status } = schema.parse(req.query);
 
-    const user = req.user;
-
-    if (!isRole(user, ["arena_owner", "admin"])) {
-      return res.status(403).json({ error: "Apenas arena_owner/admin" });
-    }
+    // null = admin (todas as arenas)
+    const arenaIds = await listPermittedArenaIds(req.user, "arena:view_agenda");
 
     const dayStart = new Date(`${date}T00:00:00`);
     const dayEnd = new Date(`${date}T23:59:59`);
@@ -458,14 +474,12 @@ router.get("/mine", async (req, res) => {
     };
 
     const where =
-      user.role === "admin"
+      arenaIds === null
         ? whereBase
         : {
             ...whereBase,
             court: {
-              arena: {
-                ownerId: user.id,
-              },
+              arenaId: { in: arenaIds },
             },
           };
 
@@ -528,7 +542,7 @@ router.get("/", async (req, res) => {
  * POST /reservations
  * body: { courtId, startAt, endAt, totalPrice?, notes? }
  */
-router.post("/", async (req, res) => {
+router.post("/", requireVerifiedEmail("reservations"), async (req, res) => {
   try {
     const schema = z.object({
       courtId: z.string().min(10),
@@ -549,6 +563,17 @@ router.post("/", async (req, res) => {
 
     const userId = req.user.id;
 
+    const court = await prisma.court.findUnique({
+      where: { id: courtId },
+      select: { id: true, arena: { select: { approvalStatus: true } } },
+    });
+
+    if (!court) return res.status(404).json({ error: "Quadra não encontrada" });
+
+    if (court.arena && court.arena.approvalStatus !== "APPROVED") {
+      return res.status(409).json({ error: "Esta arena ainda não está liberada para reservas" });
+    }
+
     const conflict = await prisma.reservation.findFirst({
       where: {
         courtId,
@@ -573,6 +598,9 @@ router.post("/", async (req, res) => {
       },
     });
 
+    // o e-mail segue sem segurar a resposta (sendReservationEmail não lança)
+    sendReservationEmail("reservationCreated", reservation.id);
+
     res.json(reservation);
   } catch (e) {
     res.status(400).json({ error: e.message });
@@ -580,28 +608,179 @@ router.post("/", async (req, res) => {
 });
 
 /* =========================================================
-   ✅ DONO: confirmar reserva (só PENDING)
-   PATCH /reservations/:id/confirm
+   ✅ DIVISÃO: titular divide a reserva com convidados
+   - cada um paga a sua parte pelo Pix (POST /pix/shares/:shareId/charge)
+   - fechou o total → reserva confirmada; passou do prazo → cancelada
    ========================================================= */
-router.patch("/:id/confirm", async (req, res) => {
+
+/**
+ * GET /reservations/shares
+ * (minhas partes em reservas divididas, as em aberto primeiro)
+ */
+router.get("/shares", async (req, res) => {
+  try {
+    const shares = await prisma.reservationShare.findMany({
+      where: { userId: req.user.id },
+      orderBy: [{ status: "asc" }, { createdAt: "desc" }],
+      take: 50,
+      include: {
+        reservation: {
+          select: {
+            id: true,
+            startAt: true,
+            endAt: true,
+            status: true,
+            splitDueAt: true,
+            user: { select: { id: true, name: true } },
+            court: { select: { id: true, name: true, arena: { select: { id: true, name: true } } } },
+          },
+        },
+      },
+    });
+
+    res.json(shares);
+  } catch (e) {
+    res.status(400).json({ error: e?.message || "Erro" });
+  }
+});
+
+const splitSchema = z.object({
+  participants: z
+    .array(
+      z.object({
+        userId: z.string().min(3),
+        value: z.number().int().positive().optional(),
+      })
+    )
+    .min(1)
+    .max(RESERVATION_SPLIT_MAX_PARTICIPANTS),
+  dueAt: z.string().optional(),
+});
+
+/**
+ * POST /reservations/:id/split
+ * body: { participants: [{ userId, value? }], dueAt? }
+ * (sem value divide igual; prazo padrão: 24h ou até 1h antes do horário)
+ */
+router.post("/:id/split", requirePermission("reservation:pay"), async (req, res) => {
   try {
     const { id } = req.params;
+    const { participants, dueAt } = splitSchema.parse(req.body);
 
-    const user = req.user;
-    if (!isRole(user, ["arena_owner", "admin"])) {
-      return res.status(403).json({ error: "Apenas arena_owner/admin" });
+    const reservation = await prisma.reservation.findUnique({
+      where: { id },
+      include: { court: { include: { arena: true } } },
+    });
+    if (!reservation) return res.status(404).json({ error: "Reserva não encontrada" });
+
+    const result = await createReservationSplit({
+      reservation,
+      participants,
+      dueAt,
+      actorId: req.user.id,
+      req,
+    });
+    if (!result.ok) return res.status(result.status).json({ error: result.message });
+
+    res.status(201).json(result.split);
+  } catch (e) {
+    res.status(400).json({ error: e?.message || "Erro" });
+  }
+});
+
+/**
+ * GET /reservations/:id/split
+ * (titular ou quem tem parte na divisão)
+ */
+router.get("/:id/split", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const share = await prisma.reservationShare.findFirst({
+      where: { reservationId: id, userId: req.user.id },
+      select: { id: true },
+    });
+
+    if (!share) {
+      const check = await authorize(req.user, "reservation:pay", { reservationId: id });
+      if (!check.ok) return sendAuthzError(res, check);
     }
 
+    const split = await getReservationSplit(id, req.user.id);
+    if (!split) return res.status(404).json({ error: "Reserva não encontrada" });
+
+    res.json(split);
+  } catch (e) {
+    res.status(400).json({ error: e?.message || "Erro" });
+  }
+});
+
+/**
+ * POST /reservations/:id/split/cover
+ * (titular paga o que falta; as partes em aberto são canceladas)
+ */
+router.post("/:id/split/cover", requirePermission("reservation:pay"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
     const reservation = await prisma.reservation.findUnique({
       where: { id },
       include: { court: { include: { arena: true } } },
     });
+    if (!reservation) return res.status(404).json({ error: "Reserva não encontrada" });
+
+    const result = await coverSplitRemainder({ reservation, actorId: req.user.id, req });
+    if (!result.ok) return res.status(result.status).json({ error: result.message });
+
+    // falhou o Pix: a parte nova fica lá, dá pra gerar de novo pelo /pix/shares
+    const charge = await createShareCharge(result.share.id, reservation.userId);
+    if (!charge.ok) return res.status(charge.status).json({ error: charge.message, shareId: result.share.id });
+
+    res.json({ shareId: result.share.id, ...toPixPaymentResponse(charge.payment) });
+  } catch (e) {
+    res.status(400).json({ error: e?.message || "Erro" });
+  }
+});
+
+/**
+ * DELETE /reservations/:id/split
+ * (desfaz a divisão enquanto ninguém pagou)
+ */
+router.delete("/:id/split", requirePermission("reservation:pay"), async (req, res) => {
+  try {
+    const { id } = req.params;
 
+    const reservation = await prisma.reservation.findUnique({
+      where: { id },
+      include: { court: { include: { arena: true } } },
+    });
     if (!reservation) return res.status(404).json({ error: "Reserva não encontrada" });
 
-    if (user.role !== "admin" && reservation.court?.arena?.ownerId !== user.id) {
-      return res.status(403).json({ error: "Sem permissão" });
-    }
+    const result = await cancelReservationSplit({ reservation, actorId: req.user.id, req });
+    if (!result.ok) return res.status(result.status).json({ error: result.message });
+
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(400).json({ error: e?.message || "Erro" });
+  }
+});
+
+/* =========================================================
+   ✅ ARENA (dono/equipe): confirmar reserva (só PENDING)
+   PATCH /reservations/:id/confirm
+   ========================================================= */
+router.patch("/:id/confirm", requirePermission("reservation:confirm"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = req.user;
+
+    const reservation = await prisma.reservation.findUnique({
+      where: { id },
+      include: { court: { include: { arena: true } } },
+    });
+
+    if (!reservation) return res.status(404).json({ error: "Reserva não encontrada" });
 
     if (reservation.status !== "PENDING") {
       return res.status(409).json({ error: "Só é possível confirmar reservas PENDING" });
@@ -612,6 +791,32 @@ router.patch("/:id/confirm", async (req, res) => {
       data: { status: "CONFIRMED" },
     });
 
+    await recordAudit({
+      req,
+      action: "reservation.confirmed",
+      targetType: "reservation",
+      targetId: id,
+      arenaId: reservation.court?.arenaId || null,
+      before: { status: reservation.status },
+      after: { status: updated.status },
+      metadata: { arenaRole: req.authz?.arenaRole || null },
+    });
+
+    await notifyUser(reservation.userId, {
+      type: "RESERVATION_CONFIRMED",
+      actorId: user.id,
+      title: "Reserva confirmada",
+      body: `${reservation.court?.arena?.name || "A arena"} confirmou sua reserva de ${formatReservationStart(reservation.startAt)}.`,
+      data: {
+        reservationId: id,
+        courtId: reservation.courtId,
+        arenaId: reservation.court?.arenaId || null,
+        startAt: reservation.startAt,
+      },
+    });
+
+    sendReservationEmail("reservationConfirmed", id);
+
     res.json(updated);
   } catch (e) {
     res.status(400).json({ error: e?.message || "Erro" });
@@ -619,17 +824,14 @@ router.patch("/:id/confirm", async (req, res) => {
 });
 
 /* =========================================================
-   ✅ DONO: marcar como pago (só CONFIRMED)
+   ✅ ARENA (dono/equipe): marcar como pago (só CONFIRMED)
    PATCH /reservations/:id/paid
    ========================================================= */
-router.patch("/:id/paid", async (req, res) => {
+router.patch("/:id/paid", requirePermission("reservation:mark_paid"), async (req, res) => {
   try {
     const { id } = req.params;
 
     const user = req.user;
-    if (!isRole(user, ["arena_owner", "admin"])) {
-      return res.status(403).json({ error: "Apenas arena_owner/admin" });
-    }
 
     const reservation = await prisma.reservation.findUnique({
       where: { id },
@@ -638,37 +840,74 @@ router.patch("/:id/paid", async (req, res) => {
 
     if (!reservation) return res.status(404).json({ error: "Reserva não encontrada" });
 
-    if (user.role !== "admin" && reservation.court?.arena?.ownerId !== user.id) {
-      return res.status(403).json({ error: "Sem permissão" });
-    }
-
     if (reservation.status !== "CONFIRMED") {
       return res.status(409).json({ error: "Só pode marcar como pago quando estiver CONFIRMED" });
     }
 
+    // divisão em aberto: as partes pendentes ainda podem chegar por Pix
+    if (reservation.splitDueAt) {
+      const pendingShares = await prisma.reservationShare.count({
+        where: { reservationId: id, status: "PENDING" },
+      });
+      if (pendingShares) {
+        return res.status(409).json({ error: "Reserva dividida com partes em aberto. Aguarde o Pix das partes." });
+      }
+    }
+
     const updated = await prisma.reservation.update({
       where: { id },
       data: { paymentStatus: "PAID" },
     });
 
+    // pago no balcão: o Pix em aberto deixa de valer (se pagarem mesmo assim, o settle estorna)
+    await cancelOpenPixCharges({ reservationId: id });
+
+    await recordAudit({
+      req,
+      action: "reservation.marked_paid",
+      targetType: "reservation",
+      targetId: id,
+      arenaId: reservation.court?.arenaId || null,
+      before: { paymentStatus: reservation.paymentStatus },
+      after: { paymentStatus: updated.paymentStatus },
+      metadata: { arenaRole: req.authz?.arenaRole || null, totalPrice: reservation.totalPrice },
+    });
+
+    await notifyUser(reservation.userId, {
+      type: "RESERVATION_PAID",
+      actorId: user.id,
+      title: "Pagamento confirmado",
+      body: `${reservation.court?.arena?.name || "A arena"} confirmou o pagamento da reserva de ${formatReservationStart(reservation.startAt)}.`,
+      data: { reservationId: id, courtId: reservation.courtId, startAt: reservation.startAt },
+    });
+
     res.json(updated);
   } catch (e) {
     res.status(400).json({ error: e?.message || "Erro" });
   }
 });
 
+// e-mail de cancelamento com o reembolso (só quando a reserva estava paga)
+function cancellationEmailExtra(refund, canceledByOwner) {
+  return {
+    canceledByOwner,
+    ...(refund ? { refundValue: refund.value, refundManual: refund.manual } : {}),
+  };
+}
+
 /* =========================================================
-   ✅ DONO: cancelar (PENDING/CONFIRMED)
-   PATCH /reservations/:id/cancel-owner
+   ✅ ARENA (dono/gerente): cancelar (PENDING/CONFIRMED)
+   PATCH /reservations/:id/cancel-owner   { noShow? }
+   - reembolso total pro jogador; noShow = true não devolve nada
    ========================================================= */
-router.patch("/:id/cancel-owner", async (req, res) => {
+const cancelOwnerSchema = z.object({
+  noShow: z.boolean().optional(),
+});
+
+router.patch("/:id/cancel-owner", requirePermission("reservation:cancel_as_arena"), async (req, res) => {
   try {
     const { id } = req.params;
-
-    const user = req.user;
-    if (!isRole(user, ["arena_owner", "admin"])) {
-      return res.status(403).json({ error: "Apenas arena_owner/admin" });
-    }
+    const { noShow = false } = cancelOwnerSchema.parse(req.body || {});
 
     const reservation = await prisma.reservation.findUnique({
       where: { id },
@@ -677,20 +916,37 @@ router.patch("/:id/cancel-owner", async (req, res) => {
 
     if (!reservation) return res.status(404).json({ error: "Reserva não encontrada" });
 
-    if (user.role !== "admin" && reservation.court?.arena?.ownerId !== user.id) {
-      return res.status(403).json({ error: "Sem permissão" });
-    }
-
-    if (reservation.status === "CANCELED") {
-      return res.status(409).json({ error: "Reserva já está cancelada" });
-    }
-
-    const updated = await prisma.reservation.update({
-      where: { id },
-      data: { status: "CANCELED" },
+    const result = await cancelReservation({
+      reservation,
+      byArena: true,
+      noShow,
+      actorId: req.user.id,
+      req,
+    });
+    if (!result.ok) return res.status(result.status).json({ error: result.message });
+
+    const updated = result.reservation;
+
+    await recordAudit({
+      req,
+      action: "reservation.canceled_by_arena",
+      targetType: "reservation",
+      targetId: id,
+      arenaId: reservation.court?.arenaId || null,
+      before: { status: reservation.status },
+      after: { status: updated.status },
+      metadata: {
+        arenaRole: req.authz?.arenaRole || null,
+        paymentStatus: reservation.paymentStatus,
+        totalPrice: reservation.totalPrice,
+        noShow,
+        refund: result.refund && { rule: result.refund.rule, value: result.refund.value },
+      },
     });
 
-    res.json(updated);
+    sendReservationEmail("reservationCanceled", id, cancellationEmailExtra(result.refund, true));
+
+    res.json({ ...updated, refund: result.refund });
   } catch (e) {
     res.status(400).json({ error: e?.message || "Erro" });
   }
@@ -698,26 +954,28 @@ router.patch("/:id/cancel-owner", async (req, res) => {
 
 /**
  * PATCH /reservations/:id/cancel
- * (usuário cancela a própria reserva)
+ * (usuário cancela a própria reserva; reembolso pela política da arena)
  */
-router.patch("/:id/cancel", async (req, res) => {
+router.patch("/:id/cancel", requirePermission("reservation:cancel"), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const reservation = await prisma.reservation.findUnique({ where: { id } });
+    const reservation = await prisma.reservation.findUnique({
+      where: { id },
+      include: { court: { include: { arena: true } } },
+    });
     if (!reservation) return res.status(404).json({ error: "Reserva não encontrada" });
 
     const userId = req.user.id;
-    if (reservation.userId !== userId && req.user.role !== "admin") {
-      return res.status(403).json({ error: "Sem permissão" });
-    }
+    // admin cancelando reserva de outro conta como cancelamento da arena
+    const byArena = reservation.userId !== userId;
 
-    const updated = await prisma.reservation.update({
-      where: { id },
-      data: { status: "CANCELED" },
-    });
+    const result = await cancelReservation({ reservation, byArena, actorId: userId, req });
+    if (!result.ok) return res.status(result.status).json({ error: result.message });
 
-    res.json(updated);
+    sendReservationEmail("reservationCanceled", id, cancellationEmailExtra(result.refund, byArena));
+
+    res.json({ ...result.reservation, refund: result.refund });
   } catch (e) {
     res.status(400).json({ error: e.message });
   }
@@ -2,6 +2,14 @@ import express from "express";
 import { prisma } from "../lib/prisma.js";
 import { authRequired } from "../middleware/auth.js";
 import { getUserProfileDashboardById } from "../services/profile/profileEngine.js";
+import { getVapidPublicKey } from "../lib/pushTransports.js";
+import { confirmUserPhone } from "../services/phoneOtpService.js";
+import {
+  PUSH_PLATFORMS,
+  listPushSubscriptions,
+  registerPushSubscription,
+  removePushSubscription,
+} from "../services/pushService.js";
 
 const router = express.Router();
 
@@ -147,6 +155,7 @@ router.patch("/me/profile", authRequired, async (req, res, next) => {
       where: { id: meId },
       select: {
         id: true,
+        phone: true,
         isPremium: true,
         premiumUntil: true,
       },
@@ -200,6 +209,10 @@ router.patch("/me/profile", authRequired, async (req, res, next) => {
       data: {
         ...(typeof name === "string" ? { name: name.trim() } : {}),
         ...(typeof phone === "string" ? { phone: phone.trim() } : {}),
+        // trocou o telefone: o login por código precisa confirmar de novo
+        ...(typeof phone === "string" && phone.trim() !== (me.phone || "")
+          ? { phoneVerifiedAt: null }
+          : {}),
         ...(typeof imageUrl === "string" ? { imageUrl: imageUrl.trim() } : {}),
       },
     });
@@ -334,4 +347,127 @@ router.patch("/me/profile", authRequired, async (req, res, next) => {
   }
 });
 
-export default router;
\ No newline at end of file
+/**
+ * POST /users/me/phone/verify
+ * - { phone, code }: o código vem do POST /auth/phone/request
+ * - confirmado, o login por SMS entra nesta conta
+ */
+router.post("/me/phone/verify", authRequired, async (req, res, next) => {
+  try {
+    const { phone, code } = req.body || {};
+
+    if (!isNonEmptyString(phone) || !/^\d{6}$/.test(String(code || ""))) {
+      return res.status(400).json({ message: "Telefone e código obrigatórios" });
+    }
+
+    const result = await confirmUserPhone({ userId: req.user.id, phone, code });
+    if (!result.ok) return res.status(result.status).json({ message: result.message });
+
+    res.json(result.user);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /users/me/push-subscriptions
+ * - vapidPublicKey vai pro PushManager.subscribe do front
+ */
+router.get("/me/push-subscriptions", authRequired, async (req, res, next) => {
+  try {
+    const subscriptions = await listPushSubscriptions(req.user.id);
+
+    res.json({ vapidPublicKey: getVapidPublicKey(), subscriptions });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /users/me/push-subscriptions
+ * - web: o JSON do PushSubscription ({ endpoint, keys: { p256dh, auth } })
+ * - fcm: { platform: "fcm", token }
+ */
+router.post("/me/push-subscriptions", authRequired, async (req, res, next) => {
+  try {
+    const { platform = "web", endpoint, keys, token } = req.body || {};
+
+    if (!PUSH_PLATFORMS.includes(platform)) {
+      return res.status(400).json({ message: "Plataforma inválida" });
+    }
+
+    const target = platform === "fcm" ? token : endpoint;
+
+    if (!isNonEmptyString(target)) {
+      return res.status(400).json({
+        message: platform === "fcm" ? "Token do dispositivo obrigatório" : "Endpoint obrigatório",
+      });
+    }
+
+    if (platform === "web" && (!isNonEmptyString(keys?.p256dh) || !isNonEmptyString(keys?.auth))) {
+      return res.status(400).json({ message: "Chaves da inscrição obrigatórias" });
+    }
+
+    const subscription = await registerPushSubscription({
+      userId: req.user.id,
+      platform,
+      endpoint: target.trim(),
+      p256dh: platform === "web" ? keys.p256dh : null,
+      auth: platform === "web" ? keys.auth : null,
+      userAgent: String(req.headers["user-agent"] || "").slice(0, 300) || null,
+    });
+
+    res.status(201).json(subscription);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /users/me/push-subscriptions
+ * - pelo endpoint/token (o front só conhece isso depois do unsubscribe)
+ */
+router.delete("/me/push-subscriptions", authRequired, async (req, res, next) => {
+  try {
+    const endpoint = req.body?.endpoint || req.body?.token || req.query?.endpoint;
+
+    if (!isNonEmptyString(endpoint)) {
+      return res.status(400).json({ message: "Endpoint obrigatório" });
+    }
+
+    const removed = await removePushSubscription({
+      userId: req.user.id,
+      endpoint: endpoint.trim(),
+    });
+
+    if (!removed) {
+      return res.status(404).json({ message: "Inscrição não encontrada" });
+    }
+
+    res.json({ ok: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /users/me/push-subscriptions/:id
+ */
+router.delete("/me/push-subscriptions/:id", authRequired, async (req, res, next) => {
+  try {
+    const removed = await removePushSubscription({
+      userId: req.user.id,
+      id: String(req.params.id || "").trim(),
+    });
+
+    if (!removed) {
+      return res.status(404).json({ message: "Inscrição não encontrada" });
+    }
+
+    res.json({ ok: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,42 @@
+import { Router } from "express";
+import { getPaymentProvider } from "../lib/paymentProviders.js";
+import { handlePaymentWebhook } from "../services/pixPaymentService.js";
+
+const router = Router();
+
+/**
+ * POST /webhooks/:provider   (openpix, fake, ...)
+ * - gateway chama quando a cobrança é paga ou vence
+ * - assinatura conferida sobre o corpo cru (req.rawBody, capturado no app.js)
+ * - sem assinatura configurada só passa em NODE_ENV=development
+ */
+router.post("/:provider", async (req, res) => {
+  try {
+    const provider = getPaymentProvider(req.params.provider);
+    if (!provider) return res.status(404).json({ error: "Gateway desconhecido" });
+
+    const signature = provider.verifyWebhook(req.rawBody, req.headers);
+
+    // sem segredo configurado (fora de dev): recusa o evento em vez de confiar nele
+    if (!signature.configured && !signature.valid) {
+      console.warn(`[pix] webhook ${provider.name} recusado: assinatura não configurada`);
+      return res.status(503).json({ error: "Webhook sem assinatura configurada" });
+    }
+
+    if (!signature.valid) return res.status(401).json({ error: "Assinatura inválida" });
+
+    if (!signature.configured) {
+      console.warn(`[pix] webhook ${provider.name} aceito sem assinatura (NODE_ENV=development)`);
+    }
+
+    const result = await handlePaymentWebhook(provider, req.body || {});
+
+    return res.json(result);
+  } catch (e) {
+    // 500 faz o gateway re-tentar (o processamento é idempotente)
+    console.error("[pix] erro no webhook:", e);
+    return res.status(500).json({ error: e?.message || "Erro" });
+  }
+});
+
+export default router;
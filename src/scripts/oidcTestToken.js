@@ -0,0 +1,103 @@
+// src/scripts/oidcTestToken.js
+//
+// Gera um id_token assinado com uma chave local, pra testar o login
+// Google/Apple sem o provedor de verdade. Na primeira vez cria a chave e o
+// JWKS em .oidc-test/; aponte a API pra ele:
+//   GOOGLE_JWKS_URL=file:///caminho/.oidc-test/jwks.json
+//   GOOGLE_CLIENT_IDS=test-client
+//
+// Uso: npm run oidc:test-token -- --provider google --sub 123 --email a@b.com
+//      [--aud test-client] [--name "Fulano"] [--nonce abc] [--unverified]
+import "dotenv/config";
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import jwt from "jsonwebtoken";
+import { OIDC_PROVIDERS } from "../services/oidcService.js";
+
+const KEY_DIR = path.resolve(process.env.OIDC_TEST_DIR || ".oidc-test");
+const KID = "local-test";
+
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) continue;
+
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+
+    if (next === undefined || next.startsWith("--")) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+
+  return args;
+}
+
+function loadOrCreateKey() {
+  const keyPath = path.join(KEY_DIR, "private.pem");
+  const jwksPath = path.join(KEY_DIR, "jwks.json");
+
+  if (!fs.existsSync(keyPath)) {
+    fs.mkdirSync(KEY_DIR, { recursive: true });
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    const jwk = { ...publicKey.export({ format: "jwk" }), kid: KID, alg: "RS256", use: "sig" };
+
+    fs.writeFileSync(keyPath, privateKey.export({ type: "pkcs8", format: "pem" }), { mode: 0o600 });
+    fs.writeFileSync(jwksPath, JSON.stringify({ keys: [jwk] }, null, 2));
+  }
+
+  return { privateKey: fs.readFileSync(keyPath, "utf8"), jwksPath };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const provider = String(args.provider || "google");
+  const config = OIDC_PROVIDERS[provider];
+
+  if (!config) {
+    throw new Error(`provedor inválido: ${provider} (use ${Object.keys(OIDC_PROVIDERS).join(", ")})`);
+  }
+
+  const { privateKey, jwksPath } = loadOrCreateKey();
+
+  const audience =
+    args.aud ||
+    String(process.env[`${config.env}_CLIENT_IDS`] || "").split(",")[0].trim() ||
+    "test-client";
+
+  const token = jwt.sign(
+    {
+      sub: String(args.sub || crypto.randomUUID()),
+      ...(args.email ? { email: String(args.email), email_verified: !args.unverified } : {}),
+      ...(args.name ? { name: String(args.name) } : {}),
+      ...(args.nonce ? { nonce: String(args.nonce) } : {}),
+    },
+    privateKey,
+    {
+      algorithm: "RS256",
+      keyid: KID,
+      issuer: process.env[`${config.env}_ISSUER`] || config.issuers[0],
+      audience,
+      expiresIn: "1h",
+    }
+  );
+
+  console.error(`[oidc:test-token] ${config.env}_JWKS_URL=${pathToFileURL(jwksPath).href}`);
+  console.error(`[oidc:test-token] ${config.env}_CLIENT_IDS=${audience}`);
+  console.log(token);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error("[oidc:test-token] falhou:", err?.message || err);
+  process.exitCode = 1;
+}
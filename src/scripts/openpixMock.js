@@ -0,0 +1,272 @@
+// src/scripts/openpixMock.js
+//
+// Imitação local da API da OpenPix pra testar o fluxo de Pix de ponta a
+// ponta sem sandbox. Aponte a API pra ele:
+//   OPENPIX_BASE_URL=http://localhost:4010
+//   OPENPIX_APP_ID=qualquer-coisa (o mock confere se bate, quando definido)
+//   OPENPIX_WEBHOOK_SECRET=segredo (o mock assina o webhook com ele)
+//
+// Uso: npm run openpix:mock
+//   POST /mock/charges/:correlationID/pay     → paga e dispara o webhook
+//        ?webhook=false simula webhook perdido (pra testar a reconciliação)
+//   POST /mock/charges/:correlationID/expire  → expira e dispara o webhook
+//   GET  /mock/charges                        → cobranças em memória
+//   DELETE /mock/charges                      → limpa tudo
+//
+// Pra teste de integração: import { createOpenPixMock } e listen(0).
+import "dotenv/config";
+
+import crypto from "crypto";
+import http from "http";
+import { pathToFileURL } from "url";
+import { signWebhookBody } from "../lib/openpix.js";
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+async function readJson(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+
+  const text = Buffer.concat(chunks).toString("utf8");
+  return text ? JSON.parse(text) : {};
+}
+
+function withLazyExpiry(charge) {
+  if (charge.status === "ACTIVE" && new Date(charge.expiresDate) <= new Date()) {
+    charge.status = "EXPIRED";
+  }
+  return charge;
+}
+
+export function createOpenPixMock({
+  appId = process.env.OPENPIX_APP_ID || null,
+  webhookUrl = null,
+  webhookSecret = process.env.OPENPIX_WEBHOOK_SECRET || null,
+} = {}) {
+  const charges = new Map();
+  const webhooks = [];
+
+  function findCharge(id) {
+    const charge = charges.get(id) || [...charges.values()].find((item) => item.globalID === id);
+    return charge ? withLazyExpiry(charge) : null;
+  }
+
+  async function fireWebhook(payload) {
+    if (!webhookUrl) return null;
+
+    const raw = JSON.stringify(payload);
+    const headers = { "Content-Type": "application/json" };
+    if (webhookSecret) headers["x-openpix-signature"] = signWebhookBody(raw, webhookSecret);
+
+    try {
+      const res = await fetch(webhookUrl, { method: "POST", headers, body: raw });
+      const entry = { at: new Date(), event: payload.event, status: res.status };
+      webhooks.push(entry);
+      return entry;
+    } catch (err) {
+      const entry = { at: new Date(), event: payload.event, error: String(err?.message || err) };
+      webhooks.push(entry);
+      return entry;
+    }
+  }
+
+  async function createCharge(req, res) {
+    const body = await readJson(req);
+    const correlationID = String(body.correlationID || "").trim();
+    const value = Number(body.value);
+
+    if (!correlationID) return sendJson(res, 400, { error: "correlationID é obrigatório" });
+    if (!Number.isInteger(value) || value <= 0) return sendJson(res, 400, { error: "value inválido" });
+    if (charges.has(correlationID)) return sendJson(res, 400, { error: "correlationID já existe" });
+
+    const expiresIn = Number(body.expiresIn) > 0 ? Number(body.expiresIn) : 24 * 60 * 60;
+    const globalID = `Q2hhcmdlOm${crypto.randomBytes(9).toString("hex")}`;
+
+    const charge = {
+      correlationID,
+      value,
+      comment: body.comment || null,
+      status: "ACTIVE",
+      globalID,
+      identifier: crypto.randomBytes(8).toString("hex"),
+      transactionID: crypto.randomBytes(10).toString("hex"),
+      brCode: `00020101021226mock${correlationID}5204000053039865802BR6304MOCK`,
+      qrCodeImage: `https://api.openpix.com.br/openpix/charge/brcode/image/${globalID}.png`,
+      paymentLinkUrl: `https://openpix.com.br/pay/${globalID}`,
+      expiresIn,
+      expiresDate: new Date(Date.now() + expiresIn * 1000).toISOString(),
+      createdAt: new Date().toISOString(),
+      paidAt: null,
+      refunds: [],
+    };
+
+    charges.set(correlationID, charge);
+    return sendJson(res, 200, { charge, correlationID, brCode: charge.brCode });
+  }
+
+  async function refundCharge(req, res, id) {
+    const body = await readJson(req);
+    const charge = findCharge(id);
+    if (!charge) return sendJson(res, 404, { error: "Cobrança não encontrada" });
+    if (charge.status !== "COMPLETED") return sendJson(res, 400, { error: "Cobrança não está paga" });
+
+    const refundID = String(body.correlationID || "").trim();
+    if (!refundID) return sendJson(res, 400, { error: "correlationID é obrigatório" });
+
+    // mesmo correlationID = mesmo estorno (idempotente, como na OpenPix)
+    const existing = charge.refunds.find((item) => item.correlationID === refundID);
+    if (existing) return sendJson(res, 200, { refund: existing });
+
+    const refunded = charge.refunds.reduce((acc, item) => acc + item.value, 0);
+    const value = body.value === undefined ? charge.value - refunded : Number(body.value);
+    if (!Number.isInteger(value) || value <= 0 || refunded + value > charge.value) {
+      return sendJson(res, 400, { error: "value inválido" });
+    }
+
+    const refund = {
+      correlationID: refundID,
+      value,
+      comment: body.comment || null,
+      status: "CONFIRMED",
+      refundId: crypto.randomBytes(8).toString("hex"),
+      time: new Date().toISOString(),
+    };
+
+    charge.refunds.push(refund);
+    return sendJson(res, 200, { refund });
+  }
+
+  async function settle(res, id, { status, event, webhook }) {
+    const charge = findCharge(id);
+    if (!charge) return sendJson(res, 404, { error: "Cobrança não encontrada" });
+    if (charge.status !== "ACTIVE") {
+      return sendJson(res, 409, { error: `Cobrança está ${charge.status}` });
+    }
+
+    charge.status = status;
+
+    const payload = { event, charge };
+    if (status === "COMPLETED") {
+      charge.paidAt = new Date().toISOString();
+      payload.pix = {
+        value: charge.value,
+        time: charge.paidAt,
+        transactionID: charge.transactionID,
+        endToEndId: `E${crypto.randomBytes(15).toString("hex")}`,
+      };
+    }
+
+    const delivery = webhook ? await fireWebhook(payload) : null;
+    return sendJson(res, 200, { charge, webhook: delivery });
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, "http://localhost");
+      const parts = url.pathname.split("/").filter(Boolean);
+
+      if (parts[0] === "api") {
+        if (appId && req.headers.authorization !== appId) {
+          return sendJson(res, 401, { error: "AppID inválido" });
+        }
+
+        if (req.method === "POST" && url.pathname === "/api/v1/charge") return createCharge(req, res);
+
+        if (req.method === "GET" && parts[1] === "v1" && parts[2] === "charge" && parts[3]) {
+          const charge = findCharge(decodeURIComponent(parts[3]));
+          return charge
+            ? sendJson(res, 200, { charge })
+            : sendJson(res, 404, { error: "Cobrança não encontrada" });
+        }
+
+        // só cobrança em aberto sai (igual à OpenPix)
+        if (req.method === "DELETE" && parts[1] === "v1" && parts[2] === "charge" && parts[3]) {
+          const charge = findCharge(decodeURIComponent(parts[3]));
+          if (!charge) return sendJson(res, 404, { error: "Cobrança não encontrada" });
+          if (charge.status === "COMPLETED") return sendJson(res, 400, { error: "Cobrança já foi paga" });
+
+          charges.delete(charge.correlationID);
+          return sendJson(res, 200, { status: "OK", id: charge.correlationID });
+        }
+
+        if (req.method === "POST" && parts[2] === "charge" && parts[4] === "refund") {
+          return refundCharge(req, res, decodeURIComponent(parts[3]));
+        }
+
+        if (req.method === "GET" && parts[1] === "v1" && parts[2] === "refund" && parts[3]) {
+          const refundID = decodeURIComponent(parts[3]);
+          const refund = [...charges.values()]
+            .flatMap((charge) => charge.refunds)
+            .find((item) => item.correlationID === refundID);
+          return refund
+            ? sendJson(res, 200, { pixTransactionRefund: refund })
+            : sendJson(res, 404, { error: "Estorno não encontrado" });
+        }
+      }
+
+      if (parts[0] === "mock" && parts[1] === "charges") {
+        if (req.method === "GET" && parts.length === 2) {
+          return sendJson(res, 200, { charges: [...charges.values()].map(withLazyExpiry), webhooks });
+        }
+
+        if (req.method === "DELETE" && parts.length === 2) {
+          charges.clear();
+          webhooks.length = 0;
+          return sendJson(res, 200, { ok: true });
+        }
+
+        const id = decodeURIComponent(parts[2] || "");
+        const webhook = url.searchParams.get("webhook") !== "false";
+
+        if (req.method === "POST" && parts[3] === "pay") {
+          return settle(res, id, { status: "COMPLETED", event: "OPENPIX:CHARGE_COMPLETED", webhook });
+        }
+
+        if (req.method === "POST" && parts[3] === "expire") {
+          return settle(res, id, { status: "EXPIRED", event: "OPENPIX:CHARGE_EXPIRED", webhook });
+        }
+      }
+
+      return sendJson(res, 404, { error: "Rota não encontrada" });
+    } catch (err) {
+      return sendJson(res, 400, { error: String(err?.message || err) });
+    }
+  });
+
+  return {
+    server,
+    charges,
+    webhooks,
+    listen(port = 0) {
+      return new Promise((resolve) => {
+        server.listen(port, () => resolve(server.address().port));
+      });
+    },
+    close() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+async function main() {
+  const port = Number(process.env.OPENPIX_MOCK_PORT || 4010);
+  const webhookUrl =
+    process.env.OPENPIX_MOCK_WEBHOOK_URL ||
+    `http://localhost:${Number(process.env.PORT || 10000)}/webhooks/openpix`;
+
+  const mock = createOpenPixMock({ webhookUrl });
+  const listening = await mock.listen(port);
+
+  console.log(`[openpix:mock] ouvindo em http://localhost:${listening}`);
+  console.log(`[openpix:mock] webhook → ${webhookUrl}`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((err) => {
+    console.error("[openpix:mock] falhou:", err?.message || err);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,38 @@
+// src/scripts/rebuildRanks.js
+//
+// Recalcula o rank de todos os jogadores do zero, reprocessando as partidas
+// finalizadas em ordem de data (e reaplicando os ajustes manuais do admin).
+// Uso: npm run rank:rebuild
+import "dotenv/config";
+
+import { prisma } from "../lib/prisma.js";
+import { rebuildAllRanks } from "../services/rankService.js";
+
+async function main() {
+  const result = await rebuildAllRanks({
+    onProgress: ({ index, total }) => {
+      if (index % 50 === 0 || index === total) {
+        console.log(`[rank:rebuild] ${index}/${total} partidas`);
+      }
+    },
+  });
+
+  console.log(
+    `[rank:rebuild] concluído: ${result.processed}/${result.total} processadas, ${result.adjustments} ajustes reaplicados`
+  );
+
+  for (const item of result.failed) {
+    console.warn(`[rank:rebuild] partida ${item.matchId} ignorada: ${item.error}`);
+  }
+
+  for (const item of result.failedAdjustments) {
+    console.warn(`[rank:rebuild] ajuste ${item.changeId} ignorado: ${item.error}`);
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error("[rank:rebuild] falhou:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,27 @@
+// src/scripts/runJobs.js
+//
+// Roda todas as tarefas periódicas uma vez e sai (pra cron externo).
+// Uso: npm run jobs:run
+import "dotenv/config";
+
+import { prisma } from "../lib/prisma.js";
+import { runAllJobsOnce } from "../jobs/index.js";
+import { flushPendingPushes } from "../services/notificationService.js";
+
+async function main() {
+  const results = await runAllJobsOnce();
+
+  for (const [name, result] of Object.entries(results)) {
+    console.log(`[jobs:run] ${name}:`, result ? JSON.stringify(result) : "falhou");
+  }
+
+  // notifyUsers manda o push por fora: desconectar antes derruba os envios
+  await flushPendingPushes();
+}
+
+main()
+  .catch((err) => {
+    console.error("[jobs:run] falhou:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -2,6 +2,7 @@ import dotenv from "dotenv";
 dotenv.config();
 
 import { app } from "./app.js";
+import { startJobs } from "./jobs/index.js";
 
 const PORT = Number(process.env.PORT || 10000);
 const HOST = "0.0.0.0";
@@ -10,4 +11,6 @@ app.listen(PORT, HOST, () => {
   if (process.env.NODE_ENV !== "production") {
     console.log(`✅ API BoraPô rodando em http://${HOST}:${PORT}`);
   }
+
+  startJobs();
 });
\ No newline at end of file
@@ -0,0 +1,117 @@
+import { prisma } from "../lib/prisma.js";
+
+// KPIs do painel admin. Período padrão: últimos 30 dias.
+// Valores de Pix em centavos, igual ao resto do sistema.
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const TIME_ZONE = "America/Sao_Paulo";
+
+export function resolveMetricsRange({ from, to } = {}) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+    return { ok: false, status: 400, message: "Período inválido" };
+  }
+
+  if (end.getTime() - start.getTime() > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    return { ok: false, status: 400, message: `Período máximo de ${MAX_RANGE_DAYS} dias` };
+  }
+
+  return { ok: true, from: start, to: end };
+}
+
+function countBy(rows, key) {
+  return Object.fromEntries(rows.map((row) => [row[key], row._count._all]));
+}
+
+async function dailySeries(from, to) {
+  const [signups, pix] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT to_char(date_trunc('day', "createdAt" AT TIME ZONE 'UTC' AT TIME ZONE ${TIME_ZONE}), 'YYYY-MM-DD') AS day,
+             count(*)::int AS count
+        FROM "User"
+       WHERE "createdAt" >= ${from} AND "createdAt" < ${to}
+       GROUP BY 1
+       ORDER BY 1`,
+    prisma.$queryRaw`
+      SELECT to_char(date_trunc('day', "paidAt" AT TIME ZONE 'UTC' AT TIME ZONE ${TIME_ZONE}), 'YYYY-MM-DD') AS day,
+             count(*)::int AS count,
+             coalesce(sum("value"), 0)::int AS volume
+        FROM "PixPayment"
+       WHERE "status" IN ('PAID', 'PARTIALLY_REFUNDED', 'REFUNDED')
+         AND "paidAt" >= ${from} AND "paidAt" < ${to}
+       GROUP BY 1
+       ORDER BY 1`,
+  ]);
+
+  return { signups, pix };
+}
+
+export async function getPlatformMetrics({ from, to }) {
+  const now = new Date();
+  const inRange = { gte: from, lt: to };
+
+  const [
+    totalUsers,
+    signups,
+    premiumUsers,
+    bannedUsers,
+    matchesCreated,
+    matchesPlayed,
+    matchesCanceled,
+    reservationsByStatus,
+    reservationsPaid,
+    pixPaid,
+    pixPending,
+    arenasByStatus,
+    openReports,
+    series,
+  ] = await Promise.all([
+    prisma.user.count(),
+    prisma.user.count({ where: { createdAt: inRange } }),
+    prisma.user.count({
+      where: { isPremium: true, OR: [{ premiumUntil: null }, { premiumUntil: { gt: now } }] },
+    }),
+    prisma.user.count({
+      where: { bannedAt: { not: null }, OR: [{ bannedUntil: null }, { bannedUntil: { gt: now } }] },
+    }),
+    prisma.match.count({ where: { createdAt: inRange } }),
+    prisma.match.count({ where: { status: "FINISHED", date: inRange } }),
+    prisma.match.count({ where: { status: "CANCELED", date: inRange } }),
+    prisma.reservation.groupBy({ by: ["status"], where: { createdAt: inRange }, _count: { _all: true } }),
+    prisma.reservation.count({ where: { createdAt: inRange, paymentStatus: "PAID" } }),
+    prisma.pixPayment.aggregate({
+      where: { status: { in: ["PAID", "PARTIALLY_REFUNDED", "REFUNDED"] }, paidAt: inRange },
+      _count: { _all: true },
+      _sum: { value: true, refundedValue: true },
+    }),
+    prisma.pixPayment.count({ where: { status: { in: ["CREATED", "PENDING"] }, createdAt: inRange } }),
+    prisma.arena.groupBy({ by: ["approvalStatus"], _count: { _all: true } }),
+    prisma.feedReport.count({ where: { status: "OPEN" } }),
+    dailySeries(from, to),
+  ]);
+
+  const reservations = countBy(reservationsByStatus, "status");
+
+  return {
+    range: { from, to },
+    users: { total: totalUsers, signups, premium: premiumUsers, banned: bannedUsers },
+    matches: { created: matchesCreated, played: matchesPlayed, canceled: matchesCanceled },
+    reservations: {
+      total: Object.values(reservations).reduce((acc, n) => acc + n, 0),
+      byStatus: reservations,
+      paid: reservationsPaid,
+    },
+    pix: {
+      paidCount: pixPaid._count._all,
+      paidVolume: pixPaid._sum.value || 0,
+      refundedVolume: pixPaid._sum.refundedValue || 0,
+      pendingCount: pixPending,
+    },
+    arenas: countBy(arenasByStatus, "approvalStatus"),
+    moderation: { openReports },
+    daily: series,
+  };
+}
@@ -0,0 +1,93 @@
+import { prisma } from "../lib/prisma.js";
+import { notifyUser } from "./notificationService.js";
+import { recordAudit } from "./auditService.js";
+
+// Aprovação de arenas novas. Com ARENA_APPROVAL_REQUIRED=false (ou sem admin
+// pra revisar) a arena já nasce APPROVED.
+
+export const ARENA_REVIEW_PAGE_SIZE = 30;
+
+export function isArenaApprovalRequired() {
+  return String(process.env.ARENA_APPROVAL_REQUIRED ?? "true").toLowerCase() !== "false";
+}
+
+export function getInitialArenaApprovalStatus() {
+  return isArenaApprovalRequired() ? "PENDING" : "APPROVED";
+}
+
+export async function listArenasForReview({ status = "PENDING", page = 1, limit } = {}) {
+  const take = Math.min(Math.max(Number(limit) || ARENA_REVIEW_PAGE_SIZE, 1), 100);
+  const skip = (Math.max(Number(page) || 1, 1) - 1) * take;
+  const where = status ? { approvalStatus: status } : {};
+
+  const [items, total] = await prisma.$transaction([
+    prisma.arena.findMany({
+      where,
+      orderBy: { createdAt: status === "PENDING" ? "asc" : "desc" },
+      skip,
+      take,
+      include: {
+        owner: { select: { id: true, name: true, email: true } },
+        _count: { select: { courts: true } },
+      },
+    }),
+    prisma.arena.count({ where }),
+  ]);
+
+  return { items, total, page: Math.floor(skip / take) + 1, limit: take };
+}
+
+/**
+ * Aprova ou rejeita (com motivo) e avisa o dono.
+ */
+export async function reviewArena({ arenaId, approve, reason = null, actor, req = null }) {
+  const arena = await prisma.arena.findUnique({
+    where: { id: arenaId },
+    select: { id: true, name: true, ownerId: true, approvalStatus: true, rejectionReason: true },
+  });
+
+  if (!arena) return { ok: false, status: 404, message: "Arena não encontrada" };
+
+  const approvalStatus = approve ? "APPROVED" : "REJECTED";
+
+  if (arena.approvalStatus === approvalStatus) {
+    return { ok: false, status: 409, message: approve ? "Arena já aprovada" : "Arena já rejeitada" };
+  }
+
+  if (!approve && !reason) {
+    return { ok: false, status: 400, message: "Informe o motivo da rejeição" };
+  }
+
+  const updated = await prisma.arena.update({
+    where: { id: arenaId },
+    data: {
+      approvalStatus,
+      reviewedAt: new Date(),
+      reviewedById: actor.id,
+      rejectionReason: approve ? null : reason,
+    },
+  });
+
+  await recordAudit({
+    req,
+    actorId: actor.id,
+    action: approve ? "arena.approved" : "arena.rejected",
+    targetType: "arena",
+    targetId: arenaId,
+    arenaId,
+    before: { approvalStatus: arena.approvalStatus, rejectionReason: arena.rejectionReason },
+    after: { approvalStatus: updated.approvalStatus, rejectionReason: updated.rejectionReason },
+  });
+
+  await notifyUser(arena.ownerId, {
+    type: "ARENA_REVIEWED",
+    actorId: actor.id,
+    title: approve ? "Arena aprovada" : "Arena não aprovada",
+    body: approve
+      ? `${arena.name} foi aprovada e já aparece para os jogadores.`
+      : `${arena.name} não foi aprovada: ${reason}. Ajuste os dados e salve para reenviar.`,
+    data: { arenaId, approvalStatus },
+  });
+
+  return { ok: true, arena: updated };
+}
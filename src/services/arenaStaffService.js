@@ -0,0 +1,253 @@
+import crypto from "crypto";
+import { prisma } from "../lib/prisma.js";
+import { sendEmail } from "./email/emailService.js";
+import { recordAudit } from "./auditService.js";
+
+export const ARENA_INVITE_TTL_DAYS = 7;
+
+// papéis que o dono pode dar pra equipe ("owner" é só o Arena.ownerId)
+export const ARENA_STAFF_ROLES = ["manager", "receptionist", "viewer"];
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function sameEmail(a, b) {
+  return normalizeEmail(a) !== "" && normalizeEmail(a) === normalizeEmail(b);
+}
+
+function pendingWhere(now = new Date()) {
+  return { acceptedAt: null, revokedAt: null, expiresAt: { gt: now } };
+}
+
+// aceitar pela lista depende só do login: o e-mail precisa estar confirmado
+// (pelo link do e-mail, ter o token já prova que a caixa é dele)
+const EMAIL_NOT_VERIFIED = {
+  ok: false,
+  status: 403,
+  code: "EMAIL_NOT_VERIFIED",
+  message: "Confirme seu e-mail para ver e aceitar convites da equipe.",
+};
+
+// e-mail e confirmação vêm do banco (o do token de login pode estar velho)
+function findInvitee(userId) {
+  return prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, emailVerifiedAt: true },
+  });
+}
+
+const inviteSelect = {
+  id: true,
+  arenaId: true,
+  email: true,
+  role: true,
+  expiresAt: true,
+  acceptedAt: true,
+  revokedAt: true,
+  createdAt: true,
+  invitedBy: { select: { id: true, name: true } },
+};
+
+/**
+ * Convida um e-mail pra equipe. Um convite pendente anterior pro mesmo
+ * e-mail é revogado (o link antigo para de valer).
+ */
+export async function createArenaInvite({ arena, email, role, invitedBy, req = null }) {
+  const target = normalizeEmail(email);
+
+  if (!ARENA_STAFF_ROLES.includes(role)) {
+    return { ok: false, status: 400, message: "Papel inválido" };
+  }
+
+  const existingUser = await prisma.user.findFirst({
+    where: { email: { equals: target, mode: "insensitive" } },
+    select: { id: true, name: true },
+  });
+
+  if (existingUser?.id === arena.ownerId) {
+    return { ok: false, status: 409, message: "O dono já tem acesso total à arena" };
+  }
+
+  if (existingUser) {
+    const member = await prisma.arenaMember.findUnique({
+      where: { arenaId_userId: { arenaId: arena.id, userId: existingUser.id } },
+      select: { id: true },
+    });
+
+    if (member) return { ok: false, status: 409, message: "Usuário já faz parte da equipe" };
+  }
+
+  // o req.user (token de login) não tem nome
+  const inviter = invitedBy?.id
+    ? await prisma.user.findUnique({ where: { id: invitedBy.id }, select: { id: true, name: true } })
+    : null;
+
+  // token "puro" só vai no link; no banco fica o hash
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+
+  const [, invite] = await prisma.$transaction([
+    prisma.arenaInvite.updateMany({
+      where: { arenaId: arena.id, email: target, ...pendingWhere(now) },
+      data: { revokedAt: now },
+    }),
+    prisma.arenaInvite.create({
+      data: {
+        arenaId: arena.id,
+        email: target,
+        role,
+        tokenHash: hashToken(token),
+        invitedById: inviter?.id || null,
+        expiresAt: new Date(now.getTime() + ARENA_INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+      },
+      select: inviteSelect,
+    }),
+  ]);
+
+  const appUrl = process.env.APP_URL || "http://localhost:5173";
+
+  const sent = await sendEmail({
+    to: target,
+    template: "arenaInvite",
+    data: {
+      name: existingUser?.name || null,
+      arena: arena.name,
+      inviter: inviter?.name || null,
+      role,
+      acceptUrl: `${appUrl}/convite-arena?token=${token}`,
+      days: ARENA_INVITE_TTL_DAYS,
+    },
+  });
+
+  await recordAudit({
+    req,
+    actorId: invitedBy?.id || null,
+    action: "arena.invite_created",
+    targetType: "arena_invite",
+    targetId: invite.id,
+    arenaId: arena.id,
+    after: { email: target, role, expiresAt: invite.expiresAt },
+  });
+
+  return { ok: true, invite, emailSent: Boolean(sent?.ok) };
+}
+
+export async function listArenaInvites(arenaId) {
+  return prisma.arenaInvite.findMany({
+    where: { arenaId, ...pendingWhere() },
+    orderBy: { createdAt: "desc" },
+    select: inviteSelect,
+  });
+}
+
+export async function revokeArenaInvite({ arenaId, inviteId, actorId, req = null }) {
+  const result = await prisma.arenaInvite.updateMany({
+    where: { id: inviteId, arenaId, acceptedAt: null, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+  if (!result.count) return { ok: false, status: 404, message: "Convite não encontrado" };
+
+  await recordAudit({
+    req,
+    actorId,
+    action: "arena.invite_revoked",
+    targetType: "arena_invite",
+    targetId: inviteId,
+    arenaId,
+  });
+
+  return { ok: true };
+}
+
+/**
+ * Convites pendentes pro e-mail (confirmado) do usuário logado.
+ */
+export async function listMyArenaInvites(user) {
+  const invitee = await findInvitee(user.id);
+
+  if (!invitee?.email) return { ok: true, invites: [] };
+  if (!invitee.emailVerifiedAt) return EMAIL_NOT_VERIFIED;
+
+  const invites = await prisma.arenaInvite.findMany({
+    where: { email: normalizeEmail(invitee.email), ...pendingWhere() },
+    orderBy: { createdAt: "desc" },
+    select: { ...inviteSelect, arena: { select: { id: true, name: true, slug: true, imageUrl: true } } },
+  });
+
+  return { ok: true, invites };
+}
+
+/**
+ * Aceita pelo token do e-mail ou pelo id (lista "meus convites", só com
+ * e-mail confirmado). O convite é do e-mail: só quem está logado com ele
+ * pode aceitar.
+ */
+export async function acceptArenaInvite(user, { token, inviteId, req = null }) {
+  const invitee = await findInvitee(user.id);
+
+  if (!invitee) return { ok: false, status: 404, message: "Usuário não encontrado" };
+  if (!token && !invitee.emailVerifiedAt) return EMAIL_NOT_VERIFIED;
+
+  const invite = await prisma.arenaInvite.findFirst({
+    where: token ? { tokenHash: hashToken(String(token)) } : { id: String(inviteId || "") },
+    include: { arena: { select: { id: true, name: true, ownerId: true } } },
+  });
+
+  if (!invite) return { ok: false, status: 404, message: "Convite não encontrado" };
+  if (invite.revokedAt) return { ok: false, status: 410, message: "Convite cancelado" };
+  if (invite.acceptedAt) return { ok: false, status: 409, message: "Convite já usado" };
+  if (new Date(invite.expiresAt).getTime() < Date.now()) {
+    return { ok: false, status: 410, message: "Convite expirado" };
+  }
+
+  if (!sameEmail(invite.email, invitee.email)) {
+    return { ok: false, status: 403, message: "Este convite foi enviado para outro e-mail" };
+  }
+
+  if (invite.arena.ownerId === user.id) {
+    return { ok: false, status: 409, message: "O dono já tem acesso total à arena" };
+  }
+
+  // claim: dois cliques no link não criam dois membros
+  const claimed = await prisma.arenaInvite.updateMany({
+    where: { id: invite.id, acceptedAt: null, revokedAt: null },
+    data: { acceptedAt: new Date(), acceptedById: user.id },
+  });
+
+  if (!claimed.count) return { ok: false, status: 409, message: "Convite já usado" };
+
+  const previous = await prisma.arenaMember.findUnique({
+    where: { arenaId_userId: { arenaId: invite.arenaId, userId: user.id } },
+    select: { role: true },
+  });
+
+  const member = await prisma.arenaMember.upsert({
+    where: { arenaId_userId: { arenaId: invite.arenaId, userId: user.id } },
+    create: {
+      arenaId: invite.arenaId,
+      userId: user.id,
+      role: invite.role,
+      addedById: invite.invitedById,
+    },
+    update: { role: invite.role },
+  });
+
+  await recordAudit({
+    req,
+    actorId: user.id,
+    action: "arena.invite_accepted",
+    targetType: "arena_invite",
+    targetId: invite.id,
+    arenaId: invite.arenaId,
+    before: previous,
+    after: { role: invite.role },
+  });
+
+  return { ok: true, member, arena: { id: invite.arena.id, name: invite.arena.name } };
+}
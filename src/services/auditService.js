@@ -0,0 +1,189 @@
+import { prisma } from "../lib/prisma.js";
+
+// Trilha de auditoria (append-only: o banco bloqueia UPDATE/DELETE na tabela).
+// action no formato "<recurso>.<verbo>" (ex.: "reservation.marked_paid").
+// before/after guardam só os campos que mudaram; em criação/exclusão vai o
+// retrato inteiro de um lado só.
+
+export const AUDIT_PAGE_SIZE = 50;
+
+const USER_AGENT_MAX = 300;
+
+// Date → ISO, Decimal/BigInt → string: tudo que o Json do Prisma aceita
+function toJsonSafe(value) {
+  if (value === undefined) return null;
+  return JSON.parse(
+    JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v))
+  );
+}
+
+/**
+ * Só as chaves escolhidas (ignora as que não existem no objeto).
+ */
+export function pickAuditFields(obj, keys) {
+  if (!obj) return null;
+
+  return Object.fromEntries(keys.filter((key) => obj[key] !== undefined).map((key) => [key, obj[key]]));
+}
+
+/**
+ * Compara dois retratos e devolve { before, after } só com o que mudou.
+ * Com um lado nulo (criou/apagou) devolve o outro inteiro.
+ */
+export function diffAuditSnapshots(before, after) {
+  const prev = before ? toJsonSafe(before) : null;
+  const next = after ? toJsonSafe(after) : null;
+
+  if (!prev || !next) return { before: prev, after: next };
+
+  const keys = [...new Set([...Object.keys(prev), ...Object.keys(next)])];
+  const changed = keys.filter((key) => JSON.stringify(prev[key]) !== JSON.stringify(next[key]));
+
+  return {
+    before: Object.fromEntries(changed.map((key) => [key, prev[key] ?? null])),
+    after: Object.fromEntries(changed.map((key) => [key, next[key] ?? null])),
+  };
+}
+
+function requestMeta(req) {
+  if (!req) return {};
+
+  const userAgent = req.headers?.["user-agent"];
+
+  return {
+    ip: req.ip || null,
+    userAgent: userAgent ? String(userAgent).slice(0, USER_AGENT_MAX) : null,
+    method: req.method || null,
+    path: req.originalUrl ? String(req.originalUrl).split("?")[0] : null,
+  };
+}
+
+/**
+ * Grava uma entrada. Nunca lança: falha de auditoria não derruba a ação.
+ * req (opcional) preenche autor, ip, user-agent e rota.
+ */
+export async function recordAudit({
+  req = null,
+  actorId,
+  action,
+  targetType,
+  targetId = null,
+  arenaId = null,
+  before = null,
+  after = null,
+  metadata = null,
+}) {
+  try {
+    const diff = diffAuditSnapshots(before, after);
+
+    return await prisma.auditLog.create({
+      data: {
+        actorId: actorId ?? req?.user?.id ?? null,
+        action,
+        targetType,
+        targetId: targetId ? String(targetId) : null,
+        arenaId,
+        ...(diff.before ? { before: diff.before } : {}),
+        ...(diff.after ? { after: diff.after } : {}),
+        ...(metadata ? { metadata: toJsonSafe(metadata) } : {}),
+        ...requestMeta(req),
+      },
+    });
+  } catch (err) {
+    console.error(`[audit] falha ao registrar "${action}":`, err);
+    return null;
+  }
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// cursor "createdAt|id": o id desempata linhas gravadas no mesmo milissegundo.
+// Só a data (cursor antigo) ainda vale
+function parseCursor(value) {
+  if (!value) return null;
+
+  const [datePart, id = null] = String(value).split("|");
+  const createdAt = parseDate(datePart);
+
+  return createdAt ? { createdAt, id: id || null } : null;
+}
+
+/**
+ * Lista do mais novo pro mais antigo, paginado por cursor (before = "createdAt|id").
+ * action aceita prefixo com "*" (ex.: "reservation.*").
+ * Devolve { items, nextCursor }; cada item vem com actor { id, name, email } quando existir.
+ */
+export async function listAuditLog({
+  arenaId,
+  actorId,
+  action,
+  targetType,
+  targetId,
+  from,
+  to,
+  before,
+  limit,
+} = {}) {
+  const take = Math.min(Math.max(Number(limit) || AUDIT_PAGE_SIZE, 1), 200);
+
+  const fromDate = parseDate(from);
+  const toDate = parseDate(to);
+  const cursor = parseCursor(before);
+
+  const createdAt = {
+    ...(fromDate ? { gte: fromDate } : {}),
+    ...(toDate ? { lte: toDate } : {}),
+    ...(cursor && !cursor.id ? { lt: cursor.createdAt } : {}),
+  };
+
+  const cursorWhere = cursor?.id
+    ? {
+        OR: [
+          { createdAt: { lt: cursor.createdAt } },
+          { createdAt: cursor.createdAt, id: { lt: cursor.id } },
+        ],
+      }
+    : {};
+
+  const actionWhere = action
+    ? action.endsWith("*")
+      ? { startsWith: action.slice(0, -1) }
+      : action
+    : undefined;
+
+  const rows = await prisma.auditLog.findMany({
+    where: {
+      ...(arenaId ? { arenaId } : {}),
+      ...(actorId ? { actorId } : {}),
+      ...(actionWhere ? { action: actionWhere } : {}),
+      ...(targetType ? { targetType } : {}),
+      ...(targetId ? { targetId } : {}),
+      ...(Object.keys(createdAt).length ? { createdAt } : {}),
+      ...cursorWhere,
+    },
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    take: take + 1,
+  });
+
+  const page = rows.slice(0, take);
+  const last = page[page.length - 1];
+
+  // sem FK no log: busca os autores à parte (podem já ter sido apagados)
+  const actorIds = [...new Set(page.map((row) => row.actorId).filter(Boolean))];
+  const actors = actorIds.length
+    ? await prisma.user.findMany({
+        where: { id: { in: actorIds } },
+        select: { id: true, name: true, email: true },
+      })
+    : [];
+  const actorById = new Map(actors.map((actor) => [actor.id, actor]));
+
+  return {
+    items: page.map((row) => ({ ...row, actor: row.actorId ? actorById.get(row.actorId) || null : null })),
+    nextCursor: rows.length > take ? `${last.createdAt.toISOString()}|${last.id}` : null,
+  };
+}
@@ -0,0 +1,228 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { prisma } from "../lib/prisma.js";
+import { signToken } from "../utils/jwt.js";
+
+export function getRefreshTokenTtlDays() {
+  const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+  return Number.isFinite(days) && days > 0 ? days : 30;
+}
+
+// lastSeenAt não precisa de precisão: grava no máximo a cada 5 min
+const LAST_SEEN_THROTTLE_MS = 5 * 60 * 1000;
+
+// duas abas renovando ao mesmo tempo: o token anterior ainda é aceito
+// por alguns segundos sem ser tratado como vazamento
+const ROTATION_GRACE_MS = 10 * 1000;
+
+const sessionUserSelect = { id: true, name: true, email: true, role: true, emailVerifiedAt: true };
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString("base64url");
+}
+
+function getRefreshExpiry(from = new Date()) {
+  return new Date(from.getTime() + getRefreshTokenTtlDays() * 24 * 60 * 60 * 1000);
+}
+
+function issueTokens(user, sessionId, refreshToken) {
+  const accessToken = signToken({ id: user.id, email: user.email, role: user.role, sid: sessionId });
+  const { exp, iat } = jwt.decode(accessToken);
+
+  return {
+    // "token" continua saindo pra não quebrar o front antigo
+    token: accessToken,
+    accessToken,
+    refreshToken,
+    expiresIn: exp - iat,
+  };
+}
+
+function clientInfo({ userAgent, ip } = {}) {
+  return {
+    userAgent: userAgent ? String(userAgent).slice(0, 300) : null,
+    ip: ip ? String(ip).slice(0, 64) : null,
+  };
+}
+
+/**
+ * Abre uma sessão nova (login/cadastro) e devolve access + refresh.
+ */
+export async function createSession(user, client = {}) {
+  const refreshToken = newRefreshToken();
+
+  const session = await prisma.authSession.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: getRefreshExpiry(),
+      ...clientInfo(client),
+    },
+    select: { id: true },
+  });
+
+  return { sessionId: session.id, ...issueTokens(user, session.id, refreshToken) };
+}
+
+/**
+ * Troca o refresh token por um par novo (rotação). O role vem do banco,
+ * então rebaixar alguém vale a partir do próximo refresh.
+ */
+export async function refreshSession(refreshToken, client = {}) {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  const session = await prisma.authSession.findUnique({
+    where: { refreshTokenHash: tokenHash },
+    include: { user: { select: sessionUserSelect } },
+  });
+
+  if (!session) {
+    const reused = await prisma.authSession.findFirst({
+      where: { previousRefreshTokenHash: tokenHash },
+      select: { id: true, revokedAt: true, rotatedAt: true },
+    });
+
+    if (reused && !reused.revokedAt) {
+      const inGrace =
+        reused.rotatedAt && now.getTime() - new Date(reused.rotatedAt).getTime() < ROTATION_GRACE_MS;
+
+      if (inGrace) {
+        return { ok: false, status: 409, message: "Sessão já renovada." };
+      }
+
+      await prisma.authSession.update({
+        where: { id: reused.id },
+        data: { revokedAt: now, revokedReason: "reuse" },
+      });
+
+      return { ok: false, status: 401, message: "Sessão encerrada por segurança. Entre novamente." };
+    }
+
+    return { ok: false, status: 401, message: "Sessão inválida." };
+  }
+
+  if (session.revokedAt || session.expiresAt <= now) {
+    return { ok: false, status: 401, message: "Sessão expirada. Entre novamente." };
+  }
+
+  const nextRefreshToken = newRefreshToken();
+
+  // claim: só quem ainda tem o hash atual consegue girar
+  const claim = await prisma.authSession.updateMany({
+    where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(nextRefreshToken),
+      previousRefreshTokenHash: tokenHash,
+      rotatedAt: now,
+      lastSeenAt: now,
+      expiresAt: getRefreshExpiry(now),
+      ...clientInfo(client),
+    },
+  });
+
+  if (!claim.count) {
+    return { ok: false, status: 409, message: "Sessão já renovada." };
+  }
+
+  return {
+    ok: true,
+    user: session.user,
+    sessionId: session.id,
+    ...issueTokens(session.user, session.id, nextRefreshToken),
+  };
+}
+
+/**
+ * Usado pelo authRequired: a sessão do access token ainda vale?
+ * Tokens antigos (sem sid) valem até expirar.
+ */
+export async function isSessionActive(claims) {
+  if (!claims?.sid) return true;
+
+  const session = await prisma.authSession.findUnique({
+    where: { id: claims.sid },
+    select: { userId: true, revokedAt: true, expiresAt: true, lastSeenAt: true },
+  });
+
+  if (!session || session.revokedAt || session.userId !== claims.id) return false;
+  if (session.expiresAt <= new Date()) return false;
+
+  if (Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_THROTTLE_MS) {
+    prisma.authSession
+      .update({ where: { id: claims.sid }, data: { lastSeenAt: new Date() } })
+      .catch((err) => console.error("[auth] falha ao atualizar lastSeenAt:", err));
+  }
+
+  return true;
+}
+
+export async function listSessions(userId, currentSessionId = null) {
+  const sessions = await prisma.authSession.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { lastSeenAt: "desc" },
+    select: {
+      id: true,
+      userAgent: true,
+      ip: true,
+      createdAt: true,
+      lastSeenAt: true,
+      expiresAt: true,
+    },
+  });
+
+  return sessions.map((session) => ({
+    ...session,
+    current: session.id === currentSessionId,
+  }));
+}
+
+export async function revokeSession({ userId, sessionId, reason = "revoked" }) {
+  const result = await prisma.authSession.updateMany({
+    where: { id: sessionId, userId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  return result.count > 0;
+}
+
+export async function revokeSessionByRefreshToken(refreshToken, reason = "logout") {
+  const result = await prisma.authSession.updateMany({
+    where: { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  return result.count > 0;
+}
+
+export async function revokeAllSessions(userId, { reason = "logout_all", exceptSessionId = null } = {}) {
+  const result = await prisma.authSession.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId ? { id: { not: exceptSessionId } } : {}),
+    },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  return result.count;
+}
+
+/**
+ * Apaga sessões expiradas/revogadas há mais de `days` dias.
+ */
+export async function purgeOldSessions({ days = 30 } = {}) {
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const result = await prisma.authSession.deleteMany({
+    where: {
+      OR: [{ expiresAt: { lt: cutoff } }, { revokedAt: { lt: cutoff } }],
+    },
+  });
+
+  return result.count;
+}
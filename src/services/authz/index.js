@@ -0,0 +1,127 @@
+import { prisma } from "../../lib/prisma.js";
+import { ARENA_ROLES, PERMISSIONS, POLICIES } from "./policies.js";
+import { loadTarget } from "./resources.js";
+
+export { ARENA_ROLES, PERMISSIONS, POLICIES };
+
+function getPolicy(action) {
+  const policy = POLICIES[action];
+  if (!policy) throw new Error(`Permissão desconhecida: ${action}`);
+  return policy;
+}
+
+function forbidden(action, policy) {
+  return {
+    ok: false,
+    status: 403,
+    code: "FORBIDDEN",
+    permission: action,
+    message: policy.message || "Sem permissão",
+  };
+}
+
+/**
+ * Papel do usuário na arena: "owner" | "manager" | "receptionist" | "viewer" | null.
+ * ownerIds já vem do recurso carregado (evita buscar a arena de novo).
+ */
+export async function getArenaRole(userId, arenaId, { ownerIds = null } = {}) {
+  if (!userId || !arenaId) return null;
+
+  let owners = ownerIds;
+  if (!owners) {
+    const arena = await prisma.arena.findUnique({ where: { id: arenaId }, select: { ownerId: true } });
+    owners = arena ? [arena.ownerId] : [];
+  }
+
+  if (owners.includes(userId)) return "owner";
+
+  const member = await prisma.arenaMember.findUnique({
+    where: { arenaId_userId: { arenaId, userId } },
+    select: { role: true },
+  });
+
+  return member?.role || null;
+}
+
+/**
+ * Checa a permissão. Sem target só vale o papel global.
+ * Retorna { ok: true, resource, arenaRole } ou { ok: false, status, code, message }.
+ */
+export async function authorize(user, action, target = null) {
+  const policy = getPolicy(action);
+
+  if (!user?.id) {
+    return { ok: false, status: 401, code: "UNAUTHENTICATED", message: "Token ausente" };
+  }
+
+  let scope = null;
+
+  if (target) {
+    const loaded = await loadTarget(target, user);
+
+    if (!loaded.found) {
+      return { ok: false, status: 404, code: "NOT_FOUND", message: loaded.notFound };
+    }
+
+    scope = loaded.scope;
+  }
+
+  const resource = scope?.resource || null;
+
+  if (policy.roles?.includes(user.role)) {
+    return { ok: true, resource, arenaRole: null };
+  }
+
+  if (!scope) return forbidden(action, policy);
+
+  if (policy.relations?.some((name) => scope.relations[name])) {
+    return { ok: true, resource, arenaRole: null };
+  }
+
+  if (policy.arenaRoles?.length && (scope.arenaId || scope.ownerIds.length)) {
+    // quadra legada sem arena: só o arenaOwnerId conta
+    const arenaRole = scope.arenaId
+      ? await getArenaRole(user.id, scope.arenaId, { ownerIds: scope.ownerIds })
+      : scope.ownerIds.includes(user.id)
+      ? "owner"
+      : null;
+
+    if (arenaRole && policy.arenaRoles.includes(arenaRole)) {
+      return { ok: true, resource, arenaRole };
+    }
+  }
+
+  return forbidden(action, policy);
+}
+
+export async function can(user, action, target = null) {
+  const result = await authorize(user, action, target);
+  return result.ok;
+}
+
+/**
+ * Pra filtros de listagem: ids das arenas onde a permissão vale.
+ * null = vale em todas (papel global liberado).
+ */
+export async function listPermittedArenaIds(user, action) {
+  const policy = getPolicy(action);
+
+  if (policy.roles?.includes(user?.role)) return null;
+  if (!user?.id || !policy.arenaRoles?.length) return [];
+
+  const staffRoles = policy.arenaRoles.filter((role) => role !== "owner");
+
+  const [owned, memberships] = await Promise.all([
+    policy.arenaRoles.includes("owner")
+      ? prisma.arena.findMany({ where: { ownerId: user.id }, select: { id: true } })
+      : [],
+    staffRoles.length
+      ? prisma.arenaMember.findMany({
+          where: { userId: user.id, role: { in: staffRoles } },
+          select: { arenaId: true },
+        })
+      : [],
+  ]);
+
+  return [...new Set([...owned.map((a) => a.id), ...memberships.map((m) => m.arenaId)])];
+}
@@ -0,0 +1,163 @@
+// Quem pode fazer o quê. Cada permissão libera por qualquer um dos critérios:
+//   roles      → papel global do usuário (User.role)
+//   arenaRoles → papel na arena do recurso ("owner" = Arena.ownerId, ou ArenaMember.role)
+//   relations  → vínculo direto com o recurso (ver resources.js)
+// message é o texto do 403 quando não libera.
+
+export const ARENA_ROLES = ["owner", "manager", "receptionist", "viewer"];
+
+const ARENA_ADMINS = ["owner", "manager"];
+const ARENA_STAFF = ["owner", "manager", "receptionist"];
+// viewer só enxerga (agenda/reservas), não mexe em nada
+const ARENA_VIEWERS = [...ARENA_STAFF, "viewer"];
+
+export const POLICIES = {
+  /* ------------------------------- arena ------------------------------- */
+  "arena:create": {
+    roles: ["admin", "arena_owner"],
+    message: "Só donos de arena podem cadastrar arenas",
+  },
+  "arena:update": {
+    roles: ["admin"],
+    arenaRoles: ARENA_ADMINS,
+    message: "Você não pode editar esta arena",
+  },
+  "arena:view_agenda": {
+    roles: ["admin"],
+    arenaRoles: ARENA_VIEWERS,
+    message: "Você não faz parte da equipe desta arena",
+  },
+  "arena:manage_staff": {
+    roles: ["admin"],
+    arenaRoles: ["owner"],
+    message: "Só o dono da arena gerencia a equipe",
+  },
+  "arena:view_audit": {
+    roles: ["admin"],
+    arenaRoles: ARENA_ADMINS,
+    message: "Você não pode ver o histórico desta arena",
+  },
+  "arena:manage_payments": {
+    roles: ["admin"],
+    arenaRoles: ["owner"],
+    message: "Só o dono da arena escolhe o gateway de pagamento",
+  },
+  "arena:manage_partners": {
+    roles: ["admin"],
+    arenaRoles: ARENA_ADMINS,
+    message: "Você não pode gerenciar parcerias desta arena",
+  },
+
+  /* ------------------------------- quadra ------------------------------ */
+  // alvo: a arena onde a quadra vai ficar
+  "court:create": {
+    roles: ["admin"],
+    arenaRoles: ARENA_ADMINS,
+    message: "Você só pode gerenciar quadras das suas arenas",
+  },
+  "court:update": {
+    roles: ["admin"],
+    arenaRoles: ARENA_ADMINS,
+    message: "Você não pode editar uma quadra que não é sua",
+  },
+  "court:delete": {
+    roles: ["admin"],
+    arenaRoles: ["owner"],
+    message: "Você não pode excluir uma quadra que não é sua",
+  },
+
+  /* ------------------------------ reserva ------------------------------ */
+  "reservation:confirm": {
+    roles: ["admin"],
+    arenaRoles: ARENA_STAFF,
+    message: "Sem permissão para confirmar esta reserva",
+  },
+  "reservation:mark_paid": {
+    roles: ["admin"],
+    arenaRoles: ARENA_STAFF,
+    message: "Sem permissão para marcar esta reserva como paga",
+  },
+  "reservation:cancel_as_arena": {
+    roles: ["admin"],
+    arenaRoles: ARENA_ADMINS,
+    message: "Sem permissão para cancelar esta reserva",
+  },
+  "reservation:cancel": {
+    roles: ["admin"],
+    relations: ["holder"],
+    message: "Você só pode cancelar suas próprias reservas",
+  },
+  "reservation:pay": {
+    roles: ["admin"],
+    relations: ["holder"],
+    message: "Você só pode pagar suas próprias reservas",
+  },
+
+  /* ------------------------------ partida ------------------------------ */
+  // alvo: a quadra da partida
+  "match:create": {
+    roles: ["admin", "owner"],
+    arenaRoles: ARENA_ADMINS,
+    message: "Você só pode criar partidas nas suas próprias quadras",
+  },
+  "match:create_pelada": {
+    roles: ["admin", "owner", "arena_owner"],
+    message: "Sem permissão para criar peladas",
+  },
+  "match:create_manual_location": {
+    roles: ["admin", "arena_owner"],
+    message: "Owner só pode criar peladas em locais cadastrados",
+  },
+  "match:manage": {
+    roles: ["admin"],
+    arenaRoles: ARENA_ADMINS,
+    relations: ["controller", "organizer", "captain"],
+    message: "Sem permissão para gerenciar esta partida",
+  },
+  "match:edit_official_stats": {
+    roles: ["admin"],
+    arenaRoles: ARENA_ADMINS,
+    relations: ["controller", "organizer"],
+    message: "Sem permissão para lançar estatística oficial",
+  },
+  "match:control": {
+    roles: ["admin"],
+    relations: ["controller"],
+    message: "Apenas o controlador da partida pode fazer isso",
+  },
+  "match:moderate_chat": {
+    roles: ["admin"],
+    relations: ["organizer"],
+    message: "Sem permissão para moderar o chat",
+  },
+
+  /* --------------------------- local de pelada ------------------------- */
+  "pelada_location:create": {
+    roles: ["admin", "owner"],
+    message: "Sem permissão para criar local",
+  },
+  "pelada_location:list": {
+    roles: ["admin", "owner"],
+    message: "Sem permissão para listar locais",
+  },
+  "pelada_location:view_all": {
+    roles: ["admin"],
+  },
+  "pelada_location:update": {
+    roles: ["admin"],
+    relations: ["creator"],
+    message: "Você só pode alterar os locais que criou",
+  },
+
+  /* ------------------------------- admin ------------------------------- */
+  "rank:admin": {
+    roles: ["admin"],
+    message: "Apenas admin",
+  },
+  "admin:access": {
+    roles: ["admin"],
+    message: "Apenas admin",
+  },
+};
+
+export const PERMISSIONS = Object.keys(POLICIES);
@@ -0,0 +1,134 @@
+import { prisma } from "../../lib/prisma.js";
+
+// Carrega o recurso alvo de uma checagem e descobre:
+//   arenaId   → arena a que ele pertence (pra papéis de equipe)
+//   ownerIds  → quem conta como dono (Arena.ownerId e o legado Court.arenaOwnerId)
+//   relations → vínculos do usuário com o recurso (holder, organizer...)
+
+const courtScopeSelect = {
+  arenaId: true,
+  arenaOwnerId: true,
+  arena: { select: { ownerId: true } },
+};
+
+function courtScope(court) {
+  return {
+    arenaId: court?.arenaId || null,
+    ownerIds: [court?.arena?.ownerId, court?.arenaOwnerId].filter(Boolean),
+  };
+}
+
+const RESOURCE_LOADERS = {
+  arenaId: {
+    notFound: "Arena não encontrada",
+    async load(id) {
+      const arena = await prisma.arena.findUnique({
+        where: { id },
+        select: { id: true, name: true, ownerId: true },
+      });
+
+      return arena && { resource: arena, arenaId: arena.id, ownerIds: [arena.ownerId], relations: {} };
+    },
+  },
+
+  courtId: {
+    notFound: "Quadra não encontrada",
+    async load(id) {
+      const court = await prisma.court.findUnique({
+        where: { id },
+        select: { id: true, name: true, ...courtScopeSelect },
+      });
+
+      return court && { resource: court, ...courtScope(court), relations: {} };
+    },
+  },
+
+  reservationId: {
+    notFound: "Reserva não encontrada",
+    async load(id, user) {
+      const reservation = await prisma.reservation.findUnique({
+        where: { id },
+        select: { id: true, userId: true, courtId: true, court: { select: courtScopeSelect } },
+      });
+
+      return (
+        reservation && {
+          resource: reservation,
+          ...courtScope(reservation.court),
+          relations: { holder: reservation.userId === user.id },
+        }
+      );
+    },
+  },
+
+  matchId: {
+    notFound: "Partida não encontrada",
+    async load(id, user) {
+      const match = await prisma.match.findUnique({
+        where: { id },
+        select: {
+          id: true,
+          status: true,
+          organizerId: true,
+          controllerId: true,
+          courtId: true,
+          court: { select: courtScopeSelect },
+          presences: {
+            where: { userId: user.id },
+            select: { isCaptain: true },
+            take: 1,
+          },
+        },
+      });
+
+      return (
+        match && {
+          resource: match,
+          ...courtScope(match.court),
+          relations: {
+            organizer: match.organizerId === user.id,
+            controller: Boolean(match.controllerId) && match.controllerId === user.id,
+            captain: Boolean(match.presences?.[0]?.isCaptain),
+          },
+        }
+      );
+    },
+  },
+
+  peladaLocationId: {
+    notFound: "Local não encontrado",
+    async load(id, user) {
+      const location = await prisma.peladaLocation.findUnique({
+        where: { id },
+        select: { id: true, isActive: true, createdById: true },
+      });
+
+      return (
+        location && {
+          resource: location,
+          arenaId: null,
+          ownerIds: [],
+          relations: { creator: Boolean(location.createdById) && location.createdById === user.id },
+        }
+      );
+    },
+  },
+};
+
+export const TARGET_KEYS = Object.keys(RESOURCE_LOADERS);
+
+/**
+ * target: { matchId } | { courtId } | { arenaId } | { reservationId } | { peladaLocationId }
+ * Retorna { found, notFound, scope } — scope null quando não achou.
+ */
+export async function loadTarget(target, user) {
+  const key = TARGET_KEYS.find((name) => target?.[name] !== undefined);
+  if (!key) throw new Error(`Alvo de permissão inválido: ${JSON.stringify(target)}`);
+
+  const loader = RESOURCE_LOADERS[key];
+  const id = String(target[key] || "").trim();
+
+  const scope = id ? await loader.load(id, user) : null;
+
+  return { found: Boolean(scope), notFound: loader.notFound, scope };
+}
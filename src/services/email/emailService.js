@@ -0,0 +1,157 @@
+import { prisma } from "../../lib/prisma.js";
+import { makeMailer } from "../../utils/mailer.js";
+import { DEFAULT_LOCALE, resolveLocale } from "./i18n.js";
+import { EMAIL_TEMPLATES, EMAIL_TEMPLATE_NAMES, renderTemplate } from "./templates.js";
+
+export { EMAIL_TEMPLATE_NAMES };
+
+let mailer = null;
+
+function getMailer() {
+  if (!mailer) mailer = makeMailer();
+  return mailer;
+}
+
+// endereços reservados (RFC 2606) nunca recebem nada
+function isDeliverableAddress(email) {
+  const value = String(email || "").trim().toLowerCase();
+  return value.includes("@") && !value.endsWith(".invalid");
+}
+
+export function renderEmail(template, data, { locale = DEFAULT_LOCALE } = {}) {
+  return renderTemplate(template, data, resolveLocale(locale));
+}
+
+export function getEmailTemplateSample(template) {
+  return EMAIL_TEMPLATES[template]?.sample || null;
+}
+
+/**
+ * Renderiza e envia. Nunca lança erro: e-mail é efeito colateral e
+ * SMTP fora do ar não pode derrubar reserva/cadastro.
+ */
+export async function sendEmail({ to, template, data = {}, locale = DEFAULT_LOCALE }) {
+  try {
+    if (!isDeliverableAddress(to)) {
+      return { ok: false, skipped: true, reason: "invalid_address" };
+    }
+
+    const rendered = renderEmail(template, data, { locale });
+    if (!rendered) {
+      console.error(`[email] template desconhecido: ${template}`);
+      return { ok: false, skipped: true, reason: "unknown_template" };
+    }
+
+    const { transporter, from, isReady } = getMailer();
+
+    if (!isReady) {
+      console.warn(`[email] SMTP não configurado — pulando "${template}"`);
+      return { ok: false, skipped: true, reason: "not_configured" };
+    }
+
+    await transporter.sendMail({
+      from,
+      to,
+      subject: rendered.subject,
+      html: rendered.html,
+      text: rendered.text,
+    });
+
+    return { ok: true };
+  } catch (err) {
+    console.error(`[email] falha ao enviar "${template}":`, err);
+    return { ok: false, skipped: false, reason: "send_failed" };
+  }
+}
+
+/* ----------------------------- por domínio ----------------------------- */
+
+const reservationInclude = {
+  user: { select: { name: true, email: true } },
+  court: { select: { name: true, arena: { select: { name: true } } } },
+  // o Pix que confirmou a reserva (regerar cria outra linha)
+  pixPayments: {
+    where: { applied: true },
+    orderBy: { createdAt: "desc" },
+    take: 1,
+    select: { value: true, paidAt: true, txid: true },
+  },
+};
+
+/**
+ * E-mails de reserva (reservationCreated/Confirmed/Canceled, pixPaid)
+ * pro dono da reserva. `extra` entra por cima dos dados da reserva.
+ */
+export async function sendReservationEmail(template, reservationId, extra = {}) {
+  try {
+    const reservation = await prisma.reservation.findUnique({
+      where: { id: reservationId },
+      include: reservationInclude,
+    });
+
+    if (!reservation?.user) return { ok: false, skipped: true, reason: "not_found" };
+
+    const [pix] = reservation.pixPayments;
+
+    return sendEmail({
+      to: reservation.user.email,
+      template,
+      data: {
+        name: reservation.user.name,
+        arena: reservation.court?.arena?.name || "",
+        court: reservation.court?.name || "",
+        startAt: reservation.startAt,
+        endAt: reservation.endAt,
+        totalPrice: pix?.value ?? reservation.totalPrice,
+        paidAt: pix?.paidAt || null,
+        txid: pix?.txid || null,
+        ...extra,
+      },
+    });
+  } catch (err) {
+    console.error(`[email] falha ao montar "${template}" da reserva ${reservationId}:`, err);
+    return { ok: false, skipped: false, reason: "send_failed" };
+  }
+}
+
+/**
+ * E-mails de partida (matchReminder, matchCanceled) pra cada usuário.
+ * Retorna quantos foram enviados.
+ */
+export async function sendMatchEmails(template, match, userIds) {
+  const ids = [...new Set((userIds || []).filter(Boolean))];
+  if (!ids.length) return 0;
+
+  try {
+    const users = await prisma.user.findMany({
+      where: { id: { in: ids } },
+      select: { id: true, name: true, email: true },
+    });
+
+    const arena =
+      match.court?.arena?.name || match.peladaLocation?.name || match.manualArenaName || "";
+
+    let sent = 0;
+
+    for (const user of users) {
+      const result = await sendEmail({
+        to: user.email,
+        template,
+        data: {
+          name: user.name,
+          matchId: match.id,
+          matchTitle: match.title || "Partida",
+          arena,
+          date: match.date,
+        },
+      });
+
+      if (result.ok) sent += 1;
+    }
+
+    return sent;
+  } catch (err) {
+    console.error(`[email] falha ao enviar "${template}" da partida ${match?.id}:`, err);
+    return 0;
+  }
+}
@@ -0,0 +1,130 @@
+// textos dos e-mails por idioma. pt-BR é o padrão e o fallback de qualquer
+// chave que faltar; pra adicionar um idioma basta uma entrada nova em MESSAGES.
+
+export const DEFAULT_LOCALE = "pt-BR";
+
+const TIME_ZONE = "America/Sao_Paulo";
+
+const MESSAGES = {
+  "pt-BR": {
+    "layout.footer": "Você recebeu este e-mail porque tem uma conta no BoraPô.",
+    "layout.ignore": "Se não reconhece esta mensagem, pode ignorar.",
+    "layout.greeting": "Olá, {name}!",
+
+    "welcome.subject": "Bem-vindo ao BoraPô, {name}!",
+    "welcome.title": "Bora pro jogo!",
+    "welcome.intro": "Sua conta foi criada. Agora é só achar uma pelada, reservar a quadra e chamar a galera.",
+    "welcome.cta": "Abrir o BoraPô",
+
+    "emailVerification.subject": "Confirme seu e-mail no BoraPô",
+    "emailVerification.title": "Confirme seu e-mail",
+    "emailVerification.intro": "Falta só um passo para ativar sua conta: confirme que este e-mail é seu.",
+    "emailVerification.expires": "O link vale por {hours} horas.",
+    "emailVerification.cta": "Confirmar e-mail",
+    "emailVerification.ignore": "Se você não criou uma conta no BoraPô, ignore este e-mail.",
+
+    "passwordReset.subject": "BoraPô — Recuperação de senha",
+    "passwordReset.title": "Recuperação de senha",
+    "passwordReset.intro": "Você pediu para redefinir sua senha no BoraPô.",
+    "passwordReset.expires": "O link vale por {minutes} minutos.",
+    "passwordReset.cta": "Redefinir senha",
+    "passwordReset.ignore": "Se você não pediu isso, ignore este e-mail.",
+
+    "reservation.arena": "Arena",
+    "reservation.court": "Quadra",
+    "reservation.when": "Horário",
+    "reservation.total": "Valor",
+    "reservation.cta": "Ver minhas reservas",
+
+    "reservationCreated.subject": "Reserva recebida — {arena}",
+    "reservationCreated.title": "Recebemos sua reserva",
+    "reservationCreated.intro": "A arena ainda precisa confirmar. Você recebe outro e-mail assim que isso acontecer.",
+
+    "reservationConfirmed.subject": "Reserva confirmada — {arena}",
+    "reservationConfirmed.title": "Reserva confirmada!",
+    "reservationConfirmed.intro": "Está tudo certo com o seu horário. Bom jogo!",
+
+    "reservationCanceled.subject": "Reserva cancelada — {arena}",
+    "reservationCanceled.title": "Reserva cancelada",
+    "reservationCanceled.introOwner": "A arena cancelou a sua reserva.",
+    "reservationCanceled.introUser": "Sua reserva foi cancelada.",
+    "reservationCanceled.introSplitExpired": "A divisão não fechou no prazo e a reserva foi cancelada. Quem já pagou a parte recebe o Pix de volta.",
+    "reservationCanceled.refundPix": "Estornamos {value} pelo Pix. Pode levar alguns minutos para cair na sua conta.",
+    "reservationCanceled.refundManual": "A arena vai devolver {value} diretamente a você.",
+    "reservationCanceled.noRefund": "Pela política de cancelamento da arena, este cancelamento não tem reembolso.",
+
+    "pixPaid.subject": "Comprovante de pagamento — {arena}",
+    "pixPaid.title": "Pagamento recebido",
+    "pixPaid.intro": "Recebemos seu Pix. Guarde este e-mail como comprovante.",
+    "pixPaid.paidAt": "Pago em",
+    "pixPaid.txid": "Identificador",
+
+    "match.title": "Partida",
+    "match.where": "Local",
+    "match.when": "Quando",
+    "match.cta": "Ver partida",
+
+    "matchReminder.subject": "Lembrete: {match} às {time}",
+    "matchReminder.title": "Sua partida está chegando",
+    "matchReminder.intro": "Não esquece: você está confirmado nesta partida.",
+
+    "matchCanceled.subject": "Partida cancelada — {match}",
+    "matchCanceled.title": "Partida cancelada",
+    "matchCanceled.intro": "O organizador cancelou a partida que você ia jogar.",
+
+    "arenaRole.manager": "gerente",
+    "arenaRole.receptionist": "recepcionista",
+    "arenaRole.viewer": "visualizador",
+
+    "arenaInvite.subject": "Convite para a equipe da {arena}",
+    "arenaInvite.title": "Você foi convidado",
+    "arenaInvite.intro": "{inviter} convidou você para entrar na equipe da {arena} no BoraPô como {role}.",
+    "arenaInvite.cta": "Aceitar convite",
+    "arenaInvite.expires": "O convite vale por {days} dias. Entre (ou crie a conta) com este mesmo e-mail para aceitar.",
+    "arenaInvite.ignore": "Se você não esperava este convite, ignore este e-mail.",
+  },
+};
+
+export function resolveLocale(locale) {
+  return locale && MESSAGES[locale] ? locale : DEFAULT_LOCALE;
+}
+
+// "Olá, {name}!" + { name: "Ana" }
+export function t(locale, key, vars = {}) {
+  const template =
+    MESSAGES[resolveLocale(locale)]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+
+  return template.replace(/\{(\w+)\}/g, (_, name) =>
+    vars[name] === undefined || vars[name] === null ? "" : String(vars[name])
+  );
+}
+
+export function formatDateTime(date, locale) {
+  if (!date) return "";
+
+  return new Date(date).toLocaleString(resolveLocale(locale), {
+    timeZone: TIME_ZONE,
+    dateStyle: "short",
+    timeStyle: "short",
+  });
+}
+
+export function formatTime(date, locale) {
+  if (!date) return "";
+
+  return new Date(date).toLocaleTimeString(resolveLocale(locale), {
+    timeZone: TIME_ZONE,
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+// valores em centavos (igual totalPrice / PixPayment.value)
+export function formatMoney(cents, locale) {
+  if (cents === null || cents === undefined) return "";
+
+  return (Number(cents) / 100).toLocaleString(resolveLocale(locale), {
+    style: "currency",
+    currency: "BRL",
+  });
+}
@@ -0,0 +1,108 @@
+import { t } from "./i18n.js";
+
+const BRAND_COLOR = "#2EDC8F";
+const BRAND_TEXT = "#061b12";
+
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+export function getAppUrl() {
+  return process.env.APP_URL || "http://localhost:5173";
+}
+
+/* ------------------------------ blocos HTML ------------------------------ */
+
+export function paragraph(text) {
+  return `<p style="margin:0 0 14px">${escapeHtml(text)}</p>`;
+}
+
+export function button(label, href) {
+  return `
+    <p style="margin:22px 0">
+      <a href="${escapeHtml(href)}" style="display:inline-block;padding:12px 16px;border-radius:10px;background:${BRAND_COLOR};color:${BRAND_TEXT};text-decoration:none;font-weight:800">
+        ${escapeHtml(label)}
+      </a>
+    </p>`;
+}
+
+// tabela label → valor (linhas vazias somem)
+export function details(rows) {
+  const filled = rows.filter(([, value]) => value !== null && value !== undefined && value !== "");
+  if (!filled.length) return "";
+
+  return `
+    <table role="presentation" cellpadding="0" cellspacing="0" style="width:100%;margin:8px 0 16px;border-collapse:collapse">
+      ${filled
+        .map(
+          ([label, value]) => `
+        <tr>
+          <td style="padding:6px 0;color:#6b7280;width:40%">${escapeHtml(label)}</td>
+          <td style="padding:6px 0;font-weight:600">${escapeHtml(value)}</td>
+        </tr>`
+        )
+        .join("")}
+    </table>`;
+}
+
+/**
+ * Casca comum dos e-mails. `content` já é HTML montado com os blocos acima.
+ */
+export function renderHtmlLayout({ locale, title, content, preheader = "" }) {
+  return `<!doctype html>
+<html lang="${escapeHtml(locale)}">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="margin:0;padding:0;background:#f3f4f6">
+    <span style="display:none;max-height:0;overflow:hidden">${escapeHtml(preheader)}</span>
+    <div style="max-width:560px;margin:0 auto;padding:24px 16px;font-family:Arial,sans-serif;line-height:1.5;color:#111827">
+      <div style="font-size:22px;font-weight:900;color:${BRAND_TEXT};margin-bottom:16px">
+        <span style="background:${BRAND_COLOR};padding:4px 10px;border-radius:8px">BoraPô</span>
+      </div>
+      <div style="background:#ffffff;border-radius:14px;padding:24px">
+        <h2 style="margin:0 0 16px">${escapeHtml(title)}</h2>
+        ${content}
+      </div>
+      <p style="font-size:12px;color:#6b7280;margin:16px 4px 0">
+        ${escapeHtml(t(locale, "layout.footer"))}<br>
+        ${escapeHtml(t(locale, "layout.ignore"))}
+      </p>
+    </div>
+  </body>
+</html>`;
+}
+
+/**
+ * Versão texto puro: linhas soltas, "Label: valor" e links no fim.
+ */
+export function renderTextLayout({ locale, title, lines }) {
+  const body = lines
+    .flat()
+    .filter((line) => line !== null && line !== undefined && line !== false)
+    .join("\n");
+
+  return [
+    title,
+    "=".repeat(title.length),
+    "",
+    body,
+    "",
+    "--",
+    "BoraPô",
+    t(locale, "layout.footer"),
+  ].join("\n");
+}
+
+export function textDetails(rows) {
+  return rows
+    .filter(([, value]) => value !== null && value !== undefined && value !== "")
+    .map(([label, value]) => `${label}: ${value}`);
+}
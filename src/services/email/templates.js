@@ -0,0 +1,287 @@
+import { formatDateTime, formatMoney, formatTime, t } from "./i18n.js";
+import {
+  button,
+  details,
+  getAppUrl,
+  paragraph,
+  renderHtmlLayout,
+  renderTextLayout,
+  textDetails,
+} from "./layout.js";
+
+// cada template devolve { subject, title, preheader, blocks: [{ html, text }] }
+// e o render monta HTML + texto com o mesmo conteúdo
+
+const block = {
+  paragraph: (text) => ({ html: paragraph(text), text: [text, ""] }),
+  button: (label, href) => ({ html: button(label, href), text: [`${label}: ${href}`, ""] }),
+  details: (rows) => ({ html: details(rows), text: [...textDetails(rows), ""] }),
+};
+
+function greeting(locale, name) {
+  return block.paragraph(t(locale, "layout.greeting", { name: name || "jogador" }));
+}
+
+function reservationRows(data, locale) {
+  const when = data.startAt
+    ? `${formatDateTime(data.startAt, locale)}${data.endAt ? ` – ${formatTime(data.endAt, locale)}` : ""}`
+    : "";
+
+  return [
+    [t(locale, "reservation.arena"), data.arena],
+    [t(locale, "reservation.court"), data.court],
+    [t(locale, "reservation.when"), when],
+    [t(locale, "reservation.total"), formatMoney(data.totalPrice, locale)],
+  ];
+}
+
+function matchRows(data, locale) {
+  return [
+    [t(locale, "match.title"), data.matchTitle],
+    [t(locale, "match.where"), data.arena],
+    [t(locale, "match.when"), formatDateTime(data.date, locale)],
+  ];
+}
+
+function reservationsUrl() {
+  return `${getAppUrl()}/reservas`;
+}
+
+function matchUrl(matchId) {
+  return `${getAppUrl()}/partidas/${matchId || ""}`;
+}
+
+const sampleReservation = {
+  name: "Ana",
+  arena: "Arena Beira-Rio",
+  court: "Quadra 2 (Society)",
+  startAt: "2026-10-25T22:00:00.000Z",
+  endAt: "2026-10-25T23:00:00.000Z",
+  totalPrice: 12000,
+};
+
+const sampleMatch = {
+  name: "Ana",
+  matchId: "ckmatchexemplo000000000",
+  matchTitle: "Pelada de quinta",
+  arena: "Arena Beira-Rio",
+  date: "2026-10-25T22:00:00.000Z",
+};
+
+export const EMAIL_TEMPLATES = {
+  welcome: {
+    sample: { name: "Ana" },
+    build: (data, locale) => ({
+      subject: t(locale, "welcome.subject", { name: data.name }),
+      title: t(locale, "welcome.title"),
+      blocks: [
+        greeting(locale, data.name),
+        block.paragraph(t(locale, "welcome.intro")),
+        block.button(t(locale, "welcome.cta"), getAppUrl()),
+      ],
+    }),
+  },
+
+  emailVerification: {
+    sample: { name: "Ana", verifyUrl: `${getAppUrl()}/verificar-email?token=exemplo`, hours: 48 },
+    build: (data, locale) => ({
+      subject: t(locale, "emailVerification.subject"),
+      title: t(locale, "emailVerification.title"),
+      blocks: [
+        greeting(locale, data.name),
+        block.paragraph(t(locale, "emailVerification.intro")),
+        block.button(t(locale, "emailVerification.cta"), data.verifyUrl),
+        block.paragraph(t(locale, "emailVerification.expires", { hours: data.hours || 48 })),
+        block.paragraph(t(locale, "emailVerification.ignore")),
+      ],
+    }),
+  },
+
+  arenaInvite: {
+    sample: {
+      arena: "Arena Central",
+      inviter: "Carlos",
+      role: "receptionist",
+      acceptUrl: `${getAppUrl()}/convite-arena?token=exemplo`,
+      days: 7,
+    },
+    build: (data, locale) => {
+      const role = t(locale, `arenaRole.${data.role}`);
+
+      return {
+        subject: t(locale, "arenaInvite.subject", { arena: data.arena }),
+        title: t(locale, "arenaInvite.title"),
+        blocks: [
+          greeting(locale, data.name),
+          block.paragraph(
+            t(locale, "arenaInvite.intro", { inviter: data.inviter || "O dono", arena: data.arena, role })
+          ),
+          block.button(t(locale, "arenaInvite.cta"), data.acceptUrl),
+          block.paragraph(t(locale, "arenaInvite.expires", { days: data.days || 7 })),
+          block.paragraph(t(locale, "arenaInvite.ignore")),
+        ],
+      };
+    },
+  },
+
+  passwordReset: {
+    sample: { name: "Ana", resetUrl: `${getAppUrl()}/?token=exemplo`, minutes: 30 },
+    build: (data, locale) => ({
+      subject: t(locale, "passwordReset.subject"),
+      title: t(locale, "passwordReset.title"),
+      blocks: [
+        greeting(locale, data.name),
+        block.paragraph(t(locale, "passwordReset.intro")),
+        block.paragraph(t(locale, "passwordReset.expires", { minutes: data.minutes || 30 })),
+        block.button(t(locale, "passwordReset.cta"), data.resetUrl),
+        block.paragraph(t(locale, "passwordReset.ignore")),
+      ],
+    }),
+  },
+
+  reservationCreated: {
+    sample: sampleReservation,
+    build: (data, locale) => ({
+      subject: t(locale, "reservationCreated.subject", { arena: data.arena }),
+      title: t(locale, "reservationCreated.title"),
+      blocks: [
+        greeting(locale, data.name),
+        block.paragraph(t(locale, "reservationCreated.intro")),
+        block.details(reservationRows(data, locale)),
+        block.button(t(locale, "reservation.cta"), reservationsUrl()),
+      ],
+    }),
+  },
+
+  reservationConfirmed: {
+    sample: sampleReservation,
+    build: (data, locale) => ({
+      subject: t(locale, "reservationConfirmed.subject", { arena: data.arena }),
+      title: t(locale, "reservationConfirmed.title"),
+      blocks: [
+        greeting(locale, data.name),
+        block.paragraph(t(locale, "reservationConfirmed.intro")),
+        block.details(reservationRows(data, locale)),
+        block.button(t(locale, "reservation.cta"), reservationsUrl()),
+      ],
+    }),
+  },
+
+  reservationCanceled: {
+    sample: { ...sampleReservation, canceledByOwner: true, refundValue: 12000 },
+    build: (data, locale) => ({
+      subject: t(locale, "reservationCanceled.subject", { arena: data.arena }),
+      title: t(locale, "reservationCanceled.title"),
+      blocks: [
+        greeting(locale, data.name),
+        block.paragraph(
+          t(
+            locale,
+            data.splitExpired
+              ? "reservationCanceled.introSplitExpired"
+              : data.canceledByOwner
+              ? "reservationCanceled.introOwner"
+              : "reservationCanceled.introUser"
+          )
+        ),
+        // refundValue só vem quando a reserva estava paga (0 = política não devolve)
+        ...(data.refundValue === undefined || data.refundValue === null
+          ? []
+          : [
+              block.paragraph(
+                t(
+                  locale,
+                  data.refundValue <= 0
+                    ? "reservationCanceled.noRefund"
+                    : data.refundManual
+                    ? "reservationCanceled.refundManual"
+                    : "reservationCanceled.refundPix",
+                  { value: formatMoney(data.refundValue, locale) }
+                )
+              ),
+            ]),
+        block.details(reservationRows(data, locale)),
+        block.button(t(locale, "reservation.cta"), reservationsUrl()),
+      ],
+    }),
+  },
+
+  pixPaid: {
+    sample: {
+      ...sampleReservation,
+      paidAt: "2026-10-20T15:32:00.000Z",
+      txid: "E1234567820261020153200000000001",
+    },
+    build: (data, locale) => ({
+      subject: t(locale, "pixPaid.subject", { arena: data.arena }),
+      title: t(locale, "pixPaid.title"),
+      blocks: [
+        greeting(locale, data.name),
+        block.paragraph(t(locale, "pixPaid.intro")),
+        block.details([
+          ...reservationRows(data, locale),
+          [t(locale, "pixPaid.paidAt"), formatDateTime(data.paidAt, locale)],
+          [t(locale, "pixPaid.txid"), data.txid],
+        ]),
+        block.button(t(locale, "reservation.cta"), reservationsUrl()),
+      ],
+    }),
+  },
+
+  matchReminder: {
+    sample: sampleMatch,
+    build: (data, locale) => ({
+      subject: t(locale, "matchReminder.subject", {
+        match: data.matchTitle,
+        time: formatTime(data.date, locale),
+      }),
+      title: t(locale, "matchReminder.title"),
+      blocks: [
+        greeting(locale, data.name),
+        block.paragraph(t(locale, "matchReminder.intro")),
+        block.details(matchRows(data, locale)),
+        block.button(t(locale, "match.cta"), matchUrl(data.matchId)),
+      ],
+    }),
+  },
+
+  matchCanceled: {
+    sample: sampleMatch,
+    build: (data, locale) => ({
+      subject: t(locale, "matchCanceled.subject", { match: data.matchTitle }),
+      title: t(locale, "matchCanceled.title"),
+      blocks: [
+        greeting(locale, data.name),
+        block.paragraph(t(locale, "matchCanceled.intro")),
+        block.details(matchRows(data, locale)),
+      ],
+    }),
+  },
+};
+
+export const EMAIL_TEMPLATE_NAMES = Object.keys(EMAIL_TEMPLATES);
+
+/**
+ * Monta { subject, html, text } do template. null se o nome não existe.
+ */
+export function renderTemplate(name, data, locale) {
+  const template = EMAIL_TEMPLATES[name];
+  if (!template) return null;
+
+  const built = template.build(data || {}, locale);
+
+  return {
+    subject: built.subject,
+    html: renderHtmlLayout({
+      locale,
+      title: built.title,
+      preheader: built.subject,
+      content: built.blocks.map((item) => item.html).join("\n"),
+    }),
+    text: renderTextLayout({
+      locale,
+      title: built.title,
+      lines: built.blocks.map((item) => item.text),
+    }),
+  };
+}
@@ -0,0 +1,155 @@
+import crypto from "crypto";
+import { prisma } from "../lib/prisma.js";
+import { sendEmail } from "./email/emailService.js";
+
+export const VERIFICATION_TTL_HOURS = 48;
+export const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+
+// ações que podem exigir e-mail confirmado
+export const VERIFIED_EMAIL_ACTIONS = ["reservations", "paid_matches"];
+
+/**
+ * EMAIL_VERIFICATION_REQUIRED_FOR="reservations,paid_matches" (padrão).
+ * "none" (ou vazio) libera tudo.
+ */
+export function getVerifiedEmailRequirements() {
+  const raw = process.env.EMAIL_VERIFICATION_REQUIRED_FOR ?? VERIFIED_EMAIL_ACTIONS.join(",");
+
+  return String(raw)
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => VERIFIED_EMAIL_ACTIONS.includes(item));
+}
+
+export function isVerifiedEmailRequired(action) {
+  return getVerifiedEmailRequirements().includes(action);
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Gera um token novo (os anteriores deixam de valer) e manda o e-mail.
+ */
+export async function issueEmailVerification(user) {
+  // token "puro" só vai no link; no banco fica o hash (igual ao reset de senha)
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await prisma.$transaction([
+    prisma.emailVerificationToken.updateMany({
+      where: { userId: user.id, usedAt: null },
+      data: { usedAt: new Date() },
+    }),
+    prisma.emailVerificationToken.create({
+      data: {
+        userId: user.id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + VERIFICATION_TTL_HOURS * 60 * 60 * 1000),
+      },
+    }),
+  ]);
+
+  const appUrl = process.env.APP_URL || "http://localhost:5173";
+
+  return sendEmail({
+    to: user.email,
+    template: "emailVerification",
+    data: {
+      name: user.name,
+      verifyUrl: `${appUrl}/verificar-email?token=${token}`,
+      hours: VERIFICATION_TTL_HOURS,
+    },
+  });
+}
+
+export async function verifyEmailToken(token) {
+  const row = await prisma.emailVerificationToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { user: { select: { id: true, name: true, email: true, emailVerifiedAt: true } } },
+  });
+
+  if (!row) return { ok: false, status: 400, message: "Token inválido." };
+
+  if (row.user.emailVerifiedAt) {
+    return { ok: true, alreadyVerified: true, user: row.user };
+  }
+
+  if (row.usedAt) return { ok: false, status: 400, message: "Token já usado." };
+  if (new Date(row.expiresAt).getTime() < Date.now()) {
+    return { ok: false, status: 400, message: "Token expirado." };
+  }
+
+  const [, user] = await prisma.$transaction([
+    prisma.emailVerificationToken.update({
+      where: { id: row.id },
+      data: { usedAt: new Date() },
+    }),
+    prisma.user.update({
+      where: { id: row.userId },
+      data: { emailVerifiedAt: new Date() },
+      select: { id: true, name: true, email: true, emailVerifiedAt: true },
+    }),
+  ]);
+
+  await sendEmail({ to: user.email, template: "welcome", data: { name: user.name } });
+
+  return { ok: true, alreadyVerified: false, user };
+}
+
+export async function resendEmailVerification(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, name: true, email: true, emailVerifiedAt: true },
+  });
+
+  if (!user) return { ok: false, status: 404, message: "Usuário não encontrado" };
+  if (user.emailVerifiedAt) {
+    return { ok: false, status: 409, message: "E-mail já confirmado." };
+  }
+
+  const last = await prisma.emailVerificationToken.findFirst({
+    where: { userId },
+    orderBy: { createdAt: "desc" },
+    select: { createdAt: true },
+  });
+
+  const waitMs = last
+    ? VERIFICATION_RESEND_COOLDOWN_SECONDS * 1000 - (Date.now() - new Date(last.createdAt).getTime())
+    : 0;
+
+  if (waitMs > 0) {
+    return {
+      ok: false,
+      status: 429,
+      message: "Aguarde um pouco para pedir outro e-mail.",
+      retryAfter: Math.ceil(waitMs / 1000),
+    };
+  }
+
+  await issueEmailVerification(user);
+
+  return { ok: true };
+}
+
+/**
+ * { ok: true } quando a ação está liberada pro usuário (confirmado ou
+ * ação sem exigência).
+ */
+export async function ensureVerifiedEmail(userId, action) {
+  if (!isVerifiedEmailRequired(action)) return { ok: true };
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { emailVerifiedAt: true },
+  });
+
+  if (user?.emailVerifiedAt) return { ok: true };
+
+  return {
+    ok: false,
+    status: 403,
+    code: "EMAIL_NOT_VERIFIED",
+    message: "Confirme seu e-mail para continuar.",
+  };
+}
@@ -0,0 +1,205 @@
+import { prisma } from "../lib/prisma.js";
+import { recordAudit } from "./auditService.js";
+
+// Denúncias de post e a fila de moderação do admin.
+// Post escondido some do feed (hiddenAt) mas continua no banco.
+
+export const MODERATION_PAGE_SIZE = 30;
+
+const REPORT_REASON_MAX = 500;
+
+const queuePostInclude = {
+  user: { select: { id: true, name: true, email: true, imageUrl: true } },
+  reports: {
+    where: { status: "OPEN" },
+    orderBy: { createdAt: "asc" },
+    select: {
+      id: true,
+      reason: true,
+      createdAt: true,
+      reporter: { select: { id: true, name: true } },
+    },
+  },
+};
+
+export async function reportFeedPost({ postId, reporterId, reason }) {
+  const text = String(reason || "").trim().slice(0, REPORT_REASON_MAX);
+  if (!text) return { ok: false, status: 400, message: "Informe o motivo da denúncia." };
+
+  const post = await prisma.feedPost.findUnique({
+    where: { id: postId },
+    select: { id: true, userId: true, hiddenAt: true },
+  });
+
+  if (!post || post.hiddenAt) return { ok: false, status: 404, message: "Post não encontrado." };
+  if (post.userId === reporterId) {
+    return { ok: false, status: 400, message: "Você não pode denunciar o próprio post." };
+  }
+
+  const existing = await prisma.feedReport.findUnique({
+    where: { postId_reporterId: { postId, reporterId } },
+    select: { id: true },
+  });
+
+  if (existing) return { ok: false, status: 409, message: "Você já denunciou este post." };
+
+  const report = await prisma.feedReport.create({
+    data: { postId, reporterId, reason: text },
+    select: { id: true, status: true, createdAt: true },
+  });
+
+  return { ok: true, report };
+}
+
+/**
+ * Posts com denúncia em aberto, os mais denunciados primeiro.
+ */
+export async function listModerationQueue({ page = 1, limit } = {}) {
+  const take = Math.min(Math.max(Number(limit) || MODERATION_PAGE_SIZE, 1), 100);
+  const skip = (Math.max(Number(page) || 1, 1) - 1) * take;
+
+  const grouped = await prisma.feedReport.groupBy({
+    by: ["postId"],
+    where: { status: "OPEN" },
+    _count: { _all: true },
+    _min: { createdAt: true },
+    orderBy: [{ _count: { postId: "desc" } }, { _min: { createdAt: "asc" } }],
+    skip,
+    take,
+  });
+
+  const total = (
+    await prisma.feedReport.findMany({
+      where: { status: "OPEN" },
+      distinct: ["postId"],
+      select: { postId: true },
+    })
+  ).length;
+
+  const posts = await prisma.feedPost.findMany({
+    where: { id: { in: grouped.map((row) => row.postId) } },
+    include: queuePostInclude,
+  });
+  const postById = new Map(posts.map((post) => [post.id, post]));
+
+  return {
+    items: grouped
+      .map((row) => {
+        const post = postById.get(row.postId);
+        return post && { ...post, openReports: row._count._all, firstReportedAt: row._min.createdAt };
+      })
+      .filter(Boolean),
+    total,
+    page: Math.floor(skip / take) + 1,
+    limit: take,
+  };
+}
+
+async function closeOpenReports(postId, status, actorId) {
+  return prisma.feedReport.updateMany({
+    where: { postId, status: "OPEN" },
+    data: { status, resolvedById: actorId, resolvedAt: new Date() },
+  });
+}
+
+/**
+ * Esconde o post e fecha as denúncias abertas como procedentes.
+ */
+export async function hideFeedPost({ postId, reason = null, actor, req = null }) {
+  const post = await prisma.feedPost.findUnique({
+    where: { id: postId },
+    select: { id: true, userId: true, hiddenAt: true, hiddenReason: true },
+  });
+
+  if (!post) return { ok: false, status: 404, message: "Post não encontrado." };
+
+  const updated = await prisma.feedPost.update({
+    where: { id: postId },
+    data: { hiddenAt: post.hiddenAt || new Date(), hiddenById: actor.id, hiddenReason: reason },
+    select: { id: true, hiddenAt: true, hiddenReason: true },
+  });
+
+  const closed = await closeOpenReports(postId, "RESOLVED", actor.id);
+
+  await recordAudit({
+    req,
+    actorId: actor.id,
+    action: "feed.post_hidden",
+    targetType: "feed_post",
+    targetId: postId,
+    before: { hiddenAt: post.hiddenAt, hiddenReason: post.hiddenReason },
+    after: { hiddenAt: updated.hiddenAt, hiddenReason: updated.hiddenReason },
+    metadata: { authorId: post.userId, reportsResolved: closed.count },
+  });
+
+  return { ok: true, post: updated, reportsResolved: closed.count };
+}
+
+export async function restoreFeedPost({ postId, actor, req = null }) {
+  const post = await prisma.feedPost.findUnique({
+    where: { id: postId },
+    select: { id: true, userId: true, hiddenAt: true, hiddenReason: true },
+  });
+
+  if (!post) return { ok: false, status: 404, message: "Post não encontrado." };
+  if (!post.hiddenAt) return { ok: false, status: 409, message: "Post não está escondido." };
+
+  await prisma.feedPost.update({
+    where: { id: postId },
+    data: { hiddenAt: null, hiddenById: null, hiddenReason: null },
+  });
+
+  await recordAudit({
+    req,
+    actorId: actor.id,
+    action: "feed.post_restored",
+    targetType: "feed_post",
+    targetId: postId,
+    before: { hiddenAt: post.hiddenAt, hiddenReason: post.hiddenReason },
+    after: { hiddenAt: null, hiddenReason: null },
+    metadata: { authorId: post.userId },
+  });
+
+  return { ok: true };
+}
+
+/**
+ * Denúncias improcedentes: fecha sem mexer no post.
+ */
+export async function dismissFeedReports({ postId, actor, req = null }) {
+  const closed = await closeOpenReports(postId, "DISMISSED", actor.id);
+  if (!closed.count) return { ok: false, status: 404, message: "Nenhuma denúncia aberta para este post." };
+
+  await recordAudit({
+    req,
+    actorId: actor.id,
+    action: "feed.reports_dismissed",
+    targetType: "feed_post",
+    targetId: postId,
+    metadata: { reportsDismissed: closed.count },
+  });
+
+  return { ok: true, reportsDismissed: closed.count };
+}
+
+export async function deleteFeedPostAsAdmin({ postId, actor, req = null }) {
+  const post = await prisma.feedPost.findUnique({
+    where: { id: postId },
+    select: { id: true, userId: true, type: true, text: true, imageUrl: true, createdAt: true },
+  });
+
+  if (!post) return { ok: false, status: 404, message: "Post não encontrado." };
+
+  await prisma.feedPost.delete({ where: { id: postId } });
+
+  await recordAudit({
+    req,
+    actorId: actor.id,
+    action: "feed.post_deleted",
+    targetType: "feed_post",
+    targetId: postId,
+    before: post,
+  });
+
+  return { ok: true };
+}
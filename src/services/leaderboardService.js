@@ -0,0 +1,269 @@
+import { prisma } from "../lib/prisma.js";
+import { getNextTier } from "./rankService.js";
+import { getCurrentSeasonKey, rankOrderBy } from "./rankSeasonService.js";
+import { confirmedPresenceWhere } from "./matchWaitlistService.js";
+
+export const LEADERBOARD_SCOPES = [
+  "global",
+  "city",
+  "bairro",
+  "arena",
+  "courtType",
+  "friends",
+];
+
+export const LEADERBOARD_PAGE_SIZE = 20;
+export const LEADERBOARD_MAX_PAGE_SIZE = 100;
+
+const rankUserSelect = {
+  id: true,
+  name: true,
+  imageUrl: true,
+  profile: { select: { city: true, bairro: true } },
+};
+
+function normalizePage(page) {
+  const n = Number(page);
+  return Number.isFinite(n) && n >= 1 ? Math.floor(n) : 1;
+}
+
+function normalizePageSize(pageSize) {
+  const n = Number(pageSize);
+  if (!Number.isFinite(n) || n <= 0) return LEADERBOARD_PAGE_SIZE;
+  return Math.min(Math.floor(n), LEADERBOARD_MAX_PAGE_SIZE);
+}
+
+function playedWhere(matchWhere) {
+  return {
+    presences: {
+      some: {
+        ...confirmedPresenceWhere,
+        match: { status: "FINISHED", ...matchWhere },
+      },
+    },
+  };
+}
+
+async function getFriendIds(userId) {
+  const friendships = await prisma.friendship.findMany({
+    where: { OR: [{ userAId: userId }, { userBId: userId }] },
+    select: { userAId: true, userBId: true },
+  });
+
+  return friendships.map((f) => (f.userAId === userId ? f.userBId : f.userAId));
+}
+
+/**
+ * Monta o filtro de PlayerRank pro escopo pedido.
+ * Retorna { ok: false, status, message } quando falta parâmetro.
+ */
+async function buildScopeWhere({ scope, userId, city, bairro, arenaId, courtType }) {
+  const insensitive = (value) => ({ equals: String(value).trim(), mode: "insensitive" });
+
+  switch (scope) {
+    case "global":
+      return { ok: true, where: {}, filters: {} };
+
+    case "city":
+    case "bairro": {
+      let cityValue = city;
+      let bairroValue = bairro;
+
+      // sem filtro explícito: usa a cidade/bairro do próprio perfil
+      if ((scope === "city" && !cityValue) || (scope === "bairro" && !bairroValue)) {
+        const profile = userId
+          ? await prisma.profile.findUnique({
+              where: { userId },
+              select: { city: true, bairro: true },
+            })
+          : null;
+
+        cityValue = cityValue || profile?.city;
+        bairroValue = bairroValue || profile?.bairro;
+      }
+
+      if (scope === "city" && !cityValue) {
+        return { ok: false, status: 400, message: "Informe a cidade." };
+      }
+
+      if (scope === "bairro" && !bairroValue) {
+        return { ok: false, status: 400, message: "Informe o bairro." };
+      }
+
+      const profileWhere = {
+        ...(cityValue ? { city: insensitive(cityValue) } : {}),
+        ...(scope === "bairro" ? { bairro: insensitive(bairroValue) } : {}),
+      };
+
+      return {
+        ok: true,
+        where: { user: { profile: profileWhere } },
+        filters: {
+          city: cityValue || null,
+          ...(scope === "bairro" ? { bairro: bairroValue } : {}),
+        },
+      };
+    }
+
+    case "arena": {
+      if (!arenaId) {
+        return { ok: false, status: 400, message: "Informe a arena." };
+      }
+
+      return {
+        ok: true,
+        where: { user: playedWhere({ court: { arenaId } }) },
+        filters: { arenaId },
+      };
+    }
+
+    case "courtType": {
+      if (!courtType) {
+        return { ok: false, status: 400, message: "Informe o tipo de quadra." };
+      }
+
+      return {
+        ok: true,
+        where: { user: playedWhere({ court: { type: courtType } }) },
+        filters: { courtType },
+      };
+    }
+
+    case "friends": {
+      if (!userId) {
+        return { ok: false, status: 401, message: "Faça login para ver o ranking dos amigos." };
+      }
+
+      const friendIds = await getFriendIds(userId);
+
+      return {
+        ok: true,
+        where: { userId: { in: [userId, ...friendIds] } },
+        filters: { friends: friendIds.length },
+      };
+    }
+
+    default:
+      return { ok: false, status: 400, message: "Escopo de ranking inválido." };
+  }
+}
+
+function formatEntry(item, position) {
+  return {
+    position,
+    userId: item.userId,
+    name: item.user?.name || "Jogador",
+    avatar: item.user?.imageUrl || "",
+    city: item.user?.profile?.city || null,
+    bairro: item.user?.profile?.bairro || null,
+    tier: item.tier,
+    rating: item.rating,
+    rankPosition: item.rankPosition,
+    wins: item.wins,
+    losses: item.losses,
+    draws: item.draws,
+    matches: item.matches,
+    goals: item.goals,
+    assists: item.assists,
+    mvpCount: item.mvpCount,
+    progress: item.progress,
+    nextTier: getNextTier(item.tier),
+  };
+}
+
+// posição = quantos estão à frente na mesma ordem do ranking (rankOrderBy) + 1
+async function getPositionInBoard(where, rank) {
+  const ahead = await prisma.playerRank.count({
+    where: {
+      AND: [
+        where,
+        {
+          OR: [
+            { rating: { gt: rank.rating } },
+            { rating: rank.rating, wins: { gt: rank.wins } },
+            { rating: rank.rating, wins: rank.wins, goals: { gt: rank.goals } },
+            {
+              rating: rank.rating,
+              wins: rank.wins,
+              goals: rank.goals,
+              updatedAt: { lt: rank.updatedAt },
+            },
+          ],
+        },
+      ],
+    },
+  });
+
+  return ahead + 1;
+}
+
+/**
+ * Ranking filtrado e paginado. `me` vem sempre (quando logado e com rank
+ * dentro do filtro), mesmo fora da página.
+ */
+export async function getLeaderboard({
+  scope = "global",
+  season,
+  userId = null,
+  city,
+  bairro,
+  arenaId,
+  courtType,
+  page,
+  pageSize,
+}) {
+  const seasonKey = season || (await getCurrentSeasonKey());
+
+  const scoped = await buildScopeWhere({ scope, userId, city, bairro, arenaId, courtType });
+  if (!scoped.ok) return scoped;
+
+  const where = { season: seasonKey, ...scoped.where };
+
+  const safePage = normalizePage(page);
+  const safePageSize = normalizePageSize(pageSize);
+  const skip = (safePage - 1) * safePageSize;
+
+  const [total, rows] = await Promise.all([
+    prisma.playerRank.count({ where }),
+    prisma.playerRank.findMany({
+      where,
+      orderBy: rankOrderBy,
+      skip,
+      take: safePageSize,
+      include: { user: { select: rankUserSelect } },
+    }),
+  ]);
+
+  const items = rows.map((row, index) => formatEntry(row, skip + index + 1));
+
+  let me = null;
+  if (userId) {
+    const inPage = items.find((item) => item.userId === userId);
+
+    if (inPage) {
+      me = inPage;
+    } else {
+      const myRank = await prisma.playerRank.findFirst({
+        where: { ...where, userId },
+        include: { user: { select: rankUserSelect } },
+      });
+
+      if (myRank) {
+        me = formatEntry(myRank, await getPositionInBoard(where, myRank));
+      }
+    }
+  }
+
+  return {
+    ok: true,
+    scope,
+    season: seasonKey,
+    filters: scoped.filters,
+    page: safePage,
+    pageSize: safePageSize,
+    total,
+    totalPages: Math.ceil(total / safePageSize),
+    items,
+    me,
+  };
+}
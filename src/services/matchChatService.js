@@ -0,0 +1,238 @@
+import { prisma } from "../lib/prisma.js";
+import { publish } from "../lib/sseHub.js";
+
+export const CHAT_PAGE_SIZE = 50;
+export const CHAT_MAX_PAGE_SIZE = 200;
+
+const messageInclude = {
+  user: {
+    select: { id: true, name: true, imageUrl: true, role: true },
+  },
+};
+
+// createdAt pode empatar no mesmo milissegundo: o id desempata
+const messageOrderAsc = [{ createdAt: "asc" }, { id: "asc" }];
+const messageOrderDesc = [{ createdAt: "desc" }, { id: "desc" }];
+
+export function getChatChannel(matchId) {
+  return `chat:${matchId}`;
+}
+
+export function formatMessage(message) {
+  if (!message) return null;
+
+  const isDeleted = Boolean(message.deletedAt);
+
+  return {
+    ...message,
+    text: isDeleted ? null : message.text,
+    isEdited: Boolean(message.editedAt),
+    isDeleted,
+  };
+}
+
+function normalizeLimit(limit) {
+  const n = Number(limit);
+  if (!Number.isFinite(n) || n <= 0) return CHAT_PAGE_SIZE;
+  return Math.min(Math.floor(n), CHAT_MAX_PAGE_SIZE);
+}
+
+async function findCursor(matchId, messageId) {
+  if (!messageId) return null;
+
+  return prisma.matchMessage.findFirst({
+    where: { id: String(messageId), matchId },
+    select: { id: true, createdAt: true },
+  });
+}
+
+/**
+ * Histórico paginado por id (cursor estável).
+ * - before: mensagens mais antigas que esse id (rolar pra cima)
+ * - after:  mensagens mais novas que esse id (sincronizar depois de reconectar)
+ * - nenhum: as últimas `limit` mensagens
+ * Sempre devolve em ordem cronológica.
+ */
+export async function listMessages({ matchId, before = null, after = null, limit }) {
+  const take = normalizeLimit(limit);
+
+  if (after) {
+    const cursor = await findCursor(matchId, after);
+    if (!cursor) return [];
+
+    const messages = await prisma.matchMessage.findMany({
+      where: {
+        matchId,
+        OR: [
+          { createdAt: { gt: cursor.createdAt } },
+          { createdAt: cursor.createdAt, id: { gt: cursor.id } },
+        ],
+      },
+      orderBy: messageOrderAsc,
+      include: messageInclude,
+      take,
+    });
+
+    return messages.map(formatMessage);
+  }
+
+  let where = { matchId };
+
+  if (before) {
+    const cursor = await findCursor(matchId, before);
+    if (!cursor) return [];
+
+    where = {
+      matchId,
+      OR: [
+        { createdAt: { lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, id: { lt: cursor.id } },
+      ],
+    };
+  }
+
+  const messages = await prisma.matchMessage.findMany({
+    where,
+    orderBy: messageOrderDesc,
+    include: messageInclude,
+    take,
+  });
+
+  return messages.reverse().map(formatMessage);
+}
+
+/**
+ * Compatibilidade com o polling antigo (?after=<ISO date>).
+ */
+export async function listMessagesSinceDate({ matchId, after, limit }) {
+  const where =
+    after && !Number.isNaN(after.getTime())
+      ? { matchId, createdAt: { gt: after } }
+      : { matchId };
+
+  const messages = await prisma.matchMessage.findMany({
+    where,
+    orderBy: messageOrderAsc,
+    include: messageInclude,
+    take: normalizeLimit(limit),
+  });
+
+  return messages.map(formatMessage);
+}
+
+export async function findMessage(matchId, messageId) {
+  return prisma.matchMessage.findFirst({
+    where: { id: String(messageId), matchId },
+  });
+}
+
+export async function createMessage({ matchId, userId, text }) {
+  const created = await prisma.matchMessage.create({
+    data: {
+      matchId,
+      userId,
+      text: String(text || "").trim(),
+    },
+    include: messageInclude,
+  });
+
+  const message = formatMessage(created);
+  publish(getChatChannel(matchId), "message", message);
+
+  return message;
+}
+
+export async function editMessage({ messageId, text }) {
+  const updated = await prisma.matchMessage.update({
+    where: { id: messageId },
+    data: {
+      text: String(text || "").trim(),
+      editedAt: new Date(),
+    },
+    include: messageInclude,
+  });
+
+  const message = formatMessage(updated);
+  publish(getChatChannel(updated.matchId), "message-updated", message);
+
+  return message;
+}
+
+export async function deleteMessage({ messageId }) {
+  const updated = await prisma.matchMessage.update({
+    where: { id: messageId },
+    data: { deletedAt: new Date() },
+    include: messageInclude,
+  });
+
+  const message = formatMessage(updated);
+  publish(getChatChannel(updated.matchId), "message-deleted", {
+    id: message.id,
+    matchId: message.matchId,
+    deletedAt: message.deletedAt,
+  });
+
+  return message;
+}
+
+/**
+ * message = { id, createdAt } (findMessage). Leitura de uma mensagem mais
+ * antiga (outra aba, requisição atrasada) não volta o ponteiro.
+ */
+export async function markMessagesRead({ matchId, userId, message }) {
+  const pointer = {
+    lastReadMessageId: message.id,
+    lastReadMessageAt: message.createdAt,
+    lastReadAt: new Date(),
+  };
+
+  await prisma.matchMessageRead.upsert({
+    where: { matchId_userId: { matchId, userId } },
+    create: { matchId, userId, ...pointer },
+    update: {},
+  });
+
+  await prisma.matchMessageRead.updateMany({
+    where: {
+      matchId,
+      userId,
+      OR: [{ lastReadMessageAt: null }, { lastReadMessageAt: { lt: message.createdAt } }],
+    },
+    data: pointer,
+  });
+
+  const read = await prisma.matchMessageRead.findUnique({
+    where: { matchId_userId: { matchId, userId } },
+  });
+
+  publish(getChatChannel(matchId), "read", {
+    matchId,
+    userId,
+    lastReadMessageId: read.lastReadMessageId,
+    lastReadAt: read.lastReadAt,
+  });
+
+  return read;
+}
+
+export async function listMessageReads(matchId) {
+  return prisma.matchMessageRead.findMany({
+    where: { matchId },
+    orderBy: { lastReadAt: "desc" },
+    select: {
+      userId: true,
+      lastReadMessageId: true,
+      lastReadAt: true,
+      user: { select: { id: true, name: true, imageUrl: true } },
+    },
+  });
+}
+
+export function publishTyping({ matchId, userId, isTyping }) {
+  publish(getChatChannel(matchId), "typing", {
+    matchId,
+    userId,
+    isTyping: Boolean(isTyping),
+    at: new Date().toISOString(),
+  });
+}
@@ -0,0 +1,78 @@
+import { prisma } from "../lib/prisma.js";
+import { countSubscribers, publish } from "../lib/sseHub.js";
+import { confirmedPresenceWhere } from "./matchWaitlistService.js";
+
+export function getMatchChannel(matchId) {
+  return `match:${matchId}`;
+}
+
+/**
+ * Placar "público" da partida — sem email, senha ou dados de contato,
+ * pois também vai para espectadores de peladas abertas.
+ */
+export async function getMatchScoreboard(matchId) {
+  return prisma.match.findUnique({
+    where: { id: matchId },
+    select: {
+      id: true,
+      title: true,
+      kind: true,
+      status: true,
+      startedAt: true,
+      finishedAt: true,
+      teamAName: true,
+      teamBName: true,
+      teamAScore: true,
+      teamBScore: true,
+      winnerSide: true,
+      presences: {
+        where: confirmedPresenceWhere,
+        select: {
+          userId: true,
+          teamSide: true,
+          isCaptain: true,
+          user: { select: { id: true, name: true, imageUrl: true } },
+        },
+      },
+      events: {
+        where: { type: "GOAL", status: "CONFIRMED" },
+        orderBy: { createdAt: "asc" },
+        select: {
+          id: true,
+          teamSide: true,
+          minute: true,
+          createdAt: true,
+          player: { select: { id: true, name: true, imageUrl: true } },
+          assistPlayer: { select: { id: true, name: true, imageUrl: true } },
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Envia um evento para quem está acompanhando a partida ao vivo.
+ * Tipos usados: start, finish, status, goal, undo, team-side, score, mvp.
+ *
+ * Nunca lança erro: o push é um extra, a rota que chamou já fez o trabalho dela.
+ */
+export async function broadcastMatchUpdate(matchId, type, payload = {}) {
+  const channel = getMatchChannel(matchId);
+
+  // ninguém ouvindo → não gasta query
+  if (!countSubscribers(channel)) return;
+
+  try {
+    const scoreboard = await getMatchScoreboard(matchId);
+
+    publish(channel, type, {
+      type,
+      matchId,
+      at: new Date().toISOString(),
+      ...payload,
+      scoreboard,
+    });
+  } catch (err) {
+    console.error(`[matchLive] falha ao enviar "${type}" da partida ${matchId}:`, err);
+  }
+}
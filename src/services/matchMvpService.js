@@ -0,0 +1,328 @@
+import { prisma } from "../lib/prisma.js";
+import { createFeedPost } from "./profile/feedService.js";
+import { applyMvpBonus } from "./rankService.js";
+import { broadcastMatchUpdate } from "./matchLiveService.js";
+import { confirmedPresenceWhere } from "./matchWaitlistService.js";
+import { notifyUser } from "./notificationService.js";
+
+// janela de votação depois do finish (MVP_VOTING_MINUTES, padrão 60)
+export function getMvpVotingMinutes() {
+  const minutes = Number(process.env.MVP_VOTING_MINUTES || 60);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : 60;
+}
+
+export function getMvpVotingEndsAt(from = new Date()) {
+  return new Date(from.getTime() + getMvpVotingMinutes() * 60 * 1000);
+}
+
+const mvpMatchSelect = {
+  id: true,
+  title: true,
+  status: true,
+  organizerId: true,
+  teamAName: true,
+  teamBName: true,
+  teamAScore: true,
+  teamBScore: true,
+  mvpVotingEndsAt: true,
+  mvpProcessed: true,
+  mvpUserId: true,
+  manualArenaName: true,
+  peladaLocation: { select: { name: true } },
+  court: { select: { arena: { select: { name: true } } } },
+  presences: {
+    where: confirmedPresenceWhere,
+    select: {
+      userId: true,
+      teamSide: true,
+      user: { select: { id: true, name: true, imageUrl: true } },
+    },
+  },
+};
+
+function isVotingOpen(match, now = new Date()) {
+  return (
+    match?.status === "FINISHED" &&
+    !match.mvpProcessed &&
+    Boolean(match.mvpVotingEndsAt) &&
+    match.mvpVotingEndsAt > now
+  );
+}
+
+async function tallyVotes(matchId) {
+  const grouped = await prisma.matchMvpVote.groupBy({
+    by: ["candidateId"],
+    where: { matchId },
+    _count: { candidateId: true },
+    _min: { createdAt: true },
+  });
+
+  return grouped
+    .map((row) => ({
+      userId: row.candidateId,
+      votes: row._count.candidateId,
+      firstVoteAt: row._min.createdAt,
+    }))
+    .sort((a, b) => b.votes - a.votes);
+}
+
+// empate: quem fez mais pela partida (gols*2 + assistências), depois o primeiro voto
+async function pickWinner(matchId, tally) {
+  if (!tally.length) return null;
+
+  const top = tally.filter((row) => row.votes === tally[0].votes);
+  if (top.length === 1) return top[0];
+
+  const stats = await prisma.matchPlayerStat.findMany({
+    where: { matchId, userId: { in: top.map((row) => row.userId) } },
+    select: { userId: true, goalsOfficial: true, assistsOfficial: true },
+  });
+
+  const scoreOf = (userId) => {
+    const stat = stats.find((item) => item.userId === userId);
+    return Number(stat?.goalsOfficial || 0) * 2 + Number(stat?.assistsOfficial || 0);
+  };
+
+  return top.sort(
+    (a, b) =>
+      scoreOf(b.userId) - scoreOf(a.userId) ||
+      new Date(a.firstVoteAt) - new Date(b.firstVoteAt)
+  )[0];
+}
+
+async function announceMvp(match, winner) {
+  const presence = match.presences.find((p) => p.userId === winner.userId);
+
+  await prisma.matchEvent.create({
+    data: {
+      matchId: match.id,
+      type: "MVP",
+      teamSide: presence?.teamSide || null,
+      playerId: winner.userId,
+      notes: `${winner.votes} voto(s)`,
+      createdById: match.organizerId,
+    },
+  });
+
+  await createFeedPost({
+    userId: winner.userId,
+    matchId: match.id,
+    type: "MVP",
+    text: "Eleito o craque da partida pela galera.",
+    meta: {
+      arena:
+        match.court?.arena?.name ||
+        match.peladaLocation?.name ||
+        match.manualArenaName ||
+        "",
+      matchTitle: match.title || "",
+      score: `${match.teamAScore} x ${match.teamBScore}`,
+      votes: winner.votes,
+    },
+  });
+
+  await applyMvpBonus({ userId: winner.userId, matchId: match.id });
+
+  await notifyUser(winner.userId, {
+    type: "MVP_ELECTED",
+    title: "Você foi eleito o MVP!",
+    body: `A galera de ${match.title || "sua partida"} te escolheu com ${winner.votes} voto(s).`,
+    data: { matchId: match.id, votes: winner.votes },
+  });
+}
+
+/**
+ * Fecha a votação e elege o MVP. Idempotente (mvpProcessed).
+ * `force` fecha antes do prazo (organizador ou todo mundo já votou).
+ */
+export async function closeMvpVoting(matchId, { force = false } = {}) {
+  const now = new Date();
+
+  const claim = await prisma.match.updateMany({
+    where: {
+      id: matchId,
+      status: "FINISHED",
+      mvpProcessed: false,
+      mvpVotingEndsAt: force ? { not: null } : { lte: now },
+    },
+    data: { mvpProcessed: true },
+  });
+
+  if (!claim.count) return null;
+
+  const match = await prisma.match.findUnique({
+    where: { id: matchId },
+    select: mvpMatchSelect,
+  });
+
+  const tally = await tallyVotes(matchId);
+  const winner = await pickWinner(matchId, tally);
+
+  await prisma.match.update({
+    where: { id: matchId },
+    data: {
+      mvpUserId: winner?.userId || null,
+      ...(force ? { mvpVotingEndsAt: now } : {}),
+    },
+  });
+
+  if (winner) {
+    await announceMvp(match, winner);
+  }
+
+  await broadcastMatchUpdate(matchId, "mvp", {
+    mvpUserId: winner?.userId || null,
+    votes: winner?.votes || 0,
+  });
+
+  return { mvpUserId: winner?.userId || null, tally };
+}
+
+/**
+ * Fechamento "preguiçoso": quem consulta a partida depois do prazo fecha.
+ */
+export async function maybeCloseMvpVoting(match) {
+  if (!match || match.status !== "FINISHED") return false;
+  if (match.mvpProcessed || !match.mvpVotingEndsAt) return false;
+  if (new Date(match.mvpVotingEndsAt) > new Date()) return false;
+
+  const closed = await closeMvpVoting(match.id);
+  return Boolean(closed);
+}
+
+const MVP_CLOSE_BATCH = 50;
+
+/**
+ * Job: fecha as votações vencidas que ninguém abriu depois do prazo.
+ */
+export async function closeExpiredMvpVotings({ now = new Date() } = {}) {
+  const expired = await prisma.match.findMany({
+    where: { status: "FINISHED", mvpProcessed: false, mvpVotingEndsAt: { lte: now } },
+    orderBy: { mvpVotingEndsAt: "asc" },
+    select: { id: true },
+    take: MVP_CLOSE_BATCH,
+  });
+
+  let closed = 0;
+  for (const match of expired) {
+    if (await closeMvpVoting(match.id)) closed++;
+  }
+
+  return closed;
+}
+
+export async function getMvpVoting(matchId, userId = null) {
+  let match = await prisma.match.findUnique({
+    where: { id: matchId },
+    select: mvpMatchSelect,
+  });
+
+  if (!match) return null;
+
+  if (await maybeCloseMvpVoting(match)) {
+    match = await prisma.match.findUnique({
+      where: { id: matchId },
+      select: mvpMatchSelect,
+    });
+  }
+
+  const open = isVotingOpen(match);
+
+  const [totalVotes, myVote] = await Promise.all([
+    prisma.matchMvpVote.count({ where: { matchId } }),
+    userId
+      ? prisma.matchMvpVote.findUnique({
+          where: { matchId_voterId: { matchId, voterId: userId } },
+          select: { candidateId: true, createdAt: true },
+        })
+      : null,
+  ]);
+
+  // parcial só depois de fechar, pra não influenciar o voto
+  const tally = match.mvpProcessed ? await tallyVotes(matchId) : [];
+  const playersById = new Map(match.presences.map((p) => [p.userId, p.user]));
+
+  return {
+    matchId,
+    open,
+    endsAt: match.mvpVotingEndsAt,
+    closed: match.mvpProcessed,
+    eligibleVoters: match.presences.length,
+    totalVotes,
+    myVote,
+    candidates: match.presences.map((p) => ({
+      userId: p.userId,
+      teamSide: p.teamSide,
+      name: p.user?.name || "Jogador",
+      imageUrl: p.user?.imageUrl || null,
+    })),
+    mvp: match.mvpUserId
+      ? playersById.get(match.mvpUserId) || { id: match.mvpUserId }
+      : null,
+    tally: tally.map((row) => ({
+      userId: row.userId,
+      votes: row.votes,
+      name: playersById.get(row.userId)?.name || "Jogador",
+    })),
+  };
+}
+
+export async function castMvpVote({ matchId, voterId, candidateId }) {
+  const match = await prisma.match.findUnique({
+    where: { id: matchId },
+    select: mvpMatchSelect,
+  });
+
+  if (!match) {
+    return { ok: false, status: 404, message: "Partida não encontrada" };
+  }
+
+  await maybeCloseMvpVoting(match);
+
+  if (!isVotingOpen(match)) {
+    return { ok: false, status: 409, message: "Votação de MVP encerrada" };
+  }
+
+  const players = new Set(match.presences.map((p) => p.userId));
+
+  if (!players.has(voterId)) {
+    return { ok: false, status: 403, message: "Só quem jogou pode votar" };
+  }
+
+  if (!players.has(candidateId)) {
+    return { ok: false, status: 400, message: "Jogador não participou da partida" };
+  }
+
+  if (voterId === candidateId) {
+    return { ok: false, status: 400, message: "Não vale votar em si mesmo" };
+  }
+
+  const existing = await prisma.matchMvpVote.findUnique({
+    where: { matchId_voterId: { matchId, voterId } },
+    select: { id: true },
+  });
+
+  if (existing) {
+    return { ok: false, status: 409, message: "Você já votou nesta partida" };
+  }
+
+  const vote = await prisma.matchMvpVote
+    .create({ data: { matchId, voterId, candidateId } })
+    .catch((err) => {
+      // dois cliques simultâneos: a unique (matchId, voterId) segura
+      if (err?.code === "P2002") return null;
+      throw err;
+    });
+
+  if (!vote) {
+    return { ok: false, status: 409, message: "Você já votou nesta partida" };
+  }
+
+  // todo mundo votou → não precisa esperar o prazo
+  const totalVotes = await prisma.matchMvpVote.count({ where: { matchId } });
+  if (totalVotes >= players.size) {
+    await closeMvpVoting(matchId, { force: true });
+  }
+
+  return { ok: true, vote };
+}
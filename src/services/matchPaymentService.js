@@ -0,0 +1,347 @@
+import { prisma } from "../lib/prisma.js";
+import { recordAudit } from "./auditService.js";
+import { notifyUser } from "./notificationService.js";
+import { PIX_SETTLED_STATUSES, requestPixRefund } from "./pixRefundService.js";
+import {
+  PRESENCE_CONFIRMED,
+  PRESENCE_PENDING_PAYMENT,
+  PRESENCE_WAITLISTED,
+  promoteNextFromWaitlist,
+} from "./matchWaitlistService.js";
+
+// Pagamento por jogador (Match.collectPayments + pricePerPlayer, em reais). A cobrança Pix em
+// si fica no pixPaymentService; aqui é a visão do organizador, marcação
+// manual (dinheiro/isento), lembretes e vagas seguras que venceram.
+
+// lembrete automático: partidas começando dentro dessa janela
+export const MATCH_PAYMENT_REMINDER_HOURS = 24;
+// lembrete manual do organizador: no máximo 1 por jogador nesse intervalo
+export const MATCH_PAYMENT_REMIND_COOLDOWN_HOURS = 6;
+
+const MATCH_PAYMENT_BATCH = 100;
+const HOUR_MS = 60 * 60 * 1000;
+
+export const PRESENCE_PAYMENT_MARKS = ["PAID", "UNPAID", "WAIVED"];
+
+const OPEN_MATCH_STATUSES = ["SCHEDULED", "LIVE"];
+
+// Pix de vaga que ainda tem o que devolver
+const REFUNDABLE_PIX_STATUSES = ["PAID", "PARTIALLY_REFUNDED"];
+
+/**
+ * Quem pagou e quem está devendo (só organizador/equipe).
+ * Valores em centavos; collected soma Pix e o que foi marcado como pago na mão.
+ */
+export async function getMatchPaymentSummary(matchId) {
+  const match = await prisma.match.findUnique({
+    where: { id: matchId },
+    select: {
+      id: true,
+      title: true,
+      date: true,
+      status: true,
+      pricePerPlayer: true,
+      collectPayments: true,
+      requirePaymentToConfirm: true,
+      presences: {
+        where: { status: { not: PRESENCE_WAITLISTED } },
+        orderBy: { createdAt: "asc" },
+        select: {
+          id: true,
+          userId: true,
+          status: true,
+          paymentStatus: true,
+          paidAt: true,
+          paymentDueAt: true,
+          paymentReminderSentAt: true,
+          paymentMarkedById: true,
+          user: { select: { id: true, name: true, imageUrl: true } },
+          pixPayments: {
+            where: { applied: true },
+            orderBy: { createdAt: "desc" },
+            take: 1,
+            select: { id: true, status: true, value: true, refundedValue: true, paidAt: true },
+          },
+        },
+      },
+    },
+  });
+
+  if (!match) return null;
+
+  const value = Math.round(Number(match.pricePerPlayer || 0) * 100);
+  const totals = { paid: 0, unpaid: 0, waived: 0, refunded: 0, pendingPayment: 0 };
+  let collected = 0;
+
+  const players = match.presences.map((presence) => {
+    const [pix] = presence.pixPayments;
+    const paidByPix = Boolean(pix && PIX_SETTLED_STATUSES.includes(pix.status));
+
+    if (presence.paymentStatus === "PAID") {
+      totals.paid++;
+      collected += paidByPix ? pix.value - pix.refundedValue : value;
+    }
+    if (presence.paymentStatus === "UNPAID") totals.unpaid++;
+    if (presence.paymentStatus === "WAIVED") totals.waived++;
+    if (presence.paymentStatus === "REFUNDED") totals.refunded++;
+    if (presence.status === PRESENCE_PENDING_PAYMENT) totals.pendingPayment++;
+
+    return {
+      userId: presence.userId,
+      user: presence.user,
+      status: presence.status,
+      paymentStatus: presence.paymentStatus,
+      paidAt: presence.paidAt,
+      paymentDueAt: presence.paymentDueAt,
+      paymentReminderSentAt: presence.paymentReminderSentAt,
+      method: presence.paymentStatus === "PAID" ? (paidByPix ? "pix" : "manual") : null,
+      markedById: presence.paymentMarkedById,
+    };
+  });
+
+  return {
+    matchId: match.id,
+    pricePerPlayer: match.pricePerPlayer,
+    value,
+    collectPayments: match.collectPayments,
+    requirePaymentToConfirm: match.requirePaymentToConfirm,
+    totals,
+    collected,
+    // organizador (NOT_REQUIRED) e isentos não entram na conta
+    expected: value * players.filter((p) => ["UNPAID", "PAID"].includes(p.paymentStatus)).length,
+    players,
+  };
+}
+
+/**
+ * Organizador marca na mão: PAID (pagou em dinheiro), WAIVED (isento) ou
+ * UNPAID (desfaz). Pago por Pix não volta pra UNPAID (aí é estorno).
+ */
+export async function setPresencePaymentStatus({
+  matchId,
+  userId,
+  paymentStatus,
+  actorId,
+  arenaId = null,
+  req = null,
+}) {
+  const presence = await prisma.matchPresence.findFirst({
+    where: { matchId, userId },
+    select: {
+      id: true,
+      status: true,
+      paymentStatus: true,
+      paidAt: true,
+      pixPayments: { where: { applied: true }, select: { status: true } },
+    },
+  });
+
+  if (!presence) return { ok: false, status: 404, message: "Jogador não está na partida" };
+  if (presence.paymentStatus === "NOT_REQUIRED") {
+    return { ok: false, status: 409, message: "Esta partida não é paga" };
+  }
+
+  const paidByPix = presence.pixPayments.some((pix) => PIX_SETTLED_STATUSES.includes(pix.status));
+  if (paidByPix && paymentStatus !== "PAID") {
+    return { ok: false, status: 409, message: "Jogador pagou por Pix. Para devolver, faça o estorno." };
+  }
+
+  const settles = paymentStatus !== "UNPAID";
+
+  const updated = await prisma.matchPresence.update({
+    where: { id: presence.id },
+    data: {
+      paymentStatus,
+      paidAt: paymentStatus === "PAID" ? presence.paidAt || new Date() : null,
+      paymentMarkedById: paidByPix ? null : actorId,
+      // pagou/isento: a vaga segura vira confirmada
+      ...(settles && presence.status === PRESENCE_PENDING_PAYMENT
+        ? { status: PRESENCE_CONFIRMED, paymentDueAt: null }
+        : {}),
+    },
+    select: { id: true, userId: true, status: true, paymentStatus: true, paidAt: true },
+  });
+
+  await recordAudit({
+    req,
+    actorId,
+    action: "match.payment_marked",
+    targetType: "match",
+    targetId: matchId,
+    arenaId,
+    before: { paymentStatus: presence.paymentStatus, status: presence.status },
+    after: { paymentStatus: updated.paymentStatus, status: updated.status },
+    metadata: { userId },
+  });
+
+  return { ok: true, presence: updated };
+}
+
+async function sendPaymentReminder(presence, match, now) {
+  const claim = await prisma.matchPresence.updateMany({
+    where: { id: presence.id, paymentStatus: "UNPAID" },
+    data: { paymentReminderSentAt: now },
+  });
+  if (!claim.count) return false;
+
+  const reais = Number(match.pricePerPlayer || 0).toLocaleString("pt-BR", {
+    style: "currency",
+    currency: "BRL",
+  });
+
+  await notifyUser(presence.userId, {
+    type: "MATCH_PAYMENT_REMINDER",
+    title: "Falta pagar sua vaga",
+    body: `${match.title || "A partida"}: pague ${reais} pelo Pix no app.`,
+    data: { matchId: match.id, date: match.date },
+  });
+
+  return true;
+}
+
+/**
+ * Lembrete manual pros que ainda devem (organizador). Respeita o cooldown.
+ */
+export async function remindUnpaidPlayers({ matchId, now = new Date() }) {
+  const match = await prisma.match.findUnique({
+    where: { id: matchId },
+    select: { id: true, title: true, date: true, status: true, pricePerPlayer: true },
+  });
+
+  if (!match) return { ok: false, status: 404, message: "Partida não encontrada" };
+  if (!OPEN_MATCH_STATUSES.includes(match.status)) {
+    return { ok: false, status: 409, message: `Partida ${match.status.toLowerCase()}.` };
+  }
+
+  const cooldown = new Date(now.getTime() - MATCH_PAYMENT_REMIND_COOLDOWN_HOURS * HOUR_MS);
+
+  const unpaid = await prisma.matchPresence.findMany({
+    where: {
+      matchId,
+      paymentStatus: "UNPAID",
+      status: { not: PRESENCE_WAITLISTED },
+      OR: [{ paymentReminderSentAt: null }, { paymentReminderSentAt: { lt: cooldown } }],
+    },
+    select: { id: true, userId: true },
+  });
+
+  let reminded = 0;
+  for (const presence of unpaid) {
+    if (await sendPaymentReminder(presence, match, now)) reminded++;
+  }
+
+  return { ok: true, reminded };
+}
+
+/**
+ * Job: lembra uma vez quem ainda deve em partida que começa nas próximas
+ * MATCH_PAYMENT_REMINDER_HOURS.
+ */
+export async function sendMatchPaymentReminders({ now = new Date() } = {}) {
+  const unpaid = await prisma.matchPresence.findMany({
+    where: {
+      paymentStatus: "UNPAID",
+      status: { not: PRESENCE_WAITLISTED },
+      paymentReminderSentAt: null,
+      match: {
+        status: "SCHEDULED",
+        date: { gt: now, lte: new Date(now.getTime() + MATCH_PAYMENT_REMINDER_HOURS * HOUR_MS) },
+      },
+    },
+    select: {
+      id: true,
+      userId: true,
+      match: { select: { id: true, title: true, date: true, pricePerPlayer: true } },
+    },
+    take: MATCH_PAYMENT_BATCH,
+  });
+
+  let reminded = 0;
+  for (const presence of unpaid) {
+    if (await sendPaymentReminder(presence, presence.match, now)) reminded++;
+  }
+
+  return reminded;
+}
+
+/**
+ * Job: vaga segura ("pending_payment") que passou do paymentDueAt sem Pix
+ * volta pra roda e puxa o próximo da fila. Pix que chegar depois é estornado.
+ */
+export async function releaseExpiredPaymentHolds({ now = new Date() } = {}) {
+  const expired = await prisma.matchPresence.findMany({
+    where: { status: PRESENCE_PENDING_PAYMENT, paymentDueAt: { lt: now } },
+    select: {
+      id: true,
+      userId: true,
+      matchId: true,
+      match: { select: { title: true, date: true } },
+    },
+    take: MATCH_PAYMENT_BATCH,
+  });
+
+  let released = 0;
+
+  for (const presence of expired) {
+    // o Pix pode ter confirmado a vaga entre a busca e aqui
+    const removed = await prisma.matchPresence.deleteMany({
+      where: { id: presence.id, status: PRESENCE_PENDING_PAYMENT, paymentDueAt: { lt: now } },
+    });
+    if (!removed.count) continue;
+
+    released++;
+
+    await notifyUser(presence.userId, {
+      type: "MATCH_SPOT_RELEASED",
+      title: "Vaga liberada",
+      body: `O prazo do Pix de ${presence.match?.title || "uma partida"} acabou e a vaga foi liberada.`,
+      data: { matchId: presence.matchId, date: presence.match?.date || null },
+    });
+
+    await promoteNextFromWaitlist(presence.matchId);
+  }
+
+  return released;
+}
+
+/**
+ * Devolve o Pix de quem perdeu a vaga: jogador saiu/foi removido (userId) ou
+ * a partida foi cancelada/expirou (todos). Pago em dinheiro fica com o
+ * organizador. Nunca lança: erro fica no log e o job de estornos re-tenta.
+ */
+export async function refundMatchPayments({
+  matchId,
+  userId = null,
+  reason,
+  requestedById = null,
+  arenaId = null,
+  req = null,
+}) {
+  const payments = await prisma.pixPayment.findMany({
+    where: {
+      matchId,
+      ...(userId ? { payerId: userId } : {}),
+      status: { in: REFUNDABLE_PIX_STATUSES },
+    },
+  });
+
+  let refunded = 0;
+
+  for (const payment of payments) {
+    try {
+      const result = await requestPixRefund({
+        payment,
+        value: payment.value,
+        reason,
+        requestedById,
+        arenaId,
+        req,
+      });
+      if (result.ok) refunded++;
+    } catch (err) {
+      console.error(`[pix] falha ao estornar vaga ${payment.id}:`, err?.message || err);
+    }
+  }
+
+  return refunded;
+}
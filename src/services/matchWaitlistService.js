@@ -0,0 +1,340 @@
+import { prisma } from "../lib/prisma.js";
+import { createFeedPost } from "./profile/feedService.js";
+import { notifyUser } from "./notificationService.js";
+
+export const PRESENCE_CONFIRMED = "confirmed";
+export const PRESENCE_WAITLISTED = "waitlisted";
+// partida com requirePaymentToConfirm: segura a vaga até paymentDueAt
+export const PRESENCE_PENDING_PAYMENT = "pending_payment";
+
+// quanto tempo a vaga fica segura esperando o Pix
+export const PAYMENT_HOLD_MINUTES = 20;
+
+// presenças que jogam (nem fila, nem esperando pagamento)
+export const confirmedPresenceWhere = {
+  status: { notIn: [PRESENCE_WAITLISTED, PRESENCE_PENDING_PAYMENT] },
+};
+
+export function isConfirmedPresence(presence) {
+  return (
+    Boolean(presence) &&
+    presence.status !== PRESENCE_WAITLISTED &&
+    presence.status !== PRESENCE_PENDING_PAYMENT
+  );
+}
+
+export function countConfirmedPresences(presences = []) {
+  return presences.filter(isConfirmedPresence).length;
+}
+
+// ocupa vaga: confirmado ou com a vaga segura esperando o Pix
+function occupiesSpot(presence) {
+  return Boolean(presence) && presence.status !== PRESENCE_WAITLISTED;
+}
+
+export function hasFreeSpot(match, presences = match?.presences || []) {
+  const maxPlayers = Number(match?.maxPlayers || 0);
+  if (maxPlayers <= 0) return true;
+  return presences.filter(occupiesSpot).length < maxPlayers;
+}
+
+// cobrança é opt-in do organizador: o pricePerPlayer tem default e sozinho não cobra
+export function isPaidMatch(match) {
+  return Boolean(match?.collectPayments) && Number(match?.pricePerPlayer || 0) > 0;
+}
+
+/**
+ * Campos de pagamento de quem entra na vaga agora (join ou saindo da fila).
+ * Já pago/isento não volta a dever.
+ */
+export function presencePaymentFields(match, presence = null, now = new Date()) {
+  if (!isPaidMatch(match)) return { status: PRESENCE_CONFIRMED };
+
+  const settled = ["PAID", "WAIVED"].includes(presence?.paymentStatus);
+  const paymentStatus = settled ? presence.paymentStatus : "UNPAID";
+
+  if (!match.requirePaymentToConfirm || settled) {
+    return { status: PRESENCE_CONFIRMED, paymentStatus, paymentDueAt: null };
+  }
+
+  return {
+    status: PRESENCE_PENDING_PAYMENT,
+    paymentStatus,
+    paymentDueAt: new Date(now.getTime() + PAYMENT_HOLD_MINUTES * 60 * 1000),
+  };
+}
+
+const waitlistSelect = {
+  id: true,
+  userId: true,
+  status: true,
+  waitlistPosition: true,
+  createdAt: true,
+  user: { select: { id: true, name: true, imageUrl: true } },
+};
+
+export async function listWaitlist(matchId) {
+  return prisma.matchPresence.findMany({
+    where: { matchId, status: PRESENCE_WAITLISTED },
+    orderBy: [{ waitlistPosition: "asc" }, { createdAt: "asc" }],
+    select: waitlistSelect,
+  });
+}
+
+// renumera 1..n mantendo a ordem atual
+async function compactWaitlist(tx, matchId) {
+  const queue = await tx.matchPresence.findMany({
+    where: { matchId, status: PRESENCE_WAITLISTED },
+    orderBy: [{ waitlistPosition: "asc" }, { createdAt: "asc" }],
+    select: { id: true, waitlistPosition: true },
+  });
+
+  for (const [index, item] of queue.entries()) {
+    if (item.waitlistPosition === index + 1) continue;
+
+    await tx.matchPresence.update({
+      where: { id: item.id },
+      data: { waitlistPosition: index + 1 },
+    });
+  }
+}
+
+export async function addToWaitlist(matchId, userId, data = {}) {
+  return prisma.$transaction(async (tx) => {
+    const last = await tx.matchPresence.findFirst({
+      where: { matchId, status: PRESENCE_WAITLISTED },
+      orderBy: { waitlistPosition: "desc" },
+      select: { waitlistPosition: true },
+    });
+
+    return tx.matchPresence.create({
+      data: {
+        matchId,
+        userId,
+        ...data,
+        status: PRESENCE_WAITLISTED,
+        waitlistPosition: Number(last?.waitlistPosition || 0) + 1,
+      },
+      select: waitlistSelect,
+    });
+  });
+}
+
+/**
+ * Remove a presença de alguém e, se ela ocupava vaga, puxa o primeiro da fila.
+ * Saída e promoção vão na mesma transação (a vaga não fica sem dono no meio).
+ * Retorna { removed, promoted }.
+ */
+export async function removePresenceAndPromote(matchId, userId) {
+  const result = await prisma.$transaction(async (tx) => {
+    const presence = await tx.matchPresence.findFirst({
+      where: { matchId, userId },
+      select: { id: true, status: true },
+    });
+
+    if (!presence) return { removed: false, promoted: null };
+
+    await tx.matchPresence.delete({ where: { id: presence.id } });
+
+    if (!occupiesSpot(presence)) {
+      await compactWaitlist(tx, matchId);
+      return { removed: true, promoted: null };
+    }
+
+    return { removed: true, promoted: await promoteNextInTx(tx, matchId) };
+  });
+
+  if (result.promoted) {
+    await announcePromotion(matchId, result.promoted.userId, {
+      pendingPayment: result.promoted.status === PRESENCE_PENDING_PAYMENT,
+    });
+  }
+
+  return result;
+}
+
+async function announcePromotion(matchId, userId, { pendingPayment = false } = {}) {
+  const match = await prisma.match.findUnique({
+    where: { id: matchId },
+    select: {
+      title: true,
+      date: true,
+      manualArenaName: true,
+      peladaLocation: { select: { name: true } },
+      court: { select: { arena: { select: { name: true } } } },
+    },
+  });
+
+  await createFeedPost({
+    userId,
+    matchId,
+    type: "CHECKIN",
+    text: "Saiu da lista de espera e garantiu a vaga na partida.",
+    meta: {
+      arena:
+        match?.court?.arena?.name ||
+        match?.peladaLocation?.name ||
+        match?.manualArenaName ||
+        "",
+      matchTitle: match?.title || "",
+      date: match?.date || null,
+      fromWaitlist: true,
+    },
+  });
+
+  await notifyUser(userId, {
+    type: "WAITLIST_PROMOTED",
+    title: "Você está dentro!",
+    body: pendingPayment
+      ? `Abriu vaga em ${match?.title || "uma partida"}. Pague o Pix em ${PAYMENT_HOLD_MINUTES} minutos para garantir.`
+      : `Abriu vaga em ${match?.title || "uma partida"} e você saiu da lista de espera.`,
+    data: { matchId, date: match?.date || null, pendingPayment },
+  });
+}
+
+async function promotePresence(matchId, presenceId, match) {
+  const promoted = await prisma.$transaction(async (tx) => {
+    const current = await tx.matchPresence.findUnique({
+      where: { id: presenceId },
+      select: { paymentStatus: true },
+    });
+
+    const updated = await tx.matchPresence.update({
+      where: { id: presenceId },
+      data: { ...presencePaymentFields(match, current), waitlistPosition: null },
+      select: waitlistSelect,
+    });
+
+    await compactWaitlist(tx, matchId);
+
+    return updated;
+  });
+
+  await announcePromotion(matchId, promoted.userId, {
+    pendingPayment: promoted.status === PRESENCE_PENDING_PAYMENT,
+  });
+
+  return promoted;
+}
+
+// sobe o primeiro da fila dentro da transação; o aviso sai depois do commit
+async function promoteNextInTx(tx, matchId) {
+  const match = await tx.match.findUnique({
+    where: { id: matchId },
+    select: {
+      status: true,
+      maxPlayers: true,
+      pricePerPlayer: true,
+      collectPayments: true,
+      requirePaymentToConfirm: true,
+      presences: { select: { status: true } },
+    },
+  });
+
+  if (!match) return null;
+  if (["CANCELED", "EXPIRED", "FINISHED"].includes(match.status)) return null;
+  if (!hasFreeSpot(match)) return null;
+
+  const next = await tx.matchPresence.findFirst({
+    where: { matchId, status: PRESENCE_WAITLISTED },
+    orderBy: [{ waitlistPosition: "asc" }, { createdAt: "asc" }],
+    select: { id: true, paymentStatus: true },
+  });
+
+  if (!next) return null;
+
+  const promoted = await tx.matchPresence.update({
+    where: { id: next.id },
+    data: { ...presencePaymentFields(match, next), waitlistPosition: null },
+    select: waitlistSelect,
+  });
+
+  await compactWaitlist(tx, matchId);
+
+  return promoted;
+}
+
+/**
+ * Sobe o primeiro da fila se houver vaga e a partida ainda estiver aberta.
+ */
+export async function promoteNextFromWaitlist(matchId) {
+  const promoted = await prisma.$transaction((tx) => promoteNextInTx(tx, matchId));
+  if (!promoted) return null;
+
+  await announcePromotion(matchId, promoted.userId, {
+    pendingPayment: promoted.status === PRESENCE_PENDING_PAYMENT,
+  });
+
+  return promoted;
+}
+
+/**
+ * Promoção manual pelo organizador (fura a ordem da fila, mas não a lotação).
+ */
+export async function promoteFromWaitlist(matchId, userId) {
+  const presence = await prisma.matchPresence.findFirst({
+    where: { matchId, userId, status: PRESENCE_WAITLISTED },
+    select: { id: true },
+  });
+
+  if (!presence) {
+    return { ok: false, status: 404, message: "Jogador não está na lista de espera" };
+  }
+
+  const match = await prisma.match.findUnique({
+    where: { id: matchId },
+    select: {
+      status: true,
+      maxPlayers: true,
+      pricePerPlayer: true,
+      collectPayments: true,
+      requirePaymentToConfirm: true,
+      presences: { select: { status: true } },
+    },
+  });
+
+  if (["CANCELED", "EXPIRED", "FINISHED"].includes(match?.status)) {
+    return { ok: false, status: 409, message: `Partida ${match.status.toLowerCase()}.` };
+  }
+
+  if (!hasFreeSpot(match)) {
+    return { ok: false, status: 409, message: "Partida lotada." };
+  }
+
+  const promoted = await promotePresence(matchId, presence.id, match);
+  return { ok: true, promoted };
+}
+
+/**
+ * Reordena a fila. `userIds` precisa conter exatamente quem está na fila.
+ */
+export async function reorderWaitlist(matchId, userIds = []) {
+  const queue = await listWaitlist(matchId);
+
+  const current = new Set(queue.map((item) => item.userId));
+  const next = [...new Set(userIds.map(String))];
+
+  const sameMembers =
+    next.length === current.size && next.every((id) => current.has(id));
+
+  if (!sameMembers) {
+    return {
+      ok: false,
+      status: 400,
+      message: "Envie todos os jogadores da lista de espera, sem repetir",
+    };
+  }
+
+  const byUser = new Map(queue.map((item) => [item.userId, item.id]));
+
+  await prisma.$transaction(
+    next.map((userId, index) =>
+      prisma.matchPresence.update({
+        where: { id: byUser.get(userId) },
+        data: { waitlistPosition: index + 1 },
+      })
+    )
+  );
+
+  return { ok: true, waitlist: await listWaitlist(matchId) };
+}
@@ -0,0 +1,247 @@
+import { prisma } from "../lib/prisma.js";
+import { publish } from "../lib/sseHub.js";
+import { PUSH_NOTIFICATION_TYPES, sendPushToUser } from "./pushService.js";
+
+export const NOTIFICATION_TYPES = [
+  "FRIEND_REQUEST",
+  "FRIEND_ACCEPTED",
+  "RESERVATION_CONFIRMED",
+  "RESERVATION_PAID",
+  "RESERVATION_REFUNDED",
+  "RESERVATION_SHARE_PAID",
+  "RESERVATION_SPLIT_INVITE",
+  "RESERVATION_SPLIT_CANCELED",
+  "RESERVATION_SPLIT_EXPIRED",
+  "MATCH_PAID",
+  "MATCH_PAYMENT_REMINDER",
+  "MATCH_PAYMENT_REFUNDED",
+  "MATCH_SPOT_RELEASED",
+  "MATCH_CANCELED",
+  "FEED_LIKE",
+  "FEED_COMMENT",
+  "WAITLIST_PROMOTED",
+  "MVP_ELECTED",
+  "ARENA_REVIEWED",
+];
+
+export const NOTIFICATION_PAGE_SIZE = 30;
+export const NOTIFICATION_MAX_PAGE_SIZE = 100;
+
+const notificationInclude = {
+  actor: { select: { id: true, name: true, imageUrl: true } },
+};
+
+// pushes disparados e ainda em andamento (sendPushToUser não lança)
+const pendingPushes = new Set();
+
+/**
+ * Espera os pushes em andamento. Quem roda e sai (jobs:run) chama antes de
+ * desconectar o banco.
+ */
+export async function flushPendingPushes() {
+  while (pendingPushes.size) {
+    await Promise.all([...pendingPushes]);
+  }
+}
+
+export function getNotificationChannel(userId) {
+  return `notifications:${userId}`;
+}
+
+function normalizeLimit(limit) {
+  const n = Number(limit);
+  if (!Number.isFinite(n) || n <= 0) return NOTIFICATION_PAGE_SIZE;
+  return Math.min(Math.floor(n), NOTIFICATION_MAX_PAGE_SIZE);
+}
+
+function formatNotification(notification) {
+  return {
+    ...notification,
+    isRead: Boolean(notification.readAt),
+  };
+}
+
+// nome pra montar o texto ("Fulano curtiu seu post")
+export async function getActorName(userId) {
+  if (!userId) return "Alguém";
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { name: true },
+  });
+
+  return user?.name || "Alguém";
+}
+
+async function getMutedUserIds(userIds, type) {
+  const muted = await prisma.notificationPreference.findMany({
+    where: { userId: { in: userIds }, type, enabled: false },
+    select: { userId: true },
+  });
+
+  return new Set(muted.map((item) => item.userId));
+}
+
+/**
+ * Cria a notificação para cada destinatário (respeitando as preferências).
+ * Nunca lança erro: notificar é efeito colateral, o fluxo que chamou
+ * já terminou o trabalho dele.
+ */
+export async function notifyUsers(userIds, { type, title, body = null, data = null, actorId = null }) {
+  try {
+    // ninguém é notificado da própria ação
+    const recipients = [...new Set((userIds || []).filter(Boolean).map(String))].filter(
+      (id) => id !== actorId
+    );
+
+    if (!recipients.length) return [];
+
+    const muted = await getMutedUserIds(recipients, type);
+    const targets = recipients.filter((id) => !muted.has(id));
+
+    const created = [];
+
+    for (const userId of targets) {
+      const notification = await prisma.notification.create({
+        data: { userId, actorId, type, title, body, data },
+        include: notificationInclude,
+      });
+
+      const formatted = formatNotification(notification);
+      publish(getNotificationChannel(userId), "notification", formatted);
+      created.push(formatted);
+    }
+
+    // push roda por fora (tem retry com espera), não segura quem chamou
+    if (PUSH_NOTIFICATION_TYPES.includes(type)) {
+      for (const notification of created) {
+        const push = sendPushToUser(notification.userId, {
+          notificationId: notification.id,
+          type,
+          title,
+          body,
+          data,
+        }).finally(() => pendingPushes.delete(push));
+
+        pendingPushes.add(push);
+      }
+    }
+
+    return created;
+  } catch (err) {
+    console.error(`[notifications] falha ao criar "${type}":`, err);
+    return [];
+  }
+}
+
+export async function notifyUser(userId, payload) {
+  const [created] = await notifyUsers([userId], payload);
+  return created || null;
+}
+
+export async function countUnreadNotifications(userId) {
+  return prisma.notification.count({ where: { userId, readAt: null } });
+}
+
+/**
+ * Lista paginada (mais recente primeiro). `before` = id da última recebida.
+ */
+export async function listNotifications({ userId, before = null, limit, unreadOnly = false }) {
+  const take = normalizeLimit(limit);
+
+  let cursorWhere = {};
+  if (before) {
+    const cursor = await prisma.notification.findFirst({
+      where: { id: String(before), userId },
+      select: { id: true, createdAt: true },
+    });
+
+    if (!cursor) return { items: [], unreadCount: await countUnreadNotifications(userId), nextCursor: null };
+
+    cursorWhere = {
+      OR: [
+        { createdAt: { lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, id: { lt: cursor.id } },
+      ],
+    };
+  }
+
+  const [items, unreadCount] = await Promise.all([
+    prisma.notification.findMany({
+      where: {
+        userId,
+        ...(unreadOnly ? { readAt: null } : {}),
+        ...cursorWhere,
+      },
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      take,
+      include: notificationInclude,
+    }),
+    countUnreadNotifications(userId),
+  ]);
+
+  return {
+    items: items.map(formatNotification),
+    unreadCount,
+    nextCursor: items.length === take ? items[items.length - 1].id : null,
+  };
+}
+
+export async function markNotificationRead({ userId, notificationId }) {
+  const result = await prisma.notification.updateMany({
+    where: { id: notificationId, userId, readAt: null },
+    data: { readAt: new Date() },
+  });
+
+  if (!result.count) {
+    const exists = await prisma.notification.findFirst({
+      where: { id: notificationId, userId },
+      select: { id: true },
+    });
+
+    if (!exists) return null;
+  }
+
+  return countUnreadNotifications(userId);
+}
+
+export async function markAllNotificationsRead(userId) {
+  const result = await prisma.notification.updateMany({
+    where: { userId, readAt: null },
+    data: { readAt: new Date() },
+  });
+
+  return result.count;
+}
+
+export async function getNotificationPreferences(userId) {
+  const rows = await prisma.notificationPreference.findMany({
+    where: { userId },
+    select: { type: true, enabled: true },
+  });
+
+  const byType = new Map(rows.map((row) => [row.type, row.enabled]));
+
+  return NOTIFICATION_TYPES.map((type) => ({
+    type,
+    enabled: byType.has(type) ? byType.get(type) : true,
+  }));
+}
+
+export async function updateNotificationPreferences(userId, preferences = {}) {
+  const entries = Object.entries(preferences).filter(([type]) =>
+    NOTIFICATION_TYPES.includes(type)
+  );
+
+  await prisma.$transaction(
+    entries.map(([type, enabled]) =>
+      prisma.notificationPreference.upsert({
+        where: { userId_type: { userId, type } },
+        create: { userId, type, enabled: Boolean(enabled) },
+        update: { enabled: Boolean(enabled) },
+      })
+    )
+  );
+
+  return getNotificationPreferences(userId);
+}
@@ -0,0 +1,138 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import jwt from "jsonwebtoken";
+
+// Validação do id_token (OpenID Connect) que o app recebe do Google/Apple.
+// As chaves públicas vêm do JWKS do provedor; pra testar localmente aponte
+// <PROVIDER>_JWKS_URL pra um arquivo (file:///...) gerado com npm run oidc:test-token.
+
+export const OIDC_PROVIDERS = {
+  google: {
+    issuers: ["https://accounts.google.com", "accounts.google.com"],
+    jwksUrl: "https://www.googleapis.com/oauth2/v3/certs",
+    env: "GOOGLE",
+  },
+  apple: {
+    issuers: ["https://appleid.apple.com"],
+    jwksUrl: "https://appleid.apple.com/auth/keys",
+    env: "APPLE",
+  },
+};
+
+export const OIDC_PROVIDER_NAMES = Object.keys(OIDC_PROVIDERS);
+
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+const jwksCache = new Map(); // url -> { keys, fetchedAt }
+
+function getProviderConfig(provider) {
+  const base = OIDC_PROVIDERS[provider];
+  if (!base) return null;
+
+  const clientIds = String(process.env[`${base.env}_CLIENT_IDS`] || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+  return {
+    ...base,
+    jwksUrl: process.env[`${base.env}_JWKS_URL`] || base.jwksUrl,
+    issuers: process.env[`${base.env}_ISSUER`]
+      ? [process.env[`${base.env}_ISSUER`]]
+      : base.issuers,
+    clientIds,
+  };
+}
+
+async function loadJwks(url, { force = false } = {}) {
+  const cached = jwksCache.get(url);
+  if (!force && cached && Date.now() - cached.fetchedAt < JWKS_CACHE_MS) {
+    return cached.keys;
+  }
+
+  let body;
+  if (url.startsWith("file://")) {
+    body = JSON.parse(await fs.readFile(new URL(url), "utf8"));
+  } else {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`JWKS ${url} respondeu ${response.status}`);
+    body = await response.json();
+  }
+
+  const keys = Array.isArray(body?.keys) ? body.keys : [];
+  jwksCache.set(url, { keys, fetchedAt: Date.now() });
+
+  return keys;
+}
+
+// chave nova do provedor (rotação): busca o JWKS de novo uma vez
+async function findSigningKey(url, kid) {
+  let keys = await loadJwks(url);
+  let jwk = keys.find((key) => key.kid === kid);
+
+  if (!jwk) {
+    keys = await loadJwks(url, { force: true });
+    jwk = keys.find((key) => key.kid === kid);
+  }
+
+  return jwk ? crypto.createPublicKey({ key: jwk, format: "jwk" }) : null;
+}
+
+function isTrue(value) {
+  return value === true || value === "true";
+}
+
+/**
+ * Valida assinatura, emissor, audiência, validade e (se veio) o nonce.
+ * Retorna { ok: true, claims: { subject, email, emailVerified, name } }
+ * ou { ok: false, status, message }.
+ */
+export async function verifyIdToken(provider, idToken, { nonce = null } = {}) {
+  const config = getProviderConfig(provider);
+
+  if (!config) {
+    return { ok: false, status: 400, message: "Provedor de login inválido." };
+  }
+
+  if (!config.clientIds.length) {
+    return { ok: false, status: 503, message: "Login com este provedor não está configurado." };
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header?.kid) {
+    return { ok: false, status: 401, message: "Token do provedor inválido." };
+  }
+
+  let claims;
+  try {
+    const key = await findSigningKey(config.jwksUrl, decoded.header.kid);
+    if (!key) return { ok: false, status: 401, message: "Token do provedor inválido." };
+
+    claims = jwt.verify(idToken, key, {
+      algorithms: ["RS256", "ES256"],
+      issuer: config.issuers,
+      audience: config.clientIds,
+    });
+  } catch (err) {
+    console.warn(`[oidc] ${provider} id_token rejeitado:`, err?.message || err);
+    return { ok: false, status: 401, message: "Token do provedor inválido ou expirado." };
+  }
+
+  // app nativo da Apple manda o nonce com sha256; aceita os dois
+  if (nonce) {
+    const hashed = crypto.createHash("sha256").update(nonce).digest("hex");
+    if (claims.nonce !== nonce && claims.nonce !== hashed) {
+      return { ok: false, status: 401, message: "Nonce inválido." };
+    }
+  }
+
+  return {
+    ok: true,
+    claims: {
+      subject: String(claims.sub),
+      email: claims.email ? String(claims.email).toLowerCase() : null,
+      emailVerified: isTrue(claims.email_verified),
+      name: claims.name || null,
+      picture: claims.picture || null,
+    },
+  };
+}
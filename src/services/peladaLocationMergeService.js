@@ -0,0 +1,89 @@
+import { prisma } from "../lib/prisma.js";
+import { recordAudit } from "./auditService.js";
+
+// "Quadra do Zé", "quadra do ze " e "Quadra do Zé!" viram a mesma chave
+function locationKey(name) {
+  return String(name || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Locais ativos com o mesmo nome normalizado (candidatos a merge).
+ */
+export async function findDuplicatePeladaLocations() {
+  const locations = await prisma.peladaLocation.findMany({
+    where: { isActive: true },
+    orderBy: { createdAt: "asc" },
+    select: {
+      id: true,
+      name: true,
+      address: true,
+      createdAt: true,
+      createdBy: { select: { id: true, name: true } },
+      _count: { select: { matches: true } },
+    },
+  });
+
+  const groups = new Map();
+  for (const location of locations) {
+    const key = locationKey(location.name);
+    if (!key) continue;
+    groups.set(key, [...(groups.get(key) || []), location]);
+  }
+
+  return [...groups.entries()]
+    .filter(([, items]) => items.length > 1)
+    .map(([key, items]) => ({ key, locations: items }));
+}
+
+/**
+ * Move as partidas dos sourceIds pro targetId e desativa os sources.
+ */
+export async function mergePeladaLocations({ targetId, sourceIds, actor, req = null }) {
+  const ids = [...new Set(sourceIds.map(String))].filter((id) => id !== targetId);
+  if (!ids.length) return { ok: false, status: 400, message: "Informe ao menos um local para juntar" };
+
+  const target = await prisma.peladaLocation.findUnique({
+    where: { id: targetId },
+    select: { id: true, name: true, address: true, isActive: true },
+  });
+
+  if (!target) return { ok: false, status: 404, message: "Local de destino não encontrado" };
+  if (!target.isActive) return { ok: false, status: 409, message: "O local de destino está inativo" };
+
+  const sources = await prisma.peladaLocation.findMany({
+    where: { id: { in: ids } },
+    select: { id: true, name: true, address: true, isActive: true },
+  });
+
+  if (sources.length !== ids.length) {
+    return { ok: false, status: 404, message: "Algum dos locais informados não existe" };
+  }
+
+  const [moved] = await prisma.$transaction([
+    prisma.match.updateMany({
+      where: { peladaLocationId: { in: ids } },
+      data: { peladaLocationId: targetId },
+    }),
+    prisma.peladaLocation.updateMany({
+      where: { id: { in: ids } },
+      data: { isActive: false },
+    }),
+  ]);
+
+  await recordAudit({
+    req,
+    actorId: actor.id,
+    action: "pelada_location.merged",
+    targetType: "pelada_location",
+    targetId,
+    before: { sources },
+    metadata: { target, matchesMoved: moved.count },
+  });
+
+  return { ok: true, target, merged: sources.map((source) => source.id), matchesMoved: moved.count };
+}
@@ -0,0 +1,247 @@
+import crypto from "crypto";
+import { prisma } from "../lib/prisma.js";
+import { getSmsSender } from "../lib/smsSenders.js";
+import { makePlaceholderEmail } from "./socialAuthService.js";
+
+export const PHONE_OTP_TTL_MINUTES = 10;
+export const PHONE_OTP_RESEND_COOLDOWN_SECONDS = 60;
+export const PHONE_OTP_MAX_PER_HOUR = 5;
+export const PHONE_OTP_MAX_ATTEMPTS = 5;
+
+const phoneUserSelect = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  emailVerifiedAt: true,
+};
+
+/**
+ * Normaliza pra E.164. Sem DDI assume Brasil (+55).
+ * Retorna null se não parecer um celular válido.
+ */
+export function normalizePhone(input) {
+  const raw = String(input || "").trim();
+  let digits = raw.replace(/\D/g, "");
+
+  if (!digits) return null;
+
+  if (!raw.startsWith("+")) {
+    digits = digits.replace(/^0+/, "");
+    // DDD + número (10 ou 11 dígitos) → brasileiro
+    if (digits.length === 10 || digits.length === 11) digits = `55${digits}`;
+  }
+
+  if (digits.length < 10 || digits.length > 15) return null;
+
+  return `+${digits}`;
+}
+
+// User.phone é texto livre do perfil: procura nos formatos mais comuns
+function phoneCandidates(e164) {
+  const digits = e164.slice(1);
+  const list = [e164, digits];
+  if (digits.startsWith("55")) list.push(digits.slice(2));
+  return list;
+}
+
+function hashCode(phone, code) {
+  return crypto
+    .createHash("sha256")
+    .update(`${phone}:${code}:${process.env.JWT_SECRET || ""}`)
+    .digest("hex");
+}
+
+function newCode() {
+  return String(crypto.randomInt(0, 1_000_000)).padStart(6, "0");
+}
+
+/**
+ * Gera e manda o código por SMS, com cooldown e limite por hora.
+ */
+export async function requestPhoneOtp(phoneInput) {
+  const phone = normalizePhone(phoneInput);
+  if (!phone) return { ok: false, status: 400, message: "Telefone inválido." };
+
+  const sender = getSmsSender();
+  if (!sender) {
+    return { ok: false, status: 503, message: "Envio de SMS indisponível no momento." };
+  }
+
+  const now = Date.now();
+  const recent = await prisma.phoneOtp.findMany({
+    where: { phone, createdAt: { gt: new Date(now - 60 * 60 * 1000) } },
+    orderBy: { createdAt: "desc" },
+    select: { createdAt: true },
+  });
+
+  if (recent.length) {
+    const elapsed = (now - new Date(recent[0].createdAt).getTime()) / 1000;
+    if (elapsed < PHONE_OTP_RESEND_COOLDOWN_SECONDS) {
+      const retryAfter = Math.ceil(PHONE_OTP_RESEND_COOLDOWN_SECONDS - elapsed);
+      return {
+        ok: false,
+        status: 429,
+        retryAfter,
+        message: `Aguarde ${retryAfter}s para pedir outro código.`,
+      };
+    }
+  }
+
+  if (recent.length >= PHONE_OTP_MAX_PER_HOUR) {
+    return {
+      ok: false,
+      status: 429,
+      retryAfter: 60 * 60,
+      message: "Muitos códigos pedidos. Tente de novo mais tarde.",
+    };
+  }
+
+  const code = newCode();
+
+  // código novo invalida os anteriores
+  await prisma.$transaction([
+    prisma.phoneOtp.updateMany({
+      where: { phone, consumedAt: null },
+      data: { consumedAt: new Date(now) },
+    }),
+    prisma.phoneOtp.create({
+      data: {
+        phone,
+        codeHash: hashCode(phone, code),
+        expiresAt: new Date(now + PHONE_OTP_TTL_MINUTES * 60 * 1000),
+      },
+    }),
+  ]);
+
+  const sent = await sender.send({
+    to: phone,
+    body: `BoraPô: seu código de acesso é ${code}. Vale por ${PHONE_OTP_TTL_MINUTES} minutos.`,
+  });
+
+  if (!sent.ok) {
+    console.error("[sms] falha ao enviar código:", sent.error);
+    return { ok: false, status: 502, message: "Não foi possível enviar o SMS. Tente novamente." };
+  }
+
+  return { ok: true, phone, expiresInSeconds: PHONE_OTP_TTL_MINUTES * 60 };
+}
+
+// confere o código do telefone (já normalizado) e gasta ele
+async function consumePhoneOtp(phone, code) {
+  const otp = await prisma.phoneOtp.findFirst({
+    where: { phone, consumedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { createdAt: "desc" },
+  });
+
+  if (!otp || otp.attempts >= PHONE_OTP_MAX_ATTEMPTS) {
+    return { ok: false, status: 400, message: "Código inválido ou expirado." };
+  }
+
+  if (otp.codeHash !== hashCode(phone, String(code || "").trim())) {
+    // claim da tentativa: conta mesmo com requisições em paralelo
+    await prisma.phoneOtp.updateMany({
+      where: { id: otp.id, consumedAt: null },
+      data: { attempts: { increment: 1 } },
+    });
+
+    const left = PHONE_OTP_MAX_ATTEMPTS - otp.attempts - 1;
+    return {
+      ok: false,
+      status: 400,
+      message: left > 0 ? `Código incorreto. Restam ${left} tentativa(s).` : "Código expirado. Peça outro.",
+    };
+  }
+
+  const claim = await prisma.phoneOtp.updateMany({
+    where: { id: otp.id, consumedAt: null, attempts: { lt: PHONE_OTP_MAX_ATTEMPTS } },
+    data: { consumedAt: new Date() },
+  });
+
+  if (!claim.count) {
+    return { ok: false, status: 400, message: "Código inválido ou expirado." };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Confere o código e devolve a conta que já confirmou o telefone (sem ela,
+ * cria uma conta nova).
+ */
+export async function verifyPhoneOtp({ phone: phoneInput, code, name = null }) {
+  const phone = normalizePhone(phoneInput);
+  if (!phone) return { ok: false, status: 400, message: "Telefone inválido." };
+
+  const consumed = await consumePhoneOtp(phone, code);
+  if (!consumed.ok) return consumed;
+
+  // só entra em conta que já confirmou este telefone: o campo phone do
+  // perfil é digitado livre e não prova nada (sem confirmação, conta nova)
+  let user = await prisma.user.findFirst({
+    where: { phone: { in: phoneCandidates(phone) }, phoneVerifiedAt: { not: null } },
+    orderBy: [{ phoneVerifiedAt: "asc" }, { createdAt: "asc" }],
+    select: phoneUserSelect,
+  });
+  let created = false;
+
+  if (user) {
+    await prisma.user.update({ where: { id: user.id }, data: { phone } });
+  } else {
+    user = await prisma.user.create({
+      data: {
+        name: String(name || "Jogador").trim().slice(0, 80) || "Jogador",
+        email: makePlaceholderEmail("phone", phone),
+        password: null,
+        phone,
+        phoneVerifiedAt: new Date(),
+      },
+      select: phoneUserSelect,
+    });
+    created = true;
+  }
+
+  return { ok: true, user, created };
+}
+
+/**
+ * Conta logada confirma o telefone com o mesmo código do login: daí em
+ * diante o login por SMS entra nela em vez de criar outra.
+ */
+export async function confirmUserPhone({ userId, phone: phoneInput, code }) {
+  const phone = normalizePhone(phoneInput);
+  if (!phone) return { ok: false, status: 400, message: "Telefone inválido." };
+
+  const owner = await prisma.user.findFirst({
+    where: { phone: { in: phoneCandidates(phone) }, phoneVerifiedAt: { not: null }, id: { not: userId } },
+    select: { id: true },
+  });
+
+  if (owner) {
+    return { ok: false, status: 409, message: "Este telefone já está confirmado em outra conta." };
+  }
+
+  const consumed = await consumePhoneOtp(phone, code);
+  if (!consumed.ok) return consumed;
+
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: { phone, phoneVerifiedAt: new Date() },
+    select: { id: true, phone: true, phoneVerifiedAt: true },
+  });
+
+  return { ok: true, user };
+}
+
+/**
+ * Apaga códigos vencidos há mais de `hours` horas.
+ */
+export async function purgeOldPhoneOtps({ hours = 24 } = {}) {
+  const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  const result = await prisma.phoneOtp.deleteMany({
+    where: { expiresAt: { lt: cutoff } },
+  });
+
+  return result.count;
+}
@@ -0,0 +1,669 @@
+import { prisma } from "../lib/prisma.js";
+import { getArenaPaymentProvider, getPaymentProvider } from "../lib/paymentProviders.js";
+import { getActorName, notifyUser, notifyUsers } from "./notificationService.js";
+import { PIX_SETTLED_STATUSES, requestPixRefund } from "./pixRefundService.js";
+import {
+  PRESENCE_CONFIRMED,
+  PRESENCE_PENDING_PAYMENT,
+  PRESENCE_WAITLISTED,
+  isPaidMatch,
+} from "./matchWaitlistService.js";
+import { sendReservationEmail } from "./email/emailService.js";
+
+export const PIX_CHARGE_TTL_SECONDS = 15 * 60;
+
+// PENDING mais velho que isso entra na reconciliação (webhook pode ter se perdido)
+export const PIX_RECONCILE_AFTER_MS = 2 * 60 * 1000;
+const PIX_RECONCILE_BATCH = 50;
+
+// sem resposta do gateway, espera isso depois do expiresAt antes de expirar local
+const PIX_EXPIRY_GRACE_MS = 5 * 60 * 1000;
+
+const OPEN_STATUSES = ["CREATED", "PENDING"];
+
+export function toPixPaymentResponse(payment) {
+  return {
+    paymentId: payment.id,
+    provider: payment.provider,
+    status: payment.status,
+    brCode: payment.brCode,
+    qrCodeImage: payment.qrCodeImage,
+    expiresAt: payment.expiresAt,
+    paidAt: payment.paidAt,
+    refundedValue: payment.refundedValue,
+  };
+}
+
+function isStillPayable(payment, now = new Date()) {
+  if (!payment?.brCode || payment.status !== "PENDING") return false;
+  return !payment.expiresAt || new Date(payment.expiresAt) > now;
+}
+
+// o Pix mais recente do alvo (cada cobrança é uma linha)
+function findLatestCharge(where) {
+  return prisma.pixPayment.findFirst({ where, orderBy: { createdAt: "desc" } });
+}
+
+// o Pix que contou pro alvo (os pagos em dobro ficam applied: false)
+function findAppliedCharge(where) {
+  return prisma.pixPayment.findFirst({
+    where: { ...where, applied: true, status: { in: PIX_SETTLED_STATUSES } },
+    select: { id: true },
+  });
+}
+
+function markApplied(payment) {
+  return prisma.pixPayment.update({ where: { id: payment.id }, data: { applied: true } });
+}
+
+/**
+ * Cancela as cobranças em aberto do alvo (where = { reservationId } |
+ * { presenceId } | { shareId }), aqui e no gateway. Se o gateway não cancelar
+ * a tempo e pagarem mesmo assim, o settle estorna. Nunca lança.
+ */
+export async function cancelOpenPixCharges(where) {
+  const open = await prisma.pixPayment.findMany({
+    where: { ...where, status: { in: OPEN_STATUSES } },
+    select: { id: true, provider: true, status: true, correlationId: true },
+  });
+
+  for (const payment of open) {
+    const claim = await prisma.pixPayment.updateMany({
+      where: { id: payment.id, status: { in: OPEN_STATUSES } },
+      data: { status: "CANCELED" },
+    });
+
+    // CREATED não chegou no gateway
+    if (!claim.count || payment.status !== "PENDING") continue;
+
+    try {
+      await getPaymentProvider(payment.provider)?.cancelCharge(payment.correlationId);
+    } catch (err) {
+      console.warn(`[pix] não deu pra cancelar ${payment.correlationId} no gateway:`, err?.message || err);
+    }
+  }
+
+  return open.length;
+}
+
+/**
+ * Gera a cobrança no gateway numa linha nova de PixPayment (link =
+ * { reservationId } | { presenceId, matchId } | { shareId }). A anterior em
+ * aberto é cancelada: cada cobrança viva fica rastreável pelo correlationId.
+ */
+async function issueCharge({ provider, link, payerId, value, comment, correlationPrefix }) {
+  const { matchId, ...target } = link;
+  await cancelOpenPixCharges(target);
+
+  // correlationId novo a cada cobrança: os gateways não aceitam repetir
+  const correlationId = `${correlationPrefix}_${Date.now()}`;
+
+  const payment = await prisma.pixPayment.create({
+    data: { ...link, provider: provider.name, payerId, correlationId, value, status: "CREATED" },
+  });
+
+  try {
+    const { charge, raw } = await provider.createCharge({
+      correlationId,
+      value,
+      comment,
+      expiresIn: PIX_CHARGE_TTL_SECONDS,
+    });
+
+    const updated = await prisma.pixPayment.update({
+      where: { id: payment.id },
+      data: {
+        status: "PENDING",
+        chargeId: charge?.chargeId || null,
+        txid: charge?.txid || null,
+        brCode: charge?.brCode || charge?.paymentLinkUrl || null,
+        qrCodeImage: charge?.qrCodeImage || null,
+        expiresAt: charge?.expiresAt || new Date(Date.now() + PIX_CHARGE_TTL_SECONDS * 1000),
+        raw,
+      },
+    });
+
+    return { ok: true, payment: updated };
+  } catch (err) {
+    await prisma.pixPayment.update({
+      where: { id: payment.id },
+      data: { status: "ERROR", raw: { error: String(err?.message || err) } },
+    });
+
+    console.error(`[pix] falha ao criar cobrança ${provider.name} (${correlationPrefix}):`, err);
+    return { ok: false, status: 502, message: "Não foi possível gerar o Pix. Tente de novo." };
+  }
+}
+
+/**
+ * Cobrança Pix da reserva. Reaproveita a pendente que ainda vale; se a
+ * anterior expirou/falhou, gera outra.
+ */
+export async function createReservationCharge(reservation) {
+  if (reservation.status === "CANCELED") {
+    return { ok: false, status: 409, message: "Reserva cancelada" };
+  }
+  if (reservation.paymentStatus === "PAID") {
+    return { ok: false, status: 409, message: "Reserva já está paga" };
+  }
+  if (reservation.splitDueAt) {
+    return { ok: false, status: 409, message: "Reserva dividida: cada um paga a sua parte" };
+  }
+
+  const value = Number(reservation.totalPrice || 0);
+  if (!Number.isFinite(value) || value <= 0) {
+    return { ok: false, status: 400, message: "Reserva sem totalPrice válido" };
+  }
+
+  const provider = getArenaPaymentProvider(reservation.court?.arena);
+  if (!provider?.isReady()) {
+    return { ok: false, status: 503, message: "Pagamento por Pix indisponível no momento" };
+  }
+
+  if (await findAppliedCharge({ reservationId: reservation.id })) {
+    return { ok: false, status: 409, message: "Reserva já está paga" };
+  }
+
+  const existing = await findLatestCharge({ reservationId: reservation.id });
+
+  // arena trocou de gateway no meio: a cobrança antiga deixa de valer
+  if (isStillPayable(existing) && existing.provider === provider.name) {
+    return { ok: true, payment: existing };
+  }
+
+  return issueCharge({
+    provider,
+    link: { reservationId: reservation.id },
+    payerId: reservation.userId,
+    value,
+    comment: `Reserva BoraPo - ${reservation.court?.arena?.name || "Arena"} (${reservation.id})`,
+    correlationPrefix: `resv_${reservation.id}`,
+  });
+}
+
+/**
+ * Cobrança Pix da vaga do jogador numa partida paga (collectPayments +
+ * pricePerPlayer, em reais).
+ * Mesma regra da reserva: reaproveita a pendente, senão gera outra.
+ */
+export async function createPresenceCharge(presenceId) {
+  const presence = await prisma.matchPresence.findUnique({
+    where: { id: presenceId },
+    select: {
+      id: true,
+      userId: true,
+      status: true,
+      paymentStatus: true,
+      match: {
+        select: {
+          id: true,
+          title: true,
+          status: true,
+          pricePerPlayer: true,
+          collectPayments: true,
+          court: { select: { arena: { select: { id: true, name: true, paymentProvider: true } } } },
+        },
+      },
+    },
+  });
+
+  if (!presence) return { ok: false, status: 404, message: "Você não está nesta partida" };
+
+  const { match } = presence;
+
+  if (["CANCELED", "EXPIRED", "FINISHED"].includes(match.status)) {
+    return { ok: false, status: 409, message: `Partida ${match.status.toLowerCase()}.` };
+  }
+  if (presence.status === PRESENCE_WAITLISTED) {
+    return { ok: false, status: 409, message: "Você está na lista de espera. Pague quando abrir vaga." };
+  }
+  if (["PAID", "WAIVED"].includes(presence.paymentStatus)) {
+    return { ok: false, status: 409, message: "Sua vaga já está paga" };
+  }
+
+  const value = Math.round(Number(match.pricePerPlayer || 0) * 100);
+  if (!isPaidMatch(match) || value <= 0 || presence.paymentStatus === "NOT_REQUIRED") {
+    return { ok: false, status: 409, message: "Esta partida não é paga" };
+  }
+
+  const provider = getArenaPaymentProvider(match.court?.arena);
+  if (!provider?.isReady()) {
+    return { ok: false, status: 503, message: "Pagamento por Pix indisponível no momento" };
+  }
+
+  if (await findAppliedCharge({ presenceId: presence.id })) {
+    return { ok: false, status: 409, message: "Sua vaga já está paga" };
+  }
+
+  const existing = await findLatestCharge({ presenceId: presence.id });
+
+  if (isStillPayable(existing) && existing.provider === provider.name && existing.value === value) {
+    return { ok: true, payment: existing };
+  }
+
+  return issueCharge({
+    provider,
+    link: { presenceId: presence.id, matchId: match.id },
+    payerId: presence.userId,
+    value,
+    comment: `Partida BoraPo - ${match.title || "Pelada"} (${match.id})`,
+    correlationPrefix: `pres_${presence.id}`,
+  });
+}
+
+/**
+ * Cobrança Pix de uma parte de reserva dividida (ReservationShare.value,
+ * em centavos). Só quem deve a parte paga.
+ */
+export async function createShareCharge(shareId, userId) {
+  const share = await prisma.reservationShare.findUnique({
+    where: { id: shareId },
+    select: {
+      id: true,
+      userId: true,
+      status: true,
+      value: true,
+      reservation: {
+        select: {
+          id: true,
+          status: true,
+          paymentStatus: true,
+          splitDueAt: true,
+          court: { select: { arena: { select: { id: true, name: true, paymentProvider: true } } } },
+        },
+      },
+    },
+  });
+
+  if (!share || share.userId !== userId) {
+    return { ok: false, status: 404, message: "Parte não encontrada" };
+  }
+
+  const { reservation } = share;
+
+  if (reservation.status === "CANCELED") {
+    return { ok: false, status: 409, message: "Reserva cancelada" };
+  }
+  if (share.status === "PAID" || reservation.paymentStatus === "PAID") {
+    return { ok: false, status: 409, message: "Sua parte já está paga" };
+  }
+  if (share.status !== "PENDING") {
+    return { ok: false, status: 409, message: "Esta parte foi cancelada" };
+  }
+  if (reservation.splitDueAt && new Date(reservation.splitDueAt) <= new Date()) {
+    return { ok: false, status: 409, message: "O prazo para dividir esta reserva acabou" };
+  }
+
+  const provider = getArenaPaymentProvider(reservation.court?.arena);
+  if (!provider?.isReady()) {
+    return { ok: false, status: 503, message: "Pagamento por Pix indisponível no momento" };
+  }
+
+  if (await findAppliedCharge({ shareId: share.id })) {
+    return { ok: false, status: 409, message: "Sua parte já está paga" };
+  }
+
+  const existing = await findLatestCharge({ shareId: share.id });
+
+  if (isStillPayable(existing) && existing.provider === provider.name && existing.value === share.value) {
+    return { ok: true, payment: existing };
+  }
+
+  return issueCharge({
+    provider,
+    link: { shareId: share.id },
+    payerId: share.userId,
+    value: share.value,
+    comment: `Reserva BoraPo (parte) - ${reservation.court?.arena?.name || "Arena"} (${reservation.id})`,
+    correlationPrefix: `share_${share.id}`,
+  });
+}
+
+/**
+ * Pix confirmado (webhook ou reconciliação). Idempotente: o claim no
+ * status garante que notificação/e-mail saem uma vez só.
+ * Pago depois de cancelada: estorna tudo na hora.
+ */
+export async function markPixPaid(payment, { paidAt = null, txid = null, raw = null } = {}) {
+  const claim = await prisma.pixPayment.updateMany({
+    where: { id: payment.id, status: { notIn: PIX_SETTLED_STATUSES } },
+    data: {
+      status: "PAID",
+      paidAt: paidAt || new Date(),
+      ...(txid ? { txid } : {}),
+      ...(raw ? { raw } : {}),
+    },
+  });
+
+  if (!claim.count) return { ok: true, already: true };
+
+  if (payment.presenceId || payment.matchId) {
+    return settlePresencePayment({ ...payment, status: "PAID" }, paidAt || new Date());
+  }
+
+  if (payment.shareId) {
+    return settleSharePayment({ ...payment, status: "PAID" }, paidAt || new Date());
+  }
+
+  return settleReservationPayment({ ...payment, status: "PAID" });
+}
+
+async function refundWholePayment(payment, reason) {
+  const refund = await requestPixRefund({ payment, value: payment.value, reason });
+  return refund.ok;
+}
+
+async function settleReservationPayment(payment) {
+  const reservation = await prisma.reservation.findUnique({
+    where: { id: payment.reservationId },
+    select: { id: true, userId: true, status: true, startAt: true, splitDueAt: true },
+  });
+
+  if (!reservation) return { ok: true };
+
+  // reserva dividida: o Pix do valor cheio foi cancelado só aqui e o
+  // gateway ainda aceitou; quem paga agora são as partes
+  if (reservation.splitDueAt) {
+    console.warn(`[pix] pagamento cheio recebido para reserva dividida ${reservation.id}, estornando`);
+
+    const refunded = await refundWholePayment(payment, "Pagamento do valor cheio em reserva dividida");
+    return { ok: true, splitReservation: true, refunded };
+  }
+
+  const canceled = reservation.status === "CANCELED";
+
+  // claim: só reserva que ainda deve. Pagou depois de cancelada: registra o
+  // dinheiro, mas não ressuscita a reserva
+  const claim = await prisma.reservation.updateMany({
+    where: {
+      id: reservation.id,
+      paymentStatus: "UNPAID",
+      splitDueAt: null,
+      status: canceled ? "CANCELED" : { not: "CANCELED" },
+    },
+    data: { paymentStatus: "PAID", ...(canceled ? {} : { status: "CONFIRMED" }) },
+  });
+
+  // já paga (no balcão ou por outro Pix) ou mudou no meio do caminho
+  if (!claim.count) {
+    console.warn(`[pix] pagamento ${payment.id} de reserva que não devia mais nada, estornando`);
+
+    const refunded = await refundWholePayment(payment, "Reserva já estava paga");
+    return { ok: true, alreadySettled: true, refunded };
+  }
+
+  await markApplied(payment);
+
+  if (canceled) {
+    console.warn(`[pix] pagamento recebido para reserva cancelada ${reservation.id}, estornando`);
+
+    const refunded = await refundWholePayment(payment, "Pagamento recebido após o cancelamento");
+    return { ok: true, canceledReservation: true, refunded };
+  }
+
+  await notifyUser(reservation.userId, {
+    type: "RESERVATION_PAID",
+    title: "Pagamento confirmado",
+    body: "Recebemos seu Pix e a reserva está confirmada.",
+    data: { reservationId: reservation.id, startAt: reservation.startAt },
+  });
+
+  await sendReservationEmail("pixPaid", reservation.id);
+
+  return { ok: true };
+}
+
+/**
+ * Vaga paga: marca PAID e, se estava segurando a vaga, confirma.
+ * Jogador saiu / vaga liberada / partida cancelada / vaga já paga em
+ * dinheiro ou isenta: estorna tudo.
+ */
+async function settlePresencePayment(payment, paidAt) {
+  const [presence, match] = await Promise.all([
+    payment.presenceId
+      ? prisma.matchPresence.findUnique({
+          where: { id: payment.presenceId },
+          select: { id: true, userId: true, status: true },
+        })
+      : null,
+    prisma.match.findUnique({
+      where: { id: payment.matchId },
+      select: { id: true, title: true, date: true, status: true },
+    }),
+  ]);
+
+  const spotLost =
+    !presence ||
+    presence.status === PRESENCE_WAITLISTED ||
+    !match ||
+    ["CANCELED", "EXPIRED"].includes(match.status);
+
+  if (spotLost) {
+    console.warn(`[pix] pagamento ${payment.id} sem vaga na partida ${payment.matchId}, estornando`);
+
+    const refunded = await refundWholePayment(payment, "Pagamento recebido sem vaga na partida");
+    return { ok: true, spotLost: true, refunded };
+  }
+
+  // claim: só vaga que ainda deve. Zerar o paymentDueAt tira a vaga do job
+  // que libera as vencidas
+  const claim = await prisma.matchPresence.updateMany({
+    where: { id: presence.id, paymentStatus: "UNPAID", status: { not: PRESENCE_WAITLISTED } },
+    data: { paymentStatus: "PAID", paidAt, paymentDueAt: null, paymentMarkedById: null },
+  });
+
+  if (!claim.count) {
+    console.warn(`[pix] pagamento ${payment.id} de vaga que não devia mais nada, estornando`);
+
+    const refunded = await refundWholePayment(payment, "Vaga já estava paga, isenta ou liberada");
+    return { ok: true, alreadySettled: true, refunded };
+  }
+
+  await markApplied(payment);
+
+  if (presence.status === PRESENCE_PENDING_PAYMENT) {
+    await prisma.matchPresence.updateMany({
+      where: { id: presence.id, status: PRESENCE_PENDING_PAYMENT },
+      data: { status: PRESENCE_CONFIRMED },
+    });
+  }
+
+  await notifyUser(presence.userId, {
+    type: "MATCH_PAID",
+    title: "Pagamento confirmado",
+    body: `Recebemos seu Pix e sua vaga em ${match.title || "a partida"} está garantida.`,
+    data: { matchId: match.id, date: match.date },
+  });
+
+  return { ok: true };
+}
+
+/**
+ * Parte de reserva dividida paga. A parte que fecha o total confirma a
+ * reserva (PAID + CONFIRMED). Parte cancelada (o titular cobriu), reserva
+ * cancelada/vencida ou que já não está UNPAID: estorna tudo.
+ */
+async function settleSharePayment(payment, paidAt) {
+  const share = await prisma.reservationShare.findUnique({
+    where: { id: payment.shareId },
+    select: {
+      id: true,
+      userId: true,
+      status: true,
+      reservation: {
+        select: { id: true, userId: true, status: true, startAt: true, totalPrice: true },
+      },
+    },
+  });
+
+  const reservation = share?.reservation;
+
+  // o guard na reserva vai no mesmo claim: paga por outro caminho no meio
+  // do caminho (Pix cheio, arena) ou divisão desfeita, a parte não conta mais
+  const claim = share
+    ? await prisma.reservationShare.updateMany({
+        where: {
+          id: share.id,
+          status: "PENDING",
+          reservation: { status: { not: "CANCELED" }, paymentStatus: "UNPAID", splitDueAt: { not: null } },
+        },
+        data: { status: "PAID", paidAt },
+      })
+    : { count: 0 };
+
+  if (!claim.count) {
+    console.warn(`[pix] pagamento ${payment.id} de parte sem reserva em aberto, estornando`);
+
+    const refunded = await refundWholePayment(payment, "Pagamento recebido de parte que não está mais em aberto");
+    return { ok: true, shareCanceled: true, refunded };
+  }
+
+  await markApplied(payment);
+
+  const paid = await prisma.reservationShare.aggregate({
+    where: { reservationId: reservation.id, status: "PAID" },
+    _sum: { value: true },
+  });
+
+  // só a parte que fecha o total confirma (e avisa) a reserva
+  const closed =
+    (paid._sum.value || 0) >= Number(reservation.totalPrice || 0)
+      ? await prisma.reservation.updateMany({
+          where: { id: reservation.id, paymentStatus: "UNPAID", status: { not: "CANCELED" } },
+          data: { paymentStatus: "PAID", status: "CONFIRMED" },
+        })
+      : { count: 0 };
+
+  if (closed.count) {
+    const shares = await prisma.reservationShare.findMany({
+      where: { reservationId: reservation.id, status: "PAID" },
+      select: { userId: true },
+    });
+
+    await notifyUsers([reservation.userId, ...shares.map((item) => item.userId)], {
+      type: "RESERVATION_PAID",
+      title: "Reserva paga",
+      body: "Todas as partes foram pagas e a reserva está confirmada.",
+      data: { reservationId: reservation.id, startAt: reservation.startAt },
+    });
+
+    await sendReservationEmail("reservationConfirmed", reservation.id);
+
+    return { ok: true, covered: true };
+  }
+
+  await notifyUser(reservation.userId, {
+    type: "RESERVATION_SHARE_PAID",
+    actorId: share.userId,
+    title: "Parte paga",
+    body: `${await getActorName(share.userId)} pagou a parte da reserva.`,
+    data: { reservationId: reservation.id, shareId: share.id, startAt: reservation.startAt },
+  });
+
+  return { ok: true, covered: false };
+}
+
+/**
+ * Cobrança venceu sem pagamento. A reserva continua PENDING/UNPAID e o
+ * jogador pode gerar outro Pix.
+ */
+export async function markPixExpired(payment, { raw = null } = {}) {
+  const claim = await prisma.pixPayment.updateMany({
+    where: { id: payment.id, status: { in: OPEN_STATUSES } },
+    data: { status: "EXPIRED", ...(raw ? { raw } : {}) },
+  });
+
+  return { ok: true, expired: claim.count > 0 };
+}
+
+async function findPaymentForCharge(providerName, charge) {
+  if (!charge) return null;
+
+  const where = charge.correlationId
+    ? { correlationId: String(charge.correlationId) }
+    : charge.chargeId
+    ? { chargeId: String(charge.chargeId) }
+    : charge.txid
+    ? { txid: String(charge.txid) }
+    : null;
+
+  return where ? prisma.pixPayment.findFirst({ where: { ...where, provider: providerName } }) : null;
+}
+
+/**
+ * Evento de webhook do gateway (corpo já com assinatura conferida).
+ * Sempre devolve algo "ok" pro gateway não ficar re-tentando evento que não é nosso.
+ */
+export async function handlePaymentWebhook(provider, body = {}) {
+  const { type, charge } = provider.parseWebhook(body);
+
+  if (type === "test") return { ok: true, test: true };
+  if (type === "ignored") return { ok: true, ignored: true };
+
+  const payment = await findPaymentForCharge(provider.name, charge);
+  if (!payment) return { ok: true, ignored: true };
+
+  if (type === "expired") return markPixExpired(payment, { raw: body });
+
+  return markPixPaid(payment, {
+    paidAt: charge?.paidAt ? new Date(charge.paidAt) : null,
+    txid: charge?.txid,
+    raw: body,
+  });
+}
+
+/**
+ * Job: confere no gateway os PENDING parados (webhook perdido) e expira
+ * os vencidos. Gateway sem credencial: só expira pelo expiresAt local.
+ */
+export async function reconcilePendingPixPayments({ now = new Date() } = {}) {
+  const stale = await prisma.pixPayment.findMany({
+    where: {
+      status: { in: OPEN_STATUSES },
+      updatedAt: { lt: new Date(now.getTime() - PIX_RECONCILE_AFTER_MS) },
+    },
+    orderBy: { updatedAt: "asc" },
+    take: PIX_RECONCILE_BATCH,
+  });
+
+  const result = { checked: stale.length, paid: 0, expired: 0, errors: 0 };
+
+  for (const payment of stale) {
+    try {
+      const provider = getPaymentProvider(payment.provider);
+      const canQuery = provider?.isReady() && payment.status === "PENDING";
+      const remote = canQuery ? await provider.getCharge(payment.correlationId) : null;
+      const status = remote?.charge?.status;
+
+      if (status === "PAID") {
+        const paid = await markPixPaid(payment, {
+          paidAt: remote.charge.paidAt,
+          txid: remote.charge.txid,
+          raw: remote.raw,
+        });
+        if (!paid.already) result.paid++;
+        continue;
+      }
+
+      const overdue =
+        status === "EXPIRED" ||
+        (payment.expiresAt && new Date(payment.expiresAt).getTime() + PIX_EXPIRY_GRACE_MS < now.getTime()) ||
+        // CREATED sem cobrança (falhou no meio) não tem expiresAt
+        (payment.status === "CREATED" && !payment.expiresAt);
+
+      if (overdue) {
+        const expired = await markPixExpired(payment, remote ? { raw: remote.raw } : {});
+        if (expired.expired) result.expired++;
+        continue;
+      }
+
+      // segue pendente: empurra o updatedAt pra não consultar de novo na próxima volta
+      await prisma.pixPayment.update({ where: { id: payment.id }, data: { updatedAt: now } });
+    } catch (err) {
+      result.errors++;
+      console.error(`[pix] falha ao reconciliar ${payment.id}:`, err?.message || err);
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,356 @@
+import { prisma } from "../lib/prisma.js";
+import { getPaymentProvider } from "../lib/paymentProviders.js";
+import { recordAudit } from "./auditService.js";
+import { notifyUser } from "./notificationService.js";
+
+// Estornos de Pix pelo gateway do pagamento. Cada pedido vira um PixRefund;
+// PixPayment.refundedValue soma só os que o gateway aceitou.
+
+// pagamento em que o dinheiro entrou (dá pra estornar)
+export const PIX_SETTLED_STATUSES = ["PAID", "PARTIALLY_REFUNDED", "REFUNDED"];
+
+// gateway fora do ar: tenta de novo no job até desistir
+export const PIX_REFUND_MAX_ATTEMPTS = 5;
+const PIX_REFUND_RETRY_AFTER_MS = 60 * 1000;
+const PIX_REFUND_RETRY_BATCH = 20;
+// PROCESSING parado há mais que isso: pergunta pro gateway como ficou
+const PIX_REFUND_RECONCILE_AFTER_MS = 5 * 60 * 1000;
+
+const ACCEPTED_REFUND_STATUSES = ["PROCESSING", "DONE"];
+
+// reserva dividida: o PaymentStatus da reserva olha o Pix de todas as partes
+// (só depois de fechada; enquanto UNPAID as partes se resolvem sozinhas)
+async function syncShareRefunds(shareId, status) {
+  const share = await prisma.reservationShare.findUnique({
+    where: { id: shareId },
+    select: { id: true, reservationId: true },
+  });
+  if (!share) return;
+
+  if (status === "REFUNDED") {
+    await prisma.reservationShare.updateMany({
+      where: { id: share.id, status: "PAID" },
+      data: { status: "REFUNDED" },
+    });
+  }
+
+  const payments = await prisma.pixPayment.aggregate({
+    where: {
+      share: { reservationId: share.reservationId },
+      applied: true,
+      status: { in: PIX_SETTLED_STATUSES },
+    },
+    _sum: { value: true, refundedValue: true },
+  });
+
+  const paid = payments._sum.value || 0;
+  const refunded = payments._sum.refundedValue || 0;
+
+  await prisma.reservation.updateMany({
+    where: { id: share.reservationId, paymentStatus: { not: "UNPAID" } },
+    data: {
+      paymentStatus: refunded <= 0 ? "PAID" : refunded >= paid ? "REFUNDED" : "PARTIALLY_REFUNDED",
+    },
+  });
+}
+
+/**
+ * Recalcula refundedValue e reflete no PixPayment e no que foi pago
+ * (reserva: PAID → PARTIALLY_REFUNDED → REFUNDED; vaga e parte: REFUNDED quando tudo).
+ */
+async function syncPaymentRefunds(paymentId) {
+  const [payment, accepted] = await Promise.all([
+    prisma.pixPayment.findUnique({
+      where: { id: paymentId },
+      select: {
+        id: true,
+        value: true,
+        status: true,
+        reservationId: true,
+        presenceId: true,
+        shareId: true,
+        applied: true,
+      },
+    }),
+    prisma.pixRefund.aggregate({
+      where: { paymentId, status: { in: ACCEPTED_REFUND_STATUSES } },
+      _sum: { value: true },
+    }),
+  ]);
+
+  if (!payment || !PIX_SETTLED_STATUSES.includes(payment.status)) return null;
+
+  const refundedValue = accepted._sum.value || 0;
+  const status =
+    refundedValue <= 0 ? "PAID" : refundedValue >= payment.value ? "REFUNDED" : "PARTIALLY_REFUNDED";
+
+  await prisma.pixPayment.update({ where: { id: payment.id }, data: { refundedValue, status } });
+
+  // Pix que não contou pro alvo (pago em dobro, reserva dividida, vaga
+  // perdida) foi estornado inteiro e não mexe em nada além dele
+  if (!payment.applied) return { refundedValue, status };
+
+  // PaymentStatus da reserva usa os mesmos nomes
+  if (payment.reservationId) {
+    await prisma.reservation.update({
+      where: { id: payment.reservationId },
+      data: { paymentStatus: status },
+    });
+  }
+
+  // só a vaga paga por este Pix (marcada na mão tem paymentMarkedById)
+  if (payment.presenceId && status === "REFUNDED") {
+    await prisma.matchPresence.updateMany({
+      where: { id: payment.presenceId, paymentStatus: "PAID", paymentMarkedById: null },
+      data: { paymentStatus: "REFUNDED" },
+    });
+  }
+
+  if (payment.shareId) await syncShareRefunds(payment.shareId, status);
+
+  return { refundedValue, status };
+}
+
+async function notifyRefund(payment, refund) {
+  const reais = (refund.value / 100).toLocaleString("pt-BR", { style: "currency", currency: "BRL" });
+
+  if (payment.shareId) {
+    const share = await prisma.reservationShare.findUnique({
+      where: { id: payment.shareId },
+      select: { userId: true, reservationId: true },
+    });
+    if (!share) return;
+
+    await notifyUser(share.userId, {
+      type: "RESERVATION_REFUNDED",
+      title: "Reembolso a caminho",
+      body: `Estornamos ${reais} da sua parte da reserva.`,
+      data: { reservationId: share.reservationId, refundId: refund.id, value: refund.value },
+    });
+    return;
+  }
+
+  if (!payment.reservationId) {
+    if (!payment.payerId) return;
+
+    await notifyUser(payment.payerId, {
+      type: "MATCH_PAYMENT_REFUNDED",
+      title: "Reembolso a caminho",
+      body: `Estornamos ${reais} do Pix da partida.`,
+      data: { matchId: payment.matchId, refundId: refund.id, value: refund.value },
+    });
+    return;
+  }
+
+  const reservation = await prisma.reservation.findUnique({
+    where: { id: payment.reservationId },
+    select: { id: true, userId: true, startAt: true },
+  });
+  if (!reservation) return;
+
+  await notifyUser(reservation.userId, {
+    type: "RESERVATION_REFUNDED",
+    title: "Reembolso a caminho",
+    body: `Estornamos ${reais} da sua reserva pelo Pix.`,
+    data: { reservationId: reservation.id, refundId: refund.id, value: refund.value },
+  });
+}
+
+/**
+ * Manda o estorno pro gateway. Nunca lança: erro de rede deixa REQUESTED
+ * (o job tenta de novo) e, depois de PIX_REFUND_MAX_ATTEMPTS, FAILED.
+ */
+async function sendRefund(refund, payment) {
+  const provider = getPaymentProvider(payment.provider);
+
+  try {
+    if (!provider?.isReady()) throw new Error(`Gateway ${payment.provider} indisponível`);
+
+    const { refund: result, raw } = await provider.refund({
+      correlationId: payment.correlationId,
+      refundId: refund.refundId,
+      value: refund.value,
+      comment: refund.reason || "Reembolso BoraPô",
+    });
+
+    const status =
+      result?.status === "DONE" ? "DONE" : result?.status === "FAILED" ? "FAILED" : "PROCESSING";
+
+    const updated = await prisma.pixRefund.update({
+      where: { id: refund.id },
+      data: {
+        status,
+        attempts: { increment: 1 },
+        lastError: status === "FAILED" ? "Estorno recusado pelo gateway" : null,
+        raw,
+      },
+    });
+
+    if (status !== "FAILED") {
+      await syncPaymentRefunds(payment.id);
+      await notifyRefund(payment, updated);
+    }
+
+    return updated;
+  } catch (err) {
+    const attempts = refund.attempts + 1;
+    console.error(`[pix] falha ao estornar ${refund.refundId} (tentativa ${attempts}):`, err?.message || err);
+
+    return prisma.pixRefund.update({
+      where: { id: refund.id },
+      data: {
+        status: attempts >= PIX_REFUND_MAX_ATTEMPTS ? "FAILED" : "REQUESTED",
+        attempts: { increment: 1 },
+        lastError: String(err?.message || err).slice(0, 500),
+      },
+    });
+  }
+}
+
+/**
+ * Pede estorno (total ou parcial) de um Pix pago. O valor é limitado ao que
+ * ainda não foi pedido; FAILED libera o valor pra um pedido novo.
+ */
+export async function requestPixRefund({
+  payment,
+  value,
+  reason = null,
+  requestedById = null,
+  arenaId = null,
+  req = null,
+}) {
+  if (!PIX_SETTLED_STATUSES.includes(payment.status)) {
+    return { ok: false, status: 409, message: "Pagamento não está pago" };
+  }
+
+  // trava a linha do pagamento: dois pedidos ao mesmo tempo (arena + job,
+  // cancelamento + settle) somam o que já foi pedido um depois do outro
+  const refund = await prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT "id" FROM "PixPayment" WHERE "id" = ${payment.id} FOR UPDATE`;
+
+    const requested = await tx.pixRefund.aggregate({
+      where: { paymentId: payment.id, status: { not: "FAILED" } },
+      _sum: { value: true },
+    });
+
+    const available = payment.value - (requested._sum.value || 0);
+    const amount = Math.min(Math.round(Number(value) || 0), available);
+
+    if (amount <= 0) return null;
+
+    return tx.pixRefund.create({
+      data: {
+        paymentId: payment.id,
+        refundId: `refund_${payment.id}_${Date.now()}`,
+        value: amount,
+        reason,
+        requestedById,
+      },
+    });
+  });
+
+  if (!refund) return { ok: false, status: 409, message: "Nada a estornar neste pagamento" };
+
+  await recordAudit({
+    req,
+    actorId: requestedById,
+    action: "payment.refund_requested",
+    targetType: "pix_payment",
+    targetId: payment.id,
+    arenaId,
+    metadata: {
+      refundId: refund.id,
+      value: refund.value,
+      reason,
+      reservationId: payment.reservationId,
+      matchId: payment.matchId || null,
+      shareId: payment.shareId || null,
+    },
+  });
+
+  return { ok: true, refund: await sendRefund(refund, payment) };
+}
+
+/**
+ * Job: re-tenta estornos que o gateway não recebeu (REQUESTED parado).
+ */
+export async function retryPendingPixRefunds({ now = new Date() } = {}) {
+  const pending = await prisma.pixRefund.findMany({
+    where: {
+      status: "REQUESTED",
+      updatedAt: { lt: new Date(now.getTime() - PIX_REFUND_RETRY_AFTER_MS) },
+    },
+    include: { payment: true },
+    orderBy: { updatedAt: "asc" },
+    take: PIX_REFUND_RETRY_BATCH,
+  });
+
+  const result = { checked: pending.length, sent: 0, failed: 0 };
+
+  for (const refund of pending) {
+    const updated = await sendRefund(refund, refund.payment);
+    if (ACCEPTED_REFUND_STATUSES.includes(updated.status)) result.sent++;
+    if (updated.status === "FAILED") result.failed++;
+  }
+
+  return result;
+}
+
+/**
+ * Job: estorno aceito (PROCESSING) só vira DONE/FAILED consultando o gateway.
+ * FAILED sai da soma do refundedValue e libera o valor pra pedir de novo.
+ */
+export async function reconcileProcessingPixRefunds({ now = new Date() } = {}) {
+  const processing = await prisma.pixRefund.findMany({
+    where: {
+      status: "PROCESSING",
+      updatedAt: { lt: new Date(now.getTime() - PIX_REFUND_RECONCILE_AFTER_MS) },
+    },
+    include: { payment: true },
+    orderBy: { updatedAt: "asc" },
+    take: PIX_REFUND_RETRY_BATCH,
+  });
+
+  const result = { checked: processing.length, done: 0, failed: 0, errors: 0 };
+
+  for (const refund of processing) {
+    try {
+      const provider = getPaymentProvider(refund.payment.provider);
+      const remote = provider?.isReady()
+        ? await provider.getRefund({
+            correlationId: refund.payment.correlationId,
+            refundId: refund.refundId,
+          })
+        : null;
+      const status = remote?.refund?.status;
+
+      if (status !== "DONE" && status !== "FAILED") {
+        // segue processando (ou gateway fora): empurra pra próxima volta
+        await prisma.pixRefund.update({ where: { id: refund.id }, data: { updatedAt: now } });
+        continue;
+      }
+
+      await prisma.pixRefund.update({
+        where: { id: refund.id },
+        data: {
+          status,
+          lastError: status === "FAILED" ? "Estorno recusado pelo gateway" : null,
+          raw: remote.raw,
+        },
+      });
+
+      if (status === "FAILED") {
+        result.failed++;
+        console.error(`[pix] estorno ${refund.refundId} recusado pelo gateway`);
+        await syncPaymentRefunds(refund.paymentId);
+      } else {
+        result.done++;
+      }
+    } catch (err) {
+      result.errors++;
+      console.error(`[pix] falha ao conferir estorno ${refund.refundId}:`, err?.message || err);
+    }
+  }
+
+  return result;
+}
@@ -1,4 +1,5 @@
 import { prisma } from "../../lib/prisma.js";
+import { getActorName, notifyUser } from "../notificationService.js";
 
 function buildPostInclude(currentUserId) {
   return {
@@ -116,6 +117,7 @@ export async function getUserFeedPosts({ profileUserId, currentUserId }) {
   const posts = await prisma.feedPost.findMany({
     where: {
       userId: profileUserId,
+      hiddenAt: null,
     },
     orderBy: {
       createdAt: "desc",
@@ -148,6 +150,7 @@ export async function getHomeFeed({ userId }) {
       userId: {
         in: allowedUserIds,
       },
+      hiddenAt: null,
     },
     orderBy: {
       createdAt: "desc",
@@ -194,6 +197,17 @@ export async function toggleFeedLike({ postId, userId }) {
     include: buildPostInclude(userId),
   });
 
+  // só avisa na curtida, descurtir não gera notificação
+  if (!existing && post) {
+    await notifyUser(post.userId, {
+      type: "FEED_LIKE",
+      actorId: userId,
+      title: "Nova curtida",
+      body: `${await getActorName(userId)} curtiu seu post.`,
+      data: { postId },
+    });
+  }
+
   return formatPost(post, userId);
 }
 
@@ -202,7 +216,7 @@ export async function createFeedComment({ postId, userId, text }) {
 
   if (!postId || !userId || !cleanText) return null;
 
-  await prisma.feedComment.create({
+  const comment = await prisma.feedComment.create({
     data: {
       postId,
       userId,
@@ -217,6 +231,16 @@ export async function createFeedComment({ postId, userId, text }) {
     include: buildPostInclude(userId),
   });
 
+  if (post) {
+    await notifyUser(post.userId, {
+      type: "FEED_COMMENT",
+      actorId: userId,
+      title: "Novo comentário",
+      body: `${await getActorName(userId)} comentou: "${cleanText.slice(0, 80)}"`,
+      data: { postId, commentId: comment.id },
+    });
+  }
+
   return formatPost(post, userId);
 }
 
@@ -1,4 +1,10 @@
 import { prisma } from "../../lib/prisma.js";
+import { confirmedPresenceWhere } from "../matchWaitlistService.js";
+import {
+  getCurrentSeasonKey,
+  getUserSeasonHistory,
+} from "../rankSeasonService.js";
+import { getRatingChart } from "../rankHistoryService.js";
 
 function getTierFromRating(rating) {
   if (rating < 100) return "Bronze";
@@ -117,7 +123,7 @@ function buildAchievements(stats, history) {
   ];
 }
 
-function buildFallbackRank(stats) {
+function buildFallbackRank(stats, season = "global") {
   const rating =
     safeNumber(stats.wins) * 12 +
     safeNumber(stats.goals) * 3 +
@@ -139,13 +145,13 @@ function buildFallbackRank(stats) {
     assists: safeNumber(stats.assists),
     winStreak: 0,
     bestWinStreak: 0,
-    season: "global",
+    season,
   };
 }
 
-function buildRankFromPlayerRank(playerRank, stats) {
+function buildRankFromPlayerRank(playerRank, stats, season = "global") {
   if (!playerRank) {
-    return buildFallbackRank(stats);
+    return buildFallbackRank(stats, season);
   }
 
   const rating = safeNumber(playerRank.rating, 1000);
@@ -212,11 +218,13 @@ function buildHistory(matchesPlayed, userId) {
 }
 
 export async function getUserProfileDashboardById(userId) {
+  const season = await getCurrentSeasonKey();
+
   const user = await prisma.user.findUnique({
     where: { id: userId },
     include: {
       profile: true,
-      rank: true,
+      ranks: { where: { season } },
     },
   });
 
@@ -229,7 +237,7 @@ export async function getUserProfileDashboardById(userId) {
   const matchesPlayed = await prisma.match.findMany({
     where: {
       presences: {
-        some: { userId },
+        some: { userId, ...confirmedPresenceWhere },
       },
     },
     orderBy: { date: "desc" },
@@ -250,7 +258,7 @@ export async function getUserProfileDashboardById(userId) {
   });
 
   const feed = await prisma.feedPost.findMany({
-    where: { userId },
+    where: { userId, hiddenAt: null },
     orderBy: { createdAt: "desc" },
     take: 20,
     include: {
@@ -291,7 +299,9 @@ export async function getUserProfileDashboardById(userId) {
   );
 
   const history = buildHistory(matchesPlayed, userId);
-  const rank = buildRankFromPlayerRank(user.rank, stats);
+  const rank = buildRankFromPlayerRank(user.ranks?.[0], stats, season);
+  const rankSeasons = await getUserSeasonHistory(userId);
+  const ratingChart = await getRatingChart({ userId, season });
   const achievements = buildAchievements(stats, history);
 
   return {
@@ -335,6 +345,10 @@ export async function getUserProfileDashboardById(userId) {
 
     rank,
 
+    rankSeasons,
+
+    ratingChart,
+
     history,
 
     achievements,
@@ -0,0 +1,171 @@
+import { prisma } from "../lib/prisma.js";
+import { getPushTransport } from "../lib/pushTransports.js";
+
+export const PUSH_PLATFORMS = ["web", "fcm"];
+
+// tipos de notificação que também vão pro celular
+export const PUSH_NOTIFICATION_TYPES = [
+  "MATCH_CANCELED",
+  "WAITLIST_PROMOTED",
+  "RESERVATION_PAID",
+  "RESERVATION_SPLIT_INVITE",
+  "RESERVATION_SPLIT_EXPIRED",
+  "MATCH_PAYMENT_REMINDER",
+  "MATCH_SPOT_RELEASED",
+];
+
+const PUSH_MAX_ATTEMPTS = 3;
+
+// falhou em tantos envios seguidos (fora "gone") → some
+const PUSH_MAX_FAILURES = 5;
+
+const subscriptionSelect = {
+  id: true,
+  platform: true,
+  endpoint: true,
+  userAgent: true,
+  lastSuccessAt: true,
+  createdAt: true,
+};
+
+function getRetryBaseMs() {
+  const ms = Number(process.env.PUSH_RETRY_BASE_MS || 1000);
+  return Number.isFinite(ms) && ms >= 0 ? ms : 1000;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Registra (ou reassume) uma inscrição. O endpoint é único: se o mesmo
+ * navegador logar com outra conta, a inscrição passa pra conta nova.
+ */
+export async function registerPushSubscription({
+  userId,
+  platform = "web",
+  endpoint,
+  p256dh = null,
+  auth = null,
+  userAgent = null,
+}) {
+  const data = {
+    userId,
+    platform,
+    p256dh,
+    auth,
+    userAgent,
+    failureCount: 0,
+    lastError: null,
+  };
+
+  return prisma.pushSubscription.upsert({
+    where: { endpoint },
+    create: { endpoint, ...data },
+    update: data,
+    select: subscriptionSelect,
+  });
+}
+
+export async function listPushSubscriptions(userId) {
+  return prisma.pushSubscription.findMany({
+    where: { userId },
+    orderBy: { createdAt: "desc" },
+    select: subscriptionSelect,
+  });
+}
+
+export async function removePushSubscription({ userId, id = null, endpoint = null }) {
+  const result = await prisma.pushSubscription.deleteMany({
+    where: { userId, ...(id ? { id } : { endpoint }) },
+  });
+
+  return result.count > 0;
+}
+
+// tenta até PUSH_MAX_ATTEMPTS com backoff exponencial (base, 4x base, ...)
+async function sendWithRetry(transport, subscription, payload) {
+  let result = null;
+
+  for (let attempt = 1; attempt <= PUSH_MAX_ATTEMPTS; attempt += 1) {
+    result = await transport.send(subscription, payload);
+
+    if (result.ok || !result.retryable || attempt === PUSH_MAX_ATTEMPTS) break;
+
+    await sleep(getRetryBaseMs() * 4 ** (attempt - 1));
+  }
+
+  return result;
+}
+
+async function recordDelivery(subscription, result) {
+  if (result.ok) {
+    await prisma.pushSubscription.update({
+      where: { id: subscription.id },
+      data: { failureCount: 0, lastSuccessAt: new Date(), lastError: null },
+    });
+    return "sent";
+  }
+
+  const failureCount = subscription.failureCount + 1;
+
+  if (result.gone || failureCount >= PUSH_MAX_FAILURES) {
+    await prisma.pushSubscription.deleteMany({ where: { id: subscription.id } });
+    return "pruned";
+  }
+
+  await prisma.pushSubscription.update({
+    where: { id: subscription.id },
+    data: {
+      failureCount,
+      lastFailureAt: new Date(),
+      lastError: String(result.error || "").slice(0, 500),
+    },
+  });
+  return "failed";
+}
+
+/**
+ * Manda o push pra todos os dispositivos do usuário.
+ * Nunca lança erro; retorna a contagem por resultado.
+ */
+export async function sendPushToUser(userId, payload) {
+  const summary = { sent: 0, failed: 0, pruned: 0, skipped: 0 };
+
+  try {
+    const subscriptions = await prisma.pushSubscription.findMany({ where: { userId } });
+
+    for (const subscription of subscriptions) {
+      const transport = getPushTransport(subscription.platform);
+
+      if (!transport) {
+        summary.skipped += 1;
+        continue;
+      }
+
+      const result = await sendWithRetry(transport, subscription, payload);
+      summary[await recordDelivery(subscription, result)] += 1;
+    }
+  } catch (err) {
+    console.error("[push] falha ao enviar:", err);
+  }
+
+  return summary;
+}
+
+/**
+ * Limpa inscrições que estão falhando e não entregam nada há `days` dias.
+ */
+export async function pruneStalePushSubscriptions({ days = 30 } = {}) {
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const result = await prisma.pushSubscription.deleteMany({
+    where: {
+      failureCount: { gt: 0 },
+      OR: [
+        { lastSuccessAt: { lt: cutoff } },
+        { lastSuccessAt: null, createdAt: { lt: cutoff } },
+      ],
+    },
+  });
+
+  return result.count;
+}
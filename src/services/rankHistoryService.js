@@ -0,0 +1,375 @@
+import { prisma } from "../lib/prisma.js";
+import {
+  applyMvpBonus,
+  getTierFromRating,
+  getTierProgress,
+  processMatchRank,
+  refreshGlobalRankPositions,
+} from "./rankService.js";
+import { getCurrentSeasonKey } from "./rankSeasonService.js";
+
+export const HISTORY_PAGE_SIZE = 30;
+export const HISTORY_MAX_PAGE_SIZE = 200;
+
+const changeMatchSelect = {
+  id: true,
+  title: true,
+  date: true,
+  teamAName: true,
+  teamBName: true,
+  teamAScore: true,
+  teamBScore: true,
+};
+
+function normalizeLimit(limit) {
+  const n = Number(limit);
+  if (!Number.isFinite(n) || n <= 0) return HISTORY_PAGE_SIZE;
+  return Math.min(Math.floor(n), HISTORY_MAX_PAGE_SIZE);
+}
+
+// "+18 vs Time B"
+function formatChange(change) {
+  const match = change.match || null;
+
+  let opponentName = null;
+  if (match && change.teamSide) {
+    opponentName =
+      change.teamSide === "A"
+        ? match.teamBName || "Time B"
+        : match.teamAName || "Time A";
+  }
+
+  const signedDelta = change.delta > 0 ? `+${change.delta}` : String(change.delta);
+
+  return {
+    id: change.id,
+    season: change.season,
+    reason: change.reason,
+    matchId: change.matchId,
+    ratingBefore: change.ratingBefore,
+    ratingAfter: change.ratingAfter,
+    delta: change.delta,
+    result: change.result,
+    teamSide: change.teamSide,
+    goals: change.goals,
+    assists: change.assists,
+    isMvp: change.isMvp,
+    note: change.note,
+    opponentName,
+    label: opponentName ? `${signedDelta} vs ${opponentName}` : signedDelta,
+    match: match
+      ? {
+          id: match.id,
+          title: match.title,
+          date: match.date,
+          score: `${Number(match.teamAScore || 0)} x ${Number(match.teamBScore || 0)}`,
+        }
+      : null,
+    isReverted: Boolean(change.revertedAt),
+    revertedAt: change.revertedAt,
+    createdAt: change.createdAt,
+  };
+}
+
+/**
+ * Histórico de alterações de rating do jogador (mais recente primeiro).
+ * `before` = id da alteração pra paginar pra trás.
+ */
+export async function listRankChanges({
+  userId,
+  season,
+  before = null,
+  limit,
+  includeReverted = false,
+}) {
+  const seasonKey = season || (await getCurrentSeasonKey());
+
+  let cursorWhere = {};
+  if (before) {
+    const cursor = await prisma.playerRankChange.findFirst({
+      where: { id: String(before), userId },
+      select: { id: true, createdAt: true },
+    });
+
+    if (!cursor) return [];
+
+    cursorWhere = {
+      OR: [
+        { createdAt: { lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, id: { lt: cursor.id } },
+      ],
+    };
+  }
+
+  const changes = await prisma.playerRankChange.findMany({
+    where: {
+      userId,
+      season: seasonKey,
+      ...(includeReverted ? {} : { revertedAt: null }),
+      ...cursorWhere,
+    },
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    take: normalizeLimit(limit),
+    include: { match: { select: changeMatchSelect } },
+  });
+
+  return changes.map(formatChange);
+}
+
+/**
+ * Pontos pro gráfico de rating (ordem cronológica).
+ */
+export async function getRatingChart({ userId, season, limit = 50 }) {
+  const seasonKey = season || (await getCurrentSeasonKey());
+
+  const changes = await prisma.playerRankChange.findMany({
+    where: { userId, season: seasonKey, revertedAt: null },
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    take: normalizeLimit(limit),
+    select: {
+      id: true,
+      matchId: true,
+      reason: true,
+      ratingAfter: true,
+      delta: true,
+      createdAt: true,
+    },
+  });
+
+  return changes.reverse().map((change) => ({
+    at: change.createdAt,
+    rating: change.ratingAfter,
+    delta: change.delta,
+    reason: change.reason,
+    matchId: change.matchId,
+  }));
+}
+
+export async function listMatchRankChanges(matchId) {
+  const changes = await prisma.playerRankChange.findMany({
+    where: { matchId },
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+    include: {
+      match: { select: changeMatchSelect },
+      user: { select: { id: true, name: true, imageUrl: true } },
+    },
+  });
+
+  return changes.map((change) => ({
+    ...formatChange(change),
+    user: change.user,
+    revertedById: change.revertedById,
+  }));
+}
+
+// sequência de vitórias refeita a partir do histórico que sobrou
+async function recomputeStreaks(tx, rank) {
+  const results = await tx.playerRankChange.findMany({
+    where: {
+      userId: rank.userId,
+      season: rank.season,
+      reason: "MATCH",
+      revertedAt: null,
+    },
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+    select: { result: true },
+  });
+
+  let winStreak = 0;
+  let bestWinStreak = 0;
+
+  for (const item of results) {
+    winStreak = item.result === "WIN" ? winStreak + 1 : 0;
+    bestWinStreak = Math.max(bestWinStreak, winStreak);
+  }
+
+  // rank com partidas de antes do histórico existir: não dá pra saber o recorde
+  const coversAllMatches = results.length >= Number(rank.matches || 0);
+
+  return {
+    winStreak,
+    bestWinStreak: coversAllMatches
+      ? bestWinStreak
+      : Math.max(bestWinStreak, Number(rank.bestWinStreak || 0)),
+  };
+}
+
+/**
+ * Desfaz o efeito da partida no rank de todos os jogadores: tira o delta
+ * do rating atual e os contadores (partidas, V/E/D, gols, assistências, MVP).
+ * As partidas jogadas depois não são recalculadas — o delta delas fica como foi.
+ */
+export async function revertMatchRank(matchId, { revertedById = null } = {}) {
+  const match = await prisma.match.findUnique({
+    where: { id: matchId },
+    select: { id: true, rankProcessed: true, rankRevertedAt: true },
+  });
+
+  if (!match) {
+    return { ok: false, status: 404, message: "Partida não encontrada." };
+  }
+
+  if (match.rankRevertedAt) {
+    return { ok: false, status: 409, message: "Rank desta partida já foi revertido." };
+  }
+
+  if (!match.rankProcessed) {
+    return { ok: false, status: 409, message: "Rank desta partida ainda não foi processado." };
+  }
+
+  const seasons = await prisma.$transaction(
+    async (tx) => {
+      const claim = await tx.match.updateMany({
+        where: { id: matchId, rankRevertedAt: null },
+        data: { rankRevertedAt: new Date() },
+      });
+
+      if (!claim.count) return null;
+
+      const changes = await tx.playerRankChange.findMany({
+        where: { matchId, revertedAt: null, reason: { in: ["MATCH", "MVP"] } },
+      });
+
+      const touched = new Map();
+
+      for (const change of changes) {
+        const key = `${change.userId}:${change.season}`;
+
+        const rank =
+          touched.get(key) ||
+          (await tx.playerRank.findUnique({
+            where: { userId_season: { userId: change.userId, season: change.season } },
+          }));
+
+        if (!rank) continue;
+
+        const isMatch = change.reason === "MATCH";
+        const rating = Math.max(0, Number(rank.rating || 0) - change.delta);
+
+        const next = {
+          ...rank,
+          rating,
+          matches: Math.max(0, rank.matches - (isMatch ? 1 : 0)),
+          wins: Math.max(0, rank.wins - (isMatch && change.result === "WIN" ? 1 : 0)),
+          losses: Math.max(0, rank.losses - (isMatch && change.result === "LOSS" ? 1 : 0)),
+          draws: Math.max(0, rank.draws - (isMatch && change.result === "DRAW" ? 1 : 0)),
+          goals: Math.max(0, rank.goals - (isMatch ? change.goals : 0)),
+          assists: Math.max(0, rank.assists - (isMatch ? change.assists : 0)),
+          mvpCount: Math.max(0, rank.mvpCount - (change.isMvp ? 1 : 0)),
+        };
+
+        touched.set(key, next);
+
+        await tx.playerRankChange.update({
+          where: { id: change.id },
+          data: { revertedAt: new Date(), revertedById },
+        });
+      }
+
+      for (const rank of touched.values()) {
+        const tier = getTierFromRating(rank.rating);
+        const streaks = await recomputeStreaks(tx, rank);
+
+        await tx.playerRank.update({
+          where: { id: rank.id },
+          data: {
+            rating: rank.rating,
+            tier,
+            progress: getTierProgress(rank.rating, tier),
+            matches: rank.matches,
+            wins: rank.wins,
+            losses: rank.losses,
+            draws: rank.draws,
+            goals: rank.goals,
+            assists: rank.assists,
+            mvpCount: rank.mvpCount,
+            winStreak: streaks.winStreak,
+            bestWinStreak: streaks.bestWinStreak,
+          },
+        });
+      }
+
+      return [...new Set([...touched.values()].map((rank) => rank.season))];
+    },
+    { timeout: 30000 }
+  );
+
+  if (!seasons) {
+    return { ok: false, status: 409, message: "Rank desta partida já foi revertido." };
+  }
+
+  for (const season of seasons) {
+    await refreshGlobalRankPositions(season);
+  }
+
+  return { ok: true, changes: await listMatchRankChanges(matchId) };
+}
+
+/**
+ * Depois de corrigir placar/stats de uma partida revertida, aplica de novo
+ * na temporada em que ela tinha contado (não na atual).
+ */
+export async function reprocessMatchRank(matchId) {
+  const match = await prisma.match.findUnique({
+    where: { id: matchId },
+    select: { id: true, status: true, mvpUserId: true, rankProcessed: true, rankRevertedAt: true },
+  });
+
+  if (!match) {
+    return { ok: false, status: 404, message: "Partida não encontrada." };
+  }
+
+  if (!match.rankRevertedAt) {
+    return {
+      ok: false,
+      status: 409,
+      message: "Reverta o rank da partida antes de reprocessar.",
+    };
+  }
+
+  if (match.status !== "FINISHED") {
+    return { ok: false, status: 409, message: "A partida precisa estar finalizada." };
+  }
+
+  // temporada das alterações revertidas; sem elas, a da data da partida
+  const original = await prisma.playerRankChange.findFirst({
+    where: { matchId, reason: "MATCH" },
+    orderBy: { createdAt: "desc" },
+    select: { season: true },
+  });
+
+  // claim: dois reprocessamentos ao mesmo tempo, só um roda
+  const claim = await prisma.match.updateMany({
+    where: { id: matchId, rankRevertedAt: { not: null } },
+    data: { rankProcessed: false, rankRevertedAt: null },
+  });
+
+  if (!claim.count) {
+    return { ok: false, status: 409, message: "O rank desta partida já foi reprocessado." };
+  }
+
+  let result;
+
+  try {
+    result = await processMatchRank(matchId, {
+      replay: true,
+      season: original?.season || null,
+    });
+
+    // o bônus de MVP saiu junto na reversão
+    if (match.mvpUserId) {
+      await applyMvpBonus({ userId: match.mvpUserId, matchId });
+    }
+  } catch (err) {
+    // processou nada: volta a ficar revertida pra poder tentar de novo.
+    // Se o MVP é que falhou, o rank da partida já valeu e fica como está
+    await prisma.match.updateMany({
+      where: { id: matchId, rankProcessed: false },
+      data: { rankProcessed: match.rankProcessed, rankRevertedAt: match.rankRevertedAt },
+    });
+
+    throw err;
+  }
+
+  return { ok: true, result, changes: await listMatchRankChanges(matchId) };
+}
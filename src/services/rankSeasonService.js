@@ -0,0 +1,403 @@
+import { prisma } from "../lib/prisma.js";
+
+// rank fora de qualquer temporada configurada (e o legado de antes das temporadas)
+export const GLOBAL_SEASON = "global";
+
+export const SEASON_UPCOMING = "UPCOMING";
+export const SEASON_ACTIVE = "ACTIVE";
+export const SEASON_CLOSED = "CLOSED";
+
+// mesma ordem do ranking em todo lugar (posição, snapshot, listagem)
+export const rankOrderBy = [
+  { rating: "desc" },
+  { wins: "desc" },
+  { goals: "desc" },
+  { updatedAt: "asc" },
+];
+
+export async function refreshSeasonRankPositions(season = GLOBAL_SEASON) {
+  const players = await prisma.playerRank.findMany({
+    where: { season },
+    orderBy: rankOrderBy,
+    select: {
+      id: true,
+      rankPosition: true,
+    },
+  });
+
+  const changed = players
+    .map((player, index) => ({ ...player, next: index + 1 }))
+    .filter((player) => player.rankPosition !== player.next);
+
+  if (!changed.length) return;
+
+  await prisma.$transaction(
+    changed.map((player) =>
+      prisma.playerRank.update({
+        where: { id: player.id },
+        data: {
+          rankPosition: player.next,
+        },
+      })
+    )
+  );
+}
+
+export async function snapshotSeason(season) {
+  await refreshSeasonRankPositions(season.key);
+
+  const rows = await prisma.playerRank.findMany({
+    where: { season: season.key, matches: { gt: 0 } },
+    orderBy: rankOrderBy,
+  });
+
+  if (!rows.length) return 0;
+
+  const created = await prisma.rankSeasonSnapshot.createMany({
+    data: rows.map((row, index) => ({
+      seasonId: season.id,
+      userId: row.userId,
+      rating: row.rating,
+      tier: row.tier,
+      rankPosition: index + 1,
+      wins: row.wins,
+      losses: row.losses,
+      draws: row.draws,
+      matches: row.matches,
+      goals: row.goals,
+      assists: row.assists,
+      mvpCount: row.mvpCount,
+      bestWinStreak: row.bestWinStreak,
+    })),
+    skipDuplicates: true,
+  });
+
+  return created.count;
+}
+
+/**
+ * Fecha a temporada e grava o snapshot final.
+ * Idempotente: só quem conseguir marcar CLOSED gera o snapshot.
+ */
+export async function closeSeason(seasonId) {
+  const claim = await prisma.rankSeason.updateMany({
+    where: { id: seasonId, status: { not: SEASON_CLOSED } },
+    data: { status: SEASON_CLOSED, closedAt: new Date() },
+  });
+
+  const season = await prisma.rankSeason.findUnique({ where: { id: seasonId } });
+  if (!season || !claim.count) return { season, closed: false, snapshot: 0 };
+
+  const snapshot = await snapshotSeason(season);
+
+  return { season, closed: true, snapshot };
+}
+
+/**
+ * Virada de temporada "preguiçosa" (mesma ideia do auto-expire das partidas):
+ * fecha o que já terminou e ativa o que já começou. Devolve a ativa ou null.
+ */
+export async function syncSeasons(now = new Date()) {
+  const expired = await prisma.rankSeason.findMany({
+    where: { status: { not: SEASON_CLOSED }, endsAt: { lte: now } },
+    orderBy: { endsAt: "asc" },
+    select: { id: true },
+  });
+
+  for (const season of expired) {
+    await closeSeason(season.id);
+  }
+
+  await prisma.rankSeason.updateMany({
+    where: {
+      status: SEASON_UPCOMING,
+      startsAt: { lte: now },
+      endsAt: { gt: now },
+    },
+    data: { status: SEASON_ACTIVE },
+  });
+
+  return prisma.rankSeason.findFirst({
+    where: {
+      status: SEASON_ACTIVE,
+      startsAt: { lte: now },
+      endsAt: { gt: now },
+    },
+    orderBy: { startsAt: "desc" },
+  });
+}
+
+export async function getCurrentSeasonKey() {
+  const season = await syncSeasons();
+  return season?.key || GLOBAL_SEASON;
+}
+
+// temporada em que uma data cai (inclusive fechadas, pro replay do rank)
+export async function getSeasonKeyForDate(date) {
+  const when = date ? new Date(date) : new Date();
+
+  const season = await prisma.rankSeason.findFirst({
+    where: { startsAt: { lte: when }, endsAt: { gt: when } },
+    orderBy: { startsAt: "desc" },
+    select: { key: true },
+  });
+
+  return season?.key || GLOBAL_SEASON;
+}
+
+export async function findSeasonByKey(key) {
+  if (!key || key === GLOBAL_SEASON) return null;
+  return prisma.rankSeason.findUnique({ where: { key: String(key) } });
+}
+
+/**
+ * Resolve o `?season=` das rotas: vazio → temporada atual.
+ * Retorna null se a chave não existe.
+ */
+export async function resolveSeasonKey(key) {
+  const value = String(key || "").trim();
+  if (!value) return getCurrentSeasonKey();
+  if (value === GLOBAL_SEASON) return GLOBAL_SEASON;
+
+  const season = await findSeasonByKey(value);
+  return season ? season.key : null;
+}
+
+/**
+ * Ponto de partida do jogador numa temporada nova: o rank da temporada
+ * anterior mais recente em que ele jogou (ou o "global"), com o fator
+ * de soft reset da temporada nova. null = começa do zero.
+ */
+export async function getSeasonSeed(userId, seasonKey, db = prisma) {
+  if (!seasonKey || seasonKey === GLOBAL_SEASON) return null;
+
+  const season = await db.rankSeason.findUnique({
+    where: { key: seasonKey },
+    select: { startsAt: true, softResetFactor: true },
+  });
+
+  if (!season) return null;
+
+  const rows = await db.playerRank.findMany({
+    where: { userId, season: { not: seasonKey } },
+    select: { season: true, rating: true, ratingDeviation: true },
+  });
+
+  if (!rows.length) return null;
+
+  const previousSeasons = await db.rankSeason.findMany({
+    where: {
+      key: { in: rows.map((row) => row.season) },
+      startsAt: { lt: season.startsAt },
+    },
+    orderBy: { startsAt: "desc" },
+    select: { key: true },
+  });
+
+  const previousKey = previousSeasons[0]?.key || GLOBAL_SEASON;
+  const previous = rows.find((row) => row.season === previousKey);
+
+  if (!previous) return null;
+
+  return {
+    season: previous.season,
+    rating: previous.rating,
+    ratingDeviation: previous.ratingDeviation,
+    softResetFactor: Number(season.softResetFactor ?? 0.5),
+  };
+}
+
+export async function listSeasons() {
+  await syncSeasons();
+
+  return prisma.rankSeason.findMany({
+    orderBy: { startsAt: "desc" },
+    include: { _count: { select: { snapshots: true } } },
+  });
+}
+
+async function findOverlappingSeason({ startsAt, endsAt, ignoreId = null }) {
+  return prisma.rankSeason.findFirst({
+    where: {
+      ...(ignoreId ? { id: { not: ignoreId } } : {}),
+      startsAt: { lt: endsAt },
+      endsAt: { gt: startsAt },
+    },
+    select: { id: true, key: true },
+  });
+}
+
+export async function createSeason(data) {
+  const startsAt = new Date(data.startsAt);
+  const endsAt = new Date(data.endsAt);
+
+  if (endsAt <= startsAt) {
+    return { ok: false, status: 400, message: "endsAt precisa ser depois de startsAt" };
+  }
+
+  if (data.key === GLOBAL_SEASON) {
+    return { ok: false, status: 400, message: `"${GLOBAL_SEASON}" é reservado` };
+  }
+
+  const exists = await prisma.rankSeason.findUnique({ where: { key: data.key } });
+  if (exists) {
+    return { ok: false, status: 409, message: "Já existe temporada com essa chave" };
+  }
+
+  const overlap = await findOverlappingSeason({ startsAt, endsAt });
+  if (overlap) {
+    return {
+      ok: false,
+      status: 409,
+      message: `Período conflita com a temporada ${overlap.key}`,
+    };
+  }
+
+  const season = await prisma.rankSeason.create({
+    data: {
+      key: data.key,
+      name: data.name,
+      startsAt,
+      endsAt,
+      ...(typeof data.softResetFactor === "number"
+        ? { softResetFactor: data.softResetFactor }
+        : {}),
+    },
+  });
+
+  await syncSeasons();
+
+  return { ok: true, season: await prisma.rankSeason.findUnique({ where: { id: season.id } }) };
+}
+
+export async function updateSeason(seasonId, data) {
+  const current = await prisma.rankSeason.findUnique({ where: { id: seasonId } });
+
+  if (!current) {
+    return { ok: false, status: 404, message: "Temporada não encontrada" };
+  }
+
+  if (current.status === SEASON_CLOSED) {
+    return { ok: false, status: 409, message: "Temporada já encerrada" };
+  }
+
+  const startsAt = data.startsAt ? new Date(data.startsAt) : current.startsAt;
+  const endsAt = data.endsAt ? new Date(data.endsAt) : current.endsAt;
+
+  // depois de começar, o início não muda (as partidas já contaram)
+  if (
+    current.status === SEASON_ACTIVE &&
+    startsAt.getTime() !== current.startsAt.getTime()
+  ) {
+    return {
+      ok: false,
+      status: 409,
+      message: "Não dá pra mudar o início de uma temporada em andamento",
+    };
+  }
+
+  if (endsAt <= startsAt) {
+    return { ok: false, status: 400, message: "endsAt precisa ser depois de startsAt" };
+  }
+
+  const overlap = await findOverlappingSeason({ startsAt, endsAt, ignoreId: seasonId });
+  if (overlap) {
+    return {
+      ok: false,
+      status: 409,
+      message: `Período conflita com a temporada ${overlap.key}`,
+    };
+  }
+
+  await prisma.rankSeason.update({
+    where: { id: seasonId },
+    data: {
+      ...(data.name ? { name: data.name } : {}),
+      ...(typeof data.softResetFactor === "number"
+        ? { softResetFactor: data.softResetFactor }
+        : {}),
+      startsAt,
+      endsAt,
+    },
+  });
+
+  await syncSeasons();
+
+  return { ok: true, season: await prisma.rankSeason.findUnique({ where: { id: seasonId } }) };
+}
+
+export async function getSeasonSnapshot(seasonId, { take = 100 } = {}) {
+  return prisma.rankSeasonSnapshot.findMany({
+    where: { seasonId },
+    orderBy: { rankPosition: "asc" },
+    take,
+    include: {
+      user: { select: { id: true, name: true, imageUrl: true } },
+    },
+  });
+}
+
+/**
+ * Histórico do jogador temporada a temporada (inclui a atual, ainda sem snapshot).
+ */
+export async function getUserSeasonHistory(userId) {
+  const [rows, snapshots, seasons] = await Promise.all([
+    prisma.playerRank.findMany({ where: { userId } }),
+    prisma.rankSeasonSnapshot.findMany({ where: { userId } }),
+    prisma.rankSeason.findMany({ orderBy: { startsAt: "desc" } }),
+  ]);
+
+  const rowBySeason = new Map(rows.map((row) => [row.season, row]));
+  const snapshotBySeason = new Map(snapshots.map((snap) => [snap.seasonId, snap]));
+
+  const history = seasons
+    .filter((season) => rowBySeason.has(season.key) || snapshotBySeason.has(season.id))
+    .map((season) => {
+      const row = rowBySeason.get(season.key) || null;
+      const snapshot = snapshotBySeason.get(season.id) || null;
+      const source = snapshot || row;
+
+      return {
+        season: season.key,
+        name: season.name,
+        status: season.status,
+        startsAt: season.startsAt,
+        endsAt: season.endsAt,
+        final: Boolean(snapshot),
+        rating: Number(source?.rating || 0),
+        tier: source?.tier || "Bronze",
+        rankPosition: Number(source?.rankPosition || 0),
+        wins: Number(source?.wins || 0),
+        losses: Number(source?.losses || 0),
+        draws: Number(source?.draws || 0),
+        matches: Number(source?.matches || 0),
+        goals: Number(source?.goals || 0),
+        assists: Number(source?.assists || 0),
+        mvpCount: Number(source?.mvpCount || 0),
+      };
+    });
+
+  const legacy = rowBySeason.get(GLOBAL_SEASON);
+  if (legacy) {
+    history.push({
+      season: GLOBAL_SEASON,
+      name: "Global",
+      status: null,
+      startsAt: null,
+      endsAt: null,
+      final: false,
+      rating: Number(legacy.rating || 0),
+      tier: legacy.tier || "Bronze",
+      rankPosition: Number(legacy.rankPosition || 0),
+      wins: Number(legacy.wins || 0),
+      losses: Number(legacy.losses || 0),
+      draws: Number(legacy.draws || 0),
+      matches: Number(legacy.matches || 0),
+      goals: Number(legacy.goals || 0),
+      assists: Number(legacy.assists || 0),
+      mvpCount: Number(legacy.mvpCount || 0),
+    });
+  }
+
+  return history;
+}
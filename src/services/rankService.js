@@ -1,4 +1,16 @@
 import { prisma } from "../lib/prisma.js";
+import { isConfirmedPresence } from "./matchWaitlistService.js";
+import {
+  GLOBAL_SEASON,
+  SEASON_CLOSED,
+  getCurrentSeasonKey,
+  getSeasonKeyForDate,
+  getSeasonSeed,
+  rankOrderBy,
+  refreshSeasonRankPositions,
+  snapshotSeason,
+  syncSeasons,
+} from "./rankSeasonService.js";
 
 export function getTierFromRating(rating = 1000) {
   if (rating >= 2200) return "Elite";
@@ -58,48 +70,137 @@ function normalizeMatchResult(result) {
   return "LOSS";
 }
 
-function calcRatingDelta({
+// Elo por time:
+// - esperado = 1 / (1 + 10^((média adversária - média do time) / 400))
+// - K cai conforme o desvio (ratingDeviation) encolhe a cada partida
+// - saldo de gols amplia o delta (mesma curva do Elo de seleções)
+// - gols/assistências/MVP viram bônus, com teto
+
+const DEFAULT_RATING = 1000;
+
+const ELO_SCALE = 400;
+
+const DEVIATION_MAX = 350;
+const DEVIATION_MIN = 60;
+const DEVIATION_DECAY = 0.92; // por partida jogada
+const SEASON_START_DEVIATION = 200; // volta a subir na virada de temporada
+
+const K_MIN = 16;
+const K_MAX = 48;
+
+const PERFORMANCE_BONUS_CAP = 10;
+
+// eleito na votação pós-jogo; entra separado do bônus da partida
+const MVP_BONUS = 8;
+
+export function calcExpectedScore(teamRating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - teamRating) / ELO_SCALE));
+}
+
+export function calcKFactor(ratingDeviation = DEVIATION_MAX) {
+  const deviation = Math.min(
+    DEVIATION_MAX,
+    Math.max(DEVIATION_MIN, Number(ratingDeviation || 0))
+  );
+
+  return (
+    K_MIN +
+    ((K_MAX - K_MIN) * (deviation - DEVIATION_MIN)) /
+      (DEVIATION_MAX - DEVIATION_MIN)
+  );
+}
+
+export function calcNextDeviation(ratingDeviation = DEVIATION_MAX) {
+  return Math.max(
+    DEVIATION_MIN,
+    Math.round(Number(ratingDeviation || DEVIATION_MAX) * DEVIATION_DECAY)
+  );
+}
+
+function calcGoalDiffMultiplier(goalDiff = 0) {
+  const diff = Math.abs(Number(goalDiff || 0));
+  if (diff <= 1) return 1;
+  if (diff === 2) return 1.5;
+  return (11 + diff) / 8;
+}
+
+function calcPerformanceBonus({ goals = 0, assists = 0, isMvp = false }) {
+  const bonus =
+    Number(goals || 0) * 2 + Number(assists || 0) * 3 + (isMvp ? MVP_BONUS : 0);
+
+  return Math.min(PERFORMANCE_BONUS_CAP, bonus);
+}
+
+export function calcRatingDelta({
   result = "LOSS",
+  teamRating = DEFAULT_RATING,
+  opponentRating = DEFAULT_RATING,
+  goalDiff = 0,
+  ratingDeviation = DEVIATION_MAX,
   goals = 0,
   assists = 0,
   isMvp = false,
 }) {
   const safeResult = normalizeMatchResult(result);
 
-  let delta = 0;
+  const score = safeResult === "WIN" ? 1 : safeResult === "DRAW" ? 0.5 : 0;
+  const expected = calcExpectedScore(teamRating, opponentRating);
 
-  if (safeResult === "WIN") {
-    delta += 25;
-  } else if (safeResult === "DRAW") {
-    delta += 5;
-  } else {
-    delta -= 15;
-  }
+  const multiplier = safeResult === "DRAW" ? 1 : calcGoalDiffMultiplier(goalDiff);
+
+  const eloDelta = Math.round(
+    calcKFactor(ratingDeviation) * multiplier * (score - expected)
+  );
+
+  return eloDelta + calcPerformanceBonus({ goals, assists, isMvp });
+}
 
-  delta += Number(goals || 0) * 2;
-  delta += Number(assists || 0) * 3;
+function averageRating(ratings = []) {
+  if (!ratings.length) return null;
+  return ratings.reduce((acc, r) => acc + r, 0) / ratings.length;
+}
 
-  if (isMvp) {
-    delta += 8;
+function buildSeasonStart(seed) {
+  if (!seed) {
+    return { rating: DEFAULT_RATING, ratingDeviation: DEVIATION_MAX };
   }
 
-  return delta;
+  // soft reset: puxa o rating anterior em direção ao 1000
+  const rating = Math.max(
+    0,
+    Math.round(
+      DEFAULT_RATING + (Number(seed.rating || 0) - DEFAULT_RATING) * seed.softResetFactor
+    )
+  );
+
+  return {
+    rating,
+    ratingDeviation: Math.max(
+      SEASON_START_DEVIATION,
+      Number(seed.ratingDeviation || DEVIATION_MAX)
+    ),
+  };
 }
 
-export async function ensurePlayerRank(userId) {
+export async function ensurePlayerRank(userId, season = GLOBAL_SEASON, db = prisma) {
   if (!userId) {
     throw new Error("userId é obrigatório em ensurePlayerRank.");
   }
 
-  let rank = await prisma.playerRank.findUnique({
-    where: { userId },
+  let rank = await db.playerRank.findUnique({
+    where: { userId_season: { userId, season } },
   });
 
   if (!rank) {
-    rank = await prisma.playerRank.create({
-      data: {
+    const start = buildSeasonStart(await getSeasonSeed(userId, season, db));
+    const tier = getTierFromRating(start.rating);
+
+    rank = await db.playerRank.upsert({
+      where: { userId_season: { userId, season } },
+      create: {
         userId,
-        rating: 1000,
+        rating: start.rating,
+        ratingDeviation: start.ratingDeviation,
         wins: 0,
         losses: 0,
         draws: 0,
@@ -109,34 +210,51 @@ export async function ensurePlayerRank(userId) {
         mvpCount: 0,
         winStreak: 0,
         bestWinStreak: 0,
-        tier: "Bronze",
-        progress: 0,
+        tier,
+        progress: getTierProgress(start.rating, tier),
         rankPosition: 0,
-        season: "global",
+        season,
       },
+      update: {},
     });
   }
 
   return rank;
 }
 
-export async function updatePlayerRankAfterMatch({
-  userId,
-  result,
-  goals = 0,
-  assists = 0,
-  isMvp = false,
-}) {
-  if (!userId) {
-    throw new Error("userId é obrigatório em updatePlayerRankAfterMatch.");
+/**
+ * Aplica o resultado de uma partida no rank do jogador e registra no
+ * histórico (PlayerRankChange).
+ * `current` é o rank antes da partida; teamRating/opponentRating são as
+ * médias pré-jogo de cada lado.
+ */
+export async function updatePlayerRankAfterMatch(
+  {
+    current,
+    matchId = null,
+    teamSide = null,
+    result,
+    teamRating = DEFAULT_RATING,
+    opponentRating = DEFAULT_RATING,
+    goalDiff = 0,
+    goals = 0,
+    assists = 0,
+    isMvp = false,
+  },
+  db = prisma
+) {
+  if (!current?.userId) {
+    throw new Error("rank atual é obrigatório em updatePlayerRankAfterMatch.");
   }
 
   const safeResult = normalizeMatchResult(result);
 
-  const current = await ensurePlayerRank(userId);
-
   const delta = calcRatingDelta({
     result: safeResult,
+    teamRating,
+    opponentRating,
+    goalDiff,
+    ratingDeviation: current.ratingDeviation,
     goals,
     assists,
     isMvp,
@@ -161,10 +279,11 @@ export async function updatePlayerRankAfterMatch({
     newWinStreak
   );
 
-  return prisma.playerRank.update({
-    where: { userId },
+  const updated = await db.playerRank.update({
+    where: { id: current.id },
     data: {
       rating: newRating,
+      ratingDeviation: calcNextDeviation(current.ratingDeviation),
       tier: newTier,
       progress: newProgress,
       matches: newMatches,
@@ -178,41 +297,157 @@ export async function updatePlayerRankAfterMatch({
       bestWinStreak,
     },
   });
+
+  await db.playerRankChange.create({
+    data: {
+      userId: current.userId,
+      matchId,
+      season: current.season,
+      reason: "MATCH",
+      ratingBefore: Number(current.rating || 0),
+      ratingAfter: newRating,
+      delta: newRating - Number(current.rating || 0),
+      result: safeResult,
+      teamSide,
+      goals: Number(goals || 0),
+      assists: Number(assists || 0),
+      isMvp: Boolean(isMvp),
+    },
+  });
+
+  return updated;
 }
 
-export async function refreshGlobalRankPositions() {
-  const players = await prisma.playerRank.findMany({
-    orderBy: [
-      { rating: "desc" },
-      { wins: "desc" },
-      { goals: "desc" },
-      { updatedAt: "asc" },
-    ],
-    select: {
-      id: true,
+/**
+ * Bônus do MVP eleito na votação. Vai na mesma temporada em que a partida
+ * contou (se o rank da partida foi revertido, não aplica).
+ */
+export async function applyMvpBonus(
+  { userId, matchId },
+  { refreshPositions = true } = {}
+) {
+  const match = await prisma.match.findUnique({
+    where: { id: matchId },
+    select: { rankProcessed: true, rankRevertedAt: true },
+  });
+
+  if (!match || match.rankRevertedAt) return null;
+
+  const matchChange = await prisma.playerRankChange.findFirst({
+    where: { userId, matchId, reason: "MATCH", revertedAt: null },
+    select: { season: true },
+  });
+
+  const season = matchChange?.season || (await getCurrentSeasonKey());
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const already = await tx.playerRankChange.findFirst({
+      where: { userId, matchId, reason: "MVP", revertedAt: null },
+      select: { id: true },
+    });
+
+    if (already) return null;
+
+    const current = await ensurePlayerRank(userId, season, tx);
+
+    const newRating = Math.max(0, Number(current.rating || 0) + MVP_BONUS);
+    const newTier = getTierFromRating(newRating);
+
+    const rank = await tx.playerRank.update({
+      where: { id: current.id },
+      data: {
+        rating: newRating,
+        tier: newTier,
+        progress: getTierProgress(newRating, newTier),
+        mvpCount: Number(current.mvpCount || 0) + 1,
+      },
+    });
+
+    await tx.playerRankChange.create({
+      data: {
+        userId,
+        matchId,
+        season,
+        reason: "MVP",
+        ratingBefore: Number(current.rating || 0),
+        ratingAfter: newRating,
+        delta: newRating - Number(current.rating || 0),
+        isMvp: true,
+      },
+    });
+
+    return rank;
+  });
+
+  if (updated && refreshPositions) {
+    await refreshGlobalRankPositions(season);
+  }
+
+  return updated;
+}
+
+// createdAt só no rebuild (o ajuste reaplicado mantém a data original)
+async function applyRatingAdjustment(tx, { userId, season, delta, note, createdAt }) {
+  const current = await ensurePlayerRank(userId, season, tx);
+
+  const ratingBefore = Number(current.rating || 0);
+  const newRating = Math.max(0, ratingBefore + Number(delta));
+  const newTier = getTierFromRating(newRating);
+
+  const rank = await tx.playerRank.update({
+    where: { id: current.id },
+    data: {
+      rating: newRating,
+      tier: newTier,
+      progress: getTierProgress(newRating, newTier),
     },
   });
 
-  if (!players.length) return;
+  const change = await tx.playerRankChange.create({
+    data: {
+      userId,
+      season,
+      reason: "ADJUSTMENT",
+      ratingBefore,
+      ratingAfter: newRating,
+      delta: newRating - ratingBefore,
+      note: note == null ? null : String(note).slice(0, 500),
+      ...(createdAt ? { createdAt } : {}),
+    },
+  });
 
-  await prisma.$transaction(
-    players.map((player, index) =>
-      prisma.playerRank.update({
-        where: { id: player.id },
-        data: {
-          rankPosition: index + 1,
-        },
-      })
-    )
+  return { rank, change };
+}
+
+/**
+ * Ajuste manual do admin (reason "ADJUSTMENT"): soma delta ao rating na
+ * temporada, sem mexer em V/E/D. Quem ajustou fica na auditoria.
+ */
+export async function adjustPlayerRating({ userId, season, delta, note }) {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } });
+  if (!user) return { ok: false, status: 404, message: "Usuário não encontrado." };
+
+  const { rank, change } = await prisma.$transaction((tx) =>
+    applyRatingAdjustment(tx, { userId, season, delta, note })
   );
+
+  await refreshGlobalRankPositions(season);
+
+  return { ok: true, rank: buildRankSummary(rank), change };
+}
+
+export async function refreshGlobalRankPositions(season = GLOBAL_SEASON) {
+  return refreshSeasonRankPositions(season);
 }
 
 export function buildRankSummary(rank) {
   const tier = rank?.tier || "Bronze";
 
   return {
+    season: rank?.season || GLOBAL_SEASON,
     tier,
     rating: Number(rank?.rating || 1000),
+    ratingDeviation: Number(rank?.ratingDeviation || DEVIATION_MAX),
     rankPosition: Number(rank?.rankPosition || 0),
     nextTier: getNextTier(tier),
     progress: Number(rank?.progress || 0),
@@ -238,10 +473,16 @@ export function buildRankSummary(rank) {
  * Processa o rank da partida finalizada.
  * Regras:
  * - só processa se status = FINISHED
- * - não processa duas vezes
+ * - não processa duas vezes (rankProcessed é marcado na mesma transação)
  * - usa stats oficiais da partida
+ * - médias dos times calculadas com o rating de ANTES da partida
+ * - conta pra temporada atual (no replay, pra temporada da data da partida,
+ *   ou pra `season` quando já se sabe onde ela contou)
  */
-export async function processMatchRank(matchId) {
+export async function processMatchRank(
+  matchId,
+  { refreshPositions = true, replay = false, season: replaySeason = null } = {}
+) {
   if (!matchId) {
     throw new Error("matchId é obrigatório em processMatchRank.");
   }
@@ -266,66 +507,235 @@ export async function processMatchRank(matchId) {
     };
   }
 
+  if (match.rankRevertedAt) {
+    return {
+      ok: true,
+      skipped: true,
+      reason: "Rank desta partida foi revertido.",
+    };
+  }
+
   if (match.status !== "FINISHED") {
     throw new Error("A partida precisa estar finalizada antes de processar rank.");
   }
 
+  // fila de espera não jogou
   const players = Array.isArray(match.presences)
-    ? match.presences.filter((presence) => presence?.userId)
+    ? match.presences.filter(
+        (presence) => presence?.userId && isConfirmedPresence(presence)
+      )
     : [];
 
   if (!players.length) {
     throw new Error("A partida não possui jogadores confirmados.");
   }
 
+  const season = replay
+    ? replaySeason || (await getSeasonKeyForDate(match.finishedAt || match.date))
+    : await getCurrentSeasonKey();
+
   const isDraw = match.teamAScore === match.teamBScore || !match.winnerSide;
+  const scoreDiff = Number(match.teamAScore || 0) - Number(match.teamBScore || 0);
+
+  const processed = await prisma.$transaction(
+    async (tx) => {
+      // trava: se outra chamada já marcou, não faz nada
+      const claim = await tx.match.updateMany({
+        where: { id: matchId, rankProcessed: false },
+        data: { rankProcessed: true },
+      });
+
+      if (!claim.count) return false;
+
+      const ranks = new Map();
+      for (const presence of players) {
+        ranks.set(
+          presence.userId,
+          await ensurePlayerRank(presence.userId, season, tx)
+        );
+      }
+
+      const ratingsOf = (side) =>
+        players
+          .filter((p) => (side ? p.teamSide === side : true))
+          .map((p) => Number(ranks.get(p.userId).rating || 0));
+
+      const matchAverage = averageRating(ratingsOf(null));
+      const sideAverage = {
+        A: averageRating(ratingsOf("A")) ?? matchAverage,
+        B: averageRating(ratingsOf("B")) ?? matchAverage,
+      };
+
+      for (const presence of players) {
+        const stat = Array.isArray(match.stats)
+          ? match.stats.find((item) => item.userId === presence.userId)
+          : null;
+
+        let result = "LOSS";
+
+        if (isDraw) {
+          result = "DRAW";
+        } else if (presence.teamSide && presence.teamSide === match.winnerSide) {
+          result = "WIN";
+        } else {
+          result = "LOSS";
+        }
+
+        const side = presence.teamSide;
+        const opponentSide = side === "A" ? "B" : side === "B" ? "A" : null;
+
+        await updatePlayerRankAfterMatch(
+          {
+            current: ranks.get(presence.userId),
+            matchId,
+            teamSide: side || null,
+            result,
+            // sem lado definido: joga contra a média da partida
+            teamRating: side ? sideAverage[side] : matchAverage,
+            opponentRating: opponentSide ? sideAverage[opponentSide] : matchAverage,
+            goalDiff: scoreDiff,
+            goals: Number(stat?.goalsOfficial || 0),
+            assists: Number(stat?.assistsOfficial || 0),
+            // MVP sai da votação depois do jogo (applyMvpBonus)
+            isMvp: false,
+          },
+          tx
+        );
+      }
+
+      return true;
+    },
+    { timeout: 30000 }
+  );
+
+  if (!processed) {
+    return {
+      ok: true,
+      skipped: true,
+      reason: "Rank já processado para esta partida.",
+    };
+  }
+
+  if (refreshPositions) {
+    await refreshGlobalRankPositions(season);
+  }
 
-  for (const presence of players) {
-    const stat = Array.isArray(match.stats)
-      ? match.stats.find((item) => item.userId === presence.userId)
-      : null;
+  return {
+    ok: true,
+    skipped: false,
+    season,
+  };
+}
 
-    let result = "LOSS";
+/**
+ * Zera o rank de todo mundo e reprocessa as partidas finalizadas em ordem
+ * de data, cada uma na temporada em que foi jogada (com os soft resets
+ * acontecendo na ordem certa). Refaz os snapshots das temporadas fechadas
+ * e o histórico de alterações. Partidas revertidas por admin ficam de fora.
+ * Ajustes manuais do admin não vêm de partida: são reaplicados (mesmo delta,
+ * mesma temporada) entre as partidas, na ordem em que foram feitos.
+ * Usado na migração pro Elo (npm run rank:rebuild).
+ */
+export async function rebuildAllRanks({ onProgress } = {}) {
+  await syncSeasons();
 
-    if (isDraw) {
-      result = "DRAW";
-    } else if (presence.teamSide && presence.teamSide === match.winnerSide) {
-      result = "WIN";
-    } else {
-      result = "LOSS";
+  const matches = await prisma.match.findMany({
+    where: { status: "FINISHED", rankRevertedAt: null },
+    orderBy: [{ date: "asc" }, { finishedAt: "asc" }, { id: "asc" }],
+    select: { id: true, mvpUserId: true, date: true, finishedAt: true },
+  });
+
+  const adjustments = await prisma.playerRankChange.findMany({
+    where: { reason: "ADJUSTMENT" },
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+    select: { id: true, userId: true, season: true, delta: true, note: true, createdAt: true },
+  });
+
+  await prisma.$transaction([
+    prisma.rankSeasonSnapshot.deleteMany({}),
+    prisma.playerRankChange.deleteMany({}),
+    prisma.playerRank.deleteMany({}),
+    prisma.match.updateMany({
+      where: { status: "FINISHED", rankRevertedAt: null },
+      data: { rankProcessed: false },
+    }),
+  ]);
+
+  const failed = [];
+  const failedAdjustments = [];
+  const seasons = new Set();
+  let processed = 0;
+  let nextAdjustment = 0;
+
+  // reaplica os ajustes feitos até `until` (sem until: todos os que sobraram)
+  const replayAdjustments = async (until = null) => {
+    while (
+      nextAdjustment < adjustments.length &&
+      (!until || adjustments[nextAdjustment].createdAt <= until)
+    ) {
+      const adjustment = adjustments[nextAdjustment++];
+
+      try {
+        await prisma.$transaction((tx) => applyRatingAdjustment(tx, adjustment));
+        seasons.add(adjustment.season);
+      } catch (err) {
+        failedAdjustments.push({ changeId: adjustment.id, error: String(err?.message || err) });
+      }
     }
+  };
 
-    await updatePlayerRankAfterMatch({
-      userId: presence.userId,
-      result,
-      goals: Number(stat?.goalsOfficial || 0),
-      assists: Number(stat?.assistsOfficial || 0),
-      isMvp: false,
-    });
+  for (const [index, match] of matches.entries()) {
+    await replayAdjustments(match.finishedAt || match.date);
+
+    try {
+      const result = await processMatchRank(match.id, {
+        refreshPositions: false,
+        replay: true,
+      });
+      if (result.season) seasons.add(result.season);
+
+      if (match.mvpUserId) {
+        await applyMvpBonus(
+          { userId: match.mvpUserId, matchId: match.id },
+          { refreshPositions: false }
+        );
+      }
+
+      processed += 1;
+    } catch (err) {
+      failed.push({ matchId: match.id, error: String(err?.message || err) });
+    }
+
+    onProgress?.({ index: index + 1, total: matches.length, matchId: match.id });
   }
 
-  await refreshGlobalRankPositions();
+  await replayAdjustments();
 
-  await prisma.match.update({
-    where: { id: matchId },
-    data: {
-      rankProcessed: true,
-    },
+  for (const season of seasons) {
+    await refreshGlobalRankPositions(season);
+  }
+
+  const closedSeasons = await prisma.rankSeason.findMany({
+    where: { status: SEASON_CLOSED },
   });
 
+  for (const season of closedSeasons) {
+    await snapshotSeason(season);
+  }
+
   return {
-    ok: true,
-    skipped: false,
+    total: matches.length,
+    processed,
+    failed,
+    adjustments: adjustments.length - failedAdjustments.length,
+    failedAdjustments,
   };
 }
 
-export async function getGlobalRanking({ take = 100 } = {}) {
+export async function getGlobalRanking({ take = 100, season = GLOBAL_SEASON } = {}) {
   const ranking = await prisma.playerRank.findMany({
-    orderBy: [
-      { rating: "desc" },
-      { wins: "desc" },
-      { goals: "desc" },
-    ],
+    where: { season },
+    orderBy: rankOrderBy,
     take,
     include: {
       user: {
@@ -342,6 +752,7 @@ export async function getGlobalRanking({ take = 100 } = {}) {
     userId: item.userId,
     name: item.user?.name || "Jogador",
     avatar: item.user?.imageUrl || "",
+    season: item.season,
     tier: item.tier,
     rating: item.rating,
     rankPosition: item.rankPosition,
@@ -355,4 +766,4 @@ export async function getGlobalRanking({ take = 100 } = {}) {
     progress: item.progress,
     nextTier: getNextTier(item.tier),
   }));
-}
\ No newline at end of file
+}
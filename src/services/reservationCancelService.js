@@ -0,0 +1,168 @@
+import { prisma } from "../lib/prisma.js";
+import { cancelOpenPixCharges } from "./pixPaymentService.js";
+import { PIX_SETTLED_STATUSES, requestPixRefund } from "./pixRefundService.js";
+
+// Cancelamento de reserva + reembolso pela política da arena
+// (Arena.cancelFullRefundHours / cancelPartialRefundPercent).
+
+export const DEFAULT_FULL_REFUND_HOURS = 24;
+export const DEFAULT_PARTIAL_REFUND_PERCENT = 50;
+
+export function getCancellationPolicy(arena) {
+  return {
+    fullRefundHours: arena?.cancelFullRefundHours ?? DEFAULT_FULL_REFUND_HOURS,
+    partialRefundPercent: arena?.cancelPartialRefundPercent ?? DEFAULT_PARTIAL_REFUND_PERCENT,
+  };
+}
+
+/**
+ * Quanto devolver de um cancelamento (centavos).
+ *   rule: "split_expired" (divisão não fechou no prazo) → tudo
+ *         "no_show" (marcado pela arena ou cancelou depois do início) → nada
+ *         "arena"   (a arena cancelou) → tudo
+ *         "full"    (N horas ou mais antes) → tudo
+ *         "partial" (menos de N horas antes) → percentual
+ */
+export function computeCancellationRefund({
+  paidValue,
+  startAt,
+  policy,
+  byArena = false,
+  noShow = false,
+  splitExpired = false,
+  now = new Date(),
+}) {
+  const paid = Math.max(0, Math.round(Number(paidValue) || 0));
+
+  if (splitExpired) return { rule: "split_expired", percent: 100, value: paid };
+  if (noShow) return { rule: "no_show", percent: 0, value: 0 };
+  if (byArena) return { rule: "arena", percent: 100, value: paid };
+
+  const hoursBefore = (new Date(startAt).getTime() - now.getTime()) / (60 * 60 * 1000);
+
+  if (hoursBefore <= 0) return { rule: "no_show", percent: 0, value: 0 };
+  if (hoursBefore >= policy.fullRefundHours) return { rule: "full", percent: 100, value: paid };
+
+  const percent = policy.partialRefundPercent;
+  return { rule: "partial", percent, value: Math.floor((paid * percent) / 100) };
+}
+
+const REFUND_REASONS = {
+  split_expired: "Divisão da reserva não fechou no prazo",
+  no_show: "No-show",
+  arena: "Reserva cancelada pela arena",
+  full: "Cancelamento dentro do prazo",
+  partial: "Cancelamento fora do prazo (reembolso parcial)",
+};
+
+/**
+ * Cancela e, se a reserva estava paga, pede o reembolso da política.
+ * reservation precisa vir com court.arena.
+ * Reserva dividida: cada Pix pago (do titular ou das partes) devolve o mesmo
+ * percentual; splitExpired só cancela se a divisão ainda não fechou.
+ * refund: null (nada pago) | { rule, percent, value, paidValue, manual, request, requests }
+ * manual = pago fora do Pix (a arena devolve por conta própria).
+ * request = o primeiro pedido de estorno (reserva sem divisão só tem um).
+ */
+export async function cancelReservation({
+  reservation,
+  byArena = false,
+  noShow = false,
+  splitExpired = false,
+  actorId = null,
+  req = null,
+  now = new Date(),
+}) {
+  // no-show é de quem não apareceu: antes do horário vale a política normal
+  if (noShow && new Date(reservation.startAt) > now) {
+    return { ok: false, status: 409, message: "No-show só pode ser marcado depois do início da reserva" };
+  }
+
+  const claim = await prisma.reservation.updateMany({
+    where: {
+      id: reservation.id,
+      status: { not: "CANCELED" },
+      // a última parte pode ter sido paga enquanto o job rodava
+      ...(splitExpired ? { paymentStatus: "UNPAID" } : {}),
+    },
+    data: { status: "CANCELED" },
+  });
+
+  if (!claim.count) return { ok: false, status: 409, message: "Reserva já está cancelada" };
+
+  const arena = reservation.court?.arena || null;
+
+  // Pix do titular e das partes
+  const charges = { OR: [{ reservationId: reservation.id }, { share: { reservationId: reservation.id } }] };
+
+  // partes que ninguém pagou caem junto; Pix pago depois é estornado no settle
+  await prisma.reservationShare.updateMany({
+    where: { reservationId: reservation.id, status: "PENDING" },
+    data: { status: "CANCELED" },
+  });
+
+  // Pix ainda em aberto: se pagarem mesmo assim, o markPixPaid estorna
+  await cancelOpenPixCharges(charges);
+
+  // só o que contou pra reserva: Pix em dobro ou fora de hora já foi
+  // estornado inteiro no settle
+  const settled = await prisma.pixPayment.findMany({
+    where: { ...charges, applied: true, status: { in: PIX_SETTLED_STATUSES } },
+  });
+  const pixPaid = settled.length > 0;
+  const paidValue = pixPaid
+    ? settled.reduce((sum, item) => sum + item.value - item.refundedValue, 0)
+    : reservation.paymentStatus === "PAID"
+    ? Number(reservation.totalPrice || 0)
+    : 0;
+
+  let refund = null;
+
+  if (paidValue > 0) {
+    const decision = computeCancellationRefund({
+      paidValue,
+      startAt: reservation.startAt,
+      policy: getCancellationPolicy(arena),
+      byArena,
+      noShow,
+      splitExpired,
+      now,
+    });
+
+    refund = { ...decision, paidValue, manual: !pixPaid, request: null, requests: [] };
+
+    if (pixPaid && decision.value > 0) {
+      for (const item of settled) {
+        const net = item.value - item.refundedValue;
+        const value = decision.percent >= 100 ? net : Math.floor((net * decision.percent) / 100);
+        if (value <= 0) continue;
+
+        const requested = await requestPixRefund({
+          payment: item,
+          value,
+          reason: REFUND_REASONS[decision.rule],
+          requestedById: actorId,
+          arenaId: arena?.id || reservation.court?.arenaId || null,
+          req,
+        });
+
+        if (requested.ok) refund.requests.push(requested.refund);
+      }
+
+      refund.request = refund.requests[0] || null;
+    }
+  }
+
+  const updated = await prisma.reservation.findUnique({
+    where: { id: reservation.id },
+    include: {
+      pixPayments: {
+        orderBy: { createdAt: "asc" },
+        include: { refunds: { orderBy: { createdAt: "asc" } } },
+      },
+      shares: { orderBy: { createdAt: "asc" } },
+    },
+  });
+
+  return { ok: true, reservation: updated, refund };
+}
@@ -0,0 +1,444 @@
+import { prisma } from "../lib/prisma.js";
+import { recordAudit } from "./auditService.js";
+import { getActorName, notifyUser, notifyUsers } from "./notificationService.js";
+import { cancelOpenPixCharges, toPixPaymentResponse } from "./pixPaymentService.js";
+import { PIX_SETTLED_STATUSES, requestPixRefund } from "./pixRefundService.js";
+import { cancelReservation } from "./reservationCancelService.js";
+import { sendReservationEmail } from "./email/emailService.js";
+
+// Reserva dividida: o titular chama os amigos e cada um paga a sua parte
+// (ReservationShare, em centavos) por um Pix próprio. Fechou o total → a
+// reserva confirma (settleSharePayment); passou do splitDueAt sem fechar →
+// cancela e estorna quem já pagou.
+
+export const RESERVATION_SPLIT_MAX_PARTICIPANTS = 20;
+
+// prazo padrão pra fechar a divisão (se a reserva não começar antes)
+export const DEFAULT_SPLIT_WINDOW_HOURS = 24;
+// a divisão precisa fechar pelo menos isso antes do horário
+export const SPLIT_CLOSE_BEFORE_START_MINUTES = 60;
+
+const SPLIT_EXPIRY_BATCH = 50;
+function formatCents(value) {
+  return (value / 100).toLocaleString("pt-BR", { style: "currency", currency: "BRL" });
+}
+
+function formatDueAt(date) {
+  return new Date(date).toLocaleString("pt-BR", {
+    timeZone: "America/Sao_Paulo",
+    dateStyle: "short",
+    timeStyle: "short",
+  });
+}
+
+function latestSplitDueAt(startAt) {
+  return new Date(new Date(startAt).getTime() - SPLIT_CLOSE_BEFORE_START_MINUTES * 60 * 1000);
+}
+
+export function getDefaultSplitDueAt(startAt, now = new Date()) {
+  const window = new Date(now.getTime() + DEFAULT_SPLIT_WINDOW_HOURS * 60 * 60 * 1000);
+  const latest = latestSplitDueAt(startAt);
+  return window < latest ? window : latest;
+}
+
+/**
+ * Divide total (centavos) em count partes iguais; os centavos que sobram
+ * ficam nas primeiras (a primeira é a do titular).
+ */
+export function splitEvenly(total, count) {
+  const base = Math.floor(total / count);
+  const rest = total - base * count;
+  return Array.from({ length: count }, (_, index) => base + (index < rest ? 1 : 0));
+}
+
+// cancela as partes em aberto e o Pix delas, aqui e no gateway (pago depois
+// é estornado no settle)
+async function cancelPendingShares(where) {
+  const pending = await prisma.reservationShare.findMany({
+    where: { ...where, status: "PENDING" },
+    select: { id: true, userId: true },
+  });
+  if (!pending.length) return [];
+
+  const ids = pending.map((share) => share.id);
+
+  await prisma.reservationShare.updateMany({
+    where: { id: { in: ids }, status: "PENDING" },
+    data: { status: "CANCELED" },
+  });
+  await cancelOpenPixCharges({ shareId: { in: ids } });
+
+  return pending;
+}
+
+/**
+ * Como está a divisão. O Pix (brCode) só aparece nas partes de quem está vendo.
+ */
+export async function getReservationSplit(reservationId, viewerId = null) {
+  const reservation = await prisma.reservation.findUnique({
+    where: { id: reservationId },
+    select: {
+      id: true,
+      userId: true,
+      status: true,
+      paymentStatus: true,
+      totalPrice: true,
+      startAt: true,
+      splitDueAt: true,
+      shares: {
+        orderBy: { createdAt: "asc" },
+        select: {
+          id: true,
+          userId: true,
+          value: true,
+          status: true,
+          paidAt: true,
+          createdAt: true,
+          user: { select: { id: true, name: true, imageUrl: true } },
+          // o Pix mais recente da parte
+          pixPayments: { orderBy: { createdAt: "desc" }, take: 1 },
+        },
+      },
+    },
+  });
+
+  if (!reservation) return null;
+
+  const total = Number(reservation.totalPrice || 0);
+  const paid = reservation.shares
+    .filter((share) => share.status === "PAID")
+    .reduce((sum, share) => sum + share.value, 0);
+
+  return {
+    reservationId: reservation.id,
+    status: reservation.status,
+    paymentStatus: reservation.paymentStatus,
+    totalPrice: total,
+    dueAt: reservation.splitDueAt,
+    paid,
+    remaining: Math.max(0, total - paid),
+    shares: reservation.shares.map(({ pixPayments: [pixPayment], ...share }) => ({
+      ...share,
+      isHolder: share.userId === reservation.userId,
+      payment: pixPayment && share.userId === viewerId ? toPixPaymentResponse(pixPayment) : null,
+    })),
+  };
+}
+
+/**
+ * Titular divide a reserva. participants = [{ userId, value? }]: sem value
+ * divide igual (titular incluso); com value, o titular fica com o que sobrar.
+ * reservation precisa vir com court.arena.
+ */
+export async function createReservationSplit({
+  reservation,
+  participants,
+  dueAt = null,
+  actorId,
+  req = null,
+  now = new Date(),
+}) {
+  if (reservation.status === "CANCELED") {
+    return { ok: false, status: 409, message: "Reserva cancelada" };
+  }
+  if (reservation.paymentStatus !== "UNPAID") {
+    return { ok: false, status: 409, message: "Reserva já está paga" };
+  }
+  if (reservation.splitDueAt) {
+    return { ok: false, status: 409, message: "Reserva já está dividida" };
+  }
+
+  const total = Number(reservation.totalPrice || 0);
+  if (!Number.isFinite(total) || total <= 0) {
+    return { ok: false, status: 400, message: "Reserva sem totalPrice válido" };
+  }
+
+  const userIds = participants.map((item) => String(item.userId));
+
+  if (userIds.includes(reservation.userId)) {
+    return { ok: false, status: 400, message: "O titular já entra na divisão" };
+  }
+  if (new Set(userIds).size !== userIds.length) {
+    return { ok: false, status: 400, message: "Participante repetido" };
+  }
+
+  const custom = participants.filter((item) => item.value !== undefined);
+  if (custom.length && custom.length !== participants.length) {
+    return { ok: false, status: 400, message: "Informe o valor de todos ou de nenhum participante" };
+  }
+
+  let holderValue;
+  let values;
+
+  if (custom.length) {
+    values = participants.map((item) => item.value);
+    holderValue = total - values.reduce((sum, value) => sum + value, 0);
+
+    if (holderValue < 0) {
+      return { ok: false, status: 400, message: "A soma das partes passa do valor da reserva" };
+    }
+  } else {
+    [holderValue, ...values] = splitEvenly(total, participants.length + 1);
+  }
+
+  const deadline = dueAt ? new Date(dueAt) : getDefaultSplitDueAt(reservation.startAt, now);
+
+  if (Number.isNaN(deadline.getTime()) || deadline <= now) {
+    return { ok: false, status: 400, message: "Prazo da divisão inválido" };
+  }
+  if (deadline > latestSplitDueAt(reservation.startAt)) {
+    return {
+      ok: false,
+      status: 400,
+      message: `A divisão precisa fechar até ${SPLIT_CLOSE_BEFORE_START_MINUTES} minutos antes do horário`,
+    };
+  }
+
+  const found = await prisma.user.count({ where: { id: { in: userIds } } });
+  if (found !== userIds.length) {
+    return { ok: false, status: 404, message: "Participante não encontrado" };
+  }
+
+  const fullPaid = await prisma.pixPayment.findFirst({
+    where: { reservationId: reservation.id, applied: true, status: { in: PIX_SETTLED_STATUSES } },
+    select: { id: true },
+  });
+
+  if (fullPaid) {
+    return { ok: false, status: 409, message: "Reserva já está paga" };
+  }
+
+  const shares = [
+    ...(holderValue > 0 ? [{ userId: reservation.userId, value: holderValue }] : []),
+    ...userIds.map((userId, index) => ({ userId, value: values[index] })),
+  ];
+
+  const created = await prisma.$transaction(async (tx) => {
+    // claim: duas divisões ao mesmo tempo, só uma vale
+    const claim = await tx.reservation.updateMany({
+      where: {
+        id: reservation.id,
+        splitDueAt: null,
+        paymentStatus: "UNPAID",
+        status: { not: "CANCELED" },
+      },
+      data: { splitDueAt: deadline },
+    });
+    if (!claim.count) return false;
+
+    await tx.reservationShare.createMany({
+      data: shares.map((share) => ({ ...share, reservationId: reservation.id })),
+    });
+
+    return true;
+  });
+
+  if (!created) return { ok: false, status: 409, message: "Reserva já está dividida" };
+
+  // Pix do valor cheio que estava em aberto deixa de valer
+  await cancelOpenPixCharges({ reservationId: reservation.id });
+
+  await recordAudit({
+    req,
+    actorId,
+    action: "reservation.split_created",
+    targetType: "reservation",
+    targetId: reservation.id,
+    arenaId: reservation.court?.arenaId || null,
+    after: { splitDueAt: deadline },
+    metadata: { total, shares },
+  });
+
+  const holderName = await getActorName(reservation.userId);
+
+  for (const [index, userId] of userIds.entries()) {
+    await notifyUser(userId, {
+      type: "RESERVATION_SPLIT_INVITE",
+      actorId: reservation.userId,
+      title: "Bora dividir a quadra?",
+      body: `${holderName} dividiu a reserva com você: sua parte é ${formatCents(values[index])}. Pague até ${formatDueAt(deadline)}.`,
+      data: { reservationId: reservation.id, startAt: reservation.startAt, dueAt: deadline },
+    });
+  }
+
+  return { ok: true, split: await getReservationSplit(reservation.id, actorId) };
+}
+
+/**
+ * Titular paga o que falta: as partes em aberto são canceladas e ele ganha
+ * uma parte nova com o restante. Devolve a parte pra gerar o Pix.
+ */
+export async function coverSplitRemainder({ reservation, actorId, req = null }) {
+  if (!reservation.splitDueAt) {
+    return { ok: false, status: 409, message: "Reserva não está dividida" };
+  }
+  if (reservation.status === "CANCELED") {
+    return { ok: false, status: 409, message: "Reserva cancelada" };
+  }
+  if (reservation.paymentStatus !== "UNPAID") {
+    return { ok: false, status: 409, message: "Reserva já está paga" };
+  }
+  if (new Date(reservation.splitDueAt) <= new Date()) {
+    return { ok: false, status: 409, message: "O prazo para dividir esta reserva acabou" };
+  }
+
+  const canceled = await cancelPendingShares({ reservationId: reservation.id });
+
+  const paid = await prisma.reservationShare.aggregate({
+    where: { reservationId: reservation.id, status: "PAID" },
+    _sum: { value: true },
+  });
+
+  const remaining = Number(reservation.totalPrice || 0) - (paid._sum.value || 0);
+  if (remaining <= 0) {
+    return { ok: false, status: 409, message: "As partes pagas já cobrem a reserva" };
+  }
+
+  const share = await prisma.reservationShare.create({
+    data: { reservationId: reservation.id, userId: reservation.userId, value: remaining },
+  });
+
+  await recordAudit({
+    req,
+    actorId,
+    action: "reservation.split_covered",
+    targetType: "reservation",
+    targetId: reservation.id,
+    arenaId: reservation.court?.arenaId || null,
+    metadata: { shareId: share.id, value: remaining, canceledShares: canceled.map((item) => item.id) },
+  });
+
+  await notifyUsers(
+    canceled.map((item) => item.userId),
+    {
+      type: "RESERVATION_SPLIT_CANCELED",
+      actorId: reservation.userId,
+      title: "Sua parte foi cancelada",
+      body: `${await getActorName(reservation.userId)} pagou o restante da reserva. Você não precisa mais pagar.`,
+      data: { reservationId: reservation.id, startAt: reservation.startAt },
+    }
+  );
+
+  return { ok: true, share };
+}
+
+/**
+ * Desfaz a divisão (só enquanto ninguém pagou). O titular volta a pagar
+ * tudo pelo Pix da reserva.
+ */
+export async function cancelReservationSplit({ reservation, actorId, req = null }) {
+  if (!reservation.splitDueAt) {
+    return { ok: false, status: 409, message: "Reserva não está dividida" };
+  }
+
+  // claim: só desfaz divisão em aberto em que ninguém pagou
+  const claim = await prisma.reservation.updateMany({
+    where: {
+      id: reservation.id,
+      splitDueAt: { not: null },
+      status: { not: "CANCELED" },
+      paymentStatus: "UNPAID",
+      shares: { none: { status: "PAID" } },
+    },
+    data: { splitDueAt: null },
+  });
+
+  if (!claim.count) {
+    const paid = await prisma.reservationShare.count({
+      where: { reservationId: reservation.id, status: "PAID" },
+    });
+
+    return {
+      ok: false,
+      status: 409,
+      message: paid
+        ? "Alguém já pagou a parte. Cubra o restante ou cancele a reserva."
+        : "Esta divisão não está mais em aberto.",
+    };
+  }
+
+  const canceled = await cancelPendingShares({ reservationId: reservation.id });
+
+  // parte paga no meio do claim: quem paga agora é o titular, devolve
+  const late = await prisma.pixPayment.findMany({
+    where: {
+      share: { reservationId: reservation.id, status: "PAID" },
+      applied: true,
+      status: { in: PIX_SETTLED_STATUSES },
+    },
+  });
+
+  for (const payment of late) {
+    await requestPixRefund({
+      payment,
+      value: payment.value,
+      reason: "Divisão desfeita pelo titular",
+      requestedById: actorId,
+      arenaId: reservation.court?.arenaId || null,
+      req,
+    });
+  }
+
+  await recordAudit({
+    req,
+    actorId,
+    action: "reservation.split_canceled",
+    targetType: "reservation",
+    targetId: reservation.id,
+    arenaId: reservation.court?.arenaId || null,
+    before: { splitDueAt: reservation.splitDueAt },
+    after: { splitDueAt: null },
+  });
+
+  await notifyUsers(
+    canceled.map((item) => item.userId),
+    {
+      type: "RESERVATION_SPLIT_CANCELED",
+      actorId: reservation.userId,
+      title: "Divisão cancelada",
+      body: `${await getActorName(reservation.userId)} desfez a divisão da reserva. Você não precisa mais pagar.`,
+      data: { reservationId: reservation.id, startAt: reservation.startAt },
+    }
+  );
+
+  return { ok: true };
+}
+
+/**
+ * Job: divisão que passou do splitDueAt sem cobrir o total → cancela a
+ * reserva e estorna tudo que as partes pagaram.
+ */
+export async function expireUnpaidSplits({ now = new Date() } = {}) {
+  const expired = await prisma.reservation.findMany({
+    where: {
+      splitDueAt: { lt: now },
+      status: { not: "CANCELED" },
+      paymentStatus: "UNPAID",
+    },
+    include: {
+      court: { include: { arena: true } },
+      shares: { select: { userId: true } },
+    },
+    take: SPLIT_EXPIRY_BATCH,
+  });
+
+  let canceled = 0;
+
+  for (const reservation of expired) {
+    const result = await cancelReservation({ reservation, splitExpired: true, now });
+    if (!result.ok) continue;
+
+    canceled++;
+
+    await notifyUsers([reservation.userId, ...reservation.shares.map((share) => share.userId)], {
+      type: "RESERVATION_SPLIT_EXPIRED",
+      title: "Reserva cancelada",
+      body: "A divisão não fechou no prazo e a reserva foi cancelada. Quem pagou recebe o Pix de volta.",
+      data: { reservationId: reservation.id, startAt: reservation.startAt },
+    });
+
+    await sendReservationEmail("reservationCanceled", reservation.id, { splitExpired: true });
+  }
+
+  return canceled;
+}
@@ -0,0 +1,175 @@
+import { prisma } from "../lib/prisma.js";
+
+// contas sem e-mail real (telefone, Apple sem e-mail) ganham um endereço
+// .invalid (RFC 2606): satisfaz o @unique e nunca recebe e-mail
+export const PLACEHOLDER_EMAIL_DOMAIN = "borapo.invalid";
+
+export function makePlaceholderEmail(kind, id) {
+  const safeId = String(id).toLowerCase().replace(/[^a-z0-9]/g, "");
+  return `${kind}-${safeId}@${PLACEHOLDER_EMAIL_DOMAIN}`;
+}
+
+export function isPlaceholderEmail(email) {
+  return String(email || "").toLowerCase().endsWith(".invalid");
+}
+
+const identityUserSelect = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  emailVerifiedAt: true,
+};
+
+const PROVIDER_LABELS = { google: "Google", apple: "Apple" };
+
+/**
+ * Login/cadastro com a identidade já validada (oidcService.verifyIdToken).
+ * 1. identidade conhecida → entra
+ * 2. e-mail confirmado pelo provedor bate com uma conta de e-mail também
+ *    confirmado → vincula e entra
+ * 3. senão → cria conta nova
+ */
+export async function loginWithIdentity(provider, claims, { name = null } = {}) {
+  const label = PROVIDER_LABELS[provider] || provider;
+
+  const identity = await prisma.userIdentity.findUnique({
+    where: { provider_subject: { provider, subject: claims.subject } },
+    include: { user: { select: identityUserSelect } },
+  });
+
+  if (identity) {
+    await prisma.userIdentity.update({
+      where: { id: identity.id },
+      data: { lastLoginAt: new Date(), ...(claims.email ? { email: claims.email } : {}) },
+    });
+
+    return { ok: true, user: identity.user, created: false, linked: false };
+  }
+
+  // e-mails antigos podem ter sido gravados com maiúsculas
+  const existing = claims.email
+    ? await prisma.user.findFirst({
+        where: { email: { equals: claims.email, mode: "insensitive" } },
+        select: { ...identityUserSelect, identities: { select: { provider: true } } },
+      })
+    : null;
+
+  if (existing) {
+    // sem e-mail confirmado dos dois lados, vincular seria tomar a conta de
+    // alguém: quem cadastrou o e-mail alheio sem confirmar continuaria com a
+    // senha dentro da conta
+    if (!claims.emailVerified || !existing.emailVerifiedAt) {
+      return {
+        ok: false,
+        status: 409,
+        message: `Já existe uma conta com este e-mail. Entre com sua senha e vincule o ${label} no perfil.`,
+      };
+    }
+
+    if (existing.identities.some((item) => item.provider === provider)) {
+      return {
+        ok: false,
+        status: 409,
+        message: `Esta conta já está vinculada a outro login ${label}.`,
+      };
+    }
+
+    await prisma.userIdentity.create({
+      data: { userId: existing.id, provider, subject: claims.subject, email: claims.email },
+    });
+
+    const { identities, ...user } = existing;
+    return { ok: true, user, created: false, linked: true };
+  }
+
+  const user = await prisma.user.create({
+    data: {
+      name: String(claims.name || name || "Jogador").slice(0, 80),
+      email: claims.email || makePlaceholderEmail(provider, claims.subject),
+      password: null,
+      imageUrl: claims.picture || null,
+      emailVerifiedAt: claims.email && claims.emailVerified ? new Date() : null,
+      identities: {
+        create: { provider, subject: claims.subject, email: claims.email },
+      },
+    },
+    select: identityUserSelect,
+  });
+
+  return { ok: true, user, created: true, linked: false };
+}
+
+/**
+ * Vincula o provedor à conta logada (perfil → "conectar Google").
+ */
+export async function linkIdentity(userId, provider, claims) {
+  const label = PROVIDER_LABELS[provider] || provider;
+
+  const taken = await prisma.userIdentity.findUnique({
+    where: { provider_subject: { provider, subject: claims.subject } },
+    select: { userId: true },
+  });
+
+  if (taken) {
+    return taken.userId === userId
+      ? { ok: true, already: true }
+      : { ok: false, status: 409, message: `Este login ${label} já está em outra conta.` };
+  }
+
+  const current = await prisma.userIdentity.findUnique({
+    where: { userId_provider: { userId, provider } },
+    select: { id: true },
+  });
+
+  if (current) {
+    return { ok: false, status: 409, message: `Sua conta já tem um login ${label} vinculado.` };
+  }
+
+  await prisma.userIdentity.create({
+    data: { userId, provider, subject: claims.subject, email: claims.email },
+  });
+
+  return { ok: true, already: false };
+}
+
+export async function listIdentities(userId) {
+  return prisma.userIdentity.findMany({
+    where: { userId },
+    orderBy: { createdAt: "asc" },
+    select: { id: true, provider: true, email: true, createdAt: true, lastLoginAt: true },
+  });
+}
+
+/**
+ * Desvincula, desde que sobre outro jeito de entrar (senha, telefone
+ * confirmado ou outro provedor).
+ */
+export async function unlinkIdentity(userId, provider) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      password: true,
+      phoneVerifiedAt: true,
+      identities: { select: { id: true, provider: true } },
+    },
+  });
+
+  const identity = user?.identities.find((item) => item.provider === provider);
+  if (!identity) return { ok: false, status: 404, message: "Login não vinculado." };
+
+  const otherMethods =
+    Boolean(user.password) || Boolean(user.phoneVerifiedAt) || user.identities.length > 1;
+
+  if (!otherMethods) {
+    return {
+      ok: false,
+      status: 409,
+      message: "Defina uma senha ou confirme seu telefone antes de remover este login.",
+    };
+  }
+
+  await prisma.userIdentity.delete({ where: { id: identity.id } });
+
+  return { ok: true };
+}
@@ -0,0 +1,287 @@
+import { Prisma } from "@prisma/client";
+import { prisma } from "../lib/prisma.js";
+import { GLOBAL_SEASON, findSeasonByKey, getCurrentSeasonKey } from "./rankSeasonService.js";
+
+// rankings por categoria calculados direto das partidas (MatchPlayerStat /
+// MatchEvent), não dos contadores do PlayerRank, pra poder recortar por período
+
+export const STAT_CATEGORIES = [
+  "goals",
+  "assists",
+  "mvps",
+  "winRate",
+  "winStreak",
+  "matches",
+];
+
+export const STAT_WINDOWS = ["30d", "season", "all"];
+
+export const DEFAULT_MIN_GAMES = 5;
+
+const BOARD_PAGE_SIZE = 20;
+const BOARD_MAX_PAGE_SIZE = 100;
+
+function normalizePage(page) {
+  const n = Number(page);
+  return Number.isFinite(n) && n >= 1 ? Math.floor(n) : 1;
+}
+
+function normalizePageSize(pageSize) {
+  const n = Number(pageSize);
+  if (!Number.isFinite(n) || n <= 0) return BOARD_PAGE_SIZE;
+  return Math.min(Math.floor(n), BOARD_MAX_PAGE_SIZE);
+}
+
+/**
+ * Converte a janela em intervalo de datas (pela data da partida).
+ * season sem temporada configurada = tudo.
+ */
+export async function resolveStatWindow(window = "season", seasonKey = null) {
+  if (window === "30d") {
+    const from = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    return { window, from, to: null, season: null };
+  }
+
+  if (window === "season") {
+    const key = seasonKey || (await getCurrentSeasonKey());
+    const season = key === GLOBAL_SEASON ? null : await findSeasonByKey(key);
+
+    if (season) {
+      return { window, from: season.startsAt, to: season.endsAt, season: season.key };
+    }
+
+    return { window, from: null, to: null, season: GLOBAL_SEASON };
+  }
+
+  return { window: "all", from: null, to: null, season: null };
+}
+
+function finishedMatchWhere({ from, to }) {
+  return {
+    status: "FINISHED",
+    ...(from || to
+      ? {
+          date: {
+            ...(from ? { gte: from } : {}),
+            ...(to ? { lt: to } : {}),
+          },
+        }
+      : {}),
+  };
+}
+
+async function sumStatBoard(range, field) {
+  const rows = await prisma.matchPlayerStat.groupBy({
+    by: ["userId"],
+    where: { match: finishedMatchWhere(range) },
+    _sum: { goalsOfficial: true, assistsOfficial: true, wins: true },
+    _count: { _all: true },
+  });
+
+  return rows.map((row) => {
+    const matches = row._count._all;
+    const wins = Number(row._sum.wins || 0);
+
+    return {
+      userId: row.userId,
+      matches,
+      wins,
+      goals: Number(row._sum.goalsOfficial || 0),
+      assists: Number(row._sum.assistsOfficial || 0),
+      winRate: matches > 0 ? Math.round((wins / matches) * 1000) / 10 : 0,
+      value:
+        field === "goals"
+          ? Number(row._sum.goalsOfficial || 0)
+          : field === "assists"
+          ? Number(row._sum.assistsOfficial || 0)
+          : field === "winRate"
+          ? matches > 0
+            ? Math.round((wins / matches) * 1000) / 10
+            : 0
+          : matches,
+    };
+  });
+}
+
+async function mvpBoard(range) {
+  const rows = await prisma.matchEvent.groupBy({
+    by: ["playerId"],
+    where: {
+      type: "MVP",
+      status: "CONFIRMED",
+      playerId: { not: null },
+      match: finishedMatchWhere(range),
+    },
+    _count: { _all: true },
+  });
+
+  return rows.map((row) => ({
+    userId: row.playerId,
+    mvps: row._count._all,
+    value: row._count._all,
+  }));
+}
+
+// maior sequência de vitórias dentro da janela, em ordem de data. As
+// sequências saem no banco (uma linha por jogador): carregar as estatísticas
+// da janela inteira não escala. Vitórias seguidas têm a mesma diferença entre
+// a posição na lista do jogador e a posição entre as vitórias dele
+async function winStreakBoard({ from, to }) {
+  const rows = await prisma.$queryRaw`
+    WITH ordered AS (
+      SELECT s."userId",
+             s."wins" > 0 AS won,
+             row_number() OVER (PARTITION BY s."userId" ORDER BY m."date", m."id") AS pos,
+             row_number() OVER (PARTITION BY s."userId", s."wins" > 0 ORDER BY m."date", m."id") AS pos_by_result
+        FROM "MatchPlayerStat" s
+        JOIN "Match" m ON m."id" = s."matchId"
+       WHERE m."status" = 'FINISHED'
+         ${from ? Prisma.sql`AND m."date" >= ${from}` : Prisma.empty}
+         ${to ? Prisma.sql`AND m."date" < ${to}` : Prisma.empty}
+    ),
+    totals AS (
+      SELECT "userId", count(*)::int AS matches FROM ordered GROUP BY "userId"
+    ),
+    runs AS (
+      SELECT "userId", count(*)::int AS len, max(pos) AS last_pos
+        FROM ordered
+       WHERE won
+       GROUP BY "userId", pos - pos_by_result
+    )
+    SELECT t."userId",
+           t.matches,
+           max(r.len)::int AS "bestStreak",
+           coalesce(max(r.len) FILTER (WHERE r.last_pos = t.matches), 0)::int AS "currentStreak"
+      FROM totals t
+      JOIN runs r ON r."userId" = t."userId"
+     GROUP BY t."userId", t.matches`;
+
+  return rows.map((row) => ({
+    userId: row.userId,
+    matches: row.matches,
+    currentStreak: row.currentStreak,
+    bestStreak: row.bestStreak,
+    value: row.bestStreak,
+  }));
+}
+
+async function computeBoard(category, range, { minGames }) {
+  switch (category) {
+    case "goals":
+    case "assists":
+    case "matches":
+      return sumStatBoard(range, category);
+
+    case "winRate": {
+      const rows = await sumStatBoard(range, "winRate");
+      return rows.filter((row) => row.matches >= minGames);
+    }
+
+    case "mvps":
+      return mvpBoard(range);
+
+    case "winStreak":
+      return winStreakBoard(range);
+
+    default:
+      return [];
+  }
+}
+
+async function attachUsers(entries) {
+  if (!entries.length) return entries;
+
+  const users = await prisma.user.findMany({
+    where: { id: { in: entries.map((entry) => entry.userId) } },
+    select: { id: true, name: true, imageUrl: true },
+  });
+
+  const byId = new Map(users.map((user) => [user.id, user]));
+
+  return entries.map((entry) => ({
+    ...entry,
+    name: byId.get(entry.userId)?.name || "Jogador",
+    avatar: byId.get(entry.userId)?.imageUrl || "",
+  }));
+}
+
+/**
+ * Ranking de uma categoria numa janela. Desempate: mais partidas, depois userId
+ * (estável entre páginas). `me` vem mesmo fora da página.
+ */
+export async function getStatBoard({
+  category,
+  window = "season",
+  season = null,
+  minGames = DEFAULT_MIN_GAMES,
+  userId = null,
+  page,
+  pageSize,
+}) {
+  const range = await resolveStatWindow(window, season);
+  const safeMinGames = Math.max(1, Number(minGames) || DEFAULT_MIN_GAMES);
+
+  const rows = (await computeBoard(category, range, { minGames: safeMinGames }))
+    .filter((row) => row.value > 0 || category === "winRate")
+    .sort(
+      (a, b) =>
+        b.value - a.value ||
+        Number(b.matches || 0) - Number(a.matches || 0) ||
+        String(a.userId).localeCompare(String(b.userId))
+    )
+    .map((row, index) => ({ position: index + 1, ...row }));
+
+  const safePage = normalizePage(page);
+  const safePageSize = normalizePageSize(pageSize);
+  const skip = (safePage - 1) * safePageSize;
+
+  const pageRows = rows.slice(skip, skip + safePageSize);
+  const meRow = userId ? rows.find((row) => row.userId === userId) : null;
+
+  const [items, meWithUser] = await Promise.all([
+    attachUsers(pageRows),
+    meRow ? attachUsers([meRow]) : [],
+  ]);
+
+  return {
+    category,
+    window: range.window,
+    season: range.season,
+    from: range.from,
+    to: range.to,
+    ...(category === "winRate" ? { minGames: safeMinGames } : {}),
+    page: safePage,
+    pageSize: safePageSize,
+    total: rows.length,
+    totalPages: Math.ceil(rows.length / safePageSize),
+    items,
+    me: meWithUser[0] || null,
+  };
+}
+
+/**
+ * Resumo com o top N de cada categoria (tela inicial de rankings).
+ */
+export async function getStatBoardsSummary({
+  window = "season",
+  season = null,
+  minGames = DEFAULT_MIN_GAMES,
+  userId = null,
+  top = 5,
+}) {
+  const boards = {};
+
+  for (const category of STAT_CATEGORIES) {
+    boards[category] = await getStatBoard({
+      category,
+      window,
+      season,
+      minGames,
+      userId,
+      page: 1,
+      pageSize: top,
+    });
+  }
+
+  return boards;
+}
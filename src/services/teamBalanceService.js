@@ -0,0 +1,397 @@
+import { Prisma } from "@prisma/client";
+import { prisma } from "../lib/prisma.js";
+import { confirmedPresenceWhere } from "./matchWaitlistService.js";
+import { getCurrentSeasonKey } from "./rankSeasonService.js";
+
+const DEFAULT_RATING = 1000;
+
+// forma recente: últimas N partidas, cada vitória/derrota vale FORM_WEIGHT pontos
+const FORM_MATCHES = 5;
+const FORM_WEIGHT = 15;
+
+// iterações máximas da etapa de trocas 1x1
+const MAX_SWAP_ROUNDS = 50;
+
+const GOALKEEPER_POSITIONS = ["GOL", "GOLEIRO", "GK", "GOALKEEPER"];
+
+function isGoalkeeperPosition(position) {
+  const value = String(position || "")
+    .trim()
+    .toUpperCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+  return GOALKEEPER_POSITIONS.includes(value);
+}
+
+function sumStrength(list) {
+  return list.reduce((acc, p) => acc + p.strength, 0);
+}
+
+async function getRecentForm(userId, excludeMatchId) {
+  const rows = await prisma.matchPresence.findMany({
+    where: {
+      userId,
+      ...confirmedPresenceWhere,
+      match: { status: "FINISHED", id: { not: excludeMatchId } },
+    },
+    orderBy: { match: { date: "desc" } },
+    take: FORM_MATCHES,
+    select: {
+      teamSide: true,
+      match: { select: { winnerSide: true } },
+    },
+  });
+
+  return rows.reduce((acc, row) => {
+    if (!row.match?.winnerSide || !row.teamSide) return acc;
+    return acc + (row.teamSide === row.match.winnerSide ? 1 : -1);
+  }, 0);
+}
+
+// grupos de amigos (componentes conexos do grafo de amizade)
+async function getFriendGroups(userIds) {
+  const friendships = await prisma.friendship.findMany({
+    where: { userAId: { in: userIds }, userBId: { in: userIds } },
+    select: { userAId: true, userBId: true },
+  });
+
+  const parent = new Map(userIds.map((id) => [id, id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  for (const f of friendships) {
+    parent.set(find(f.userAId), find(f.userBId));
+  }
+
+  const groups = new Map();
+  for (const id of userIds) {
+    const root = find(id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(id);
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Algoritmo puro (sem banco): recebe os jogadores já com `strength`
+ * e devolve o lado de cada um.
+ *
+ * players: [{ userId, strength, isGoalkeeper, isCaptain, teamSide }]
+ * options: { lockCaptains, oneGoalkeeperPerSide, friendGroups: string[][] }
+ */
+export function balanceTeams(players, options = {}) {
+  const { lockCaptains = false, oneGoalkeeperPerSide = false, friendGroups = [] } =
+    options;
+
+  const capacity = Math.ceil(players.length / 2);
+  const sides = { A: [], B: [] };
+  const fixed = new Set(); // não entram nas trocas
+
+  const place = (player, side) => {
+    sides[side].push(player);
+  };
+
+  const pickSide = (size = 1) => {
+    const candidates = ["A", "B"].filter(
+      (side) => sides[side].length + size <= capacity
+    );
+    if (!candidates.length) return null;
+    return candidates.sort(
+      (a, b) =>
+        sumStrength(sides[a]) - sumStrength(sides[b]) ||
+        sides[a].length - sides[b].length
+    )[0];
+  };
+
+  let pending = [...players];
+
+  // 1) capitães travados
+  if (lockCaptains) {
+    const captains = pending.filter((p) => p.isCaptain);
+    for (const captain of captains) {
+      const side =
+        captain.teamSide && sides[captain.teamSide].length < capacity
+          ? captain.teamSide
+          : pickSide();
+      place(captain, side);
+      fixed.add(captain.userId);
+    }
+    pending = pending.filter((p) => !fixed.has(p.userId));
+  }
+
+  // 2) um goleiro de cada lado
+  if (oneGoalkeeperPerSide) {
+    for (const side of ["A", "B"]) {
+      if (sides[side].some((p) => p.isGoalkeeper)) continue;
+
+      const keeper = pending
+        .filter((p) => p.isGoalkeeper)
+        .sort((a, b) => b.strength - a.strength)[0];
+      if (!keeper || sides[side].length >= capacity) continue;
+
+      place(keeper, side);
+      fixed.add(keeper.userId);
+      pending = pending.filter((p) => p.userId !== keeper.userId);
+    }
+  }
+
+  // 3) monta as unidades (grupo de amigos ou jogador sozinho)
+  const pendingById = new Map(pending.map((p) => [p.userId, p]));
+  const maxGroupSize = Math.max(1, Math.floor(capacity / 2));
+  const units = [];
+  const grouped = new Set();
+
+  for (const group of friendGroups) {
+    const members = group
+      .map((id) => pendingById.get(id))
+      .filter(Boolean)
+      .sort((a, b) => b.strength - a.strength);
+
+    if (members.length < 2) continue;
+
+    for (let i = 0; i < members.length; i += maxGroupSize) {
+      const chunk = members.slice(i, i + maxGroupSize);
+      if (chunk.length < 2) continue;
+      units.push(chunk);
+      chunk.forEach((p) => grouped.add(p.userId));
+    }
+  }
+
+  for (const p of pending) {
+    if (!grouped.has(p.userId)) units.push([p]);
+  }
+
+  units.sort(
+    (a, b) => b.length - a.length || sumStrength(b) - sumStrength(a)
+  );
+
+  // 4) guloso: cada unidade vai pro lado mais fraco que tenha espaço
+  for (const unit of units) {
+    const side = pickSide(unit.length);
+
+    if (side) {
+      unit.forEach((p) => place(p, side));
+      if (unit.length > 1) unit.forEach((p) => fixed.add(p.userId));
+      continue;
+    }
+
+    // grupo não cabe inteiro → separa
+    for (const p of unit) place(p, pickSide() || "A");
+  }
+
+  // 5) trocas 1x1 enquanto melhorarem a diferença
+  for (let round = 0; round < MAX_SWAP_ROUNDS; round += 1) {
+    const diff = sumStrength(sides.A) - sumStrength(sides.B);
+    let best = null;
+
+    for (const a of sides.A) {
+      if (fixed.has(a.userId)) continue;
+
+      for (const b of sides.B) {
+        if (fixed.has(b.userId)) continue;
+
+        const nextDiff = diff - 2 * (a.strength - b.strength);
+        if (Math.abs(nextDiff) < Math.abs(best?.diff ?? diff)) {
+          best = { a, b, diff: nextDiff };
+        }
+      }
+    }
+
+    if (!best) break;
+
+    sides.A = sides.A.filter((p) => p !== best.a).concat(best.b);
+    sides.B = sides.B.filter((p) => p !== best.b).concat(best.a);
+  }
+
+  const assignment = new Map();
+  sides.A.forEach((p) => assignment.set(p.userId, "A"));
+  sides.B.forEach((p) => assignment.set(p.userId, "B"));
+
+  return assignment;
+}
+
+/**
+ * Propõe times balanceados para as presenças confirmadas da partida.
+ */
+export async function proposeBalancedTeams(matchId, options = {}) {
+  const season = await getCurrentSeasonKey();
+
+  const match = await prisma.match.findUnique({
+    where: { id: matchId },
+    select: {
+      id: true,
+      status: true,
+      teamAName: true,
+      teamBName: true,
+      teamsBalancedAt: true,
+      presences: {
+        where: confirmedPresenceWhere,
+        select: {
+          userId: true,
+          teamSide: true,
+          isCaptain: true,
+          user: {
+            select: {
+              id: true,
+              name: true,
+              imageUrl: true,
+              ranks: { where: { season }, select: { rating: true } },
+              profile: { select: { position: true } },
+            },
+          },
+        },
+      },
+    },
+  });
+
+  if (!match) return null;
+
+  const userIds = match.presences.map((p) => p.userId);
+
+  const forms = await Promise.all(
+    userIds.map((userId) => getRecentForm(userId, matchId))
+  );
+  const formByUser = new Map(userIds.map((id, i) => [id, forms[i]]));
+
+  const players = match.presences.map((presence) => {
+    const rating = Number(presence.user?.ranks?.[0]?.rating ?? DEFAULT_RATING);
+    const form = formByUser.get(presence.userId) || 0;
+    const position = presence.user?.profile?.position || null;
+
+    return {
+      userId: presence.userId,
+      name: presence.user?.name || "Jogador",
+      imageUrl: presence.user?.imageUrl || null,
+      position,
+      isGoalkeeper: isGoalkeeperPosition(position),
+      isCaptain: Boolean(presence.isCaptain),
+      currentSide: presence.teamSide,
+      teamSide: presence.teamSide,
+      rating,
+      form,
+      strength: rating + form * FORM_WEIGHT,
+    };
+  });
+
+  const friendGroups = options.keepFriendsTogether
+    ? await getFriendGroups(userIds)
+    : [];
+
+  const assignment = balanceTeams(players, {
+    lockCaptains: Boolean(options.lockCaptains),
+    oneGoalkeeperPerSide: Boolean(options.oneGoalkeeperPerSide),
+    friendGroups,
+  });
+
+  const withSide = players.map(({ teamSide, ...p }) => ({
+    ...p,
+    teamSide: assignment.get(p.userId) || null,
+  }));
+
+  const teamA = withSide.filter((p) => p.teamSide === "A");
+  const teamB = withSide.filter((p) => p.teamSide === "B");
+
+  const ratingA = teamA.reduce((acc, p) => acc + p.rating, 0);
+  const ratingB = teamB.reduce((acc, p) => acc + p.rating, 0);
+
+  return {
+    matchId,
+    status: match.status,
+    options: {
+      keepFriendsTogether: Boolean(options.keepFriendsTogether),
+      lockCaptains: Boolean(options.lockCaptains),
+      oneGoalkeeperPerSide: Boolean(options.oneGoalkeeperPerSide),
+    },
+    teamA: {
+      name: match.teamAName || "Time A",
+      players: teamA,
+      ratingSum: ratingA,
+      strengthSum: sumStrength(teamA),
+    },
+    teamB: {
+      name: match.teamBName || "Time B",
+      players: teamB,
+      ratingSum: ratingB,
+      strengthSum: sumStrength(teamB),
+    },
+    ratingDiff: Math.abs(ratingA - ratingB),
+  };
+}
+
+/**
+ * Aplica a proposta guardando os lados atuais em `teamsBackup`.
+ * Só enquanto a partida não começou.
+ */
+export async function applyBalancedTeams(matchId, proposal) {
+  const presences = await prisma.matchPresence.findMany({
+    where: { matchId, ...confirmedPresenceWhere },
+    select: { id: true, userId: true, teamSide: true },
+  });
+
+  const byUser = new Map(presences.map((p) => [p.userId, p]));
+  const players = [...proposal.teamA.players, ...proposal.teamB.players];
+
+  const backup = presences.map((p) => ({
+    userId: p.userId,
+    teamSide: p.teamSide,
+  }));
+
+  await prisma.$transaction([
+    ...players
+      .filter((p) => byUser.has(p.userId))
+      .map((p) =>
+        prisma.matchPresence.update({
+          where: { id: byUser.get(p.userId).id },
+          data: { teamSide: p.teamSide },
+        })
+      ),
+    // balancear de novo mantém o backup de antes do primeiro balanceamento
+    prisma.match.updateMany({
+      where: { id: matchId, teamsBackup: { equals: Prisma.DbNull } },
+      data: { teamsBackup: backup },
+    }),
+    prisma.match.update({
+      where: { id: matchId },
+      data: { teamsBalancedAt: new Date() },
+    }),
+  ]);
+}
+
+export async function revertBalancedTeams(matchId) {
+  const match = await prisma.match.findUnique({
+    where: { id: matchId },
+    select: { teamsBackup: true },
+  });
+
+  const backup = Array.isArray(match?.teamsBackup) ? match.teamsBackup : null;
+  if (!backup) return false;
+
+  const presences = await prisma.matchPresence.findMany({
+    where: { matchId },
+    select: { id: true, userId: true },
+  });
+  const byUser = new Map(presences.map((p) => [p.userId, p.id]));
+
+  await prisma.$transaction([
+    ...backup
+      .filter((item) => byUser.has(item.userId))
+      .map((item) =>
+        prisma.matchPresence.update({
+          where: { id: byUser.get(item.userId) },
+          data: { teamSide: item.teamSide ?? null },
+        })
+      ),
+    prisma.match.update({
+      where: { id: matchId },
+      data: { teamsBackup: Prisma.DbNull, teamsBalancedAt: null },
+    }),
+  ]);
+
+  return true;
+}
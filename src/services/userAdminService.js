@@ -0,0 +1,244 @@
+import { prisma } from "../lib/prisma.js";
+import { revokeAllSessions } from "./authSessionService.js";
+import { pickAuditFields, recordAudit } from "./auditService.js";
+
+export const USER_ROLES = ["user", "owner", "arena_owner", "admin"];
+
+export const ADMIN_USERS_PAGE_SIZE = 30;
+
+const adminUserSelect = {
+  id: true,
+  name: true,
+  email: true,
+  phone: true,
+  imageUrl: true,
+  role: true,
+  emailVerifiedAt: true,
+  phoneVerifiedAt: true,
+  isPremium: true,
+  premiumUntil: true,
+  bannedAt: true,
+  bannedUntil: true,
+  banReason: true,
+  createdAt: true,
+};
+
+const AUDIT_FIELDS = ["role", "isPremium", "premiumUntil", "bannedAt", "bannedUntil", "banReason"];
+
+/**
+ * Banimento valendo agora? bannedUntil no passado = já acabou.
+ */
+export function isBanActive(user, now = new Date()) {
+  if (!user?.bannedAt) return false;
+  return !user.bannedUntil || new Date(user.bannedUntil) > now;
+}
+
+/**
+ * Pro login: { bannedUntil, banReason } se o usuário está banido, senão null.
+ */
+export async function getActiveBan(userId) {
+  if (!userId) return null;
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { bannedAt: true, bannedUntil: true, banReason: true },
+  });
+
+  return isBanActive(user) ? { bannedUntil: user.bannedUntil, banReason: user.banReason } : null;
+}
+
+export function formatBanMessage(ban) {
+  const until = ban.bannedUntil
+    ? ` até ${new Date(ban.bannedUntil).toLocaleDateString("pt-BR", { timeZone: "America/Sao_Paulo" })}`
+    : "";
+
+  return `Conta suspensa${until}.${ban.banReason ? ` Motivo: ${ban.banReason}` : ""}`;
+}
+
+function formatAdminUser(user) {
+  return { ...user, isBanned: isBanActive(user) };
+}
+
+/**
+ * Busca por nome/e-mail/telefone (q) com filtros de papel, ban e premium.
+ */
+export async function listUsers({ q, role, banned, premium, page = 1, limit } = {}) {
+  const take = Math.min(Math.max(Number(limit) || ADMIN_USERS_PAGE_SIZE, 1), 100);
+  const skip = (Math.max(Number(page) || 1, 1) - 1) * take;
+  const now = new Date();
+  const term = String(q || "").trim();
+
+  const activeBan = { bannedAt: { not: null }, OR: [{ bannedUntil: null }, { bannedUntil: { gt: now } }] };
+
+  const where = {
+    ...(term
+      ? {
+          OR: [
+            { name: { contains: term, mode: "insensitive" } },
+            { email: { contains: term, mode: "insensitive" } },
+            { phone: { contains: term } },
+            { id: term },
+          ],
+        }
+      : {}),
+    ...(role ? { role } : {}),
+    ...(premium === undefined ? {} : { isPremium: premium }),
+    ...(banned === undefined ? {} : banned ? activeBan : { NOT: activeBan }),
+  };
+
+  const [items, total] = await prisma.$transaction([
+    prisma.user.findMany({ where, orderBy: { createdAt: "desc" }, skip, take, select: adminUserSelect }),
+    prisma.user.count({ where }),
+  ]);
+
+  return { items: items.map(formatAdminUser), total, page: Math.floor(skip / take) + 1, limit: take };
+}
+
+export async function getUserDetail(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      ...adminUserSelect,
+      identities: { select: { provider: true, email: true, createdAt: true } },
+      arenas: { select: { id: true, name: true, slug: true, approvalStatus: true } },
+      arenaMemberships: { select: { role: true, arena: { select: { id: true, name: true } } } },
+      _count: {
+        select: { presences: true, reservations: true, feedPosts: true, matches: true, feedReports: true },
+      },
+    },
+  });
+
+  if (!user) return null;
+
+  const activeSessions = await prisma.authSession.count({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+  });
+
+  return { ...formatAdminUser(user), activeSessions };
+}
+
+async function loadForChange(userId) {
+  return prisma.user.findUnique({ where: { id: userId }, select: adminUserSelect });
+}
+
+/**
+ * Troca o papel global. As sessões caem pra valer na hora (o role vai no token).
+ */
+export async function setUserRole({ userId, role, actor, req = null }) {
+  if (!USER_ROLES.includes(role)) return { ok: false, status: 400, message: "Papel inválido" };
+
+  const current = await loadForChange(userId);
+  if (!current) return { ok: false, status: 404, message: "Usuário não encontrado" };
+
+  if (current.id === actor.id && role !== current.role) {
+    return { ok: false, status: 409, message: "Você não pode mudar o próprio papel" };
+  }
+
+  if (current.role === role) return { ok: true, user: formatAdminUser(current) };
+
+  const updated = await prisma.user.update({ where: { id: userId }, data: { role }, select: adminUserSelect });
+
+  await revokeAllSessions(userId, { reason: "role_changed" });
+
+  await recordAudit({
+    req,
+    actorId: actor.id,
+    action: "user.role_changed",
+    targetType: "user",
+    targetId: userId,
+    before: pickAuditFields(current, AUDIT_FIELDS),
+    after: pickAuditFields(updated, AUDIT_FIELDS),
+  });
+
+  return { ok: true, user: formatAdminUser(updated) };
+}
+
+/**
+ * Bane (until null = indeterminado) e derruba todas as sessões.
+ */
+export async function banUser({ userId, reason, until = null, actor, req = null }) {
+  const current = await loadForChange(userId);
+  if (!current) return { ok: false, status: 404, message: "Usuário não encontrado" };
+
+  if (current.id === actor.id) return { ok: false, status: 409, message: "Você não pode banir a si mesmo" };
+  if (current.role === "admin") {
+    return { ok: false, status: 409, message: "Rebaixe o admin antes de banir" };
+  }
+
+  if (until && new Date(until) <= new Date()) {
+    return { ok: false, status: 400, message: "A data final do banimento já passou" };
+  }
+
+  const updated = await prisma.user.update({
+    where: { id: userId },
+    data: { bannedAt: new Date(), bannedUntil: until ? new Date(until) : null, banReason: reason },
+    select: adminUserSelect,
+  });
+
+  await revokeAllSessions(userId, { reason: "banned" });
+
+  await recordAudit({
+    req,
+    actorId: actor.id,
+    action: "user.banned",
+    targetType: "user",
+    targetId: userId,
+    before: pickAuditFields(current, AUDIT_FIELDS),
+    after: pickAuditFields(updated, AUDIT_FIELDS),
+  });
+
+  return { ok: true, user: formatAdminUser(updated) };
+}
+
+export async function unbanUser({ userId, actor, req = null }) {
+  const current = await loadForChange(userId);
+  if (!current) return { ok: false, status: 404, message: "Usuário não encontrado" };
+  if (!current.bannedAt) return { ok: false, status: 409, message: "Usuário não está banido" };
+
+  const updated = await prisma.user.update({
+    where: { id: userId },
+    data: { bannedAt: null, bannedUntil: null, banReason: null },
+    select: adminUserSelect,
+  });
+
+  await recordAudit({
+    req,
+    actorId: actor.id,
+    action: "user.unbanned",
+    targetType: "user",
+    targetId: userId,
+    before: pickAuditFields(current, AUDIT_FIELDS),
+    after: pickAuditFields(updated, AUDIT_FIELDS),
+  });
+
+  return { ok: true, user: formatAdminUser(updated) };
+}
+
+/**
+ * Premium manual (cortesia, suporte). premiumUntil null = sem prazo.
+ */
+export async function setUserPremium({ userId, isPremium, premiumUntil = null, actor, req = null }) {
+  const current = await loadForChange(userId);
+  if (!current) return { ok: false, status: 404, message: "Usuário não encontrado" };
+
+  const updated = await prisma.user.update({
+    where: { id: userId },
+    data: {
+      isPremium,
+      premiumUntil: isPremium && premiumUntil ? new Date(premiumUntil) : null,
+    },
+    select: adminUserSelect,
+  });
+
+  await recordAudit({
+    req,
+    actorId: actor.id,
+    action: isPremium ? "user.premium_granted" : "user.premium_revoked",
+    targetType: "user",
+    targetId: userId,
+    before: pickAuditFields(current, AUDIT_FIELDS),
+    after: pickAuditFields(updated, AUDIT_FIELDS),
+  });
+
+  return { ok: true, user: formatAdminUser(updated) };
+}
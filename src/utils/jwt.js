@@ -1,7 +1,10 @@
 import jwt from "jsonwebtoken";
 
-export function signToken(payload) {
-  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: "7d" });
+// access token curto; quem mantém o login é o refresh token da AuthSession
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
+export function signToken(payload, { expiresIn = ACCESS_TOKEN_TTL } = {}) {
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
 }
 
 export function verifyToken(token) {
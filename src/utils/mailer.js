@@ -1,6 +1,37 @@
+import fs from "fs/promises";
+import path from "path";
 import nodemailer from "nodemailer";
 
+// MAIL_TRANSPORT:
+// - smtp (padrão): SMTP_* abaixo. Em localhost (Mailpit/MailHog) não precisa de auth
+// - file: grava .eml + .html em MAIL_OUTBOX_DIR (padrão .mail-outbox)
+// - json: só loga o e-mail montado no console
+function isLocalHost(host) {
+  return ["localhost", "127.0.0.1", "::1"].includes(String(host || "").toLowerCase());
+}
+
+function makeFileTransporter() {
+  const dir = path.resolve(process.env.MAIL_OUTBOX_DIR || ".mail-outbox");
+  const stream = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+
+  return {
+    async sendMail(message) {
+      const info = await stream.sendMail(message);
+      const to = String(Array.isArray(message.to) ? message.to[0] : message.to || "sem-destino");
+      const base = `${Date.now()}-${to.replace(/[^a-z0-9@._-]/gi, "_")}`;
+
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${base}.eml`), info.message);
+      if (message.html) await fs.writeFile(path.join(dir, `${base}.html`), message.html);
+
+      return { ...info, file: path.join(dir, `${base}.eml`) };
+    },
+  };
+}
+
 export function makeMailer() {
+  const mode = String(process.env.MAIL_TRANSPORT || "smtp").toLowerCase();
+
   const host = process.env.SMTP_HOST || "smtp.hostinger.com";
   const port = Number(process.env.SMTP_PORT || 465);
 
@@ -11,8 +42,31 @@ export function makeMailer() {
   const pass = process.env.SMTP_PASS; // senha do e-mail
   const from = process.env.SMTP_FROM || user || "suporte@borapo.com";
 
-  if (!user || !pass) {
-    warn("[mailer] SMTP_USER/SMTP_PASS não configurados");
+  if (mode === "file") {
+    return { transporter: makeFileTransporter(), from, isReady: true, mode };
+  }
+
+  if (mode === "json") {
+    const json = nodemailer.createTransport({ jsonTransport: true });
+
+    return {
+      transporter: {
+        async sendMail(message) {
+          const info = await json.sendMail(message);
+          console.log("[mailer] (json)", info.message);
+          return info;
+        },
+      },
+      from,
+      isReady: true,
+      mode,
+    };
+  }
+
+  const isReady = !!(user && pass) || isLocalHost(host);
+
+  if (!isReady) {
+    console.warn("[mailer] SMTP_USER/SMTP_PASS não configurados");
   }
 
   const transporter = nodemailer.createTransport({
@@ -22,5 +76,5 @@ export function makeMailer() {
     auth: user && pass ? { user, pass } : undefined,
   });
 
-  return { transporter, from, isReady: !!(user && pass) };
+  return { transporter, from, isReady, mode: "smtp" };
 }